@@ -366,6 +366,8 @@ function setTestPrefix(pfx) {
  * - `etag` {String}: The etag for the original Moray object
  * - `remove` {Boolean} : remove all keys in val from the object (optional)
  * - `val` {Object} : keys to update in the object
+ * - `batch` {Function} : called with the updated value, returning an array
+ *   of other moray batch requests to write along with it (optional)
  * @param callback {Function} `function (err, netObj)`
  */
 function updateObj(opts, callback) {
@@ -373,6 +375,7 @@ function updateObj(opts, callback) {
     assert.object(opts.original, 'opts.original');
     assert.string(opts.etag, 'opts.etag');
     assert.object(opts.val, 'opts.val');
+    assert.optionalFunc(opts.batch, 'opts.batch');
     assert.func(callback, 'callback');
 
     var value = jsprim.deepCopy(opts.original);
@@ -384,6 +387,29 @@ function updateObj(opts, callback) {
         }
     }
 
+    if (opts.batch) {
+        opts.moray.batch([ {
+            bucket: opts.bucket.name,
+            key: opts.key,
+            operation: 'put',
+            value: value,
+            options: {
+                etag: opts.etag
+            }
+        } ].concat(opts.batch(value)), function (bErr, res) {
+            if (bErr) {
+                callback(bErr);
+                return;
+            }
+
+            value.etag = util_common.getEtag(res.etags, opts.bucket.name,
+                opts.key);
+
+            callback(null, { value: value });
+        });
+        return;
+    }
+
     opts.moray.putObject(opts.bucket.name, opts.key, value, {
         etag: opts.etag
     }, function (pErr, info) {
@@ -15,7 +15,9 @@
 'use strict';
 
 var assert = require('assert-plus');
+var autoalloc = require('./util/autoalloc');
 var fs = require('fs');
+var util_oui = require('./util/oui');
 
 
 
@@ -26,9 +28,19 @@ function validateConfig(config) {
     assert.string(config.datacenter, 'datacenter (Datacenter name)');
     assert.string(config.macOUI,
             'macOUI (MAC address OUI for provisioning nics');
+    assert.optionalArrayOfObject(config.macRanges,
+            'macRanges (MAC address ranges for provisioning nics)');
+    assert.optionalNumber(config.holdReapInterval,
+            'holdReapInterval (seconds between checks for expired IP holds)');
+    assert.optionalNumber(config.ipHistoryRetention,
+            'ipHistoryRetention (days to keep IP history records)');
+    assert.optionalNumber(config.ipReuseDelay,
+            'ipReuseDelay (seconds before freed IPs can be reused)');
     assert.optionalNumber(config.maxHttpSockets,
             'maxHttpSockets (maximum open connections)');
     assert.number(config.port, 'port (port number)');
+    assert.optionalObject(config.subnetAllocContainers,
+            'subnetAllocContainers (subnets to allocate from, by nic tag)');
     assert.uuid(config.ufdsAdminUuid, 'ufdsAdminUuid (admin user uuid)');
 
     assert.object(config.moray, 'moray (moray config section)');
@@ -41,6 +53,12 @@ function validateConfig(config) {
     }
 
     assert.object(config.overlay, 'overlay (overlay config section)');
+
+    // Throws if any of the ranges are invalid
+    util_oui.configRanges(config);
+
+    // Throws if any of the containers are invalid
+    autoalloc.configContainers(config);
 }
 
 
@@ -0,0 +1,189 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * NAPI /address_blocks endpoints
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_block = require('../models/address-block');
+var reqToOpts = require('../util/common').reqToOpts;
+var restify = require('restify');
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * Ensures that the address block exists, returning 404 if it does not. If
+ * it exists, then the block is stored in req._block so it can be used for
+ * further validation.
+ */
+function ensureBlockExists(req, res, next) {
+    mod_block.get(reqToOpts(req), function (err, block) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        req._block = block;
+        res.etag = block.etag;
+
+        next();
+    });
+}
+
+
+/**
+ * GET /address_blocks: get the list of address blocks
+ */
+function listAddressBlocks(req, res, next) {
+    mod_block.list(reqToOpts(req), function (err, blocks) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, blocks.map(function (block) {
+            return block.serialize();
+        }));
+        next();
+    });
+}
+
+
+/**
+ * POST /address_blocks: create an address block
+ */
+function postAddressBlock(req, res, next) {
+    mod_block.create(reqToOpts(req), function (err, block) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.header('Etag', block.etag);
+        res.send(200, block.serialize());
+        next();
+    });
+}
+
+
+/**
+ * GET /address_blocks/:uuid: get an address block
+ */
+function getAddressBlock(req, res, next) {
+    assert.object(req._block, 'req._block');
+    res.header('Etag', req._block.etag);
+    res.send(200, req._block.serialize());
+    next();
+}
+
+
+/**
+ * PUT /address_blocks/:uuid: update an address block
+ */
+function putAddressBlock(req, res, next) {
+    assert.object(req._block, 'req._block');
+
+    mod_block.update(reqToOpts(req, {
+        existingBlock: req._block
+    }), function (err, block) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.header('Etag', block.etag);
+        res.send(200, block.serialize());
+        next();
+    });
+}
+
+
+/**
+ * DELETE /address_blocks/:uuid: delete an address block
+ */
+function deleteAddressBlock(req, res, next) {
+    assert.object(req._block, 'req._block');
+
+    mod_block.del(reqToOpts(req, {
+        existingBlock: req._block
+    }), function (err) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(204);
+        next();
+    });
+}
+
+
+/**
+ * GET /address_blocks/:uuid/usage: get how much of an address block is
+ * allocated to networks
+ */
+function getAddressBlockUsage(req, res, next) {
+    assert.object(req._block, 'req._block');
+
+    mod_block.usage(reqToOpts(req, {
+        block: req._block
+    }), function (err, usage) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, usage);
+        next();
+    });
+}
+
+
+/**
+ * Register all endpoints with the restify server
+ */
+function register(http, before) {
+    var blockRequired = before.concat([
+        ensureBlockExists,
+        restify.conditionalRequest()
+    ]);
+
+    http.get({ path: '/address_blocks', name: 'listaddressblocks' },
+        before, listAddressBlocks);
+    http.head({ path: '/address_blocks', name: 'headaddressblocks' },
+        before, listAddressBlocks);
+    http.post({ path: '/address_blocks', name: 'createaddressblock' },
+        before, postAddressBlock);
+
+    http.get({ path: '/address_blocks/:uuid', name: 'getaddressblock' },
+        blockRequired, getAddressBlock);
+    http.head({ path: '/address_blocks/:uuid', name: 'headaddressblock' },
+        blockRequired, getAddressBlock);
+    http.put({ path: '/address_blocks/:uuid', name: 'updateaddressblock' },
+        blockRequired, putAddressBlock);
+    http.del({ path: '/address_blocks/:uuid', name: 'deleteaddressblock' },
+        blockRequired, deleteAddressBlock);
+    http.get({ path: '/address_blocks/:uuid/usage',
+        name: 'getaddressblockusage' }, before.concat(ensureBlockExists),
+        getAddressBlockUsage);
+}
+
+
+
+module.exports = {
+    register: register
+};
@@ -21,9 +21,11 @@
  *   /networks/:network_uuid/ips -> networks/ips.js
  */
 var toRegister = {
+    '/address_blocks': require('./address-blocks'),
     '/aggregations': require('./aggregations'),
     '/fabrics/:owner_uuid/vlans': require('./fabrics/vlans'),
     '/fabrics/:owner_uuid/vlans/networks': require('./fabrics/networks'),
+    '/macs': require('./macs'),
     '/manage': require('./manage'),
     '/networks': require('./networks'),
     '/networks/:network_uuid/ips': require('./networks/ips'),
@@ -32,7 +34,8 @@ var toRegister = {
     '/nics': require('./nics'),
     '/nic_tags': require('./nic-tags'),
     '/ping': require('./ping'),
-    '/search': require('./search')
+    '/search': require('./search'),
+    '/subnets': require('./subnets')
 };
 
 
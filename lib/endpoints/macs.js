@@ -0,0 +1,55 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * NAPI /macs endpoints
+ */
+
+'use strict';
+
+var mod_nic = require('../models/nic');
+var reqToOpts = require('../util/common').reqToOpts;
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * GET /macs/usage: get how many addresses in each MAC range are allocated
+ * to nics
+ */
+function getMACUsage(req, res, next) {
+    mod_nic.macUsage(reqToOpts(req), function (err, usage) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, usage);
+        next();
+    });
+}
+
+
+/**
+ * Register all endpoints with the restify server
+ */
+function register(http, before) {
+    http.get({ path: '/macs/usage', name: 'getmacusage' },
+        before, getMACUsage);
+}
+
+
+
+module.exports = {
+    register: register
+};
@@ -15,6 +15,7 @@
 'use strict';
 
 var assert = require('assert-plus');
+var mod_nic = require('../models/nic');
 var mod_pool = require('../models/network-pool');
 var reqToOpts = require('../util/common').reqToOpts;
 var restify = require('restify');
@@ -137,6 +138,27 @@ function deleteNetworkPool(req, res, next) {
 }
 
 
+/**
+ * GET /network_pools/:uuid/ips/next: preview the IPs that would be
+ * provisioned next on a network pool, and the networks they would come from
+ */
+function getNextPoolIPs(req, res, next) {
+    assert.object(req._pool, 'req._pool');
+
+    mod_nic.nextIPs(reqToOpts(req, {
+        pool: req._pool
+    }), function (err, candidates) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, candidates);
+        next();
+    });
+}
+
+
 /**
  * Register all endpoints with the restify server
  */
@@ -161,6 +183,9 @@ function register(http, before) {
         poolRequired, putNetworkPool);
     http.del({ path: '/network_pools/:uuid', name: 'deletenetworkpool' },
         poolRequired, deleteNetworkPool);
+    http.get({ path: '/network_pools/:uuid/ips/next',
+        name: 'getnetworkpoolnextips' }, before.concat(ensurePoolExists),
+        getNextPoolIPs);
 }
 
 
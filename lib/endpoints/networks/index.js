@@ -17,6 +17,7 @@
 var assert = require('assert-plus');
 var errors = require('../../util/errors');
 var mod_common = require('./common');
+var mod_ip = require('../../models/ip');
 var mod_net = require('../../models/network');
 var mod_pool = require('../../models/network-pool');
 var reqToOpts = require('../../util/common').reqToOpts;
@@ -103,6 +104,25 @@ function getNetwork(req, res, next) {
 }
 
 
+/**
+ * GET /networks/:uuid/usage: get the IP utilization of a network
+ */
+function getNetworkUsage(req, res, next) {
+    assert.object(req._network, 'req._network');
+
+    mod_ip.usage(reqToOpts(req), req._network, function (err, usage) {
+        req.log.debug('getNetworkUsage: cb entry');
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, usage);
+        next();
+    });
+}
+
+
 /**
  * POST /networks: create a network
  */
@@ -193,6 +213,10 @@ function register(http, before) {
     http.head({ path: '/networks/:uuid', name: 'headnetwork' },
         netRequired, getNetwork);
 
+    http.get({ path: '/networks/:uuid/usage', name: 'getnetworkusage' },
+        before.concat(mod_common.ensureNetworkExists.bind(null, 'uuid')),
+        getNetworkUsage);
+
     http.put({ path: '/networks/:uuid', name: 'putnetwork' },
         netRequired, putNetwork);
 
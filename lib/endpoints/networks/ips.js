@@ -17,6 +17,7 @@
 var assert = require('assert-plus');
 var mod_common = require('./common');
 var mod_ip = require('../../models/ip');
+var mod_nic = require('../../models/nic');
 var reqToOpts = require('../../util/common').reqToOpts;
 var restify = require('restify');
 var util_ip = require('../../util/ip');
@@ -123,6 +124,27 @@ function listIPs(req, res, next) {
 }
 
 
+/**
+ * GET /networks/:network_uuid/ips/next: preview the IPs that would be
+ * provisioned next
+ */
+function getNextIPs(req, res, next) {
+    assert.object(req._network, 'req._network');
+
+    mod_nic.nextIPs(reqToOpts(req, {
+        network: req._network
+    }), function (err, candidates) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, candidates);
+        next();
+    });
+}
+
+
 /**
  * GET /networks/:network_uuid/ips/:ip_addr: get IP
  */
@@ -136,6 +158,23 @@ function getIP(req, res, next) {
 }
 
 
+/**
+ * GET /networks/:network_uuid/ips/:ip_addr/history: list the changes made
+ * to an IP
+ */
+function getIPHistory(req, res, next) {
+    mod_ip.history(reqToOpts(req), function (err, history) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, history);
+        next();
+    });
+}
+
+
 /**
  * PUT /networks/:network_uuid/ips/:ip_addr: update IP
  */
@@ -179,6 +218,35 @@ function putIP(req, res, next) {
 }
 
 
+/**
+ * PUT /networks/:network_uuid/ips: update a range of IPs
+ */
+function putIPs(req, res, next) {
+    assert.object(req._network, 'req._network');
+
+    var opts = reqToOpts(req);
+    opts.params.network = req._network;
+
+    mod_ip.updateRange(opts, function (err, result) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, {
+            created: result.created.map(function (ip) {
+                return ip.serialize();
+            }),
+            updated: result.updated.map(function (ip) {
+                return ip.serialize();
+            })
+        });
+
+        next();
+    });
+}
+
+
 /**
  * Register all endpoints with the restify server
  */
@@ -196,11 +264,20 @@ function register(http, before) {
         beforeAll, listIPs);
     http.head({ path: '/networks/:network_uuid/ips', name: 'headips' },
         beforeAll, listIPs);
+    http.put({ path: '/networks/:network_uuid/ips', name: 'updateips' },
+        beforeAll, putIPs);
+
+    // This must be registered before /ips/:ip_addr, which would otherwise
+    // match it
+    http.get({ path: '/networks/:network_uuid/ips/next', name: 'getnextips' },
+        beforeAll, getNextIPs);
 
     http.get({ path: '/networks/:network_uuid/ips/:ip_addr', name: 'getip' },
         ipRequired, getIP);
     http.put({ path: '/networks/:network_uuid/ips/:ip_addr', name: 'updateip' },
         ipRequired, putIP);
+    http.get({ path: '/networks/:network_uuid/ips/:ip_addr/history',
+        name: 'getiphistory' }, beforeAll.concat(validateIP), getIPHistory);
 }
 
 
@@ -171,6 +171,80 @@ function deleteNic(req, res, next) {
 }
 
 
+/**
+ * POST /nics/:mac/ips: add a secondary IP to a nic
+ */
+function postNicIP(req, res, next) {
+    assert.object(req._nic, 'req._nic');
+
+    mod_nic.addIP(reqToOpts(req, {
+        existingNic: req._nic
+    }), function (err, nic) {
+        req.log.debug({ err: err, nic: nic }, 'postNicIP: cb entry');
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.header('Etag', nic.etag);
+        res.send(200, nic.serialize());
+
+        next();
+    });
+}
+
+
+/**
+ * DELETE /nics/:mac/ips/:ip: remove a secondary IP from a nic
+ */
+function deleteNicIP(req, res, next) {
+    assert.object(req._nic, 'req._nic');
+
+    mod_nic.delIP(reqToOpts(req, {
+        existingNic: req._nic
+    }), function (err) {
+        req.log.debug({ err: err }, 'deleteNicIP: cb entry');
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(204);
+        next();
+    });
+}
+
+
+/**
+ * POST /nics/:mac/regenerate-mac: give a nic a new MAC address
+ */
+function postRegenerateMAC(req, res, next) {
+    assert.object(req._nic, 'req._nic');
+
+    var opts = reqToOpts(req, {
+        existingNic: req._nic
+    });
+
+    mod_nic.regenerateMAC(opts, function (err, nic) {
+        req.log.debug({ err: err, nic: nic }, 'postRegenerateMAC: cb entry');
+        if (err) {
+            if (opts.isConditionalRequest) {
+                next(util_common.translateEtagError(err));
+                return;
+            }
+
+            next(err);
+            return;
+        }
+
+        res.header('Etag', nic.etag);
+        res.send(200, nic.serialize());
+
+        next();
+    });
+}
+
+
 /**
  * Register all endpoints with the restify server
  */
@@ -195,6 +269,13 @@ function register(http, before) {
         nicRequired, putNic);
     http.del({ path: '/nics/:mac', name: 'deletenic' },
         nicRequired, deleteNic);
+
+    http.post({ path: '/nics/:mac/ips', name: 'addnicip' },
+        nicRequired, postNicIP);
+    http.del({ path: '/nics/:mac/ips/:ip', name: 'removenicip' },
+        nicRequired, deleteNicIP);
+    http.post({ path: '/nics/:mac/regenerate-mac',
+        name: 'regeneratenicmac' }, nicRequired, postRegenerateMAC);
 }
 
 
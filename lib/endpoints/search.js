@@ -16,29 +16,63 @@
 
 var assert = require('assert-plus');
 var constants = require('../util/constants');
+var errors = require('../util/errors');
 var mod_ip = require('../models/ip');
 var mod_net = require('../models/network');
 var mod_stream = require('stream');
 var mod_util = require('util');
 var restify = require('restify');
 var validate = require('../util/validate');
+var vasync = require('vasync');
 
 
 // --- Schema validation objects
 
 var SEARCH_SCHEMA = {
     strict: true,
-    required: {
-        ip: validate.IP
-    },
     optional: {
         belongs_to_type: validate.string,
         belongs_to_uuid: validate.UUID,
         fabric: validate.bool,
-        owner_uuid: validate.UUID
-    }
+        ip: validate.IP,
+        limit: validate.limit,
+        offset: validate.offset,
+        owner_uuid: validate.UUID,
+        reserved: validate.bool
+    },
+    after: validateSearchFilters
 };
 
+/**
+ * Searching every network's IPs without an address requires a filter that
+ * narrows them down: one of these params, with these values if given.
+ */
+var SIP_NO_IP_FILTERS = {
+    belongs_to_uuid: null,
+    owner_uuid: null,
+    reserved: true
+};
+
+/**
+ * Ensure that there's an ip, or a filter from SIP_NO_IP_FILTERS.
+ */
+function validateSearchFilters(_opts, _, parsed, cb) {
+    if (parsed.hasOwnProperty('ip')) {
+        cb();
+        return;
+    }
+
+    for (var f in SIP_NO_IP_FILTERS) {
+        if (parsed.hasOwnProperty(f) && (SIP_NO_IP_FILTERS[f] === null ||
+            SIP_NO_IP_FILTERS[f] === parsed[f])) {
+            cb();
+            return;
+        }
+    }
+
+    cb(errors.missingParam('ip', constants.msg.SEARCH_IP_FILTER));
+}
+
 /**
  * Filter our arguments into a set which are used to list networks and others.
  */
@@ -64,9 +98,10 @@ function searchIPsFilterArgs(params) {
          * We skip "ip" since we only ever fetch matching IPs from Moray.
          * Additionally, beyond being superfluous, the saved IP in the stream
          * (sipn_ip) is an object, while the passed in value will be a string,
-         * so the comparison will fail.
+         * so the comparison will fail. "limit" and "offset" apply to the
+         * results as a whole, rather than to any one network.
          */
-        if (key === 'ip') {
+        if (key === 'ip' || key === 'limit' || key === 'offset') {
             continue;
         }
 
@@ -81,20 +116,131 @@ function searchIPsFilterArgs(params) {
 }
 
 /**
- * A transform stream that knows how to filter a network to determine if the IP
- * we care about is in it, and if so, returns it.
+ * Fetch an IP on a network, and call back with its serialized form if it
+ * matches args, or null if it doesn't.
+ */
+function getNetworkIP(app, log, net, ip, args, callback) {
+    /*
+     * Use get rather than list here: returnObject in the params
+     * ensures that we will get an object back even if there's
+     * no record in moray
+     */
+    var getOpts = {
+        app: app,
+        log: log,
+        params: {
+            ip: ip,
+            network: net,
+            network_uuid: net.uuid
+        },
+        returnObject: true
+    };
+
+    mod_ip.get(getOpts, function (err, ipobj) {
+        var sip, prop;
+        if (err || !ipobj) {
+            callback(err, null);
+            return;
+        }
+
+        sip = ipobj.serialize();
+        for (prop in args) {
+            if (!args.hasOwnProperty(prop)) {
+                continue;
+            }
+
+            if (!sip.hasOwnProperty(prop)) {
+                callback(null, null);
+                return;
+            }
+
+            if (args[prop] !== sip[prop]) {
+                callback(null, null);
+                return;
+            }
+        }
+
+        callback(null, sip);
+    });
+}
+
+/**
+ * Find an IP on all of the networks that contain it. Only those networks are
+ * fetched, using the index on their subnets, and then the IP is fetched from
+ * at most SEARCH_IP_CONCURRENCY of them at a time.
+ */
+function searchContainingNetworks(app, log, ip, args, callback) {
+    mod_net.listContaining({
+        app: app,
+        log: log,
+        params: args.list
+    }, ip, function (listErr, nets) {
+        var done = 0;
+        var failed = null;
+        var found = [];
+        var queue;
+
+        if (listErr) {
+            callback(listErr);
+            return;
+        }
+
+        if (nets.length === 0) {
+            callback(null, []);
+            return;
+        }
+
+        queue = vasync.queue(function (n, cb) {
+            getNetworkIP(app, log, nets[n], ip, args.ip, function (err, sip) {
+                // Keep the results in the same order as the networks
+                found[n] = sip;
+                cb(err);
+            });
+        }, constants.SEARCH_IP_CONCURRENCY);
+
+        function afterGet(err) {
+            if (err && failed === null) {
+                failed = err;
+            }
+
+            done++;
+            if (done !== nets.length) {
+                return;
+            }
+
+            if (failed !== null) {
+                callback(failed);
+                return;
+            }
+
+            callback(null, found.filter(function (sip) {
+                return sip !== null;
+            }));
+        }
+
+        for (var n = 0; n < nets.length; n++) {
+            queue.push(n, afterGet);
+        }
+    });
+}
+
+/**
+ * A transform stream that finds the IPs on each network that match our
+ * args. Of all the IPs found, the first "offset" are skipped, and at most
+ * "limit" returned.
  */
-function SearchIPNetworkStream(app, log, ip, args) {
+function SearchIPNetworkStream(app, log, args, offset, limit) {
     assert.ok(app);
     assert.ok(log);
-    assert.ok(ip);
     assert.object(args);
+    assert.number(offset);
+    assert.number(limit);
 
     this.sipn_app = app;
     this.sipn_log = log;
-    this.sipn_ip = ip;
-    this.sipn_ipkind = ip.kind();
     this.sipn_args = args;
+    this.sipn_skip = offset;
+    this.sipn_remaining = limit;
 
     mod_stream.Transform.call(this, { objectMode: true });
 }
@@ -102,129 +248,231 @@ function SearchIPNetworkStream(app, log, ip, args) {
 mod_util.inherits(SearchIPNetworkStream, mod_stream.Transform);
 
 /**
- * The primary engine behind the transform stream. Determines whether or not
- * this network has an IP address that we care about.
+ * Push a serialized IP that was found, unless it's to be skipped or we have
+ * already found enough.
  */
-SearchIPNetworkStream.prototype._transform = function (net, _enc, done) {
-    var self = this;
-
-    /*
-     * Determine whether or not we should even consider this network.
-     */
-    if (self.sipn_ipkind !== net.subnetStart.kind()) {
-        done();
+SearchIPNetworkStream.prototype._pushIP = function (sip) {
+    if (this.sipn_skip > 0) {
+        this.sipn_skip--;
         return;
     }
 
-    if (!net.subnet.contains(self.sipn_ip)) {
-        done();
-        return;
+    if (this.sipn_remaining > 0) {
+        this.sipn_remaining--;
+        this.push(sip);
     }
+};
 
-    /*
-     * Use get rather than list here: returnObject in the params
-     * ensures that we will get an object back even if there's
-     * no record in moray
-     */
-    var getOpts = {
-        app: self.sipn_app,
-        log: self.sipn_log,
-        params: {
-            ip: self.sipn_ip,
-            network: net,
-            network_uuid: net.uuid
-        },
-        returnObject: true
-    };
+/**
+ * The primary engine behind the transform stream. Finds the IPs on this
+ * network that match our args, a page at a time.
+ */
+SearchIPNetworkStream.prototype._transform = function (net, _enc, done) {
+    var self = this;
+    var offset = 0;
 
-    mod_ip.get(getOpts, function (err, ipobj) {
-        var sip, prop;
-        if (err || !ipobj) {
-            done(err);
+    function listPage() {
+        if (self.sipn_remaining === 0) {
+            done();
             return;
         }
 
-        sip = ipobj.serialize();
-        for (prop in self.sipn_args) {
-            if (!self.sipn_args.hasOwnProperty(prop)) {
-                continue;
+        var params = {
+            limit: constants.DEFAULT_LIMIT,
+            network: net,
+            network_uuid: net.uuid,
+            offset: offset
+        };
+
+        for (var arg in self.sipn_args) {
+            params[arg] = self.sipn_args[arg];
+        }
+
+        mod_ip.list(self.sipn_app, self.sipn_log, params, function (err, ips) {
+            if (err) {
+                done(err);
+                return;
             }
 
-            if (!sip.hasOwnProperty(prop)) {
+            ips.forEach(function (ip) {
+                self._pushIP(ip.serialize());
+            });
+
+            if (ips.length < constants.DEFAULT_LIMIT) {
                 done();
                 return;
             }
 
-            if (self.sipn_args[prop] !== sip[prop]) {
-                done();
+            offset += ips.length;
+            listPage();
+        });
+    }
+
+    listPage();
+};
+
+/**
+ * Find the IPs on all networks that match a filter, in pages of at most
+ * limit.
+ */
+function searchAllNetworks(app, log, args, offset, limit, callback) {
+    mod_net.listNetworksStream({
+        app: app,
+        log: log,
+        params: args.list
+    }, function (cerr, stream) {
+        var finished = false;
+        var trans;
+        var results = [];
+
+        if (cerr) {
+            callback(cerr);
+            return;
+        }
+
+        trans = new SearchIPNetworkStream(app, log, args.ip, offset, limit);
+
+        /*
+         * Either stream can emit an error, even after the search has
+         * finished, so only the first outcome is passed to callback. Once
+         * limit IPs have been found, no more networks need to be read.
+         */
+        function finish(err) {
+            if (finished) {
+                return;
+            }
+
+            finished = true;
+            stream.unpipe(trans);
+
+            if (err) {
+                callback(err);
                 return;
             }
+
+            callback(null, results);
         }
 
-        self.push(sip);
-        done();
+        stream.on('error', finish);
+        trans.on('error', finish);
+
+        trans.on('readable', function () {
+            var oip;
+
+            for (;;) {
+                oip = trans.read(1);
+                if (oip === null) {
+                    return;
+                }
+
+                results.push(oip);
+
+                if (results.length === limit) {
+                    finish();
+                    return;
+                }
+            }
+        });
+
+        trans.on('end', function () {
+            finish();
+        });
+
+        stream.pipe(trans);
     });
-};
+}
 
 // --- Endpoints
 
 
 /**
- * GET /search/ips: search for an IP address across all logical networks
+ * GET /search/ips: search for an IP address across all logical networks, or
+ * for the IPs on all logical networks that match a filter
  */
 function searchIPs(req, res, next) {
 
     validate.params(SEARCH_SCHEMA, null, req.params, function (valerr, params) {
-        var ipNum, args;
+        var args, limit, offset;
 
         if (valerr) {
             return next(valerr);
         }
 
-        ipNum = params.ip;
         args = searchIPsFilterArgs(params);
+        limit = params.limit || constants.DEFAULT_LIMIT;
+        offset = params.offset || constants.DEFAULT_OFFSET;
+
+        if (!params.ip) {
+            searchAllNetworks(req.app, req.log, args, offset, limit,
+                function (err, results) {
+                if (err) {
+                    next(err);
+                    return;
+                }
 
-        mod_net.listNetworksStream({
-            app: req.app,
-            log: req.log,
-            params: args.list
-        }, function (cerr, stream) {
-            var trans;
-            var results = [];
+                res.send(200, results);
+                next();
+            });
+            return;
+        }
 
-            if (cerr) {
-                return next(cerr);
+        searchContainingNetworks(req.app, req.log, params.ip, args,
+            function (err, results) {
+            if (err) {
+                next(err);
+                return;
             }
 
-            trans = new SearchIPNetworkStream(req.app, req.log, ipNum, args.ip);
-
-            stream.on('error', next);
-            trans.on('error', next);
+            if (results.length === 0) {
+                next(new restify.ResourceNotFoundError(
+                    constants.msg.SEARCH_NO_NETS));
+                return;
+            }
 
-            trans.on('readable', function () {
-                var oip;
+            res.send(200, results.slice(offset, offset + limit));
+            next();
+        });
+    });
+}
 
-                for (;;) {
-                    oip = trans.read(1);
-                    if (oip === null) {
-                        return;
-                    }
+/**
+ * GET /search/ips/history: find what held an IP address at a point in time
+ */
+function searchIPHistory(req, res, next) {
+    mod_ip.searchHistory({
+        app: req.app,
+        log: req.log,
+        params: req.params
+    }, function (err, history) {
+        if (err) {
+            next(err);
+            return;
+        }
 
-                    results.push(oip);
-                }
-            });
+        res.send(200, history);
+        next();
+    });
+}
 
-            trans.on('end', function () {
-                if (results.length === 0) {
-                    return next(new restify.ResourceNotFoundError(
-                        constants.msg.SEARCH_NO_NETS));
-                }
-                res.send(200, results);
-                return next();
-            });
+/**
+ * GET /search/networks: find the networks that contain an IP address, or
+ * overlap a subnet
+ */
+function searchNetworks(req, res, next) {
+    mod_net.search({
+        app: req.app,
+        log: req.log,
+        params: req.params
+    }, function (err, nets) {
+        if (err) {
+            next(err);
+            return;
+        }
 
-            stream.pipe(trans);
-        });
+        res.send(200, nets.map(function (net) {
+            return net.serialize();
+        }));
+        next();
     });
 }
 
@@ -235,6 +483,12 @@ function register(http, before) {
     http.get(
         { path: '/search/ips', name: 'searchips' },
         before, searchIPs);
+    http.get(
+        { path: '/search/ips/history', name: 'searchiphistory' },
+        before, searchIPHistory);
+    http.get(
+        { path: '/search/networks', name: 'searchnetworks' },
+        before, searchNetworks);
 }
 
 
@@ -0,0 +1,64 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * NAPI /subnets endpoints
+ */
+
+'use strict';
+
+var allocProvisionRange = require('../util/autoalloc').allocProvisionRange;
+var mod_net = require('../models/network');
+var reqToOpts = require('../util/common').reqToOpts;
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * GET /subnets/available: find unused subnets of a given size inside a
+ * subnet
+ */
+function listAvailableSubnets(req, res, next) {
+    mod_net.available(reqToOpts(req), function (err, subnets) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, subnets.map(function (subnet) {
+            var range = allocProvisionRange(subnet);
+
+            return {
+                subnet: subnet.toString(),
+                provision_start_ip: range[0],
+                provision_end_ip: range[1]
+            };
+        }));
+        next();
+    });
+}
+
+
+/**
+ * Register all endpoints with the restify server
+ */
+function register(http, before) {
+    http.get({ path: '/subnets/available', name: 'listavailablesubnets' },
+        before, listAvailableSubnets);
+}
+
+
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,660 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * address block model
+ *
+ * Address blocks are the ranges of addresses that networks are carved out
+ * of, like RIR allocations, or a private range split between regions. A
+ * block can be nested inside another by giving it a parent_uuid:
+ *
+ * - A block must fit inside the subnet of its parent.
+ * - Blocks with the same parent (or top-level blocks) can't overlap.
+ * - Networks created with an address_block_uuid must fit inside that block
+ *   (see validateAddressBlock() in network.js).
+ *
+ * The usage of a block is computed from the subnets of the networks in the
+ * napi_networks bucket that fall inside it, whether or not they were
+ * created with its address_block_uuid.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var constants = require('../util/constants');
+var errors = require('../util/errors');
+var ipaddr = require('ip6addr');
+var mod_moray = require('../apis/moray');
+var util = require('util');
+var util_ip = require('../util/ip');
+var UUID = require('node-uuid');
+var validate = require('../util/validate');
+var vasync = require('vasync');
+
+/*
+ * Circular dependencies required at end of file.
+ */
+var mod_net; // = require('./network');
+
+
+
+// --- Globals
+
+
+
+var BUCKET = {
+    desc: 'address block',
+    name: 'napi_address_blocks',
+    schema: {
+        index: {
+            family: { type: 'string' },
+            owner_uuid: { type: 'string' },
+            parent_uuid: { type: 'string' },
+            subnet: { type: 'subnet' },
+            subnet_start: { type: 'ip' },
+            uuid: { type: 'string', unique: true },
+            v: { type: 'number' }
+        }
+    },
+    morayVersion: 2,        // moray version must be > than this
+    version: 1
+};
+
+var OVERLAP_SQL = 'SELECT uuid FROM %s' +
+    ' WHERE (subnet >> $1 OR subnet_start << $2)';
+
+var NETWORKS_INSIDE_SQL = 'SELECT uuid, subnet FROM %s WHERE subnet <<= $1';
+
+// Fields that can't be changed once the block has been created
+var IMMUTABLE_FIELDS = [
+    'parent_uuid',
+    'subnet'
+];
+
+
+
+// --- Schema validation objects
+
+
+
+var CREATE_SCHEMA = {
+    required: {
+        subnet: validate.subnet
+    },
+    optional: {
+        description: validate.description,
+        owner_uuid: validate.UUID,
+        parent_uuid: validate.UUID,
+        uuid: validate.UUID
+    },
+    after: [
+        validateParent,
+        validateNoOverlap
+    ]
+};
+
+var DELETE_SCHEMA = {
+    required: {
+        uuid: validate.UUID
+    }
+};
+
+var GET_SCHEMA = {
+    required: {
+        uuid: validate.UUID
+    }
+};
+
+var LIST_SCHEMA = {
+    strict: true,
+    optional: {
+        family: validate.enum([ 'ipv4', 'ipv6' ]),
+        limit: validate.limit,
+        offset: validate.offset,
+        owner_uuid: validate.UUID,
+        parent_uuid: validate.UUID
+    }
+};
+
+var UPDATE_SCHEMA = {
+    required: {
+        uuid: validate.UUID
+    },
+    optional: {
+        description: validate.description,
+        owner_uuid: validateOptionalUUID,
+        parent_uuid: validate.UUID,
+        subnet: validate.subnet
+    },
+    after: validateImmutableFields
+};
+
+
+
+// --- Internal
+
+
+
+/**
+ * Returns the { start, end } range of all of the addresses in a subnet: for
+ * IPv4, this includes the network and broadcast addresses.
+ */
+function subnetRange(subnet) {
+    return {
+        start: subnet.address(),
+        end: subnet.address().kind() === 'ipv4' ?
+            subnet.broadcast() : subnet.last()
+    };
+}
+
+
+/**
+ * Validate a UUID, allowing it to be empty so that it can be removed
+ */
+function validateOptionalUUID(_, name, val, cb) {
+    if (val === null || val === '') {
+        cb();
+        return;
+    }
+
+    validate.UUID(null, name, val, cb);
+}
+
+
+/**
+ * If the block has a parent, ensure that the parent exists and that the
+ * block fits inside of it.
+ */
+function validateParent(opts, _, parsed, cb) {
+    if (!parsed.parent_uuid) {
+        cb();
+        return;
+    }
+
+    getAddressBlock({
+        app: opts.app,
+        log: opts.log,
+        params: { uuid: parsed.parent_uuid }
+    }, function (err, parent) {
+        if (err) {
+            if (err.name === 'ResourceNotFoundError') {
+                cb(errors.invalidParam('parent_uuid',
+                    constants.msg.BLOCK_UNKNOWN));
+            } else {
+                cb(err);
+            }
+            return;
+        }
+
+        if (!parent.contains(ipaddr.createCIDR(parsed.subnet_start,
+            parsed.subnet_bits))) {
+            cb(errors.invalidParam('subnet',
+                constants.msg.BLOCK_OUTSIDE_PARENT));
+            return;
+        }
+
+        cb();
+    });
+}
+
+
+/**
+ * Ensure that the block doesn't overlap any other blocks with the same
+ * parent.
+ */
+function validateNoOverlap(opts, _, parsed, cb) {
+    var args = [ parsed.subnet_start.toString(), parsed.subnet ];
+    var sql = util.format(OVERLAP_SQL, BUCKET.name);
+
+    if (parsed.parent_uuid) {
+        sql += ' AND parent_uuid = $3';
+        args.push(parsed.parent_uuid);
+    } else {
+        sql += ' AND parent_uuid IS NULL';
+    }
+
+    var req = opts.app.moray.sql(sql, args);
+    var overlapping = [];
+
+    req.on('record', function (r) {
+        overlapping.push(r.uuid);
+    });
+
+    req.once('error', cb);
+
+    req.once('end', function () {
+        if (overlapping.length === 0) {
+            cb();
+            return;
+        }
+
+        var err = errors.invalidParam('subnet', constants.msg.BLOCK_OVERLAP);
+        err.invalid = overlapping.sort();
+        cb(err);
+    });
+}
+
+
+/**
+ * Ensure that an update doesn't change the subnet or parent of a block.
+ */
+function validateImmutableFields(opts, _, parsed, cb) {
+    var block = opts.existingBlock;
+    var errs = [];
+
+    IMMUTABLE_FIELDS.forEach(function (field) {
+        if (!parsed.hasOwnProperty(field)) {
+            return;
+        }
+
+        var changed;
+        if (field === 'subnet') {
+            changed = block.subnet.compare(ipaddr.createCIDR(
+                parsed.subnet_start, parsed.subnet_bits)) !== 0;
+        } else {
+            changed = parsed[field] !== block.params[field];
+        }
+
+        if (changed) {
+            errs.push(errors.invalidParam(field,
+                constants.msg.BLOCK_PROP_IMMUTABLE));
+        }
+    });
+
+    cb(errs.length === 0 ? null : errs);
+}
+
+
+/**
+ * Lists the blocks and networks that would stop a block from being deleted:
+ * its child blocks, and the networks created with its address_block_uuid.
+ */
+function listBlockUsers(opts, block, callback) {
+    vasync.parallel({
+        funcs: [
+            function _listChildren(cb) {
+                listAddressBlocks({
+                    app: opts.app,
+                    log: opts.log,
+                    params: { parent_uuid: block.uuid }
+                }, cb);
+            },
+            function _listNetworks(cb) {
+                mod_net.list({
+                    app: opts.app,
+                    log: opts.log,
+                    params: { address_block_uuid: block.uuid }
+                }, cb);
+            }
+        ]
+    }, function (err, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var children = res.operations[0].result;
+        var nets = res.operations[1].result;
+
+        callback(null, children.map(function (child) {
+            return errors.usedBy('address block', child.uuid);
+        }).concat(nets.map(function (net) {
+            return errors.usedBy('network', net.uuid);
+        })));
+    });
+}
+
+
+
+// --- AddressBlock object
+
+
+
+/**
+ * Address block model constructor
+ */
+function AddressBlock(params) {
+    assert.object(params, 'params');
+    assert.string(params.subnet, 'params.subnet');
+
+    this.params = {
+        subnet: ipaddr.createCIDR(params.subnet),
+        uuid: params.uuid || UUID.v4()
+    };
+
+    [ 'description', 'owner_uuid', 'parent_uuid' ].forEach(function (p) {
+        if (params[p]) {
+            this.params[p] = params[p];
+        }
+    }, this);
+
+    this.etag = params.etag || null;
+
+    Object.seal(this);
+}
+
+Object.defineProperty(AddressBlock.prototype, 'family', {
+    get: function () { return this.params.subnet.address().kind(); }
+});
+
+Object.defineProperty(AddressBlock.prototype, 'subnet', {
+    get: function () { return this.params.subnet; }
+});
+
+Object.defineProperty(AddressBlock.prototype, 'uuid', {
+    get: function () { return this.params.uuid; }
+});
+
+
+/**
+ * Returns whether a subnet fits inside this block
+ */
+AddressBlock.prototype.contains = function blockContains(subnet) {
+    return subnet.address().kind() === this.family &&
+        util_ip.isNestedSubnet(this.params.subnet, subnet);
+};
+
+
+/**
+ * Returns the key for storing this AddressBlock object.
+ */
+AddressBlock.prototype.key = function blockKey() {
+    return this.uuid;
+};
+
+
+/**
+ * Returns the raw moray form of the address block
+ */
+AddressBlock.prototype.raw = function blockRaw() {
+    var raw = {
+        family: this.family,
+        subnet: this.params.subnet.toString(),
+        subnet_start: this.params.subnet.address().toString(),
+        uuid: this.params.uuid,
+        v: BUCKET.version
+    };
+
+    [ 'description', 'owner_uuid', 'parent_uuid' ].forEach(function (p) {
+        if (this.params.hasOwnProperty(p)) {
+            raw[p] = this.params[p];
+        }
+    }, this);
+
+    return raw;
+};
+
+
+/**
+ * Returns the raw Moray form of this address block for adding to a batch.
+ */
+AddressBlock.prototype.batch = function blockBatch() {
+    return {
+        bucket: BUCKET.name,
+        key: this.uuid,
+        operation: 'put',
+        value: this.raw(),
+        options: {
+            etag: this.etag
+        }
+    };
+};
+
+
+/**
+ * Returns the serialized (API-facing) form of the address block
+ */
+AddressBlock.prototype.serialize = function blockSerialize() {
+    var ser = {
+        family: this.family,
+        subnet: this.params.subnet.toString(),
+        uuid: this.params.uuid
+    };
+
+    [ 'description', 'owner_uuid', 'parent_uuid' ].forEach(function (p) {
+        if (this.params.hasOwnProperty(p)) {
+            ser[p] = this.params[p];
+        }
+    }, this);
+
+    return ser;
+};
+
+
+
+// --- Exported functions
+
+
+
+/**
+ * Creates a new address block
+ */
+function createAddressBlock(opts, callback) {
+    opts.log.debug(opts.params, 'createAddressBlock: entry');
+
+    var copts = {
+        app: opts.app,
+        log: opts.log
+    };
+
+    validate.params(CREATE_SCHEMA, copts, opts.params,
+        function (err, validated) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var block = new AddressBlock(validated);
+        mod_moray.putObj(opts.app.moray, BUCKET, block, callback);
+    });
+}
+
+
+/**
+ * Gets an address block
+ */
+function getAddressBlock(opts, callback) {
+    opts.log.debug(opts.params, 'getAddressBlock: entry');
+
+    validate.params(GET_SCHEMA, null, opts.params, function (err, validated) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        mod_moray.getObj(opts.app.moray, BUCKET, validated.uuid,
+            function (err2, rec) {
+            if (err2) {
+                callback(err2);
+                return;
+            }
+
+            rec.value.etag = rec._etag;
+            callback(null, new AddressBlock(rec.value));
+        });
+    });
+}
+
+
+/**
+ * Lists address blocks
+ */
+function listAddressBlocks(opts, callback) {
+    opts.log.debug({ params: opts.params }, 'listAddressBlocks: entry');
+
+    validate.params(LIST_SCHEMA, null, opts.params, function (err, params) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var limit = params.limit;
+        var offset = params.offset;
+
+        delete params.limit;
+        delete params.offset;
+
+        mod_moray.listObjs({
+            defaultFilter: '(uuid=*)',
+            filter: params,
+            limit: limit,
+            log: opts.log,
+            offset: offset,
+            bucket: BUCKET,
+            model: AddressBlock,
+            moray: opts.app.moray,
+            sort: {
+                attribute: 'uuid',
+                order: 'ASC'
+            }
+        }, callback);
+    });
+}
+
+
+/**
+ * Updates an address block. Only its description and owner_uuid can be
+ * changed.
+ */
+function updateAddressBlock(opts, callback) {
+    var oldBlock = opts.existingBlock;
+
+    opts.log.debug(opts.params, 'updateAddressBlock: entry');
+
+    validate.params(UPDATE_SCHEMA, opts, opts.params,
+        function (err, validated) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var updated = oldBlock.raw();
+        updated.etag = oldBlock.etag;
+
+        [ 'description', 'owner_uuid' ].forEach(function (p) {
+            if (validated.hasOwnProperty(p)) {
+                updated[p] = validated[p];
+            }
+        });
+
+        mod_moray.putObj(opts.app.moray, BUCKET, new AddressBlock(updated),
+            callback);
+    });
+}
+
+
+/**
+ * Deletes an address block, as long as it has no child blocks and no
+ * networks were created in it.
+ */
+function deleteAddressBlock(opts, callback) {
+    var block = opts.existingBlock;
+
+    opts.log.debug(opts.params, 'deleteAddressBlock: entry');
+
+    validate.params(DELETE_SCHEMA, null, opts.params, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        listBlockUsers(opts, block, function (listErr, usedBy) {
+            if (listErr) {
+                callback(listErr);
+                return;
+            }
+
+            if (usedBy.length !== 0) {
+                callback(new errors.InUseError(constants.msg.BLOCK_IN_USE,
+                    usedBy));
+                return;
+            }
+
+            opts.app.moray.delObject(BUCKET.name, block.uuid, {
+                etag: block.etag
+            }, callback);
+        });
+    });
+}
+
+
+/**
+ * Returns how much of an address block's space is allocated to networks,
+ * and how much is free. Networks with overlapping subnets (like fabric
+ * networks belonging to different owners) only count once.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `block` {AddressBlock}
+ * - `log` {Bunyan Logger}
+ * @param callback {Function} `function (err, usage)`
+ */
+function getAddressBlockUsage(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.block, 'opts.block');
+    assert.func(callback, 'callback');
+
+    var block = opts.block;
+    var ranges = [];
+    var req = opts.app.moray.sql(
+        util.format(NETWORKS_INSIDE_SQL, mod_net.bucket().name),
+        [ block.subnet.toString() ]);
+
+    req.on('record', function (r) {
+        ranges.push(subnetRange(ipaddr.createCIDR(r.subnet)));
+    });
+
+    req.once('error', callback);
+
+    req.once('end', function () {
+        var range = subnetRange(block.subnet);
+        var total = util_ip.rangeSize(range.start, range.end);
+        var allocated = 0;
+
+        util_ip.mergeRanges(ranges).forEach(function (r) {
+            allocated += util_ip.rangeSize(r.start, r.end);
+        });
+
+        callback(null, {
+            uuid: block.uuid,
+            subnet: block.subnet.toString(),
+            total: total,
+            allocated: allocated,
+            free: total - allocated,
+            networks: ranges.length
+        });
+    });
+}
+
+
+/**
+ * Initializes the address blocks bucket
+ */
+function initAddressBlocks(app, callback) {
+    mod_moray.initBucket(app.moray, BUCKET, callback);
+}
+
+
+module.exports = {
+    AddressBlock: AddressBlock,
+    bucket: function () { return BUCKET; },
+    create: createAddressBlock,
+    del: deleteAddressBlock,
+    get: getAddressBlock,
+    init: initAddressBlocks,
+    list: listAddressBlocks,
+    update: updateAddressBlock,
+    usage: getAddressBlockUsage
+};
+
+/*
+ * Circular dependencies 'require'd here.
+ */
+mod_net = require('./network');
@@ -15,7 +15,11 @@
 'use strict';
 
 var mod_aggr = require('./aggregation');
+var mod_block = require('./address-block');
 var mod_fabric = require('./fabric');
+var mod_ip_held = require('./ip/held');
+var mod_ip_history = require('./ip/history');
+var mod_ip_holds = require('./ip/holds');
 var mod_network_pool = require('./network-pool');
 var mod_network = require('./network');
 var mod_nic = require('./nic');
@@ -36,7 +40,10 @@ function initializeModels(app, callback) {
     vasync.forEachParallel({
         inputs: [
             mod_aggr,
+            mod_block,
             mod_fabric,
+            mod_ip_held,
+            mod_ip_history,
             mod_nic,
             mod_nic_tag,
             mod_network,
@@ -53,7 +60,10 @@ function initializeModels(app, callback) {
 module.exports = {
     init: initializeModels,
 
+    address_block: mod_block,
     aggr: mod_aggr,
+    ip_history: mod_ip_history,
+    ip_holds: mod_ip_holds,
     network_pool: mod_network_pool,
     network: mod_network,
     nic_tag: mod_nic_tag,
@@ -61,6 +71,10 @@ module.exports = {
     vlan: mod_vlan,
 
     models: [
+        {
+            constructor: mod_block.AddressBlock,
+            bucket: mod_block.bucket()
+        },
         {
             constructor: mod_network_pool.NetworkPool,
             bucket: mod_network_pool.bucket()
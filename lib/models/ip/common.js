@@ -17,6 +17,10 @@
 var assert = require('assert-plus');
 var clone = require('clone');
 var constants = require('../../util/constants');
+var errors = require('../../util/errors');
+var jsprim = require('jsprim');
+var mod_held = require('./held');
+var mod_history = require('./history');
 var util = require('util');
 var util_ip = require('../../util/ip');
 
@@ -33,14 +37,19 @@ var BUCKET = {
         index: {
             belongs_to_type: { type: 'string' },
             belongs_to_uuid: { type: 'string' },
+            description: { type: 'string' },
+            hold_until: { type: 'number' },
             owner_uuid: { type: 'string' },
             ip: { type: 'number', unique: true },
             ipaddr: { type: 'ip', unique: true },
+            labels_arr: { type: '[string]' },
+            last_belongs_to_uuid: { type: 'string' },
+            modified_timestamp: { type: 'number' },
             reserved: { type: 'boolean' },
             v: { type: 'number' }
         }
     },
-    version: 2
+    version: 6
 };
 // Object params that are not required - note that setting any of
 // these (or reserved) will result in the "free" property being set to false
@@ -80,6 +89,13 @@ function IP(params) {
         this.params.reserved = params.reserved === 'true' ? true : false;
     }
 
+    // Holds are stored in milliseconds, but serialized as dates
+    if (params.hold_until) {
+        this.params.hold_until = new Date(params.hold_until).getTime();
+    } else {
+        delete this.params.hold_until;
+    }
+
     if (params.hasOwnProperty('etag')) {
         this.etag = params.etag;
     } else {
@@ -125,6 +141,8 @@ IP.prototype.batch = function ipBatch() {
         }
     };
 
+    batchObj.value.modified_timestamp = Date.now();
+
     return batchObj;
 };
 
@@ -143,15 +161,48 @@ IP.prototype.unassignBatch = function unassignIP() {
      */
     if (!this.params.reserved) {
         delete value.owner_uuid;
+        delete value.description;
+        delete value.labels;
+        delete value.labels_arr;
     }
 
     delete value.belongs_to_type;
     delete value.belongs_to_uuid;
+    delete value.hold_until;
+
+    // Remember who had this IP last, for the "sticky" allocation strategy
+    if (this.params.belongs_to_uuid) {
+        value.last_belongs_to_uuid = this.params.belongs_to_uuid;
+    }
 
     return batchObj;
 };
 
 
+/**
+ * Returns an object suitable for passing to a moray batch to record a change
+ * to this IP in its history. before and after are the IP's params before
+ * and after the change, and default to no record and this IP's params.
+ */
+IP.prototype.historyBatch = function ipHistoryBatch(before, after) {
+    return mod_history.batch(this.params.network_uuid, this.address,
+        before || {}, after || this.params);
+};
+
+
+/**
+ * Returns the objects to add to a moray batch writing this IP so that the
+ * hold reaper will find it: none if the IP isn't held.
+ */
+IP.prototype.heldBatch = function ipHeldBatch() {
+    if (!this.params.hold_until) {
+        return [];
+    }
+
+    return [ mod_held.batch(this.params.network_uuid) ];
+};
+
+
 /**
  * Get the key for this IP address in its network's bucket
  */
@@ -206,6 +257,18 @@ IP.prototype.serialize = function ipSerialize() {
         }
     });
 
+    if (this.params.hold_until) {
+        ser.hold_until = new Date(this.params.hold_until).toISOString();
+    }
+
+    if (this.params.description) {
+        ser.description = this.params.description;
+    }
+
+    if (!jsprim.isEmpty(this.params.labels || {})) {
+        ser.labels = this.params.labels;
+    }
+
     return ser;
 };
 
@@ -234,6 +297,30 @@ IP.prototype.raw = function ipRaw() {
         }
     });
 
+    // Only freed IPs need to keep track of their previous owner
+    if (this.params.last_belongs_to_uuid && !this.params.belongs_to_uuid) {
+        raw.last_belongs_to_uuid = this.params.last_belongs_to_uuid;
+    }
+
+    if (this.params.hold_until) {
+        raw.hold_until = this.params.hold_until;
+    }
+
+    if (this.params.description) {
+        raw.description = this.params.description;
+    }
+
+    if (this.params.modified_timestamp) {
+        raw.modified_timestamp = this.params.modified_timestamp;
+    }
+
+    // Labels are indexed as "name=value" strings, so that they can be
+    // used in filters
+    if (!jsprim.isEmpty(this.params.labels || {})) {
+        raw.labels = this.params.labels;
+        raw.labels_arr = labelsArray(this.params.labels);
+    }
+
     return raw;
 };
 
@@ -253,6 +340,40 @@ IP.prototype.isFabricGateway = function isFabricGateway() {
 
 // --- Exports
 
+/**
+ * Validates the hold parameters of an IP: `ttl` (in seconds) is converted to
+ * a `hold_until` timestamp, which must be in the future. Holding an IP that
+ * isn't assigned to anything reserves it, unless reserved was given.
+ */
+function validateHold(opts, _, validated, callback) {
+    if (validated.hasOwnProperty('ttl')) {
+        if (validated.hasOwnProperty('hold_until')) {
+            callback(errors.invalidParam('ttl',
+                constants.msg.HOLD_TTL_CONFLICT));
+            return;
+        }
+
+        validated.hold_until = Date.now() + validated.ttl * 1000;
+        delete validated.ttl;
+    } else if (validated.hasOwnProperty('hold_until') &&
+        validated.hold_until <= Date.now()) {
+        callback(errors.invalidParam('hold_until', constants.msg.HOLD_PAST));
+        return;
+    }
+
+    var assigned = validated.belongs_to_uuid ||
+        (opts && opts.existingIP && opts.existingIP.params.belongs_to_uuid &&
+        !validated.unassign && !validated.free);
+
+    if (validated.hasOwnProperty('hold_until') &&
+        !validated.hasOwnProperty('reserved') && !assigned) {
+        validated.reserved = true;
+    }
+
+    callback();
+}
+
+
 /**
  * Given an address, get the appropriate Moray key to search
  * for in an IP bucket.
@@ -266,6 +387,38 @@ function getIPKey(use_strings, ipaddr) {
 }
 
 
+/**
+ * Returns the indexed form of an IP's labels
+ */
+function labelsArray(labels) {
+    return Object.keys(labels).sort().map(function (name) {
+        return name + '=' + labels[name];
+    });
+}
+
+
+/**
+ * Escapes the characters that have special meaning in moray (LDAP) filter
+ * values
+ */
+function escapeFilterValue(val) {
+    /* JSSTYLED */
+    return val.replace(/[\\()*]/g, function (c) {
+        return '\\' + c.charCodeAt(0).toString(16);
+    });
+}
+
+
+/**
+ * Returns a moray filter matching IPs that have all of the given labels
+ */
+function labelsFilter(labels) {
+    return labelsArray(labels).map(function (label) {
+        return util.format('(labels_arr=%s)', escapeFilterValue(label));
+    }).join('');
+}
+
+
 /**
  * Returns the bucket name for a network
  */
@@ -291,5 +444,8 @@ module.exports = {
     bucketName: bucketName,
     getBucketObj: getBucketObj,
     getIPKey: getIPKey,
-    IP: IP
+    IP: IP,
+    labelsArray: labelsArray,
+    labelsFilter: labelsFilter,
+    validateHold: validateHold
 };
@@ -0,0 +1,135 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * ip model: index of networks with held IPs
+ *
+ * Whenever an IP is given a hold, a record for its network is written to the
+ * napi_held_networks bucket in the same moray batch. The hold reaper (see
+ * holds.js) only looks for expired holds on the networks in this bucket, and
+ * removes a network's record once it has no held IPs left.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_moray = require('../../apis/moray');
+
+
+
+// --- Globals
+
+
+
+var BUCKET = {
+    desc: 'held network',
+    name: 'napi_held_networks',
+    schema: {
+        index: {
+            network_uuid: { type: 'string', unique: true }
+        }
+    },
+    version: 1
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Returns an object suitable for passing to a moray batch to record that a
+ * network has held IPs. This is unconditional, so that a record being
+ * deleted by the reaper at the same time fails with an etag conflict.
+ *
+ * @param network_uuid {UUID}: network the held IP is on
+ */
+function heldBatch(network_uuid) {
+    assert.uuid(network_uuid, 'network_uuid');
+
+    return {
+        bucket: BUCKET.name,
+        key: network_uuid,
+        operation: 'put',
+        value: {
+            network_uuid: network_uuid
+        }
+    };
+}
+
+
+/**
+ * Lists the networks that have held IPs. At most limit records are
+ * returned, each with the etag needed to remove it.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `limit` {Number}: maximum number of records to return
+ * @param callback {Function} `function (err, records)`, where records are
+ *   objects with `network_uuid` and `etag` properties
+ */
+function listHeld(opts, callback) {
+    var records = [];
+    var req = opts.app.moray.findObjects(BUCKET.name, '(network_uuid=*)', {
+        limit: opts.limit,
+        sort: {
+            attribute: 'network_uuid',
+            order: 'ASC'
+        }
+    });
+
+    req.on('record', function (rec) {
+        records.push({
+            etag: rec._etag,
+            network_uuid: rec.value.network_uuid
+        });
+    });
+
+    req.once('error', callback);
+
+    req.once('end', function () {
+        callback(null, records);
+    });
+}
+
+
+/**
+ * Removes a network's record, as long as it hasn't been written since it
+ * was listed.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * @param record {Object}: record returned by listHeld()
+ * @param callback {Function} `function (err)`
+ */
+function removeHeld(opts, record, callback) {
+    opts.app.moray.delObject(BUCKET.name, record.network_uuid, {
+        etag: record.etag
+    }, callback);
+}
+
+
+/**
+ * Initializes the held networks bucket
+ */
+function initHeldBucket(app, callback) {
+    mod_moray.initBucket(app.moray, BUCKET, callback);
+}
+
+
+
+module.exports = {
+    batch: heldBatch,
+    bucket: function () { return BUCKET; },
+    init: initHeldBucket,
+    list: listHeld,
+    remove: removeHeld
+};
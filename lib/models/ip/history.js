@@ -0,0 +1,408 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * ip model: history of changes to IPs
+ *
+ * Every change to an IP record is written to the napi_ip_history bucket in
+ * the same moray batch as the change itself. Each history record holds the
+ * state of the IP after the change, along with the action taken:
+ *
+ * - assign: the IP now belongs to something it didn't before
+ * - unassign: the IP no longer belongs to anything
+ * - reserve: the IP was reserved
+ * - free: the IP is no longer reserved or assigned
+ * - update: any other change, such as to its owner
+ *
+ * Records older than the retention window in the ipHistoryRetention config
+ * option are periodically pruned.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var constants = require('../../util/constants');
+var mod_moray = require('../../apis/moray');
+var UUID = require('node-uuid');
+var util = require('util');
+var validate = require('../../util/validate');
+
+
+
+// --- Globals
+
+
+
+var BUCKET = {
+    desc: 'IP history',
+    name: 'napi_ip_history',
+    schema: {
+        index: {
+            action: { type: 'string' },
+            belongs_to_uuid: { type: 'string' },
+            ipaddr: { type: 'ip' },
+            network_uuid: { type: 'string' },
+            owner_uuid: { type: 'string' },
+            timestamp: { type: 'number' },
+            uuid: { type: 'string', unique: true }
+        }
+    },
+    version: 1
+};
+// Properties of the IP copied into each history record
+var RECORD_PARAMS = [
+    'belongs_to_type',
+    'belongs_to_uuid',
+    'owner_uuid'
+];
+/*
+ * Finds the newest record at or before a time for each network with history
+ * for an IP. Moray's find can only limit the records across all networks, so
+ * this uses Postgres' DISTINCT ON to pick one record per network.
+ */
+var SEARCH_SQL = 'SELECT DISTINCT ON (network_uuid) _value FROM %s ' +
+    'WHERE ipaddr = $1 AND timestamp <= $2%s ' +
+    'ORDER BY network_uuid, timestamp DESC, _id DESC;';
+
+
+// --- Schema validation objects
+
+
+var LIST_SCHEMA = {
+    required: {
+        ip: validate.IP,
+        network_uuid: validate.UUID
+    },
+    optional: {
+        limit: validate.limit,
+        offset: validate.offset
+    }
+};
+
+var SEARCH_SCHEMA = {
+    strict: true,
+    required: {
+        ip: validate.IP
+    },
+    optional: {
+        at: validate.timestamp,
+        network_uuid: validate.UUID
+    }
+};
+
+
+
+// --- Internal
+
+
+
+/**
+ * Determine the action that changed an IP from before to after, both of
+ * which are IP params objects.
+ */
+function historyAction(before, after) {
+    if (after.belongs_to_uuid &&
+        after.belongs_to_uuid !== before.belongs_to_uuid) {
+        return 'assign';
+    }
+
+    if (before.belongs_to_uuid && !after.belongs_to_uuid) {
+        return 'unassign';
+    }
+
+    if (after.reserved && !before.reserved) {
+        return 'reserve';
+    }
+
+    if (before.reserved && !after.reserved && !after.belongs_to_uuid) {
+        return 'free';
+    }
+
+    return 'update';
+}
+
+
+/**
+ * Returns the serialized form of a history record
+ */
+function serializeRecord(rec) {
+    var ser = {
+        action: rec.action,
+        ip: rec.ipaddr,
+        network_uuid: rec.network_uuid,
+        reserved: rec.reserved,
+        timestamp: new Date(rec.timestamp).toISOString()
+    };
+
+    RECORD_PARAMS.forEach(function (p) {
+        if (rec.hasOwnProperty(p)) {
+            ser[p] = rec[p];
+        }
+    });
+
+    return ser;
+}
+
+
+/**
+ * Finds history records matching filter, newest first.
+ */
+function findRecords(opts, filter, listOpts, callback) {
+    var records = [];
+
+    listOpts.sort = {
+        attribute: 'timestamp',
+        order: 'DESC'
+    };
+
+    opts.log.debug({ filter: filter, opts: listOpts },
+        'IP history: finding records');
+
+    var req = opts.app.moray.findObjects(BUCKET.name, filter, listOpts);
+
+    req.on('record', function (rec) {
+        records.push(rec.value);
+    });
+
+    req.once('error', function (err) {
+        callback(err);
+    });
+
+    req.once('end', function () {
+        callback(null, records);
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Returns an object suitable for passing to a moray batch to record a change
+ * to an IP in its history.
+ *
+ * @param network_uuid {UUID}: network the IP is on
+ * @param addr {IPAddr}: the IP's address
+ * @param before {Object}: the IP's params before the change ({} if the IP
+ *   had no record)
+ * @param after {Object}: the IP's params after the change
+ */
+function historyBatch(network_uuid, addr, before, after) {
+    assert.uuid(network_uuid, 'network_uuid');
+    assert.object(addr, 'addr');
+    assert.object(before, 'before');
+    assert.object(after, 'after');
+
+    var uuid = UUID.v4();
+    var value = {
+        action: historyAction(before, after),
+        ipaddr: addr.toString(),
+        network_uuid: network_uuid,
+        reserved: after.reserved ? true : false,
+        timestamp: Date.now(),
+        uuid: uuid
+    };
+
+    RECORD_PARAMS.forEach(function (p) {
+        if (after[p]) {
+            value[p] = after[p];
+        }
+    });
+
+    return {
+        bucket: BUCKET.name,
+        key: uuid,
+        operation: 'put',
+        value: value
+    };
+}
+
+
+/**
+ * Lists the history of an IP on a network, newest first.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `log` {Bunyan Logger}
+ * - `params` {Object}:
+ *   - `ip` {IPAddr}: address of the IP (required)
+ *   - `network_uuid` {UUID}: network the IP is on (required)
+ *   - `limit` {Number}: maximum number of records to return (optional)
+ *   - `offset` {Number}: number of records to skip (optional)
+ * @param callback {Function} `function (err, records)`
+ */
+function listHistory(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.params, 'opts.params');
+    assert.func(callback, 'callback');
+
+    validate.params(LIST_SCHEMA, null, opts.params,
+        function (validationErr, validated) {
+        if (validationErr) {
+            callback(validationErr);
+            return;
+        }
+
+        var filter = util.format('(&(network_uuid=%s)(ipaddr=%s))',
+            validated.network_uuid, validated.ip.toString());
+
+        findRecords(opts, filter, {
+            limit: validated.limit || constants.DEFAULT_LIMIT,
+            offset: validated.offset || constants.DEFAULT_OFFSET
+        }, function (err, records) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, records.map(serializeRecord));
+        });
+    });
+}
+
+
+/**
+ * Finds the state of an IP at a point in time, on every network that has
+ * history for it. The holder of the IP at that time is the belongs_to_uuid
+ * of the returned records.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `log` {Bunyan Logger}
+ * - `params` {Object}:
+ *   - `ip` {String}: address of the IP (required)
+ *   - `at` {Number or String}: time to look up, in milliseconds since the
+ *     epoch or as an ISO 8601 date (optional: defaults to now)
+ *   - `network_uuid` {UUID}: only look on this network (optional)
+ * @param callback {Function} `function (err, records)`
+ */
+function searchHistory(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.params, 'opts.params');
+    assert.func(callback, 'callback');
+
+    validate.params(SEARCH_SCHEMA, null, opts.params,
+        function (validationErr, validated) {
+        if (validationErr) {
+            callback(validationErr);
+            return;
+        }
+
+        var args = [ validated.ip.toString(),
+            validated.hasOwnProperty('at') ? validated.at : Date.now() ];
+        var networkSQL = '';
+
+        if (validated.network_uuid) {
+            args.push(validated.network_uuid);
+            networkSQL = ' AND network_uuid = $3';
+        }
+
+        var sql = util.format(SEARCH_SQL, BUCKET.name, networkSQL);
+        var found = [];
+
+        opts.log.debug({ sql: sql, args: args },
+            'IP history: searching records');
+
+        var req = opts.app.moray.sql(sql, args);
+
+        req.on('record', function (r) {
+            found.push(serializeRecord(JSON.parse(r._value)));
+        });
+
+        req.once('error', function (err) {
+            callback(err);
+        });
+
+        req.once('end', function () {
+            callback(null, found);
+        });
+    });
+}
+
+
+/**
+ * Deletes history records older than the retention window, which is
+ * ipHistoryRetention days in the config. A retention of 0 keeps records
+ * forever.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `log` {Bunyan Logger}
+ * @param callback {Function} `function (err, deleted)`
+ */
+function pruneHistory(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+    assert.func(callback, 'callback');
+
+    var days = opts.app.config.ipHistoryRetention;
+
+    if (days === undefined) {
+        days = constants.DEFAULT_IP_HISTORY_RETENTION;
+    }
+
+    if (days === 0) {
+        callback(null, 0);
+        return;
+    }
+
+    var cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    var filter = util.format('(timestamp<=%d)', cutoff);
+    var deleted = 0;
+
+    function deleteBatch() {
+        opts.app.moray.deleteMany(BUCKET.name, filter, {
+            limit: constants.DEFAULT_LIMIT
+        }, function (err, res) {
+            if (err) {
+                callback(err, deleted);
+                return;
+            }
+
+            deleted += res.count;
+
+            if (res.count < constants.DEFAULT_LIMIT) {
+                if (deleted > 0) {
+                    opts.log.info({ deleted: deleted, cutoff: cutoff },
+                        'pruned IP history');
+                }
+
+                callback(null, deleted);
+                return;
+            }
+
+            setImmediate(deleteBatch);
+        });
+    }
+
+    deleteBatch();
+}
+
+
+/**
+ * Initializes the IP history bucket
+ */
+function initHistoryBucket(app, callback) {
+    mod_moray.initBucket(app.moray, BUCKET, callback);
+}
+
+
+
+module.exports = {
+    batch: historyBatch,
+    bucket: function () { return BUCKET; },
+    init: initHistoryBucket,
+    list: listHistory,
+    prune: pruneHistory,
+    search: searchHistory
+};
@@ -0,0 +1,499 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * ip model: releasing expired holds
+ *
+ * IPs can be held until a point in time, either by setting hold_until or ttl
+ * on them directly with UpdateIP, or by provisioning a nic with them. Once
+ * that time has passed, the hold is released and the IP is freed. A nic that
+ * held the IP is not deleted, but loses its address on the IP's network, in
+ * the same moray batch. Updating a nic removes the holds on its IPs (see
+ * createUpdatedObject() in index.js), so this only happens to nics that were
+ * never claimed.
+ *
+ * Only the networks recorded in the held networks index (see held.js) are
+ * checked, and each is removed from the index once it has no held IPs left.
+ * Each release is published to the 'network' changefeed.
+ */
+
+'use strict';
+
+var common = require('./common');
+var constants = require('../../util/constants');
+var mod_held = require('./held');
+var mod_mac = require('macaddr');
+var mod_net = require('../network');
+var mod_nic_bucket = require('../nic/bucket');
+var mod_nic_common = require('../nic/common');
+var mod_portolan_moray = require('portolan-moray');
+var util = require('util');
+var vasync = require('vasync');
+var VError = require('verror');
+
+
+
+// --- Globals
+
+
+
+// The fields of a nic's moray record for its address of each family
+var NIC_ADDR_FIELDS = {
+    ipv4: [ 'ip', 'ipaddr', 'network_uuid' ],
+    ipv6: [ 'ipaddr6', 'network6_uuid' ]
+};
+
+
+
+// --- Internal
+
+
+
+/**
+ * Returns the IPs on a network whose holds have expired. At most
+ * constants.DEFAULT_LIMIT are returned, with any more left for the next run.
+ */
+function listExpired(opts, network, callback) {
+    var bucket = common.bucketName(network.uuid);
+    var filter = util.format('(hold_until<=%d)', Date.now());
+    var ips = [];
+
+    var req = opts.app.moray.findObjects(bucket, filter, {
+        limit: constants.DEFAULT_LIMIT,
+        sort: {
+            attribute: 'hold_until',
+            order: 'ASC'
+        }
+    });
+
+    req.on('record', function (rec) {
+        rec.value.etag = rec._etag;
+        rec.value.network = network;
+        rec.value.network_uuid = network.uuid;
+        ips.push(new common.IP(rec.value));
+    });
+
+    req.once('error', function (err) {
+        callback(err);
+    });
+
+    req.once('end', function () {
+        callback(null, ips);
+    });
+}
+
+
+/**
+ * Returns true if any IPs on the network are still held.
+ */
+function hasHolds(opts, network, callback) {
+    var found = false;
+    var req = opts.app.moray.findObjects(common.bucketName(network.uuid),
+        '(hold_until=*)', { limit: 1 });
+
+    req.on('record', function () {
+        found = true;
+    });
+
+    req.once('error', callback);
+
+    req.once('end', function () {
+        callback(null, found);
+    });
+}
+
+
+/**
+ * Publish to the 'network' changefeed that a hold on one of its IPs was
+ * released.
+ */
+function publishRelease(opts, ip, callback) {
+    opts.app.publisher.publish({
+        changeKind: {
+            resource: 'network',
+            subResources: [ 'ip_hold' ]
+        },
+        changedResourceId: ip.params.network_uuid,
+        ip: ip.address.toString(),
+        belongs_to_uuid: ip.params.belongs_to_uuid
+    }, callback);
+}
+
+
+/**
+ * Returns the moray record of the nic whose address is the IP, or null if
+ * it isn't a nic's address.
+ */
+function findHolderNic(opts, ip, callback) {
+    var network = ip.params.network;
+    var filter;
+    var nicRec = null;
+
+    if (network.family === 'ipv4') {
+        filter = util.format('(&(network_uuid=%s)(ipaddr=%s))',
+            network.uuid, ip.address.toString());
+    } else {
+        filter = util.format('(&(network6_uuid=%s)(ipaddr6=%s))',
+            network.uuid, ip.address.toString());
+    }
+
+    var req = opts.app.moray.findObjects(mod_nic_bucket.BUCKET.name, filter,
+        { limit: 1 });
+
+    req.on('record', function (rec) {
+        if (rec.value.belongs_to_uuid === ip.params.belongs_to_uuid) {
+            nicRec = rec;
+        }
+    });
+
+    req.once('error', callback);
+
+    req.once('end', function () {
+        callback(null, nicRec);
+    });
+}
+
+
+/**
+ * Returns the nic's addresses in its moray record value, for publishing to
+ * the changefeed.
+ */
+function nicAddresses(value) {
+    var addrs = [];
+
+    if (value.ipaddr) {
+        addrs.push({ ip: value.ipaddr, network_uuid: value.network_uuid });
+    }
+
+    if (value.ipaddr6) {
+        addrs.push({ ip: value.ipaddr6, network_uuid: value.network6_uuid });
+    }
+
+    return addrs;
+}
+
+
+/**
+ * Returns the batch for removing the IP from the nic that holds it: the
+ * nic without its address on the IP's network, and for fabric nics the
+ * portolan updates that remove the IP's overlay mapping.
+ */
+function nicReleaseBatch(opts, ip, nicRec, callback) {
+    var network = ip.params.network;
+    var value = {};
+
+    Object.keys(nicRec.value).forEach(function (k) {
+        if (NIC_ADDR_FIELDS[network.family].indexOf(k) === -1) {
+            value[k] = nicRec.value[k];
+        }
+    });
+    value.modified_timestamp = Date.now();
+
+    var batch = [ {
+        bucket: mod_nic_bucket.BUCKET.name,
+        key: nicRec.key,
+        operation: 'put',
+        value: value,
+        options: {
+            etag: nicRec._etag
+        }
+    } ];
+
+    if (!network.fabric || value.belongs_to_type !== 'zone' ||
+        !value.cn_uuid) {
+        callback(null, batch, value);
+        return;
+    }
+
+    mod_nic_common.listVnetCns({
+        log: opts.log,
+        moray: opts.app.moray,
+        vnet_id: network.vnet_id
+    }, function (err, vnetCns) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        batch.push(mod_portolan_moray.overlayMappingBatch({
+            cn_uuid: value.cn_uuid,
+            deleted: true,
+            ip: ip.v6address,
+            mac: value.mac,
+            vnet_id: network.vnet_id
+        }));
+
+        callback(null, batch.concat(mod_portolan_moray.vl3CnEventBatch({
+            vnetCns: vnetCns,
+            vnet_id: network.vnet_id,
+            ip: ip.v6address,
+            mac: value.mac,
+            vlan_id: network.params.vlan_id
+        })), value);
+    });
+}
+
+
+/**
+ * Publish to the 'nic' changefeed that the nic lost its address when the
+ * hold on it was released.
+ */
+function publishNicRelease(opts, before, after, callback) {
+    opts.app.publisher.publish({
+        changeKind: {
+            resource: 'nic',
+            subResources: [ 'network' ]
+        },
+        changedResourceId: mod_mac.parse(after.mac).toString(),
+        belongs_to_uuid: after.belongs_to_uuid,
+        cn_uuid: after.cn_uuid,
+        ips: nicAddresses(after),
+        old_ips: nicAddresses(before)
+    }, callback);
+}
+
+
+/**
+ * Release the hold on a single IP by freeing it, and removing it from the
+ * nic that holds it, if any.
+ */
+function releaseHold(opts, ip, callback) {
+    var before = {
+        belongs_to_uuid: ip.params.belongs_to_uuid,
+        reserved: ip.params.reserved
+    };
+
+    findHolderNic(opts, ip, function (findErr, nicRec) {
+        if (findErr) {
+            callback(findErr);
+            return;
+        }
+
+        if (nicRec === null) {
+            commitRelease(opts, ip, before, [], null, callback);
+            return;
+        }
+
+        nicReleaseBatch(opts, ip, nicRec, function (batchErr, batch, value) {
+            if (batchErr) {
+                callback(batchErr);
+                return;
+            }
+
+            commitRelease(opts, ip, before, batch, function (cb) {
+                publishNicRelease(opts, nicRec.value, value, cb);
+            }, callback);
+        });
+    });
+}
+
+
+/**
+ * Free a held IP, along with the rest of the batch for releasing it, and
+ * publish the release. If publishNic is set, it's called to publish the
+ * change to the nic that held the IP.
+ */
+function commitRelease(opts, ip, before, batch, publishNic, callback) {
+    ip.reserved = false;
+
+    var unassign = ip.unassignBatch();
+
+    mod_nic_common.commitBatch({
+        app: opts.app,
+        batch: batch.concat([ unassign,
+            ip.historyBatch(before, unassign.value) ]),
+        log: opts.log
+    }, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        opts.log.info({
+            ip: ip.address.toString(),
+            network_uuid: ip.params.network_uuid,
+            belongs_to_uuid: ip.params.belongs_to_uuid,
+            hold_until: ip.serialize().hold_until,
+            nic: publishNic !== null
+        }, 'released expired IP hold');
+
+        publishRelease(opts, ip, function (pubErr) {
+            if (pubErr || publishNic === null) {
+                callback(pubErr);
+                return;
+            }
+
+            publishNic(callback);
+        });
+    });
+}
+
+
+/**
+ * Release the expired holds on a network's IPs.
+ */
+function reapNetwork(opts, network, callback) {
+    var released = 0;
+
+    listExpired(opts, network, function (listErr, ips) {
+        if (listErr) {
+            callback(listErr);
+            return;
+        }
+
+        vasync.forEachPipeline({
+            inputs: ips,
+            func: function _releaseHold(ip, cb) {
+                releaseHold(opts, ip, function (err) {
+                    if (err) {
+                        // Try again on the next run
+                        opts.log.warn({
+                            err: err,
+                            ip: ip.address.toString(),
+                            network_uuid: network.uuid
+                        }, 'error releasing expired IP hold');
+                    } else {
+                        released++;
+                    }
+
+                    cb();
+                });
+            }
+        }, function (err) {
+            callback(err, released);
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Release the expired holds on a network in the held networks index, and
+ * remove it from the index if it has no held IPs left.
+ */
+function reapHeldNetwork(opts, record, callback) {
+    var log = opts.log;
+
+    function removeRecord() {
+        mod_held.remove(opts, record, function (err) {
+            if (err && (VError.hasCauseWithName(err, 'EtagConflictError') ||
+                VError.hasCauseWithName(err, 'ObjectNotFoundError'))) {
+                // A new hold was added in the meantime
+                err = null;
+            }
+
+            callback(err, 0);
+        });
+    }
+
+    mod_net.get({
+        app: opts.app,
+        log: log,
+        params: { uuid: record.network_uuid }
+    }, function (getErr, network) {
+        if (getErr && getErr.name === 'ResourceNotFoundError') {
+            removeRecord();
+            return;
+        }
+
+        if (getErr) {
+            callback(getErr);
+            return;
+        }
+
+        reapNetwork(opts, network, function (reapErr, count) {
+            if (reapErr) {
+                callback(reapErr);
+                return;
+            }
+
+            hasHolds(opts, network, function (holdErr, held) {
+                if (holdErr || held) {
+                    callback(holdErr, count);
+                    return;
+                }
+
+                removeRecord();
+            });
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Releases the holds on IPs whose hold_until time has passed, on the
+ * networks in the held networks index. Errors on individual networks are
+ * logged, and those networks skipped until the next run.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `log` {Bunyan Logger}
+ * @param callback {Function} `function (err, released)`
+ */
+function reapExpiredHolds(opts, callback) {
+    var log = opts.log;
+    var released = 0;
+
+    mod_held.list({
+        app: opts.app,
+        limit: constants.DEFAULT_LIMIT
+    }, function (listErr, records) {
+        if (listErr) {
+            callback(listErr);
+            return;
+        }
+
+        vasync.forEachPipeline({
+            inputs: records,
+            func: function _reapNetwork(record, cb) {
+                reapHeldNetwork(opts, record, function (err, count) {
+                    if (err &&
+                        VError.hasCauseWithName(err, 'NotIndexedError')) {
+                        // This network's IP bucket hasn't been migrated
+                        // to a version with hold_until yet
+                        log.debug({ network_uuid: record.network_uuid },
+                            'IP bucket has no hold_until index: skipping');
+                    } else if (err) {
+                        log.warn({
+                            err: err,
+                            network_uuid: record.network_uuid
+                        }, 'error releasing expired IP holds');
+                    } else {
+                        released += count;
+                    }
+
+                    cb();
+                });
+            }
+        }, function (err) {
+            if (released > 0) {
+                log.info({ released: released },
+                    'released expired IP holds');
+            }
+
+            callback(err, released);
+        });
+    });
+}
+
+
+
+module.exports = {
+    reapExpired: reapExpiredHolds
+};
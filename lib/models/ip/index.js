@@ -21,8 +21,12 @@ var errors = require('../../util/errors');
 var fmt = require('util').format;
 var IP = common.IP;
 var jsprim = require('jsprim');
+var mod_held = require('./held');
 var mod_moray = require('../../apis/moray');
+var mod_nic_bucket = require('../nic/bucket');
+var mod_unallocated = require('./unallocated');
 var restify = require('restify');
+var util_common = require('../../util/common');
 var util_ip = require('../../util/ip');
 var validate = require('../../util/validate');
 
@@ -36,6 +40,7 @@ var CREATE_PARAMS = [
     'belongs_to_type',
     'belongs_to_uuid',
     'check_owner',
+    'hold_until',
     'ip',
     'network',
     'network_uuid',
@@ -47,6 +52,7 @@ var NIC_SHARED_PARAMS = [
     'belongs_to_type',
     'belongs_to_uuid',
     'check_owner',
+    'hold_until',
     'owner_uuid',
     'reserved'
 ];
@@ -62,11 +68,27 @@ var LIST_SCHEMA = {
     optional: {
         belongs_to_type: validate.string,
         belongs_to_uuid: validate.UUID,
+        free: validate.bool,
+        include_unallocated: validate.bool,
+        labels: validate.labels,
+        modified_since: validate.timestamp,
         owner_uuid: validate.UUID,
+        range: validate.ipRange,
+        reserved: validate.bool,
+        subnet: validate.subnetRange,
         limit: validate.limit,
         offset: validate.offset
     }
 };
+// ListIPs parameters that filter directly on an index in the IP bucket
+var LIST_INDEXED_PARAMS = [
+    'belongs_to_type',
+    'belongs_to_uuid',
+    'owner_uuid',
+    'reserved'
+];
+// Prefix for filtering ListIPs on a single label, eg: "labels.role=vip"
+var LABEL_PARAM_PFX = 'labels.';
 
 var OWNING_FIELDS = [ 'belongs_to_uuid', 'belongs_to_type', 'owner_uuid' ];
 var CREATE_SCHEMA = {
@@ -83,31 +105,47 @@ var CREATE_SCHEMA = {
         check_owner: validate.bool,
         belongs_to_uuid: validate.UUID,
         belongs_to_type: validate.string,
+        description: validate.description,
+        hold_until: validate.timestamp,
+        labels: validate.labels,
         owner_uuid: validate.UUID,
-        reserved: validate.bool
+        reserved: validate.bool,
+        ttl: validate.positiveInteger
     },
     after: [
-        function _requireOwningInfo(_opts, _params, validated, callback) {
-            var errs = [];
-            if (validated.hasOwnProperty('belongs_to_uuid') ||
-                validated.hasOwnProperty('belongs_to_type')) {
-                OWNING_FIELDS.forEach(function (field) {
-                    if (!validated.hasOwnProperty(field)) {
-                        errs.push(errors.missingParam(field));
-                    }
-                });
-            }
-
-            if (errs.length > 0) {
-                callback(errs);
-                return;
-            }
+        validateOwningInfo,
+        validateNetworkOwner,
+        common.validateHold
+    ]
+};
 
-            callback();
-        },
-        validateNetworkOwner
+var UPDATE_RANGE_SCHEMA = {
+    required: {
+        network: validateNetworkObj,
+        range: validate.ipRange
+    },
+    optional: {
+        belongs_to_type: validate.string,
+        belongs_to_uuid: validate.UUID,
+        check_owner: validate.bool,
+        free: validate.bool,
+        owner_uuid: validate.UUID,
+        reserved: validate.bool
+    },
+    after: [
+        validateFreeRange,
+        validateOwningInfo,
+        validateNetworkOwner,
+        validateRangeInNetwork
     ]
 };
+// Parameters that UpdateIPRange sets on each IP in the range
+var UPDATE_RANGE_PARAMS = [
+    'belongs_to_type',
+    'belongs_to_uuid',
+    'owner_uuid',
+    'reserved'
+];
 
 // --- Internal helpers
 
@@ -125,6 +163,59 @@ function validateNetworkObj(_, name, net, callback) {
 }
 
 
+/**
+ * If belongs_to_uuid or belongs_to_type are set, all of the owning fields
+ * must be set
+ */
+function validateOwningInfo(_opts, _params, validated, callback) {
+    var errs = [];
+    if (validated.hasOwnProperty('belongs_to_uuid') ||
+        validated.hasOwnProperty('belongs_to_type')) {
+        OWNING_FIELDS.forEach(function (field) {
+            if (!validated.hasOwnProperty(field)) {
+                errs.push(errors.missingParam(field));
+            }
+        });
+    }
+
+    if (errs.length > 0) {
+        callback(errs);
+        return;
+    }
+
+    callback();
+}
+
+
+/**
+ * Ensure that a range of IPs is within the network's subnet, and isn't
+ * too large to update at once
+ */
+function validateRangeInNetwork(_opts, _, validated, callback) {
+    var network = validated.network;
+    var range = validated.range;
+
+    if (!network || !range) {
+        callback();
+        return;
+    }
+
+    if (!network.subnet.contains(range.start) ||
+        !network.subnet.contains(range.end)) {
+        callback(errors.invalidParam('range', constants.msg.RANGE_OUTSIDE));
+        return;
+    }
+
+    if (util_ip.rangeSize(range.start, range.end) > constants.MAX_IP_RANGE) {
+        callback(errors.invalidParam('range', fmt(constants.fmt.RANGE_TOO_LARGE,
+            constants.MAX_IP_RANGE)));
+        return;
+    }
+
+    callback();
+}
+
+
 /**
  * If we are attempting to add or update owner_uuid, ensure that it
  * matches the network
@@ -159,6 +250,146 @@ function validateFreeUnassign(_opts, _, validated, callback) {
 }
 
 
+/**
+ * Ensure that freeing a range of IPs isn't combined with setting any of
+ * their properties.
+ */
+function validateFreeRange(_opts, _, validated, callback) {
+    if (!validated.free) {
+        callback();
+        return;
+    }
+
+    var errs = UPDATE_RANGE_PARAMS.filter(function (p) {
+        return validated.hasOwnProperty(p);
+    }).map(function (p) {
+        return errors.invalidParam(p, constants.msg.FREE_RANGE_PARAM);
+    });
+
+    if (errs.length !== 0) {
+        callback(errs);
+        return;
+    }
+
+    callback();
+}
+
+
+/**
+ * Returns a moray filter matching the IPs in a range
+ */
+function rangeFilter(network, range) {
+    if (network.ip_use_strings) {
+        return fmt('(&(ipaddr>=%s)(ipaddr<=%s))',
+            range.start.toString(), range.end.toString());
+    }
+
+    return fmt('(&(ip>=%d)(ip<=%d))', range.start.toLong(),
+        range.end.toLong());
+}
+
+
+/**
+ * Returns the window of addresses that ListIPs is limited to by its range
+ * and subnet params: undefined if neither was given, and null if there are
+ * no addresses on the network in the window.
+ */
+function listWindow(network, params) {
+    var window;
+    var ranges = [ params.range, params.subnet ];
+
+    for (var i = 0; i < ranges.length; i++) {
+        var range = ranges[i];
+
+        if (!range) {
+            continue;
+        }
+
+        if (range.start.kind() !== network.family) {
+            return null;
+        }
+
+        if (!window) {
+            window = { start: range.start, end: range.end };
+            continue;
+        }
+
+        if (range.start.compare(window.start) > 0) {
+            window.start = range.start;
+        }
+
+        if (range.end.compare(window.end) < 0) {
+            window.end = range.end;
+        }
+    }
+
+    if (window && window.start.compare(window.end) > 0) {
+        return null;
+    }
+
+    return window;
+}
+
+
+/**
+ * Returns true if addresses with no record match the ListIPs params: they
+ * are free, with no owner or labels, and have never been modified.
+ */
+function unallocatedMatch(params) {
+    return !params.belongs_to_type && !params.belongs_to_uuid &&
+        !params.owner_uuid && jsprim.isEmpty(params.labels || {}) &&
+        !params.hasOwnProperty('modified_since') &&
+        params.reserved !== true && params.free !== false;
+}
+
+
+/**
+ * Returns the moray filter for the ListIPs params, or '' if they don't
+ * filter out any IPs.
+ */
+function listFilter(network, params, window, bucket) {
+    var filters = [];
+    var indexed = {};
+
+    LIST_INDEXED_PARAMS.forEach(function (p) {
+        if (params.hasOwnProperty(p)) {
+            indexed[p] = params[p];
+        }
+    });
+
+    var filter = mod_moray.filter(indexed, bucket);
+    if (filter) {
+        filters.push(filter);
+    }
+
+    if (params.free === true) {
+        filters.push('(&(!(reserved=true))(!(belongs_to_uuid=*))' +
+            '(!(belongs_to_type=*))(!(owner_uuid=*)))');
+    } else if (params.free === false) {
+        filters.push('(|(reserved=true)(belongs_to_uuid=*)' +
+            '(belongs_to_type=*)(owner_uuid=*))');
+    }
+
+    if (!jsprim.isEmpty(params.labels || {})) {
+        filters.push(common.labelsFilter(params.labels));
+    }
+
+    if (params.hasOwnProperty('modified_since')) {
+        filters.push(fmt('(modified_timestamp>=%d)', params.modified_since));
+    }
+
+    if (window) {
+        filters.push(rangeFilter(network, window));
+    }
+
+    if (filters.length > 1) {
+        return '(&' + filters.join('') + ')';
+    }
+
+    return filters.join('');
+}
+
+
 
 // --- Exports
 
@@ -171,16 +402,28 @@ function validateFreeUnassign(_opts, _, validated, callback) {
  * @param log {Log}
  * @param oparams {Object}:
  * - `network_uuid`: Network UUID (required)
+ * - `belongs_to_type`, `belongs_to_uuid`, `owner_uuid` {String}: only
+ *   return IPs with these values (optional)
+ * - `free` {Boolean}: only return free (or non-free) IPs (optional)
+ * - `include_unallocated` {Boolean}: also return entries for addresses in
+ *   the provision range that have no record (optional)
+ * - `labels` {Object}: only return IPs with these labels (optional)
+ * - `modified_since` {Number}: only return IPs modified since this time
+ *   (optional)
+ * - `range`, `subnet` {Object}: only return IPs in this range (optional)
+ * - `reserved` {Boolean}: only return reserved (or unreserved) IPs
+ *   (optional)
  * @param callback {Function} `function (err, ips)`
  */
 function listNetworkIPs(app, log, oparams, callback) {
     log.debug({ params: oparams }, 'listNetworkIPs: entry');
     var bucket = common.getBucketObj(oparams.network_uuid);
+    var network = oparams.network;
     var lookupBy;
     var ips = [];
     var vparams;
 
-    if (oparams.network.ip_use_strings) {
+    if (network.ip_use_strings) {
         lookupBy = 'ipaddr';
     } else {
         lookupBy = 'ip';
@@ -188,6 +431,20 @@ function listNetworkIPs(app, log, oparams, callback) {
     vparams = jsprim.deepCopy(oparams);
     delete vparams.network;
 
+    Object.keys(vparams).forEach(function (p) {
+        if (p.indexOf(LABEL_PARAM_PFX) === 0) {
+            if (!vparams.hasOwnProperty('labels')) {
+                vparams.labels = {};
+            }
+
+            if (typeof (vparams.labels) === 'object') {
+                vparams.labels[p.substr(LABEL_PARAM_PFX.length)] = vparams[p];
+            }
+
+            delete vparams[p];
+        }
+    });
+
     validate.params(LIST_SCHEMA, null, vparams, function (valerr, params) {
         var lim, off;
 
@@ -209,6 +466,14 @@ function listNetworkIPs(app, log, oparams, callback) {
             off = constants.DEFAULT_OFFSET;
         }
 
+        var window = listWindow(network, params);
+        if (window === null) {
+            return callback(null, []);
+        }
+
+        var unallocated = params.include_unallocated &&
+            unallocatedMatch(params);
+
         var listOpts = {
             limit: lim,
             offset: off,
@@ -218,9 +483,17 @@ function listNetworkIPs(app, log, oparams, callback) {
             }
         };
 
-        var req = app.moray.findObjects(bucket.name,
-            mod_moray.filter(params, bucket) || fmt('(%s=*)', lookupBy),
-            listOpts);
+        // The records that come before the end of the page are merged
+        // with the unallocated addresses to find the page's entries
+        if (unallocated) {
+            listOpts.limit = off + lim;
+            listOpts.offset = 0;
+        }
+
+        var filter = listFilter(network, params, window, bucket) ||
+            fmt('(%s=*)', lookupBy);
+
+        var req = app.moray.findObjects(bucket.name, filter, listOpts);
 
         req.on('error', function _onNetListErr(err) {
             return callback(err);
@@ -234,6 +507,11 @@ function listNetworkIPs(app, log, oparams, callback) {
         });
 
         req.on('end', function _endNetList() {
+            if (unallocated) {
+                return callback(null, mod_unallocated.withUnallocated(
+                    network, window, ips, off, lim));
+            }
+
             return callback(null, ips);
         });
 
@@ -313,6 +591,10 @@ function getIP(opts, callback) {
  * - `network_uuid`: Network UUID (required)
  * - `owner_uuid`: Owner UUID (optional)
  * - `reserved`: Reserved (optional)
+ * - `hold_until`: Time when the hold on the IP expires (optional)
+ * - `ttl`: Number of seconds to hold the IP for (optional)
+ *
+ * Updates that don't set a new hold release any existing hold on the IP.
  * @param callback {Function} `function (err, ipObj)`
  */
 function updateIP(opts, callback) {
@@ -333,8 +615,12 @@ function updateIP(opts, callback) {
             belongs_to_type: validate.string,
             belongs_to_uuid: validate.UUID,
             check_owner: validate.bool,
+            description: validate.description,
+            hold_until: validate.timestamp,
+            labels: validate.labels,
             owner_uuid: validate.UUID,
             reserved: validate.bool,
+            ttl: validate.positiveInteger,
             unassign: validate.bool,
             free: validate.bool
         },
@@ -343,7 +629,7 @@ function updateIP(opts, callback) {
             network: validateNetworkObj
         },
 
-        after: [validateNetworkOwner, validateFreeUnassign]
+        after: [validateNetworkOwner, validateFreeUnassign, common.validateHold]
     };
 
     // both belongs_to_type and belongs_to_uuid must be set in UFDS at the
@@ -369,7 +655,11 @@ function updateIP(opts, callback) {
         }
     }
 
-    validate.params(validateParams, null, params,
+    var vopts = {
+        existingIP: opts.existingIP
+    };
+
+    validate.params(validateParams, vopts, params,
         function (validationErr, validatedParams) {
         if (validationErr) {
             return callback(validationErr);
@@ -386,19 +676,44 @@ function updateIP(opts, callback) {
             val: validatedParams
         };
 
+        if (!validatedParams.hasOwnProperty('hold_until')) {
+            delete updateOpts.original.hold_until;
+        }
+
+        updateOpts.original.modified_timestamp = Date.now();
+
         // If unassigning, remove the 'belongs_to' information, but keep
         // owner and reserved
         if (validatedParams.unassign) {
             updateOpts.val = {
                 belongs_to_type: true,
-                belongs_to_uuid: true
+                belongs_to_uuid: true,
+                hold_until: true
             };
             updateOpts.remove = true;
+
+            if (opts.existingIP.params.belongs_to_uuid) {
+                updateOpts.original.last_belongs_to_uuid =
+                    opts.existingIP.params.belongs_to_uuid;
+            }
+        } else {
+            updateNotes(updateOpts.original, updateOpts.val);
         }
 
         // Don't add the entire network object to the moray record
         delete updateOpts.val.network;
 
+        updateOpts.batch = function (value) {
+            var batch = [ opts.existingIP.historyBatch(opts.existingIP.params,
+                value) ];
+
+            if (value.hold_until) {
+                batch.push(mod_held.batch(params.network_uuid));
+            }
+
+            return batch;
+        };
+
         mod_moray.updateObj(updateOpts, function (err, rec) {
             if (err) {
                 log.error({
@@ -426,6 +741,347 @@ function updateIP(opts, callback) {
 }
 
 
+/**
+ * A new description or labels replace the existing ones on an IP's moray
+ * record, and are removed from it if empty.
+ */
+function updateNotes(original, val) {
+    if (val.hasOwnProperty('description')) {
+        delete original.description;
+
+        if (val.description === '') {
+            delete val.description;
+        }
+    }
+
+    if (val.hasOwnProperty('labels')) {
+        delete original.labels;
+        delete original.labels_arr;
+
+        if (jsprim.isEmpty(val.labels)) {
+            delete val.labels;
+        } else {
+            val.labels_arr = common.labelsArray(val.labels);
+        }
+    }
+}
+
+
+/**
+ * Fetches the records for the IPs in a range, keyed by their moray keys.
+ */
+function listRangeIPs(opts, network, range, callback) {
+    var ips = {};
+
+    var req = opts.app.moray.findObjects(common.bucketName(network.uuid),
+        rangeFilter(network, range), { limit: constants.MAX_IP_RANGE });
+
+    req.on('record', function (rec) {
+        rec.value.etag = rec._etag;
+        rec.value.network = network;
+        rec.value.network_uuid = network.uuid;
+
+        var ip = new IP(rec.value);
+        ips[ip.key()] = ip;
+    });
+
+    req.once('error', function (err) {
+        callback(err);
+    });
+
+    req.once('end', function () {
+        callback(null, ips);
+    });
+}
+
+
+/**
+ * Adds the nics on the network with secondary IPs in a range to nics, keyed
+ * by address. The secondary_ips index can't be searched by range, so all of
+ * the network's nics with secondary IPs are fetched, a page at a time.
+ */
+function listSecondaryNics(opts, network, range, nics, offset, callback) {
+    var count = 0;
+    var filter = fmt('(&(%s=%s)(secondary_ips=*))',
+        network.family === 'ipv4' ? 'network_uuid' : 'network6_uuid',
+        network.uuid);
+
+    var req = opts.app.moray.findObjects(mod_nic_bucket.BUCKET.name, filter, {
+        limit: constants.DEFAULT_LIMIT,
+        offset: offset,
+        sort: {
+            attribute: 'mac',
+            order: 'ASC'
+        }
+    });
+
+    req.on('record', function (rec) {
+        count++;
+        rec.value.secondary_ips.forEach(function (a) {
+            var addr = util_ip.toIPAddr(a);
+            if (addr.compare(range.start) >= 0 &&
+                addr.compare(range.end) <= 0) {
+                nics[addr.toString()] = rec.value;
+            }
+        });
+    });
+
+    req.once('error', function (err) {
+        callback(err);
+    });
+
+    req.once('end', function () {
+        if (count < constants.DEFAULT_LIMIT) {
+            callback(null, nics);
+            return;
+        }
+
+        listSecondaryNics(opts, network, range, nics, offset + count,
+            callback);
+    });
+}
+
+
+/**
+ * Fetches the nics on the network with addresses in a range, either as
+ * their primary address or as secondary IPs, keyed by address.
+ */
+function listRangeNics(opts, network, range, callback) {
+    var nics = {};
+    var filter;
+
+    if (network.family === 'ipv4') {
+        filter = fmt('(&(network_uuid=%s)(ipaddr>=%s)(ipaddr<=%s))',
+            network.uuid, range.start.toString(), range.end.toString());
+    } else {
+        filter = fmt('(&(network6_uuid=%s)(ipaddr6>=%s)(ipaddr6<=%s))',
+            network.uuid, range.start.toString(), range.end.toString());
+    }
+
+    var req = opts.app.moray.findObjects(mod_nic_bucket.BUCKET.name, filter,
+        { limit: constants.MAX_IP_RANGE });
+
+    req.on('record', function (rec) {
+        var addr = network.family === 'ipv4' ?
+            rec.value.ipaddr : rec.value.ipaddr6;
+        nics[util_ip.toIPAddr(addr).toString()] = rec.value;
+    });
+
+    req.once('error', function (err) {
+        callback(err);
+    });
+
+    req.once('end', function () {
+        listSecondaryNics(opts, network, range, nics, 0, callback);
+    });
+}
+
+
+/**
+ * Returns the addresses that NAPI reserves when a network is created, and
+ * that range updates leave alone: its gateway, and for IPv4 its broadcast
+ * address.
+ */
+function networkReservedAddrs(network) {
+    var addrs = [];
+
+    if (network.params.gateway) {
+        addrs.push(network.params.gateway.toString());
+    }
+
+    if (network.family === 'ipv4') {
+        addrs.push(network.subnet.broadcast().toString());
+    }
+
+    return addrs;
+}
+
+
+/**
+ * Returns the updated IP object for an address in a range, given its
+ * existing IP object (if it has a record).
+ */
+function rangeIP(validated, addr, oldIP) {
+    var params;
+
+    if (validated.free) {
+        params = { reserved: false };
+        if (oldIP.params.belongs_to_uuid) {
+            params.last_belongs_to_uuid = oldIP.params.belongs_to_uuid;
+        }
+    } else {
+        params = oldIP ? oldIP.raw() : { reserved: false };
+        delete params.hold_until;
+
+        UPDATE_RANGE_PARAMS.forEach(function (p) {
+            if (validated.hasOwnProperty(p)) {
+                params[p] = validated[p];
+            }
+        });
+    }
+
+    params.etag = oldIP ? oldIP.etag : null;
+    params.ip = addr;
+    params.network = validated.network;
+    params.network_uuid = validated.network.uuid;
+
+    return new IP(params);
+}
+
+
+/**
+ * Builds and commits the batch for an IP range update, given the existing
+ * IP records and nics in the range.
+ */
+function commitRange(opts, validated, existing, nics, callback) {
+    var log = opts.log;
+    var network = validated.network;
+    var range = validated.range;
+    var created = [];
+    var history = [];
+    var inUse = [];
+    var updated = [];
+
+    var reservedAddrs = networkReservedAddrs(network);
+    var size = util_ip.rangeSize(range.start, range.end);
+
+    for (var i = 0; i < size; i++) {
+        var addr = util_ip.ipAddrPlus(range.start, i);
+        var oldIP = existing[common.getIPKey(network.ip_use_strings, addr)];
+
+        // The network's gateway and broadcast address are left reserved
+        if (reservedAddrs.indexOf(addr.toString()) !== -1) {
+            continue;
+        }
+
+        // Only addresses in use by nics are off limits
+        var nic = nics[addr.toString()];
+        if (nic) {
+            inUse.push(errors.usedByParam('range',
+                nic.belongs_to_type, nic.belongs_to_uuid,
+                fmt(constants.fmt.RANGE_IP_IN_USE, addr.toString(),
+                    nic.belongs_to_type, nic.belongs_to_uuid)));
+            continue;
+        }
+
+        // Freeing an IP that has no record leaves it as it is
+        if (validated.free && !oldIP) {
+            continue;
+        }
+
+        var newIP = rangeIP(validated, addr, oldIP);
+
+        if (oldIP) {
+            updated.push(newIP);
+            history.push(newIP.historyBatch(oldIP.params));
+        } else {
+            created.push(newIP);
+            history.push(newIP.historyBatch());
+        }
+    }
+
+    if (inUse.length !== 0) {
+        callback(new errors.InvalidParamsError(
+            constants.msg.INVALID_PARAMS, inUse));
+        return;
+    }
+
+    var batch = created.concat(updated).map(function (ip) {
+        return ip.batch();
+    }).concat(history);
+
+    if (batch.length === 0) {
+        callback(null, { created: created, updated: updated });
+        return;
+    }
+
+    opts.app.moray.batch(batch, function (err, res) {
+        if (err) {
+            log.error({
+                err: err,
+                start: range.start.toString(),
+                end: range.end.toString()
+            }, 'Error updating IP range');
+            callback(err);
+            return;
+        }
+
+        var bucket = common.bucketName(network.uuid);
+        created.concat(updated).forEach(function (ip) {
+            ip.etag = util_common.getEtag(res.etags, bucket, ip.key());
+        });
+
+        log.info({
+            start: range.start.toString(),
+            end: range.end.toString(),
+            created: created.length,
+            updated: updated.length
+        }, 'Updated IP range');
+
+        callback(null, { created: created, updated: updated });
+    });
+}
+
+
+/**
+ * Updates all of the IPs in a range in a single moray batch, creating the
+ * records for any that don't exist yet. If any of the IPs are in use, none
+ * of them are updated. The network's gateway and broadcast address are
+ * skipped.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `log` {Bunyan Logger}
+ * - `params` {Object}:
+ *   - `network` {Network}: network the IPs are on (required)
+ *   - `range` {String or Object}: subnet in CIDR form, or object with
+ *     `start` and `end` IPs (required)
+ *   - `free` {Boolean}: free the IPs, ignoring the parameters below
+ *   - `belongs_to_type` {String}
+ *   - `belongs_to_uuid` {UUID}
+ *   - `owner_uuid` {UUID}
+ *   - `reserved` {Boolean}
+ *   - `check_owner` {Boolean}
+ * @param callback {Function} `function (err, { created, updated })`, where
+ *   created and updated are arrays of IP objects
+ */
+function updateIPRange(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.func(callback, 'callback');
+
+    var log = opts.log;
+
+    log.debug({ params: opts.params }, 'updateIPRange: entry');
+
+    validate.params(UPDATE_RANGE_SCHEMA, null, opts.params,
+        function (validationErr, validated) {
+        if (validationErr) {
+            callback(validationErr);
+            return;
+        }
+
+        var network = validated.network;
+        var range = validated.range;
+
+        listRangeIPs(opts, network, range, function (listErr, existing) {
+            if (listErr) {
+                callback(listErr);
+                return;
+            }
+
+            listRangeNics(opts, network, range, function (nicErr, nics) {
+                if (nicErr) {
+                    callback(nicErr);
+                    return;
+                }
+
+                commitRange(opts, validated, existing, nics, callback);
+            });
+        });
+    });
+}
+
+
 /**
  * Creates an IP
  *
@@ -436,6 +1092,8 @@ function updateIP(opts, callback) {
  *   - `ip`: IP address (required)
  *   - `network_uuid`: Network UUID (required)
  *   - `network`: Network object (required)
+ *   - `hold_until`: Time when the hold on the IP expires (optional)
+ *   - `ttl`: Number of seconds to hold the IP for (optional)
  * @param callback {Function} `function (err, ipObj)`
  */
 function createIP(opts, callback) {
@@ -465,8 +1123,8 @@ function createIP(opts, callback) {
         var ipBucket = common.getBucketObj(validated.network.uuid);
         log.debug({ params: params, bucket: ipBucket }, 'addIP: creating IP');
 
-        opts.app.moray.putObject(ipBucket.name, key, ip.raw(),
-            { etag: null }, function (err, res) {
+        opts.app.moray.batch([ ip.batch(), ip.historyBatch() ].concat(
+            ip.heldBatch()), function (err, res) {
             if (err) {
                 log.error({
                     err: err,
@@ -483,7 +1141,7 @@ function createIP(opts, callback) {
                 obj: ip.serialize()
             }, 'Created IP');
 
-            ip.etag = res.etag;
+            ip.etag = util_common.getEtag(res.etags, ipBucket.name, key);
 
             callback(null, ip);
         });
@@ -497,6 +1155,10 @@ function createIP(opts, callback) {
  */
 function createUpdatedObject(oldIP, params) {
     var updatedIpParams = oldIP.serialize();
+
+    // Any hold on the old IP is released when it's taken by something else
+    delete updatedIpParams.hold_until;
+
     NIC_SHARED_PARAMS.forEach(function (p) {
         if (params.hasOwnProperty(p)) {
             updatedIpParams[p] = params[p];
@@ -523,6 +1185,7 @@ function createUpdatedObject(oldIP, params) {
 function batchCreateIPs(app, log, params, callback) {
     log.debug(params, 'batchCreateIPs: entry');
     var bucket = common.getBucketObj(params.network_uuid);
+    var history = [];
     var ips = [];
 
     var batchData = params.batch.map(function (ipParams) {
@@ -530,14 +1193,18 @@ function batchCreateIPs(app, log, params, callback) {
         ips.push(ip);
 
         var key = ip.key();
+        var value = ip.raw();
+
+        value.modified_timestamp = Date.now();
+        history.push(ip.historyBatch());
 
         return {
             bucket: bucket.name,
             key: key,
             operation: 'put',
-            value: ip.raw()
+            value: value
         };
-    });
+    }).concat(history);
 
     log.info({ batch: batchData }, 'batchCreateIPs: creating IPs');
     app.moray.batch(batchData, function (err) {
@@ -581,9 +1248,14 @@ function deleteIP(opts, callback) {
     var bucket = common.bucketName(params.network.uuid);
     var key = common.getIPKey(use_strings, ip);
     var val = {
+        modified_timestamp: Date.now(),
         reserved: false
     };
 
+    if (opts.existingIP.params.belongs_to_uuid) {
+        val.last_belongs_to_uuid = opts.existingIP.params.belongs_to_uuid;
+    }
+
     if (use_strings) {
         val.ipaddr = ip.toString();
     } else {
@@ -592,15 +1264,22 @@ function deleteIP(opts, callback) {
 
     log.info(params, 'deleteIP: deleting IP %s', ip.toString());
 
-    opts.app.moray.putObject(bucket, key, val, {
-        etag: opts.existingIP.etag
-    }, function (err, res) {
+    opts.app.moray.batch([ {
+        bucket: bucket,
+        key: key,
+        operation: 'put',
+        value: val,
+        options: {
+            etag: opts.existingIP.etag
+        }
+    }, opts.existingIP.historyBatch(opts.existingIP.params, val) ],
+        function (err, res) {
         if (err) {
             callback(err);
             return;
         }
 
-        val.etag = res.etag;
+        val.etag = util_common.getEtag(res.etags, bucket, key);
         val.network = params.network;
         val.network_uuid = params.network.uuid;
 
@@ -653,10 +1332,15 @@ module.exports = {
     createUpdated: createUpdatedObject,
     del: deleteIP,
     get: getIP,
+    history: require('./history').list,
     key: common.getIPKey,
     IP: common.IP,
     list: listNetworkIPs,
     nextIPonNetwork: require('./provision').nextIPonNetwork,
     params: extractParams,
-    update: updateIP
+    searchHistory: require('./history').search,
+    update: updateIP,
+    updateRange: updateIPRange,
+    usage: require('./usage').networkUsage,
+    validateHold: common.validateHold
 };
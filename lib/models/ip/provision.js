@@ -53,6 +53,19 @@ var util_ip = require('../../util/ip.js');
  * How PS and PE are used is explained in the "How nextGapIPsOnNetwork() works"
  * section below.
  *
+ * A network can also have multiple provision ranges (provision_ranges), and
+ * ranges of addresses excluded from provisioning (exclusion_ranges). The
+ * addresses that can be provisioned on are then split into several
+ * "segments" (see Network's provisionSegments), each of which has its own
+ * PS and PE placeholder records:
+ *
+ *   +-----------------------------------------------------------+
+ *   |   | GW | PS1 |   | PE1 | excluded | PS2 |   | PE2 |  | BR |
+ *   +-----------------------------------------------------------+
+ *
+ * nextGapIPsOnNetwork() searches each segment for gaps in turn, and
+ * nextFreedIPsonNetwork() only looks for freed IPs within the segments.
+ *
  *
  * ## IP provisioning process
  *
@@ -78,9 +91,15 @@ var util_ip = require('../../util/ip.js');
  *    nextGapIPsOnNetwork() below).
  *
  * 2) If there are no never-used IPs, return the one that was freed the
- *    longest time ago (this is nextFreedIPsonNetwork() below).
+ *    longest time ago (this is nextFreedIPsonNetwork() below).  If the
+ *    network has a reuse delay (its ip_reuse_delay, or the global
+ *    ipReuseDelay config setting), IPs freed more recently than that are
+ *    skipped, so that stale ARP entries and DNS records for the previous
+ *    owner have a chance to expire.
  *
- * 3) If there are no freed IPs left, the subnet is full.
+ * 3) If there are no freed IPs left, the subnet is full.  If the only ones
+ *    left are waiting for their reuse delay to pass, we return a
+ *    FreedIPsCoolingError instead.
  *
  * Note that if we are requesting a specific IP, the provisioning process
  * is skipped - we just try to add the IP record, or update it with the
@@ -88,6 +107,46 @@ var util_ip = require('../../util/ip.js');
  * process returns an error.
  *
  *
+ * ## Allocation strategies
+ *
+ * The process above is the "lowest" allocation strategy, which is the
+ * default. A network's allocation_strategy can also be one of:
+ *
+ * - "highest": the same as "lowest", but searching for gaps from the top of
+ *   the provision range downwards (gap_start is then the highest address
+ *   in the gap).
+ *
+ * - "random": first try a handful of randomly chosen addresses in the
+ *   provision segments, using any that have no record or have been freed
+ *   (nextRandomIPsOnNetwork() below).  Since offsets are at most 32 bits,
+ *   for segments larger than 2^32 addresses (only possible for IPv6), only
+ *   the first 2^32 addresses of the segment are picked from.
+ *
+ * - "sticky": first try the freed address that was most recently held by
+ *   the same belongs_to_uuid (nextStickyIPOnNetwork() below).  When an IP
+ *   is freed, its previous owner is kept in last_belongs_to_uuid for this
+ *   purpose.  Since the IP goes back to its previous owner, the reuse
+ *   delay doesn't apply.
+ *
+ * In all cases, if the first step doesn't find anything, or the addresses
+ * it found get taken by someone else, we fall back to steps 1-3 above.
+ *
+ *
+ * ## Dry runs
+ *
+ * To preview the IPs that would be provisioned next, nextIPonNetwork() can
+ * be called with opts.dryRun set, and the IPs it returns never written to
+ * moray. Since the gaps and freed records it finds then stay the same,
+ * fetching more IPs would find the ones already returned: in a dry run,
+ * nextGapIPsOnNetwork() instead searches for gaps past the last one found
+ * (see gapBound in ProvisionInfo), and nextFreedIPsonNetwork() skips the
+ * freed records already found.
+ *
+ * Gaps in ipaddr buckets are capped at IP_PROVISION_GAP_LENGTH addresses,
+ * and the rest of a capped gap isn't found by searching past it, so a dry
+ * run should fetch no more than that many IPs.
+ *
+ *
  * ## How nextGapIPsOnNetwork() works
  *
  * nextGapIPsOnNetwork() abuses the fact that moray is implemented on top of
@@ -207,26 +266,63 @@ var util_ip = require('../../util/ip.js');
 /**
  * Gap length could be bigger than JavaScript's max int, so
  * cap it off on the Postgres side before it gets to Moray.
+ *
+ * For IPv6 networks, the gap between two addresses can also be too large
+ * for Postgres to represent: subtracting two INETs produces a BIGINT, which
+ * overflows for gaps of 2^63 addresses or more (an empty /64 provision range,
+ * for example). We therefore only do the subtraction when we know that the
+ * gap is at most MAX_GAP_LENGTH addresses long.
  */
 var MAX_GAP_LENGTH = constants.IP_PROVISION_GAP_LENGTH;
 
 var GAP_IP_STR_SQL = util.format(
-    'SELECT * FROM (SELECT ipaddr+1 gap_start, least(coalesce(lead(ipaddr) ' +
-    'OVER (ORDER BY ipaddr) - ipaddr - 1, 0), %d) gap_length FROM %%s ' +
+    'SELECT * FROM (SELECT ipaddr+1 gap_start, CASE ' +
+    'WHEN lead(ipaddr) OVER (ORDER BY ipaddr) - %d > ipaddr THEN %d ' +
+    'ELSE coalesce(lead(ipaddr) OVER (ORDER BY ipaddr) - ipaddr - 1, 0) ' +
+    'END gap_length FROM %%s ' +
     'WHERE ipaddr >= $1 AND ipaddr <= $2) t ' +
-    'WHERE gap_length > 0 LIMIT 1', MAX_GAP_LENGTH);
+    'WHERE gap_length > 0 LIMIT 1', MAX_GAP_LENGTH + 1, MAX_GAP_LENGTH);
 
 var GAP_IP_NUM_SQL =
     'SELECT * FROM (SELECT ip+1 gap_start, lead(ip) ' +
     'OVER (ORDER BY ip) - ip - 1 gap_length FROM %s ' +
     'WHERE ip >= $1 AND ip <= $2) t WHERE gap_length > 0 LIMIT 1';
 
+/*
+ * The same as the above, but for the "highest" allocation strategy: these
+ * return the highest gap, with gap_start as the highest address in it.
+ */
+var GAP_IP_STR_DESC_SQL = util.format(
+    'SELECT * FROM (SELECT ipaddr-1 gap_start, CASE ' +
+    'WHEN ipaddr - %d > lag(ipaddr) OVER (ORDER BY ipaddr) THEN %d ' +
+    'ELSE coalesce(ipaddr - lag(ipaddr) OVER (ORDER BY ipaddr) - 1, 0) ' +
+    'END gap_length FROM %%s ' +
+    'WHERE ipaddr >= $1 AND ipaddr <= $2) t ' +
+    'WHERE gap_length > 0 ORDER BY gap_start DESC LIMIT 1',
+    MAX_GAP_LENGTH + 1, MAX_GAP_LENGTH);
+
+var GAP_IP_NUM_DESC_SQL =
+    'SELECT * FROM (SELECT ip-1 gap_start, ip - lag(ip) ' +
+    'OVER (ORDER BY ip) - 1 gap_length FROM %s ' +
+    'WHERE ip >= $1 AND ip <= $2) t WHERE gap_length > 0 ' +
+    'ORDER BY gap_start DESC LIMIT 1';
+
+/*
+ * The largest offset that ip6addr can add to an address
+ */
+var MAX_OFFSET = 4294967295;
+
 function ProvisionInfo(baseParams, network) {
     this.params = baseParams;
     this.network = network;
     this.tries = 0;
+    this.descending = network.allocation_strategy === 'highest';
+    this.freedFound = 0;
+    this.gapBound = null;
     this.noMoreGapIPs = false;
+    this.preferredTried = false;
     this.queue = [];
+    this.segment = 0;
 
     Object.seal(this);
 }
@@ -255,6 +351,53 @@ ProvisionInfo.prototype.shift = function getNextIP() {
 };
 
 
+/**
+ * Returns a moray filter matching the addresses in the network's provision
+ * segments.
+ */
+function segmentsFilter(network) {
+    var lookupBy = network.ip_use_strings ? 'ipaddr' : 'ip';
+
+    function ipVal(addr) {
+        return network.ip_use_strings ? addr.toString() : addr.toLong();
+    }
+
+    var segments = network.provisionSegments.map(function (seg) {
+        return util.format('(&(%s>=%s)(%s<=%s))', lookupBy, ipVal(seg.start),
+            lookupBy, ipVal(seg.end));
+    });
+
+    return util.format('(|%s)', segments.join(''));
+}
+
+
+/**
+ * Returns the time (in milliseconds since the epoch) that IPs on the network
+ * must have been freed before to be reused, or null if there is no reuse
+ * delay. The network's ip_reuse_delay takes precedence over the global one.
+ */
+function reuseCutoff(opts, network) {
+    var delay = network.params.hasOwnProperty('ip_reuse_delay') ?
+        network.params.ip_reuse_delay : opts.app.config.ipReuseDelay;
+
+    if (!delay) {
+        return null;
+    }
+
+    return Date.now() - delay * 1000;
+}
+
+
+/**
+ * Returns true if the moray record for an IP is one that can be
+ * provisioned on: it has been freed, before the reuse cutoff (if any).
+ */
+function isFreedRecord(obj, cutoff) {
+    return !obj.value.belongs_to_uuid && !obj.value.reserved &&
+        (cutoff === null || obj._mtime <= cutoff);
+}
+
+
 /**
  * Get the next "gap" IPs (with no existing moray record, but in the subnet
  * range) from the specified network.
@@ -263,22 +406,55 @@ function nextGapIPsOnNetwork(opts, network, callback) {
     var log = opts.log;
 
     var provinfo = opts.ipProvisions[network.uuid];
+    var segments = network.provisionSegments;
+    var segment = segments[provinfo.descending ?
+        segments.length - 1 - provinfo.segment : provinfo.segment];
+
+    if (!segment) {
+        // No gap found in any of the segments, so no sense in trying over
+        // and over
+        var freeErr = new Error('No free gap IPs');
+        freeErr.noFreeIPs = true;
+
+        provinfo.noMoreGapIPs = true;
+        log.debug({
+            network_uuid: network.uuid,
+            tries: provinfo.tries
+        }, 'nextGapIPsOnNetwork: no free gap IPs');
+
+        callback(freeErr);
+        return;
+    }
 
     var bucket = common.bucketName(network.uuid);
-    var min = util_ip.ipAddrMinus(network.provisionMin, 1);
-    var max = util_ip.ipAddrPlus(network.provisionMax, 1);
+    var min = util_ip.ipAddrMinus(segment.start, 1);
+    var max = util_ip.ipAddrPlus(segment.end, 1);
     var gap, sql, args;
 
+    // In a dry run, the gaps already found are still empty: search past them
+    if (opts.dryRun && provinfo.gapBound !== null &&
+        provinfo.gapBound.compare(segment.start) >= 0 &&
+        provinfo.gapBound.compare(segment.end) <= 0) {
+        if (provinfo.descending) {
+            max = provinfo.gapBound;
+        } else {
+            min = provinfo.gapBound;
+        }
+    }
+
     if (network.ip_use_strings) {
-        sql = util.format(GAP_IP_STR_SQL, bucket);
+        sql = util.format(provinfo.descending ?
+            GAP_IP_STR_DESC_SQL : GAP_IP_STR_SQL, bucket);
         args = [ min.toString(), max.toString() ];
     } else {
-        sql = util.format(GAP_IP_NUM_SQL, bucket);
+        sql = util.format(provinfo.descending ?
+            GAP_IP_NUM_DESC_SQL : GAP_IP_NUM_SQL, bucket);
         args = [ min.toLong(), max.toLong() ];
     }
 
     log.debug({
         tries: provinfo.tries,
+        segment: provinfo.segment,
         sql: sql,
         args: args,
         network_uuid: network.uuid
@@ -304,17 +480,9 @@ function nextGapIPsOnNetwork(opts, network, callback) {
 
     req.once('end', function () {
         if (!gap) {
-            // No gap found, so no sense in trying over and over
-            var freeErr = new Error('No free gap IPs');
-            freeErr.noFreeIPs = true;
-
-            provinfo.noMoreGapIPs = true;
-            log.debug({
-                network_uuid: network.uuid,
-                tries: provinfo.tries
-            }, 'nextGapIPsOnNetwork: no free gap IPs');
-
-            callback(freeErr);
+            // This segment is full: move on to the next one
+            provinfo.segment++;
+            nextGapIPsOnNetwork(opts, network, callback);
             return;
         }
 
@@ -327,13 +495,18 @@ function nextGapIPsOnNetwork(opts, network, callback) {
             return;
         }
 
+        var gapStart = util_ip.toIPAddr(gap.gap_start);
+
         for (var i = 0; i < gap.gap_length; i++) {
             provinfo.queue.push({
                 etag: null,
-                ip: util_ip.ipAddrPlus(util_ip.toIPAddr(gap.gap_start), i)
+                ip: provinfo.descending ? util_ip.ipAddrMinus(gapStart, i) :
+                    util_ip.ipAddrPlus(gapStart, i)
             });
         }
 
+        provinfo.gapBound = provinfo.queue[provinfo.queue.length - 1].ip;
+
         log.debug({
             network_uuid: network.uuid,
             tries: provinfo.tries,
@@ -350,26 +523,30 @@ function nextGapIPsOnNetwork(opts, network, callback) {
 /**
  * Get the next previously freed IPs (where the record exists in Moray, but has
  * reserved=false and belongs_to_uuid=null) from the specified network.
+ *
+ * IPs that were freed less than the network's reuse delay ago are skipped.
+ * If those are the only ones left, return a FreedIPsCoolingError rather than
+ * a SubnetFullError, since the network isn't really full.
  */
 function nextFreedIPsonNetwork(opts, network, callback) {
     var log = opts.log;
     var bucket = common.bucketName(network.uuid);
-    var filter =
-        util.format(
-            '(&(ipaddr>=%s)(ipaddr<=%s)(!(belongs_to_uuid=*))(reserved=false))',
-            network.provisionMin.toString(),
-            network.provisionMax.toString());
+    var cooling = null;
+    var cutoff = reuseCutoff(opts, network);
     var found = 0;
 
     var provinfo = opts.ipProvisions[network.uuid];
 
-    if (!network.ip_use_strings) {
-        filter = util.format(
-            '(&(ip>=%d)(ip<=%d)(!(belongs_to_uuid=*))(reserved=false))',
-            network.provisionMin.toLong(),
-            network.provisionMax.toLong());
+    if (network.provisionSegments.length === 0) {
+        callback(new errors.SubnetFullError(network.uuid));
+        return;
     }
 
+    // Only look in the provision segments: placeholder records for
+    // excluded ranges look just like freed IPs
+    var filter = util.format('(&%s(!(belongs_to_uuid=*))(reserved=false))',
+        segmentsFilter(network));
+
     log.debug({
         bucket: bucket,
         tries: provinfo.tries,
@@ -377,8 +554,12 @@ function nextFreedIPsonNetwork(opts, network, callback) {
         network_uuid: network.uuid
     }, 'nextFreedIPsonNetwork: finding freed IPs');
 
-    var req = opts.app.moray.findObjects(bucket, filter,
-        { sort: { attribute: '_mtime', order: 'ASC' }, limit: 10 });
+    // In a dry run, the freed records already found are still free: skip them
+    var req = opts.app.moray.findObjects(bucket, filter, {
+        sort: { attribute: '_mtime', order: 'ASC' },
+        limit: 10,
+        offset: opts.dryRun ? provinfo.freedFound : 0
+    });
 
     req.once('error', function (err) {
         log.error(err, 'nextFreedIPsonNetwork: error');
@@ -386,11 +567,23 @@ function nextFreedIPsonNetwork(opts, network, callback) {
     });
 
     req.on('record', function (obj) {
+        if (!isFreedRecord(obj, cutoff)) {
+            // Records are sorted by _mtime, so the first one we skip was
+            // freed the longest time ago
+            if (cooling === null) {
+                cooling = obj;
+            }
+
+            return;
+        }
+
         found++;
         provinfo.queue.push({ ip: obj.key, etag: obj._etag });
     });
 
     req.once('end', function () {
+        provinfo.freedFound += found;
+
         if (found > 0) {
             log.debug({
                 found: found,
@@ -400,6 +593,20 @@ function nextFreedIPsonNetwork(opts, network, callback) {
             return;
         }
 
+        if (cooling !== null) {
+            var retryAfter = Math.ceil((cooling._mtime - cutoff) / 1000);
+
+            log.debug({
+                ip: cooling.key,
+                retry_after: retryAfter,
+                tries: provinfo.tries
+            }, 'nextFreedIPsonNetwork: freed IPs are all within reuse delay');
+
+            callback(new errors.FreedIPsCoolingError(network.uuid,
+                retryAfter));
+            return;
+        }
+
         log.debug({ tries: provinfo.tries },
             'nextFreedIPsonNetwork: no freed IPs');
 
@@ -409,6 +616,174 @@ function nextFreedIPsonNetwork(opts, network, callback) {
 
 
 
+/**
+ * For the "random" allocation strategy: pick random addresses in the
+ * provision segments, and queue up the ones that are available. If none
+ * are, fall back to finding gap IPs.
+ */
+function nextRandomIPsOnNetwork(opts, network, callback) {
+    var log = opts.log;
+    var bucket = common.bucketName(network.uuid);
+    var candidates = {};
+    var cutoff = reuseCutoff(opts, network);
+    var lookupBy = network.ip_use_strings ? 'ipaddr' : 'ip';
+    var provinfo = opts.ipProvisions[network.uuid];
+    var segments = network.provisionSegments;
+    var terms = [];
+    var total = 0;
+
+    provinfo.preferredTried = true;
+
+    var sizes = segments.map(function (seg) {
+        var size = Math.min(util_ip.rangeSize(seg.start, seg.end),
+            MAX_OFFSET + 1);
+        total += size;
+        return size;
+    });
+
+    for (var c = 0; c < constants.IP_PROVISION_RANDOM_CANDIDATES &&
+        total !== 0; c++) {
+        var offset = Math.floor(Math.random() * total);
+        var s = 0;
+
+        while (offset >= sizes[s]) {
+            offset -= sizes[s];
+            s++;
+        }
+
+        var addr = util_ip.ipAddrPlus(segments[s].start, offset);
+        var key = common.getIPKey(network.ip_use_strings, addr);
+
+        if (!candidates.hasOwnProperty(key)) {
+            candidates[key] = { etag: null, ip: addr };
+            terms.push(util.format('(%s=%s)', lookupBy, key));
+        }
+    }
+
+    if (terms.length === 0) {
+        nextGapIPsOnNetwork(opts, network, callback);
+        return;
+    }
+
+    var filter = util.format('(|%s)', terms.join(''));
+
+    log.debug({
+        bucket: bucket,
+        tries: provinfo.tries,
+        filter: filter,
+        network_uuid: network.uuid
+    }, 'nextRandomIPsOnNetwork: checking random IPs');
+
+    var req = opts.app.moray.findObjects(bucket, filter,
+        { limit: terms.length });
+
+    req.once('error', function (err) {
+        log.error(err, 'nextRandomIPsOnNetwork: error');
+        return callback(err);
+    });
+
+    req.on('record', function (obj) {
+        if (!candidates.hasOwnProperty(obj.key)) {
+            return;
+        }
+
+        if (isFreedRecord(obj, cutoff)) {
+            candidates[obj.key].etag = obj._etag;
+        } else {
+            delete candidates[obj.key];
+        }
+    });
+
+    req.once('end', function () {
+        Object.keys(candidates).forEach(function (k) {
+            provinfo.queue.push(candidates[k]);
+        });
+
+        log.debug({
+            found: provinfo.queue.length,
+            tries: provinfo.tries
+        }, 'nextRandomIPsOnNetwork: found random IPs');
+
+        if (provinfo.queue.length === 0) {
+            nextGapIPsOnNetwork(opts, network, callback);
+            return;
+        }
+
+        callback();
+    });
+}
+
+
+/**
+ * For the "sticky" allocation strategy: queue up the freed IP most
+ * recently held by the belongs_to_uuid we're provisioning for. If there
+ * isn't one, fall back to finding gap IPs.
+ */
+function nextStickyIPOnNetwork(opts, network, callback) {
+    var log = opts.log;
+    var belongsTo = opts.baseParams.belongs_to_uuid;
+    var bucket = common.bucketName(network.uuid);
+    var provinfo = opts.ipProvisions[network.uuid];
+
+    provinfo.preferredTried = true;
+
+    if (!belongsTo || network.provisionSegments.length === 0) {
+        nextGapIPsOnNetwork(opts, network, callback);
+        return;
+    }
+
+    var filter = util.format('(&(last_belongs_to_uuid=%s)%s' +
+        '(!(belongs_to_uuid=*))(reserved=false))', belongsTo,
+        segmentsFilter(network));
+
+    log.debug({
+        bucket: bucket,
+        tries: provinfo.tries,
+        filter: filter,
+        network_uuid: network.uuid
+    }, 'nextStickyIPOnNetwork: finding previously held IP');
+
+    var req = opts.app.moray.findObjects(bucket, filter,
+        { sort: { attribute: '_mtime', order: 'DESC' }, limit: 1 });
+
+    req.once('error', function (err) {
+        log.error(err, 'nextStickyIPOnNetwork: error');
+        return callback(err);
+    });
+
+    req.on('record', function (obj) {
+        provinfo.queue.push({ ip: obj.key, etag: obj._etag });
+    });
+
+    req.once('end', function () {
+        if (provinfo.queue.length === 0) {
+            log.debug({ belongs_to_uuid: belongsTo },
+                'nextStickyIPOnNetwork: no previously held IP');
+            nextGapIPsOnNetwork(opts, network, callback);
+            return;
+        }
+
+        log.debug({
+            belongs_to_uuid: belongsTo,
+            ip: provinfo.queue[0].ip
+        }, 'nextStickyIPOnNetwork: found previously held IP');
+
+        callback();
+    });
+}
+
+
+/*
+ * Functions that select the first IPs to try for allocation strategies
+ * other than the default, before falling back to nextGapIPsOnNetwork()
+ */
+var PREFERRED_SELECTORS = {
+    random: nextRandomIPsOnNetwork,
+    sticky: nextStickyIPOnNetwork
+};
+
+
+
 // --- Exports
 
 
@@ -428,6 +803,8 @@ function nextFreedIPsonNetwork(opts, network, callback) {
  *
  * @param opts {Object}:
  * - baseParams {Object}: parameters used for creating the IP (required).
+ * - dryRun {Boolean}: the IPs returned won't be written to moray, so
+ *   don't return the same ones again (optional, see "Dry runs" above).
  * @param network {Network}: The network to fetch the next IP for.
  * @param callback {Function}
  */
@@ -479,7 +856,11 @@ function nextIPonNetwork(opts, network, callback) {
 
     // There are no IPs left in the queue - try to get some more
     var selectionFn = nextGapIPsOnNetwork;
-    if (provinfo.noMoreGapIPs) {
+    var preferred = PREFERRED_SELECTORS[network.allocation_strategy];
+
+    if (preferred && !provinfo.preferredTried) {
+        selectionFn = preferred;
+    } else if (provinfo.noMoreGapIPs) {
         selectionFn = nextFreedIPsonNetwork;
     }
 
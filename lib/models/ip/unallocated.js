@@ -0,0 +1,178 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * ip model: listing addresses that have never been allocated
+ *
+ * Only addresses that have been used have records in a network's IP bucket.
+ * To show the full address map of a network, ListIPs can fill in entries for
+ * the addresses in its provision range that have no record, in address order
+ * between the records that do.
+ */
+
+'use strict';
+
+var common = require('./common');
+var util_ip = require('../../util/ip');
+
+
+
+// --- Internal
+
+
+
+/**
+ * Returns copies of a network's provision segments, clipped to the window
+ * { start, end } if one is given.
+ */
+function windowSegments(network, window) {
+    var segs = [];
+
+    network.provisionSegments.forEach(function (seg) {
+        var start = seg.start;
+        var end = seg.end;
+
+        if (window) {
+            if (window.start.compare(end) > 0 ||
+                window.end.compare(start) < 0) {
+                return;
+            }
+
+            if (window.start.compare(start) > 0) {
+                start = window.start;
+            }
+
+            if (window.end.compare(end) < 0) {
+                end = window.end;
+            }
+        }
+
+        segs.push({ start: start, end: end });
+    });
+
+    return segs;
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Merges a network's IP records with entries for the addresses in its
+ * provision range that have no record, and returns a page of at most limit
+ * of them, starting at offset.
+ *
+ * @param network {Network}
+ * @param window {Object}: only include addresses from start to end
+ *   (optional)
+ * @param records {Array of IPs}: the network's IP records in the window,
+ *   sorted by address. Since at most (offset + limit) of them can come
+ *   before the end of the page, only that many are needed.
+ * @param offset {Number}
+ * @param limit {Number}
+ * @return {Array of IPs}
+ */
+function withUnallocated(network, window, records, offset, limit) {
+    var page = [];
+    var segs = windowSegments(network, window);
+    var skip = offset;
+
+    function add(ip) {
+        if (skip > 0) {
+            skip--;
+        } else {
+            page.push(ip);
+        }
+    }
+
+    /*
+     * Add entries for the unallocated addresses before the address
+     * "before", or all of the remaining ones if it's null.
+     */
+    function addGaps(before) {
+        while (segs.length !== 0 && page.length < limit) {
+            var seg = segs[0];
+            var end = seg.end;
+
+            if (before !== null) {
+                if (before.compare(seg.start) <= 0) {
+                    return;
+                }
+
+                if (before.compare(seg.end) <= 0) {
+                    end = util_ip.ipAddrMinus(before, 1);
+                }
+            }
+
+            var size = util_ip.rangeSize(seg.start, end);
+
+            if (skip >= size) {
+                skip -= size;
+            } else {
+                var count = Math.min(size - skip, limit - page.length);
+
+                for (var i = 0; i < count; i++) {
+                    page.push(new common.IP({
+                        ip: util_ip.ipAddrPlus(seg.start, skip + i),
+                        network: network,
+                        network_uuid: network.uuid,
+                        reserved: false
+                    }));
+                }
+
+                skip = 0;
+            }
+
+            if (end !== seg.end) {
+                seg.start = before;
+                return;
+            }
+
+            segs.shift();
+        }
+    }
+
+    /*
+     * A record's address isn't unallocated: if it's at the start of the
+     * next segment, move past it.
+     */
+    function skipAddress(addr) {
+        if (segs.length === 0 || addr.compare(segs[0].start) !== 0) {
+            return;
+        }
+
+        if (addr.compare(segs[0].end) === 0) {
+            segs.shift();
+        } else {
+            segs[0].start = util_ip.ipAddrPlus(addr, 1);
+        }
+    }
+
+    for (var r = 0; r < records.length && page.length < limit; r++) {
+        addGaps(records[r].address);
+
+        if (page.length < limit) {
+            add(records[r]);
+            skipAddress(records[r].address);
+        }
+    }
+
+    addGaps(null);
+
+    return page;
+}
+
+
+
+module.exports = {
+    withUnallocated: withUnallocated
+};
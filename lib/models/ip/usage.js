@@ -0,0 +1,148 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * ip model: utilization of a network's provisioning range
+ */
+
+'use strict';
+
+var common = require('./common');
+var util = require('util');
+var util_ip = require('../../util/ip');
+
+
+
+// --- Globals
+
+
+
+/*
+ * Counts the records in the provision segments, grouped by the properties
+ * that determine their state. Records that are neither reserved nor assigned
+ * are ones that have been freed, and can be reused. Addresses in the
+ * segments with no record at all have never been used.
+ */
+var USAGE_SQL = 'SELECT reserved, belongs_to_type, owner_uuid, ' +
+    '(belongs_to_uuid IS NOT NULL) AS assigned, count(*) AS count ' +
+    'FROM %s WHERE %s ' +
+    'GROUP BY reserved, belongs_to_type, owner_uuid, assigned';
+
+
+
+// --- Exports
+
+
+
+/**
+ * Returns the utilization of a network's provisioning range, in the form:
+ *
+ * - `network_uuid` {UUID}
+ * - `total` {Number}: number of addresses in the provision range, not
+ *   including any exclusion ranges
+ * - `provisioned` {Number}: addresses assigned to something, and not reserved
+ * - `reserved` {Number}: reserved addresses
+ * - `freed` {Number}: previously used addresses that can be reused
+ * - `unused` {Number}: addresses that have never been used
+ * - `belongs_to_type` {Object}: counts of assigned addresses, by type
+ * - `owner_uuid` {Object}: counts of assigned addresses, by owner
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `log` {Bunyan Logger}
+ * @param network {Network}
+ * @param callback {Function} `function (err, usage)`
+ */
+function networkUsage(opts, network, callback) {
+    var log = opts.log;
+    var bucket = common.bucketName(network.uuid);
+    var column = network.ip_use_strings ? 'ipaddr' : 'ip';
+    var args = [];
+    var conds = [];
+    var total = 0;
+
+    network.provisionSegments.forEach(function (seg) {
+        if (network.ip_use_strings) {
+            args.push(seg.start.toString(), seg.end.toString());
+        } else {
+            args.push(seg.start.toLong(), seg.end.toLong());
+        }
+
+        conds.push(util.format('(%s >= $%d AND %s <= $%d)',
+            column, args.length - 1, column, args.length));
+        total += util_ip.rangeSize(seg.start, seg.end);
+    });
+
+    var sql = util.format(USAGE_SQL, bucket, conds.join(' OR '));
+    var usage = {
+        network_uuid: network.uuid,
+        total: total,
+        provisioned: 0,
+        reserved: 0,
+        freed: 0,
+        unused: 0,
+        belongs_to_type: {},
+        owner_uuid: {}
+    };
+
+    log.debug({
+        sql: sql,
+        args: args,
+        network_uuid: network.uuid
+    }, 'networkUsage: counting IPs');
+
+    var req = opts.app.moray.sql(sql, args);
+
+    function addTo(obj, key, count) {
+        obj[key] = (obj[key] || 0) + count;
+    }
+
+    req.on('record', function (r) {
+        var count = Number(r.count);
+
+        if (r.reserved === true) {
+            usage.reserved += count;
+        } else if (r.assigned) {
+            usage.provisioned += count;
+        } else {
+            usage.freed += count;
+        }
+
+        if (!r.assigned) {
+            return;
+        }
+
+        if (r.belongs_to_type) {
+            addTo(usage.belongs_to_type, r.belongs_to_type, count);
+        }
+
+        if (r.owner_uuid) {
+            addTo(usage.owner_uuid, r.owner_uuid, count);
+        }
+    });
+
+    req.once('error', function (err) {
+        log.error(err, 'networkUsage: error');
+        callback(err);
+    });
+
+    req.once('end', function () {
+        usage.unused = usage.total -
+            (usage.provisioned + usage.reserved + usage.freed);
+
+        callback(null, usage);
+    });
+}
+
+
+
+module.exports = {
+    networkUsage: networkUsage
+};
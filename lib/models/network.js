@@ -37,6 +37,7 @@ var mod_subnet_streams = require('../util/subnet-streams');
 /*
  * Circular dependencies required at end of file.
  */
+var mod_block; // = require('./address-block');
 var mod_nicTag; // = require('./nic-tag');
 var mod_nic_list; // = require('./nic/list').list;
 
@@ -67,6 +68,7 @@ var BUCKET = {
     name: 'napi_networks',
     schema: {
         index: {
+            address_block_uuid: { type: 'string' },
             fabric: { type: 'boolean' },
             gateway_addr: { type: 'ip' },
             mtu: { type: 'number' },
@@ -93,15 +95,20 @@ var BUCKET = {
         }
     },
     morayVersion: 2,        // moray version must be > than this
-    version: 4
+    version: 5
 };
 
 // Names that are allowed to be used in the "fields" filter
 var VALID_FIELDS = [
+    'address_block_uuid',
+    'allocation_strategy',
     'description',
     'fabric',
     'internet_nat',
     'gateway',
+    'ip_reuse_delay',
+    'max_bandwidth_mbps',
+    'max_pps',
     'mtu',
     'name',
     'nic_tag',
@@ -143,6 +150,11 @@ var IMMUTABLE_FABRIC_FIELDS = [
 var CONTAINING_NET_SQL = 'SELECT uuid FROM %s' +
     ' WHERE subnet >> $1 AND vlan_id = $2 AND nic_tag = $3';
 
+var CONTAINING_IP_SQL = 'SELECT uuid FROM %s WHERE subnet >> $1';
+
+var OVERLAPPING_SUBNET_SQL = 'SELECT uuid FROM %s' +
+    ' WHERE (subnet >> $1 OR subnet_start << $2)';
+
 var OVERLAP_SQL_PREFIX =
     'SELECT _id, uuid FROM %s WHERE (subnet >> $1 OR subnet_start << $2)';
 
@@ -152,6 +164,9 @@ var OVERLAP_NORMAL_NET_SQL = OVERLAP_SQL_PREFIX +
 var OVERLAP_FABRIC_NET_SQL = OVERLAP_SQL_PREFIX +
     ' AND fabric = true AND vnet_id = $3;';
 
+var USED_SUBNETS_SQL = 'SELECT subnet, nic_tag, vlan_id FROM %s' +
+    ' WHERE (subnet >> $1 OR subnet_start << $2) AND fabric != true;';
+
 
 // --- Schema validation objects
 
@@ -165,18 +180,26 @@ var CREATE_SCHEMA = {
         vlan_id: validate.VLAN
     },
     optional: {
+        address_block_uuid: validate.UUID,
+        allocation_strategy:
+            validate.enum(constants.ALLOCATION_STRATEGIES),
         description: validate.string,
         // XXX: allow this?
         fabric: validate.bool,
         subnet_alloc: validate.bool,
-        family: validate.enum(['ipv4']),
+        family: validate.enum([ 'ipv4', 'ipv6' ]),
         subnet_prefix: validate.subnetPrefix,
         subnet: validate.subnet,
+        exclusion_ranges: validate.ipRanges,
         provision_end_ip: validate.IP,
+        provision_ranges: validate.ipRanges,
         provision_start_ip: validate.IP,
         fields: validate.fieldsArray(VALID_FIELDS),
         gateway: validateGateway,
         internet_nat: validate.bool,
+        ip_reuse_delay: validate.nonNegativeInteger,
+        max_bandwidth_mbps: validate.positiveInteger,
+        max_pps: validate.positiveInteger,
         mtu: validate.networkMTU,
         owner_uuids: validate.UUIDarray,
         routes: validateRoutes,
@@ -187,8 +210,10 @@ var CREATE_SCHEMA = {
     after: [
         validateFabricOwner,
         validateAddressFamily,
+        validateProvisionRanges,
         validateSubnetAlloc,
         validateProvisionRange,
+        validateAddressBlock,
         validateNicTagMTU
     ]
 };
@@ -196,16 +221,24 @@ var CREATE_SCHEMA = {
 var UPDATE_SCHEMA = {
     optional: {
         // moray-only
+        address_block_uuid: validateOptionalUUID,
         name: validate.string,
+        allocation_strategy:
+            validate.enum(constants.ALLOCATION_STRATEGIES),
         description: validate.string,
+        ip_reuse_delay: validate.nonNegativeInteger,
         owner_uuids: validate.UUIDarray,
         mtu: validate.networkMTU,
+        max_bandwidth_mbps: validate.rateLimit,
+        max_pps: validate.rateLimit,
 
         // require changes to the napi_ips_<uuid> bucket as well:
 
         // Get the IP - we'll need its raw values for updating
         gateway: validateAndGetIP,
+        exclusion_ranges: validate.ipRanges,
         provision_end_ip: validate.IP,
+        provision_ranges: validate.ipRanges,
         provision_start_ip: validate.IP,
 
         // These parameters require changes on CNs, so we need
@@ -228,7 +261,11 @@ var UPDATE_SCHEMA = {
     after: [
         validateImmutableFields,
         validateAddressFamily,
+        validateSubnetUpdate,
+        validateProvisionRanges,
         validateProvisionRangeUpdate,
+        validateSubnetInUse,
+        validateAddressBlock,
         validateNicTagMTU
     ]
 };
@@ -236,6 +273,7 @@ var UPDATE_SCHEMA = {
 var LIST_SCHEMA = {
     strict: true,
     optional: {
+        address_block_uuid: validate.UUID,
         uuid: validate.uuidPrefix,
         fabric: validate.bool,
         family: validate.enum([ 'ipv4', 'ipv6' ]),
@@ -245,10 +283,38 @@ var LIST_SCHEMA = {
         offset: validate.offset,
         owner_uuid: validate.UUID,
         provisionable_by: validate.UUID,
+        usage: validate.bool,
         vlan_id: validate.VLAN
     }
 };
 
+var SEARCH_SCHEMA = {
+    strict: true,
+    optional: {
+        fabric: validate.bool,
+        ip: validate.IP,
+        nic_tag: validate.string,
+        owner_uuid: validate.UUID,
+        subnet: validate.subnet,
+        vlan_id: validate.VLAN
+    },
+    after: validateSearchAddress
+};
+
+var AVAILABLE_SCHEMA = {
+    strict: true,
+    required: {
+        prefix: validate.positiveInteger,
+        within: validate.subnet
+    },
+    optional: {
+        limit: validate.limit,
+        nic_tag: validate.string,
+        vlan_id: validate.VLAN
+    },
+    after: validateAvailablePrefix
+};
+
 var GET_SCHEMA = {
     required: {
         uuid: validateGetUUID
@@ -395,113 +461,265 @@ function placeholderIP(network, num) {
 }
 
 
+/**
+ * Returns the placeholder addresses just outside each of a network's
+ * provision segments, keyed by their string form.
+ */
+function provisionMarkers(network) {
+    var markers = {};
+
+    network.provisionSegments.forEach(function (seg) {
+        [
+            util_ip.ipAddrMinus(seg.start, 1),
+            util_ip.ipAddrPlus(seg.end, 1)
+        ].forEach(function (addr) {
+            markers[addr.toString()] = addr;
+        });
+    });
+
+    return markers;
+}
+
+
+/**
+ * Returns a batch operation deleting the IP record, if it's just a
+ * placeholder record (eg: one with reserved: false and nothing else set),
+ * or null if not.
+ */
+function deletePlaceholderBatch(network, rec) {
+    if (rec.etag === null || rec.params.belongs_to_uuid ||
+        rec.params.reserved) {
+        return null;
+    }
+
+    return {
+        bucket: mod_ip.bucketName(network.uuid),
+        key: rec.key(),
+        operation: 'delete',
+        options: {
+            etag: rec.etag
+        }
+    };
+}
+
+
 /**
  * Determines records that need to be added to moray based on changes to
- * provision_start_ip and provision_end_ip
+ * the network's provision range: placeholder records are moved to be just
+ * outside each of the updated network's provision segments.
  *
  * @param app {App}
  * @param log {Bunyan Logger}
- * @param update {Object}:
- * - `provision_start_ip` {Number}: provision range start (optional)
- * - `provision_end_ip` {Number}: provision range end (optional)
+ * @param network {Network}: the network before the update
+ * @param updated {Network}: the network after the update
  * @param callback {Function} `function (err, batch)`
  * - Where batch is either null or an array suitable for passing to the
  *   moray client's .batch() method
  */
-function provisionRangeUpdates(app, log, network, update, callback) {
-    if (!update.hasOwnProperty('provision_start_ip') &&
-        !update.hasOwnProperty('provision_end_ip')) {
-        return callback();
+function provisionRangeUpdates(app, log, network, updated, callback) {
+    var batch = [];
+    var oldMarkers = provisionMarkers(network);
+    var newMarkers = provisionMarkers(updated);
+    var toCheck = [];
+
+    Object.keys(oldMarkers).forEach(function (m) {
+        if (!newMarkers.hasOwnProperty(m)) {
+            toCheck.push({ addr: oldMarkers[m], remove: true });
+        }
+    });
+
+    Object.keys(newMarkers).forEach(function (m) {
+        if (!oldMarkers.hasOwnProperty(m)) {
+            toCheck.push({ addr: newMarkers[m], remove: false });
+        }
+    });
+
+    if (toCheck.length === 0) {
+        callback();
+        return;
     }
 
-    var batch = [];
-    var ipBucket = mod_ip.bucket(network.uuid);
-    var toMove = [];
-
-    if (update.hasOwnProperty('provision_start_ip') &&
-        update.provision_start_ip.compare(network.params.provision_start_ip) !==
-        0) {
-        toMove.push({
-            before: util_ip.ipAddrMinus(network.params.provision_start_ip, 1),
-            after: util_ip.ipAddrMinus(update.provision_start_ip, 1)
+    function moveRecord(check, cb) {
+        mod_ip.get({
+            app: app,
+            log: log,
+            params: {
+                ip: check.addr,
+                network: network,
+                network_uuid: network.uuid
+            },
+            returnObject: true
+        }, function (err, rec) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            if (check.remove) {
+                var del = deletePlaceholderBatch(network, rec);
+                if (del) {
+                    batch.push(del);
+                }
+
+            } else if (rec.etag === null) {
+                // The new IP doesn't exist yet, so create it for gap
+                // detection reasons
+                batch.push(new mod_ip.IP(placeholderIP(network,
+                    check.addr)).batch());
+            }
+
+            cb();
         });
     }
 
-    if (update.hasOwnProperty('provision_end_ip') &&
-        update.provision_end_ip.compare(network.params.provision_end_ip) !==
-        0) {
-        toMove.push({
-            before: util_ip.ipAddrPlus(network.params.provision_end_ip, 1),
-            after: util_ip.ipAddrPlus(update.provision_end_ip, 1)
+    vasync.forEachParallel({
+        func: moveRecord,
+        inputs: toCheck
+    }, function (err) {
+        return callback(err, batch);
+    });
+}
+
+
+/**
+ * Returns the highest address in a subnet: for IPv4, this is the broadcast
+ * address.
+ */
+function subnetHighestIP(subnet) {
+    if (subnet.address().kind() === 'ipv4') {
+        return subnet.broadcast();
+    }
+
+    return subnet.last();
+}
+
+
+/**
+ * Determines records that need to be added, updated or removed in moray
+ * when a network's subnet changes:
+ * - the new broadcast address (IPv4 only) is reserved for the admin user
+ * - placeholder records are created just outside the provision segments
+ * - the old broadcast address and old placeholder records are removed
+ *
+ * @param app {App}
+ * @param log {Bunyan Logger}
+ * @param network {Network}: the network before the update
+ * @param updated {Network}: the network after the update
+ * @param callback {Function} `function (err, batch)`
+ */
+function subnetUpdates(app, log, network, updated, callback) {
+    var batch = [];
+    var isIPv4 = network.family === 'ipv4';
+    var oldBroadcast = isIPv4 ? network.subnet.broadcast() : null;
+    var records = {};
+    var toCheck = [];
+
+    function addRecord(addr, want) {
+        var key = addr.toString();
+        if (records.hasOwnProperty(key)) {
+            return;
+        }
+
+        records[key] = true;
+        toCheck.push({ addr: addr, want: want });
+    }
+
+    function addMarkers(markers, want) {
+        Object.keys(markers).forEach(function (m) {
+            addRecord(markers[m], want);
         });
     }
-    function moveRecord(move, cb) {
-        var oldIP = move.before;
-        var newIP = move.after;
-        var getOpts = {
-            app: app,
-            log: log,
-            params: { ip: oldIP, network: network, network_uuid: network.uuid }
-        };
 
-        mod_ip.get(getOpts, function (err2, oldRec) {
-            var oldIPKey = mod_ip.key(network.ip_use_strings, oldIP);
-            var newIPKey = mod_ip.key(network.ip_use_strings, newIP);
+    // Records are added in priority order: an address only gets the
+    // first action it's added with.
+    if (isIPv4) {
+        addRecord(updated.subnet.broadcast(), 'broadcast');
+    }
+
+    addMarkers(provisionMarkers(updated), 'marker');
 
-            if (err2) {
-                return cb(err2);
-            }
+    if (isIPv4) {
+        addRecord(oldBroadcast, 'free');
+    }
 
-            // Old IP: if it's just a placeholder record (eg: one with
-            // reserved: false and nothing else set), just delete it.
-            var oldRaw = oldRec.raw();
+    addMarkers(provisionMarkers(network), 'free');
 
+    function updateRecord(check, cb) {
+        var addr = check.addr;
+        var isOldBroadcast = isIPv4 && addr.compare(oldBroadcast) === 0;
 
-            if (!oldRaw.hasOwnProperty('belongs_to_uuid') &&
-                !oldRaw.reserved) {
-                batch.push({
-                    bucket: ipBucket.name,
-                    key: oldIPKey,
-                    operation: 'delete',
-                    options: {
-                        etag: oldRec.params._etag
-                    }
-                });
+        mod_ip.get({
+            app: app,
+            log: log,
+            params: { ip: addr, network: network, network_uuid: network.uuid },
+            returnObject: true
+        }, function (err, rec) {
+            if (err) {
+                cb(err);
+                return;
             }
 
-            getOpts.params.ip = newIP;
-            mod_ip.get(getOpts, function (err3, _) {
-                if (err3) {
-                    if (err3.statusCode === 404) {
-                        batch.push({
-                            bucket: ipBucket.name,
-                            key: newIPKey,
-                            operation: 'put',
-                            options: {
-                                etag: null
-                            },
-                            value: new mod_ip.IP(placeholderIP(network,
-                                newIP)).raw()
-                        });
-
-                        return cb();
-                    }
+            var exists = rec.etag !== null;
+            var isPlaceholder = exists && !rec.params.belongs_to_uuid &&
+                !rec.params.reserved;
+            var newParams;
 
-                    // The new IP already exists, so we don't need to create
-                    // it for gap detection reasons
-                    return cb(err3);
+            switch (check.want) {
+            case 'broadcast':
+                if (!exists || isPlaceholder) {
+                    newParams = adminReservedIP(network, addr,
+                        app.config.ufdsAdminUuid);
                 }
+                break;
 
-                return cb();
-            });
+            case 'marker':
+                if (!exists || isOldBroadcast) {
+                    newParams = placeholderIP(network, addr);
+                }
+                break;
+
+            default:
+                if (isPlaceholder || (exists && isOldBroadcast)) {
+                    batch.push({
+                        bucket: mod_ip.bucketName(network.uuid),
+                        key: mod_ip.key(network.ip_use_strings, addr),
+                        operation: 'delete',
+                        options: {
+                            etag: rec.etag
+                        }
+                    });
+                }
+                break;
+            }
+
+            if (newParams) {
+                newParams.etag = rec.etag;
+                batch.push(new mod_ip.IP(newParams).batch());
+            }
+
+            cb();
         });
     }
 
     vasync.forEachParallel({
-        func: moveRecord,
-        inputs: toMove
+        func: updateRecord,
+        inputs: toCheck
     }, function (err) {
-        return callback(err, batch);
+        log.debug({ batch: batch }, 'subnetUpdates: IP record changes');
+        callback(err, batch);
+    });
+}
+
+
+/**
+ * Returns the serialized form of an array of address ranges
+ */
+function serializeRanges(ranges) {
+    return ranges.map(function (r) {
+        return {
+            start: r.start.toString(),
+            end: r.end.toString()
+        };
     });
 }
 
@@ -552,6 +770,18 @@ function validateGateway(_, name, val, cb) {
 }
 
 
+/**
+ * Validate a UUID, allowing it to be empty so that it can be removed
+ */
+function validateOptionalUUID(_, name, val, cb) {
+    if (val === null || val === '') {
+        return cb();
+    }
+
+    return validate.UUID(null, name, val, cb);
+}
+
+
 /**
  * Validate the UUID for 'get': it's allowed to be a UUID or the string "admin"
  */
@@ -657,12 +887,6 @@ function validateImmutableFields(opts, _original, parsed, cb) {
         }
     });
 
-    if (parsed.hasOwnProperty('subnet') &&
-        network.subnet.compare(parsed.subnet) !== 0) {
-        errs.push(errors.invalidParam('subnet',
-            constants.msg.NET_PROP_IMMUTABLE));
-    }
-
     if (!network.fabric) {
         done();
         return;
@@ -688,6 +912,12 @@ function validateAddressFamily(_opts, params, parsed, callback) {
         assert.object(parsed.subnet_start, 'parsed.subnet_start');
         assert.number(parsed.subnet_bits, 'parsed.subnet_bits');
         subnetType = parsed.subnet_start.kind();
+
+        if (parsed.family && parsed.family !== subnetType) {
+            callback(errors.invalidParam('family',
+                constants.msg.SUBNET_FAMILY_MISMATCH));
+            return;
+        }
     } else if (parsed.family) {
         subnetType = parsed.family;
     } else {
@@ -781,11 +1011,15 @@ function validateAddressFamily(_opts, params, parsed, callback) {
 function validateProvisionRangeUpdate(opts, params, parsed, cb) {
     if (!parsed.hasOwnProperty('provision_start_ip') &&
         !parsed.hasOwnProperty('provision_end_ip') &&
-        !parsed.hasOwnProperty('gateway')) {
+        !parsed.hasOwnProperty('provision_ranges') &&
+        !parsed.hasOwnProperty('exclusion_ranges') &&
+        !parsed.hasOwnProperty('gateway') &&
+        !parsed.hasOwnProperty('_subnet')) {
         cb();
         return;
     }
 
+    var fabric = opts.fabric;
     var toValidate = {
         vnet_id: params.network.params.vnet_id,
         subnet_bits: params.network.params.subnet_bits,
@@ -800,15 +1034,224 @@ function validateProvisionRangeUpdate(opts, params, parsed, cb) {
         toValidate.gateway = parsed.gateway;
     }
 
+    ['provision_ranges', 'exclusion_ranges'].forEach(function (p) {
+        var ranges = parsed.hasOwnProperty(p) ?
+            parsed[p] : params.network.params[p];
+        if (ranges && ranges.length !== 0) {
+            toValidate[p] = ranges;
+        }
+    });
+
+    /*
+     * When resizing the subnet, the existing gateway and provision range
+     * need to fit within the new one, and the new subnet must not overlap
+     * with any other networks.
+     */
+    if (parsed.hasOwnProperty('_subnet')) {
+        toValidate.subnet_bits = parsed.subnet_bits;
+        toValidate.subnet_start = parsed.subnet_start;
+        toValidate.fabric = params.network.fabric;
+        fabric = params.network.fabric;
+
+        if (!parsed.hasOwnProperty('gateway') &&
+            params.network.params.gateway) {
+            toValidate.gateway = params.network.params.gateway;
+        }
+    }
+
     validateProvisionRange({
         app: opts.app,
-        fabric: opts.fabric,
+        fabric: fabric,
         log: opts.log,
         owner_uuid: opts.owner_uuid,
         uuid: params.network.uuid
     }, null, toValidate, cb);
 }
 
+
+/**
+ * If provision_ranges is specified, sets provision_start_ip and
+ * provision_end_ip to the start of the first range and the end of the last
+ * one, checking that they match if they're also specified. When updating
+ * a network with provision_ranges, its provision_start_ip and
+ * provision_end_ip can only be changed by updating provision_ranges.
+ */
+function validateProvisionRanges(opts, _, parsed, cb) {
+    var network = opts.network;
+
+    if (!parsed.hasOwnProperty('provision_ranges')) {
+        if (network && network.params.provision_ranges) {
+            var errs = [ 'provision_start_ip', 'provision_end_ip' ].filter(
+                function (p) {
+                return parsed.hasOwnProperty(p) &&
+                    parsed[p].compare(network.params[p]) !== 0;
+            }).map(function (p) {
+                return errors.invalidParam(p, constants.msg.PROV_RANGES_SET);
+            });
+
+            if (errs.length !== 0) {
+                cb(errs);
+                return;
+            }
+        }
+
+        cb();
+        return;
+    }
+
+    // An empty array removes the ranges on update
+    if (parsed.provision_ranges.length === 0) {
+        cb();
+        return;
+    }
+
+    var merged = util_ip.mergeRanges(parsed.provision_ranges);
+    var start = merged[0].start;
+    var end = merged[merged.length - 1].end;
+
+    if ((parsed.provision_start_ip &&
+        parsed.provision_start_ip.compare(start) !== 0) ||
+        (parsed.provision_end_ip &&
+        parsed.provision_end_ip.compare(end) !== 0)) {
+        cb(errors.invalidParam('provision_ranges',
+            constants.msg.PROV_RANGES_BOUNDS));
+        return;
+    }
+
+    parsed.provision_start_ip = start;
+    parsed.provision_end_ip = end;
+
+    cb();
+}
+
+
+/**
+ * Checks that all of the ranges in parsedParams[name] are within the subnet,
+ * returning an error if not.
+ */
+function rangesInSubnetErr(parsedParams, name, subnet) {
+    var ranges = parsedParams[name] || [];
+    var subnetType = subnet.address().kind();
+
+    for (var r in ranges) {
+        var range = ranges[r];
+
+        if (range.start.kind() !== subnetType) {
+            return errors.invalidParam(name,
+                constants.msg.PROV_RANGES_TYPE_MISMATCH);
+        }
+
+        if (!subnet.contains(range.start) || !subnet.contains(range.end)) {
+            return errors.invalidParam(name,
+                constants.msg.PROV_RANGES_OUTSIDE);
+        }
+
+        if (name === 'provision_ranges' && subnetType === 'ipv4' &&
+            range.end.compare(subnet.broadcast()) === 0) {
+            return errors.invalidParam(name, constants.msg.PROV_RANGES_BCAST);
+        }
+    }
+
+    return null;
+}
+
+
+/**
+ * Validates a change to a network's subnet: the address family must stay
+ * the same. If the subnet is actually changing, sets parsed._subnet to the
+ * new subnet's CIDR object.
+ */
+function validateSubnetUpdate(opts, _, parsed, cb) {
+    var network = opts.network;
+
+    if (!parsed.hasOwnProperty('subnet')) {
+        cb();
+        return;
+    }
+
+    if (parsed.subnet_start.kind() !== network.family) {
+        cb(errors.invalidParam('subnet',
+            constants.msg.SUBNET_FAMILY_IMMUTABLE));
+        return;
+    }
+
+    var subnet = ipaddr.createCIDR(parsed.subnet_start, parsed.subnet_bits);
+    if (network.subnet.compare(subnet) !== 0) {
+        parsed._subnet = subnet;
+    }
+
+    cb();
+}
+
+
+/**
+ * When shrinking a network's subnet, ensure that none of the addresses that
+ * will be outside of it (or that will become its broadcast address) are in
+ * use. Addresses reserved for the admin user (like the old broadcast
+ * address) are not considered to be in use.
+ */
+function validateSubnetInUse(opts, _, parsed, cb) {
+    if (!parsed.hasOwnProperty('_subnet')) {
+        cb();
+        return;
+    }
+
+    var network = opts.network;
+    var newSubnet = parsed._subnet;
+    var oldHigh = subnetHighestIP(network.subnet);
+    var newHigh = subnetHighestIP(newSubnet);
+    var lookupBy = network.ip_use_strings ? 'ipaddr' : 'ip';
+    var ranges = [];
+
+    function ipVal(addr) {
+        return network.ip_use_strings ? addr.toString() : addr.toLong();
+    }
+
+    if (newSubnet.address().compare(network.subnet.address()) > 0) {
+        ranges.push(fmt('(%s<=%s)', lookupBy,
+            ipVal(util_ip.ipAddrMinus(newSubnet.address(), 1))));
+    }
+
+    // For IPv4, the new broadcast address must also be free
+    var highUsed = network.family === 'ipv4' ?
+        newHigh : util_ip.ipAddrPlus(newHigh, 1);
+    if (highUsed.compare(oldHigh) <= 0) {
+        ranges.push(fmt('(%s>=%s)', lookupBy, ipVal(highUsed)));
+    }
+
+    if (ranges.length === 0) {
+        cb();
+        return;
+    }
+
+    var filter = fmt(
+        '(&(belongs_to_uuid=*)(!(&(belongs_to_type=other)' +
+        '(belongs_to_uuid=%s)))(|%s))',
+        opts.app.config.ufdsAdminUuid, ranges.join(''));
+
+    opts.log.debug({ filter: filter }, 'validateSubnetInUse: finding IPs');
+
+    var req = opts.app.moray.findObjects(mod_ip.bucketName(network.uuid),
+        filter, { limit: constants.DEFAULT_LIMIT });
+    var errs = [];
+
+    req.on('record', function (rec) {
+        var addr = rec.value.ipaddr || util_ip.ntoa(rec.value.ip);
+        errs.push(errors.usedByParam('subnet', rec.value.belongs_to_type,
+            rec.value.belongs_to_uuid,
+            fmt(constants.fmt.SUBNET_IP_IN_USE, addr)));
+    });
+
+    req.once('error', function (err) {
+        opts.log.error(err, 'validateSubnetInUse: error');
+        cb(err);
+    });
+
+    req.once('end', function () {
+        cb(errs.length === 0 ? null : errs);
+    });
+}
+
 function validateSubnetAutoAlloc(opts, _, parsedParams, callback) {
     var errs = [];
     if (!opts.app.config.autoAllocSubnets) {
@@ -832,13 +1275,39 @@ function validateSubnetAutoAlloc(opts, _, parsedParams, callback) {
 
     if (!parsedParams.family) {
         errs.push(new errors.missingParam('family'));
+    } else if (opts.fabric && parsedParams.family !== 'ipv4') {
+        errs.push(new errors.invalidParam('family',
+            constants.msg.FABRIC_IPV4_ONLY));
     }
     if (!parsedParams.subnet_prefix) {
         errs.push(new errors.missingParam('subnet_prefix'));
     }
-    if (!parsedParams.vnet_id) {
-        errs.push(new errors.missingParam('vnet_id'));
+
+    if (opts.fabric) {
+        if (parsedParams.subnet_prefix && parsedParams.subnet_prefix !== 24) {
+            errs.push(new errors.invalidParam('subnet_prefix',
+                'Only /24 is supported'));
+        }
+        if (!parsedParams.vnet_id) {
+            errs.push(new errors.missingParam('vnet_id'));
+        }
+    } else if (!parsedParams.address_block_uuid) {
+        /*
+         * Networks in an address block are allocated from the block's subnet
+         * (see validateAddressBlock). Otherwise, the nic tag needs a
+         * container in the config to allocate from.
+         */
+        var containers = opts.app.subnetAllocContainers;
+
+        if (!containers.hasOwnProperty(parsedParams.nic_tag)) {
+            errs.push(new errors.invalidParam('subnet_alloc',
+                constants.msg.SUBNET_ALLOC_CONTAINER));
+        } else if (parsedParams.family && parsedParams.subnet_prefix) {
+            parsedParams._container = containers[parsedParams.nic_tag];
+            errs = errs.concat(subnetContainerErrs(parsedParams));
+        }
     }
+
     errors.sortErrsByField(errs);
     if (errs.length > 0) {
         callback(errs);
@@ -847,6 +1316,45 @@ function validateSubnetAutoAlloc(opts, _, parsedParams, callback) {
     callback();
 }
 
+/**
+ * Returns the errors for auto-allocating a subnet with the requested family
+ * and prefix length from parsedParams._container.
+ */
+function subnetContainerErrs(parsedParams) {
+    var container = parsedParams._container;
+    var family = container.address().kind();
+    var errs = [];
+
+    if (parsedParams.family !== family) {
+        errs.push(errors.invalidParam('family',
+            constants.msg.SUBNET_ALLOC_FAMILY));
+    } else if (parsedParams.subnet_prefix < container.prefixLength() ||
+        parsedParams.subnet_prefix > (family === 'ipv4' ? 32 : 128)) {
+        errs.push(errors.invalidParam('subnet_prefix',
+            constants.msg.SUBNET_ALLOC_PREFIX));
+    }
+
+    return errs;
+}
+
+/**
+ * IPv6 subnets are usually far too large for operators to want to pick the
+ * provisioning range themselves, so if either end of the range is missing,
+ * default it to the first or last usable address in the subnet.
+ */
+function defaultIPv6ProvisionRange(parsedParams) {
+    var range = autoalloc.allocProvisionRange(ipaddr.createCIDR(
+        parsedParams.subnet_start, parsedParams.subnet_bits));
+
+    if (!parsedParams.provision_start_ip) {
+        parsedParams.provision_start_ip = util_ip.toIPAddr(range[0]);
+    }
+
+    if (!parsedParams.provision_end_ip) {
+        parsedParams.provision_end_ip = util_ip.toIPAddr(range[1]);
+    }
+}
+
 function validateSubnetParamsAlloc(_opts, _, parsedParams, callback) {
     var errs = [];
     if (parsedParams.subnet_alloc) {
@@ -857,6 +1365,10 @@ function validateSubnetParamsAlloc(_opts, _, parsedParams, callback) {
         errs.push(new errors.invalidParam('subnet_prefix',
             'Auto allocation parameter not allowed'));
     }
+    if (parsedParams.subnet_start &&
+        parsedParams.subnet_start.kind() === 'ipv6') {
+        defaultIPv6ProvisionRange(parsedParams);
+    }
     if (!parsedParams.provision_start_ip) {
         errs.push(new errors.missingParam('provision_start_ip'));
     }
@@ -880,8 +1392,8 @@ function validateSubnetParamsAlloc(_opts, _, parsedParams, callback) {
  *    [subnet, provision_start_ip, provision_end_ip]
  *    [subnet_alloc, family, subnet_prefix]
  *
- * Also validates that params.fabric = true and vnet_id = defined for
- * subnet_alloc path.
+ * Also validates that vnet_id is defined for fabrics on the subnet_alloc
+ * path, and that there's a container to allocate from for other networks.
  */
 function validateSubnetAlloc(opts, original, parsedParams, callback) {
     if (parsedParams.subnet_alloc) {
@@ -891,6 +1403,79 @@ function validateSubnetAlloc(opts, original, parsedParams, callback) {
     }
 }
 
+/**
+ * If the network is in an address block, ensure that the block exists and
+ * that the network's subnet fits inside of it. This is checked when
+ * creating a network in a block, moving a network into one, or changing
+ * the subnet of a network that's in one. Networks created in a block with
+ * subnet_alloc have their subnet allocated from the block's subnet.
+ */
+function validateAddressBlock(opts, _, parsed, cb) {
+    var network = opts.network;
+    var blockUUID;
+    var containerErrs;
+    var subnet;
+
+    if (parsed.hasOwnProperty('address_block_uuid')) {
+        blockUUID = parsed.address_block_uuid;
+    } else if (network && parsed._subnet) {
+        blockUUID = network.params.address_block_uuid;
+    }
+
+    if (!blockUUID) {
+        cb();
+        return;
+    }
+
+    if (parsed.subnet_alloc && opts.fabric) {
+        cb(errors.invalidParam('address_block_uuid',
+            constants.msg.BLOCK_SUBNET_ALLOC));
+        return;
+    }
+
+    if (network) {
+        subnet = parsed._subnet || network.subnet;
+    } else if (parsed.subnet_start) {
+        subnet = ipaddr.createCIDR(parsed.subnet_start, parsed.subnet_bits);
+    } else if (!parsed.subnet_alloc) {
+        cb();
+        return;
+    }
+
+    mod_block.get({
+        app: opts.app,
+        log: opts.log,
+        params: { uuid: blockUUID }
+    }, function (err, block) {
+        if (err) {
+            if (err.name === 'ResourceNotFoundError') {
+                cb(errors.invalidParam('address_block_uuid',
+                    constants.msg.BLOCK_UNKNOWN));
+            } else {
+                cb(err);
+            }
+            return;
+        }
+
+        if (parsed.subnet_alloc) {
+            // Allocate the network's subnet from the block
+            parsed._container = block.subnet;
+            containerErrs = (parsed.family && parsed.subnet_prefix) ?
+                subnetContainerErrs(parsed) : [];
+            cb(containerErrs.length === 0 ? null : containerErrs);
+            return;
+        }
+
+        if (!block.contains(subnet)) {
+            cb(errors.invalidParam('subnet', constants.msg.BLOCK_OUTSIDE));
+            return;
+        }
+
+        cb();
+    });
+}
+
+
 /**
  * Validates that:
  * * the provision start and end IPs are within the subnet
@@ -971,6 +1556,22 @@ function validateProvisionRange(opts, _, parsedParams, callback) {
                     constants.PROV_RANGE_ORDER_MSG));
     }
 
+    [ 'exclusion_ranges', 'provision_ranges' ].forEach(function (name) {
+        var rangeErr = rangesInSubnetErr(parsedParams, name, subnet);
+        if (rangeErr) {
+            errs.push(rangeErr);
+        }
+    });
+
+    if (errs.length === 0 && parsedParams.exclusion_ranges &&
+        util_ip.excludeRanges(parsedParams.provision_ranges || [ {
+            start: provisionStart,
+            end: provisionEnd
+        } ], parsedParams.exclusion_ranges).length === 0) {
+        errs.push(errors.invalidParam('exclusion_ranges',
+            constants.msg.EXCLUSIONS_COVER_RANGE));
+    }
+
     if (errs.length !== 0) {
         callback(errs);
         return;
@@ -1302,12 +1903,41 @@ function Network(params) {
         this.params.description = params.description;
     }
 
+    if (params.address_block_uuid) {
+        this.params.address_block_uuid = params.address_block_uuid;
+    }
+
+    if (params.hasOwnProperty('allocation_strategy')) {
+        this.params.allocation_strategy = params.allocation_strategy;
+    }
+
+    if (params.hasOwnProperty('ip_reuse_delay')) {
+        this.params.ip_reuse_delay = Number(params.ip_reuse_delay);
+    }
+
+    constants.RATE_LIMIT_PARAMS.forEach(function (p) {
+        if (params[p]) {
+            this.params[p] = Number(params[p]);
+        }
+    }, this);
+
     var resolvers = params.resolver_addrs || params.resolvers;
     if (resolvers) {
         this.params.resolvers =
             util_common.arrayify(resolvers).map(util_ip.toIPAddr);
     }
 
+    [ 'provision_ranges', 'exclusion_ranges' ].forEach(function (p) {
+        if (params[p] && params[p].length !== 0) {
+            this.params[p] = params[p].map(function (range) {
+                return {
+                    start: util_ip.toIPAddr(range.start),
+                    end: util_ip.toIPAddr(range.end)
+                };
+            });
+        }
+    }, this);
+
     if (params.fabric) {
         if (params.gateway) {
             this.params.gateway_provisioned =
@@ -1321,6 +1951,18 @@ function Network(params) {
 
     this.provisionMax = this.params.provision_end_ip;
     this.provisionMin = this.params.provision_start_ip;
+
+    // The ranges of addresses that can actually be provisioned on: the
+    // provision ranges, minus any exclusion ranges
+    this.provisionSegments = [];
+    if (this.provisionMin && this.provisionMax) {
+        this.provisionSegments = util_ip.excludeRanges(
+            this.params.provision_ranges || [ {
+                start: this.provisionMin,
+                end: this.provisionMax
+            } ], this.params.exclusion_ranges || []);
+    }
+
     this.subnetBits = this.params.subnet_bits;
     this.subnetStart = this.params.subnet_start;
     this.subnet = this.params.subnet;
@@ -1333,6 +1975,9 @@ function Network(params) {
         this.fields = params.fields;
     }
 
+    // Set by ListNetworks when usage=true
+    this.usage = null;
+
     Object.seal(this);
 }
 
@@ -1341,6 +1986,13 @@ Object.defineProperty(Network.prototype, 'gateway_provisioned', {
     set: function (val) { this.params.gateway_provisioned = val; }
 });
 
+Object.defineProperty(Network.prototype, 'allocation_strategy', {
+    get: function () {
+        return this.params.allocation_strategy ||
+            constants.DEFAULT_ALLOCATION_STRATEGY;
+    }
+});
+
 Object.defineProperty(Network.prototype, 'nic_tag', {
     get: function () { return this.params.nic_tag; }
 });
@@ -1445,6 +2097,12 @@ Network.prototype.raw = function networkRaw(_) {
         raw.owner_uuids_arr = this.params.owner_uuids;
     }
 
+    [ 'provision_ranges', 'exclusion_ranges' ].forEach(function (p) {
+        if (this.params[p]) {
+            raw[p] = serializeRanges(this.params[p]);
+        }
+    }, this);
+
     if (this.params.hasOwnProperty('resolvers')) {
         raw.resolver_addrs = this.params.resolvers.map(function (r) {
             return r.toString();
@@ -1470,6 +2128,24 @@ Network.prototype.raw = function networkRaw(_) {
         raw.description = this.params.description;
     }
 
+    if (this.params.hasOwnProperty('address_block_uuid')) {
+        raw.address_block_uuid = this.params.address_block_uuid;
+    }
+
+    if (this.params.hasOwnProperty('allocation_strategy')) {
+        raw.allocation_strategy = this.params.allocation_strategy;
+    }
+
+    if (this.params.hasOwnProperty('ip_reuse_delay')) {
+        raw.ip_reuse_delay = this.params.ip_reuse_delay;
+    }
+
+    constants.RATE_LIMIT_PARAMS.forEach(function (p) {
+        if (this.params.hasOwnProperty(p)) {
+            raw[p] = this.params[p];
+        }
+    }, this);
+
     if (this.params.fabric) {
         raw.vnet_id = this.params.vnet_id;
     }
@@ -1533,6 +2209,32 @@ Network.prototype.serialize = function networkSerialize(opts) {
         ser.description = this.params.description;
     }
 
+    if (this.params.address_block_uuid) {
+        ser.address_block_uuid = this.params.address_block_uuid;
+    }
+
+    if (this.params.allocation_strategy) {
+        ser.allocation_strategy = this.params.allocation_strategy;
+    }
+
+    if (this.params.hasOwnProperty('ip_reuse_delay')) {
+        ser.ip_reuse_delay = this.params.ip_reuse_delay;
+    }
+
+    constants.RATE_LIMIT_PARAMS.forEach(function (p) {
+        if (this.params.hasOwnProperty(p)) {
+            ser[p] = this.params[p];
+        }
+    }, this);
+
+    if (this.params.provision_ranges) {
+        ser.provision_ranges = serializeRanges(this.params.provision_ranges);
+    }
+
+    if (this.params.exclusion_ranges) {
+        ser.exclusion_ranges = serializeRanges(this.params.exclusion_ranges);
+    }
+
     if (this.params.owner_uuids) {
         if (fabricDisplay) {
             ser.owner_uuid = this.params.owner_uuids[0];
@@ -1546,6 +2248,10 @@ Network.prototype.serialize = function networkSerialize(opts) {
         ser.netmask = util_ip.bitsToNetmask(this.params.subnet_bits);
     }
 
+    if (this.usage) {
+        ser.usage = this.usage;
+    }
+
     if (this.fields) {
         for (var f in this.fields) {
             if (ser.hasOwnProperty(this.fields[f])) {
@@ -1641,27 +2347,121 @@ function listFilteredNetworksStream(opts, baseFilter, marker, attr) {
     var dupOpts = jsprim.deepCopy(opts);
     var filter;
 
-    var s = new lomstream.LOMStream({
-        fetch: function (opts2, lobj, _datacb, cb) {
-            var copyOpts = jsprim.deepCopy(opts2);
-            copyOpts.limit = lobj.limit;
-            filter = addSubnetMarkerToFilter(baseFilter, lobj.marker);
+    var s = new lomstream.LOMStream({
+        fetch: function (opts2, lobj, _datacb, cb) {
+            var copyOpts = jsprim.deepCopy(opts2);
+            copyOpts.limit = lobj.limit;
+            filter = addSubnetMarkerToFilter(baseFilter, lobj.marker);
+
+            listFilteredNetworks(copyOpts, filter, attr, function (err, nets) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                cb(null, { done: nets.length === 0, results: nets });
+                return;
+            });
+        },
+        marker: marker,
+        limit: 10,
+        fetcharg: dupOpts
+    });
+    return s;
+}
+
+
+/**
+ * Returns the SQL conditions that limit a query to the networks that a
+ * non-fabric network with the given subnet can't overlap when its subnet is
+ * allocated: all non-fabric networks, or for private subnets only those on
+ * the same nic tag and VLAN as in params (see sameTagAndVLAN()). Any
+ * arguments for the conditions are appended to args.
+ *
+ * This is stricter than validateProvisionRange(), which allows private
+ * subnets to overlap any network: allocating them would otherwise always
+ * pick the first subnet in the container.
+ */
+function normalOverlapSQL(subnet, params, args) {
+    var sql = ' AND fabric != true';
+
+    if (util_ip.isRFC1918(subnet) || util_ip.isUniqueLocal(subnet)) {
+        if (params.hasOwnProperty('nic_tag')) {
+            args.push(params.nic_tag);
+            sql += ' AND nic_tag = $' + args.length;
+        }
+
+        if (params.hasOwnProperty('vlan_id')) {
+            args.push(params.vlan_id);
+            sql += ' AND vlan_id = $' + args.length;
+        }
+    }
+
+    return sql;
+}
+
+
+/**
+ * Returns true if a network record is on the nic tag and VLAN in params.
+ * Either one that isn't in params matches any network.
+ */
+function sameTagAndVLAN(params, rec) {
+    return (!params.hasOwnProperty('nic_tag') ||
+        rec.nic_tag === params.nic_tag) &&
+        (!params.hasOwnProperty('vlan_id') ||
+        Number(rec.vlan_id) === params.vlan_id);
+}
+
+
+/**
+ * Finds up to limit subnets with a prefix length of prefix inside within
+ * that a non-fabric network with the nic_tag and vlan_id in params could be
+ * allocated, following the same rules as normalOverlapSQL(). Whether a
+ * subnet is private is decided for each subnet, since within can contain
+ * both private and public addresses.
+ */
+function findAvailableSubnets(opts, within, prefix, params, limit, callback) {
+    var args = [ within.address().toString(), within.toString() ];
+    var sql = fmt(USED_SUBNETS_SQL, BUCKET.name);
+    var sameNet = [];
+    var used = [];
+
+    opts.log.debug({ sql: sql, args: args },
+        'findAvailableSubnets: finding used subnets');
+
+    var req = opts.app.moray.sql(sql, args);
+
+    req.on('record', function (r) {
+        var subnet = ipaddr.createCIDR(r.subnet);
+
+        used.push(subnet);
+        if (sameTagAndVLAN(params, r)) {
+            sameNet.push(subnet);
+        }
+    });
 
-            listFilteredNetworks(copyOpts, filter, attr, function (err, nets) {
-                if (err) {
-                    cb(err);
-                    return;
-                }
+    req.once('error', callback);
 
-                cb(null, { done: nets.length === 0, results: nets });
-                return;
-            });
-        },
-        marker: marker,
-        limit: 10,
-        fetcharg: dupOpts
+    req.on('end', function () {
+        // Subnets of this size inside private address spaces are private,
+        // so only the networks on the same nic tag and VLAN rule them out.
+        var privs = util_ip.privateSubnets(within).filter(function (priv) {
+            return priv.prefixLength() <= prefix;
+        });
+        var free = autoalloc.findFreeSubnets(within, prefix,
+            used.concat(privs), limit);
+
+        privs.forEach(function (priv) {
+            free = free.concat(autoalloc.findFreeSubnets(priv, prefix,
+                sameNet, limit));
+        });
+
+        free.sort(function (a, b) {
+            return a.address().compare(b.address());
+        });
+
+        callback(null, free.slice(0, limit));
     });
-    return s;
 }
 
 
@@ -1681,6 +2481,131 @@ function allocateSubnets(opts, callback) {
 }
 
 
+/**
+ * Sets the subnet and provision range of a network being created with
+ * subnet_alloc to an allocated subnet.
+ */
+function setAllocatedSubnet(validatedParams, subnet) {
+    validatedParams.subnet_start = subnet.address();
+    validatedParams.subnet_bits = subnet.prefixLength();
+    var provrange = autoalloc.allocProvisionRange(subnet);
+    validatedParams.provision_start_ip = provrange[0];
+    validatedParams.provision_end_ip = provrange[1];
+}
+
+
+/**
+ * Allocates the first free subnet in the container for a non-fabric
+ * network being created with subnet_alloc.
+ */
+function allocateNormalSubnet(opts, validatedParams, callback) {
+    findAvailableSubnets(opts, validatedParams._container,
+        validatedParams.subnet_prefix, validatedParams, 1,
+        function (err, subnets) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (subnets.length === 0) {
+            callback(new errors.SubnetsExhaustedError());
+            return;
+        }
+
+        setAllocatedSubnet(validatedParams, subnets[0]);
+        callback();
+    });
+}
+
+
+/**
+ * Two networks being created with subnet_alloc at the same time can be
+ * allocated the same subnet, since neither one exists when the other finds
+ * a free subnet. Once the network has been written to moray, check for
+ * overlapping networks: if one was written before this one, it gets the
+ * subnet, and this network is removed so that creation can be retried
+ * with another subnet.
+ */
+function checkSubnetAllocRace(opts, network, validatedParams, callback) {
+    var args = [ network.subnet.address().toString(),
+        network.subnet.toString() ];
+    var sql;
+
+    if (opts.fabric) {
+        sql = fmt(OVERLAP_FABRIC_NET_SQL, BUCKET.name);
+        args.push(validatedParams.vnet_id);
+    } else {
+        sql = fmt(OVERLAP_SQL_PREFIX, BUCKET.name) +
+            normalOverlapSQL(network.subnet, validatedParams, args);
+    }
+
+    var ownID = null;
+    var overlapping = [];
+    var req = opts.app.moray.sql(sql, args);
+
+    req.on('record', function (r) {
+        if (r.uuid === network.uuid) {
+            ownID = Number(r._id);
+        } else {
+            overlapping.push(r);
+        }
+    });
+
+    req.once('error', callback);
+
+    req.once('end', function () {
+        var lost = overlapping.filter(function (r) {
+            return ownID === null || Number(r._id) < ownID;
+        });
+
+        if (lost.length === 0) {
+            callback();
+            return;
+        }
+
+        opts.log.info({
+            network: network.uuid,
+            overlapping: lost,
+            subnet: network.subnet.toString()
+        }, 'Subnet allocated to another network: retrying');
+
+        opts.app.moray.delObject(BUCKET.name, network.uuid, {},
+            function (delErr) {
+            if (delErr) {
+                callback(delErr);
+                return;
+            }
+
+            var raceErr = new VError('subnet %s allocated to another network',
+                network.subnet.toString());
+            raceErr.subnetAllocRace = true;
+            callback(raceErr);
+        });
+    });
+}
+
+
+/**
+ * Retries creating a network with subnet_alloc after losing a race for
+ * its subnet, up to SUBNET_ALLOC_RETRIES times.
+ */
+function retrySubnetAlloc(opts, callback) {
+    var tries = (opts.subnetAllocTries || 0) + 1;
+
+    if (tries > constants.SUBNET_ALLOC_RETRIES) {
+        opts.log.error({ tries: tries },
+            'createNetwork: Exceeded subnet allocation retries');
+        callback(new restify.InternalError(
+            constants.msg.SUBNET_ALLOC_FAILED));
+        return;
+    }
+
+    createNetwork(jsprim.mergeObjects(opts, { subnetAllocTries: tries }),
+        callback);
+}
+
+
+
 // --- Exported functions
 
 
@@ -1697,6 +2622,13 @@ function allocateSubnets(opts, callback) {
  *   - `nic_tag` {String}: nic tag name (required)
  *   - `provision_start_ip` {IP}: start address for provision range (required)
  *   - `provision_end_ip` {IP}: end address for provision range (required)
+ *   - `provision_ranges` {Array}: provision ranges, as objects with start
+ *     and end addresses (optional: overrides the start and end addresses)
+ *   - `exclusion_ranges` {Array}: ranges of addresses to not provision on
+ *   - `allocation_strategy` {String}: how to pick addresses when provisioning
+ *   - `ip_reuse_delay` {Number}: seconds before freed IPs can be reused
+ *   - `max_bandwidth_mbps` {Number}: default bandwidth limit for nics
+ *   - `max_pps` {Number}: default packet rate limit for nics
  *   - `resolvers` {IP Array}: DNS resolvers
  *   - `vlan_id` {Number}: VLAN ID (required)
  *   - `mtu` {Number}: MTU value
@@ -1735,6 +2667,12 @@ function createNetwork(opts, callback) {
                 cb();
                 return;
             }
+
+            if (!opts.fabric) {
+                allocateNormalSubnet(opts, validatedParams, cb);
+                return;
+            }
+
             allocateSubnets(opts, function (err, subnet_stream) {
                 /*
                  * Note that the subnet_stream is lazy by default, it does not
@@ -1763,11 +2701,7 @@ function createNetwork(opts, callback) {
                     if (subnet === null) {
                         return;
                     }
-                    validatedParams.subnet_start = subnet.address();
-                    validatedParams.subnet_bits = subnet.prefixLength();
-                    var provrange = autoalloc.allocProvisionRange(subnet);
-                    validatedParams.provision_start_ip = provrange[0];
-                    validatedParams.provision_end_ip = provrange[1];
+                    setAllocatedSubnet(validatedParams, subnet);
                     done();
                 }
 
@@ -1825,6 +2759,15 @@ function createNetwork(opts, callback) {
             });
         },
 
+        function _checkSubnetAllocRace(_, cb) {
+            if (!validatedParams.subnet_alloc) {
+                cb();
+                return;
+            }
+
+            checkSubnetAllocRace(opts, network, validatedParams, cb);
+        },
+
         function _createIPbucket(_, cb) {
             mod_ip.bucketInit(app, network.uuid, cb);
         },
@@ -1875,12 +2818,11 @@ function createNetwork(opts, callback) {
             // them: they're just markers.
             // XXX: 0.0.0.0, 255.255.255.255 and analogous IPv6 addresses will
             // under/overflow
-            var lowerBound = util_ip.ipAddrMinus(network.provisionMin, 1);
-            var upperBound = util_ip.ipAddrPlus(network.provisionMax, 1);
-            [lowerBound, upperBound].forEach(
-                function (rangeNum) {
+            var markers = provisionMarkers(network);
+            Object.keys(markers).forEach(function (rangeNum) {
                 if (!ipsToCreate.hasOwnProperty(rangeNum)) {
-                    ipsToCreate[rangeNum] = placeholderIP(network, rangeNum);
+                    ipsToCreate[rangeNum] = placeholderIP(network,
+                        markers[rangeNum]);
                 }
             });
 
@@ -1910,6 +2852,11 @@ function createNetwork(opts, callback) {
 
         ]
     }, function (err, res) {
+        if (err && err.subnetAllocRace) {
+            retrySubnetAlloc(opts, callback);
+            return;
+        }
+
         if (err) {
             return callback(err);
         }
@@ -1928,6 +2875,14 @@ function createNetwork(opts, callback) {
  * - `network` {Network}: network to update (required)
  * - `name` {String}
  * - `description` {String}
+ * - `address_block_uuid` {UUID}: address block the network is in (or null
+ *   to remove it from its block)
+ * - `allocation_strategy` {String}: how to pick addresses when provisioning
+ * - `ip_reuse_delay` {Number}: seconds before freed IPs can be reused
+ * - `max_bandwidth_mbps` {Number}: default bandwidth limit for nics (or null
+ *   to remove it)
+ * - `max_pps` {Number}: default packet rate limit for nics (or null to
+ *   remove it)
  * - `gateway` {IP}: gateway IP address
  * - `owner_uuids` {Array of UUIDs}: network owners
  * - `provision_start_ip` {IP}: start address for provision range
@@ -1969,7 +2924,8 @@ function updateNetwork(opts, callback) {
 
         // -- moray-only values
 
-        ['description', 'mtu', 'ip_use_strings'].forEach(function (p) {
+        ['allocation_strategy', 'description', 'ip_reuse_delay', 'mtu',
+            'ip_use_strings'].forEach(function (p) {
             if (validated.hasOwnProperty(p)) {
                 batch[0].value[p] = validated[p].toString();
             }
@@ -1988,11 +2944,48 @@ function updateNetwork(opts, callback) {
             }
         });
 
+        ['provision_ranges', 'exclusion_ranges'].forEach(function (p) {
+            if (!validated.hasOwnProperty(p)) {
+                return;
+            }
+
+            if (validated[p].length === 0) {
+                delete batch[0].value[p];
+            } else {
+                batch[0].value[p] = serializeRanges(validated[p]);
+            }
+        });
+
         if (validated.hasOwnProperty('name')) {
             batch[0].value.name = validated.name.toString();
             batch[0].value.name_str = nameStr(batch[0].value);
         }
 
+        if (validated.hasOwnProperty('address_block_uuid')) {
+            if (validated.address_block_uuid) {
+                batch[0].value.address_block_uuid =
+                    validated.address_block_uuid;
+            } else {
+                delete batch[0].value.address_block_uuid;
+            }
+        }
+
+        // Nics on the network inherit these, so consumers need to know
+        // when they change
+        constants.RATE_LIMIT_PARAMS.forEach(function (p) {
+            if (!validated.hasOwnProperty(p)) {
+                return;
+            }
+
+            if (validated[p]) {
+                batch[0].value[p] = validated[p];
+            } else {
+                delete batch[0].value[p];
+            }
+
+            changed.push(p);
+        });
+
         if (validated.hasOwnProperty('owner_uuids')) {
             batch[0].value.owner_uuids =
                 mod_moray.arrayToVal(validated.owner_uuids);
@@ -2047,7 +3040,26 @@ function updateNetwork(opts, callback) {
             changed.push('routes');
         }
 
-        provisionRangeUpdates(app, log, params.network, validated,
+        var ipUpdates = provisionRangeUpdates;
+
+        if (validated.hasOwnProperty('_subnet')) {
+            batch[0].value.subnet = validated._subnet.toString();
+            batch[0].value.subnet_start = validated.subnet_start.toString();
+            batch[0].value.subnet_bits = validated.subnet_bits;
+
+            // Backward-compatibility (for rollback)
+            if (isIPv4) {
+                batch[0].value.subnet_start_ip =
+                    validated._subnet.address().toLong();
+                batch[0].value.subnet_end_ip =
+                    validated._subnet.broadcast().toLong();
+            }
+
+            ipUpdates = subnetUpdates;
+            changed.push('subnet');
+        }
+
+        ipUpdates(app, log, params.network, new Network(batch[0].value),
             function (pruErr, updates) {
             if (pruErr) {
                 callback(pruErr);
@@ -2091,12 +3103,74 @@ function updateNetwork(opts, callback) {
 }
 
 
+/**
+ * Ensure that a network search has exactly one of an ip or a subnet.
+ */
+function validateSearchAddress(_opts, _, parsedParams, cb) {
+    var hasIP = parsedParams.hasOwnProperty('ip');
+    var hasSubnet = parsedParams.hasOwnProperty('subnet');
+
+    if (hasIP && hasSubnet) {
+        cb(errors.invalidParam('subnet', constants.msg.SEARCH_NET_ADDRESS));
+        return;
+    }
+
+    if (!hasIP && !hasSubnet) {
+        cb(errors.missingParam('ip', constants.msg.SEARCH_NET_ADDRESS));
+        return;
+    }
+
+    cb();
+}
+
+
+/**
+ * Ensure that the prefix length of the subnets to find fits inside the
+ * within subnet.
+ */
+function validateAvailablePrefix(_opts, _, parsedParams, cb) {
+    if (!parsedParams.subnet_start || !parsedParams.prefix) {
+        cb();
+        return;
+    }
+
+    var maxBits = parsedParams.subnet_start.kind() === 'ipv4' ? 32 : 128;
+
+    if (parsedParams.prefix < parsedParams.subnet_bits ||
+        parsedParams.prefix > maxBits) {
+        cb(errors.invalidParam('prefix', constants.msg.PREFIX_WITHIN));
+        return;
+    }
+
+    cb();
+}
+
+
 function validateListNetworks(params, callback) {
     validate.params(LIST_SCHEMA, null, params, callback);
 }
 
 
 
+/**
+ * Fetches the IP utilization of each of the networks, setting it in
+ * their usage property.
+ */
+function addNetworksUsage(opts, nets, callback) {
+    vasync.forEachPipeline({
+        inputs: nets,
+        func: function _addNetUsage(net, cb) {
+            mod_ip.usage(opts, net, function (err, usage) {
+                net.usage = usage || null;
+                cb(err);
+            });
+        }
+    }, function (err) {
+        callback(err, nets);
+    });
+}
+
+
 /**
  * Lists networks, filtering by parameters
  */
@@ -2108,12 +3182,15 @@ function listNetworks(opts, callback) {
     validateListNetworks(opts.params, function (err, params) {
         var ownerUUID;
         var provisionableBy;
+        var usage;
 
         if (err) {
             return callback(err);
         }
         ownerUUID = params.owner_uuid;
         provisionableBy = params.provisionable_by;
+        usage = params.usage;
+        delete params.usage;
 
         if (params.offset) {
             offset = Number(params.offset);
@@ -2188,7 +3265,14 @@ function listNetworks(opts, callback) {
                 attribute: 'name',
                 order: 'ASC'
             }
-        }, callback);
+        }, function (listErr, nets) {
+            if (listErr || !usage) {
+                callback(listErr, nets);
+                return;
+            }
+
+            addNetworksUsage(opts, nets, callback);
+        });
 
     });
 }
@@ -2417,6 +3501,172 @@ function findContainingNetworks(opts, vlan_id, nic_tag, vnet_id, ip, callback) {
 }
 
 
+/**
+ * Lists the networks with the UUIDs returned by an SQL query on the
+ * networks bucket that also match filter, sorted by UUID.
+ */
+function listNetworksBySQL(opts, sql, args, filter, callback) {
+    var req = opts.app.moray.sql(util.format(sql, BUCKET.name), args);
+    var uuids = [];
+
+    opts.log.debug({ sql: sql, args: args }, 'listNetworksBySQL: entry');
+
+    req.on('record', function (r) {
+        uuids.push(r.uuid);
+    });
+
+    req.on('error', callback);
+
+    req.on('end', function () {
+        if (uuids.length === 0) {
+            callback(null, []);
+            return;
+        }
+
+        filter.uuid = uuids;
+
+        mod_moray.listObjs({
+            filter: filter,
+            limit: uuids.length,
+            log: opts.log,
+            bucket: BUCKET,
+            model: Network,
+            moray: opts.app.moray,
+            sort: {
+                attribute: 'uuid',
+                order: 'ASC'
+            }
+        }, callback);
+    });
+}
+
+
+/**
+ * Lists the networks whose subnets contain an IP, using the index on the
+ * subnet column rather than checking every network.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `log` {Bunyan Logger}
+ * - `params` {Object}:
+ *   - `fabric` {Boolean}: only list fabric (or non-fabric) networks
+ *     (optional)
+ * @param ip {IPAddr}: the IP to find networks for
+ * @param callback {Function} `function (err, networks)`
+ */
+function listContainingNetworks(opts, ip, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.params, 'opts.params');
+    assert.optionalBool(opts.params.fabric, 'opts.params.fabric');
+    assert.object(ip, 'ip');
+    assert.func(callback, 'callback');
+
+    var filter = {};
+
+    if (opts.params.hasOwnProperty('fabric')) {
+        filter.fabric = opts.params.fabric;
+    }
+
+    listNetworksBySQL(opts, CONTAINING_IP_SQL, [ ip.toString() ], filter,
+        callback);
+}
+
+
+/**
+ * Searches for the networks whose subnets contain an IP, or overlap a
+ * subnet.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `log` {Bunyan Logger}
+ * - `params` {Object}:
+ *   - `ip` {String}: find networks containing this IP
+ *   - `subnet` {String}: find networks overlapping this subnet, in CIDR
+ *     form (exactly one of this or `ip` is required)
+ *   - `fabric` {Boolean}: only fabric (or non-fabric) networks (optional)
+ *   - `nic_tag` {String}: only networks with this nic tag (optional)
+ *   - `owner_uuid` {UUID}: only networks with this owner (optional)
+ *   - `vlan_id` {Number}: only networks with this VLAN ID (optional)
+ * @param callback {Function} `function (err, networks)`
+ */
+function searchNetworks(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.params, 'opts.params');
+    assert.func(callback, 'callback');
+
+    validate.params(SEARCH_SCHEMA, null, opts.params,
+        function (err, validated) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var args, sql;
+        var filter = {};
+
+        if (validated.ip) {
+            sql = CONTAINING_IP_SQL;
+            args = [ validated.ip.toString() ];
+        } else {
+            sql = OVERLAPPING_SUBNET_SQL;
+            args = [ validated.subnet_start.toString(), validated.subnet ];
+        }
+
+        [ 'fabric', 'nic_tag', 'vlan_id' ].forEach(function (p) {
+            if (validated.hasOwnProperty(p)) {
+                filter[p] = validated[p];
+            }
+        });
+
+        if (validated.owner_uuid) {
+            filter.owner_uuids_arr = validated.owner_uuid;
+        }
+
+        listNetworksBySQL(opts, sql, args, filter, callback);
+    });
+}
+
+
+/**
+ * Lists the subnets of a given size inside a subnet that a network could be
+ * allocated with subnet_alloc: a subnet can't overlap any non-fabric network,
+ * unless it's private, in which case it only can't overlap networks with
+ * the same nic tag and VLAN ID. This is stricter than createNetwork with a
+ * given subnet, which allows private subnets to overlap any network.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `log` {Bunyan Logger}
+ * - `params` {Object}:
+ *   - `within` {String}: the subnet to find subnets in, in CIDR form
+ *   - `prefix` {Number}: the prefix length of the subnets to find
+ *   - `limit` {Number}: the most subnets to return (optional)
+ *   - `nic_tag` {String}: the nic tag of the network (optional)
+ *   - `vlan_id` {Number}: the VLAN ID of the network (optional)
+ * @param callback {Function} `function (err, subnets)`, where subnets is
+ *   an array of ip6addr CIDR objects
+ */
+function listAvailableSubnets(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.params, 'opts.params');
+    assert.func(callback, 'callback');
+
+    validate.params(AVAILABLE_SCHEMA, null, opts.params,
+        function (err, validated) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var within = ipaddr.createCIDR(validated.subnet_start,
+            validated.subnet_bits);
+
+        findAvailableSubnets(opts, within, validated.prefix, validated,
+            validated.limit || constants.DEFAULT_AVAILABLE_SUBNETS, callback);
+    });
+}
+
+
 /**
  * Initializes the networks bucket
  */
@@ -2460,6 +3710,7 @@ NetworkCache.prototype.get = function getFromCache(uuid, callback) {
 
 
 module.exports = {
+    available: listAvailableSubnets,
     bucket: function () { return BUCKET; },
     create: createNetwork,
     del: deleteNetwork,
@@ -2467,8 +3718,10 @@ module.exports = {
     init: initNetworksBucket,
     findContaining: findContainingNetworks,
     list: listNetworks,
+    listContaining: listContainingNetworks,
     listNetworksStream: listNetworksStream,
     NetworkCache: NetworkCache,
+    search: searchNetworks,
     update: updateNetwork,
     Network: Network
 };
@@ -2476,5 +3729,6 @@ module.exports = {
 /*
  * Circular dependencies 'require'd here. DON'T ASK QUESTIONS.
  */
+mod_block = require('./address-block');
 mod_nicTag = require('./nic-tag');
 mod_nic_list = require('./nic/list').list;
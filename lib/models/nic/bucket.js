@@ -18,6 +18,7 @@ var BUCKET = {
     schema: {
         index: {
             admin: { type: 'boolean' },
+            allowed_ips: { type: '[string]' },
             allow_dhcp_spoofing: { type: 'boolean' },
             allow_ip_spoofing: { type: 'boolean' },
             allow_mac_spoofing: { type: 'boolean' },
@@ -28,13 +29,18 @@ var BUCKET = {
             cn_uuid: { type: 'string' },
             created_timestamp: { type: 'number' },
             ipaddr: { type: 'ip' },
+            ipaddr6: { type: 'ip' },
             mac: { type: 'number', unique: true },
+            max_bandwidth_mbps: { type: 'number' },
+            max_pps: { type: 'number' },
             modified_timestamp: { type: 'number' },
             network_uuid: { type: 'string' },
+            network6_uuid: { type: 'string' },
             nic_tag: { type: 'string' },
             nic_tags_provided_arr: { type: '[string]' },
             owner_uuid: { type: 'string' },
             primary_flag: { type: 'boolean' },
+            secondary_ips: { type: '[string]' },
             state: { type: 'string' },
             underlay: { type: 'boolean' },
             v: { type: 'number' },
@@ -45,7 +51,7 @@ var BUCKET = {
         }
     },
     morayVersion: 2,        // moray version must be > than this
-    version: 3
+    version: 7
 };
 
 module.exports = {
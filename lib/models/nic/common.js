@@ -17,6 +17,7 @@
 var assert = require('assert-plus');
 var constants = require('../../util/constants');
 var errors = require('../../util/errors');
+var ipaddr = require('ip6addr');
 var mod_ip = require('../ip');
 var mod_net = require('../network');
 var mod_nicTag = require('../nic-tag');
@@ -25,7 +26,9 @@ var mod_portolan_moray = require('portolan-moray');
 var util = require('util');
 var util_common = require('../../util/common.js');
 var util_intersect = require('../../util/intersect');
+var util_ip = require('../../util/ip');
 var validate = require('../../util/validate');
+var vasync = require('vasync');
 
 
 // --- Globals
@@ -34,6 +37,30 @@ var BUCKET = require('./bucket').BUCKET;
 var BELONGS_TO_TYPES = [ 'other', 'server', 'zone' ];
 var VALID_NIC_STATES = [ 'provisioning', 'stopped', 'running' ];
 
+/*
+ * A NIC can have at most one address from each address family. These are
+ * the names of the parsed parameters that hold the requested address, the
+ * network or network pool to provision it on, and the IP object selected
+ * during validation, for each family. The IPv4 names are the ones that
+ * NAPI has always used for single-address NICs.
+ */
+var FAMILY_PARAMS = {
+    ipv4: {
+        ip: 'ip',
+        network: 'network',
+        network_uuid: 'network_uuid',
+        pool: 'network_pool',
+        selected: '_ip'
+    },
+    ipv6: {
+        ip: 'ip6',
+        network: 'network6',
+        network_uuid: 'network6_uuid',
+        pool: 'network6_pool',
+        selected: '_ip6'
+    }
+};
+
 var getPoolIntersections = util_intersect.getPoolIntersections;
 
 // --- Internal helpers
@@ -127,10 +154,104 @@ function checkNetwork(parsedParams, name, network) {
             parsedParams.vlan_id, network.params.vlan_id));
     }
 
+    if (parsedParams._mtu === undefined) {
+        parsedParams._mtu = network.params.mtu;
+    } else if (parsedParams._mtu !== network.params.mtu) {
+        return errors.invalidParam(name,
+            util.format(constants.fmt.MTUS_DIFFER,
+            parsedParams._mtu, network.params.mtu));
+    }
+
     return null;
 }
 
 
+/**
+ * Returns the names of the request parameters that an error about a
+ * family's address or network should refer to. IPv6 addresses and networks
+ * can only be passed in the "ips" and "network_uuids" arrays.
+ */
+function familyFields(parsedParams, family) {
+    if (family !== 'ipv4' || (parsedParams._arrayFamilies &&
+        parsedParams._arrayFamilies.indexOf(family) !== -1)) {
+        return { ip: 'ips', network: 'network_uuids' };
+    }
+
+    return { ip: 'ip', network: 'network_uuid' };
+}
+
+
+/**
+ * Move the addresses and networks given in the "ips" and "network_uuids"
+ * arrays into the parameters for their address family (see FAMILY_PARAMS),
+ * making sure that there is at most one of each per family.
+ */
+function mergeAddressParams(parsedParams) {
+    var errs = [];
+    var families = [];
+
+    if (parsedParams.hasOwnProperty('_networks')) {
+        var dupNet = false;
+
+        parsedParams._networks.forEach(function (res) {
+            var net = res.network || res.network_pool;
+            var fparams = FAMILY_PARAMS[net.family];
+
+            if (parsedParams.hasOwnProperty(fparams.network) ||
+                parsedParams.hasOwnProperty(fparams.pool)) {
+                dupNet = true;
+                return;
+            }
+
+            if (res.network) {
+                parsedParams[fparams.network] = net;
+            } else {
+                parsedParams[fparams.pool] = net;
+            }
+
+            parsedParams[fparams.network_uuid] = net.uuid;
+            families.push(net.family);
+        });
+
+        if (dupNet) {
+            errs.push(errors.invalidParam('network_uuids',
+                constants.msg.NET_ONE_PER_FAMILY));
+        }
+
+        delete parsedParams._networks;
+    }
+
+    if (parsedParams.hasOwnProperty('ips')) {
+        var dupIP = false;
+
+        parsedParams.ips.forEach(function (ip) {
+            var fparams = FAMILY_PARAMS[ip.kind()];
+
+            if (parsedParams.hasOwnProperty(fparams.ip)) {
+                dupIP = true;
+                return;
+            }
+
+            parsedParams[fparams.ip] = ip;
+            families.push(ip.kind());
+        });
+
+        if (dupIP) {
+            errs.push(errors.invalidParam('ips',
+                constants.msg.IP_ONE_PER_FAMILY));
+        }
+
+        delete parsedParams.ips;
+    }
+
+    if (families.length !== 0) {
+        parsedParams._arrayFamilies = families;
+    }
+
+    return errs;
+}
+
+
 /**
  * Validates a network UUID and ensures that the network exists
  */
@@ -327,56 +448,173 @@ function validateIPv4Network(opts, name, uuid, callback) {
 }
 
 
+/**
+ * Validate an array of network or network pool UUIDs, containing at most
+ * one network of each address family.
+ */
+function validateNetworks(opts, name, uuids, callback) {
+    if (!Array.isArray(uuids) && typeof (uuids) !== 'string') {
+        callback(errors.invalidParam(name, constants.msg.ARRAY_OF_STR));
+        return;
+    }
+
+    var networks = [];
+
+    vasync.forEachPipeline({
+        inputs: util_common.arrayify(uuids),
+        func: function _validateOneNetwork(uuid, cb) {
+            validateNetwork(opts, name, uuid, function (err, _, res) {
+                if (res) {
+                    networks.push(res);
+                }
+
+                cb(err);
+            });
+        }
+    }, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var toReturn = {
+            _networks: networks
+        };
+        toReturn[name] = networks.map(function (res) {
+            return res[name];
+        });
+
+        callback(null, null, toReturn);
+    });
+}
+
+
 /**
  * Validate that the network parameters are valid
  */
 function validateNetworkParams(opts, _, parsedParams, callback) {
     var cErr;
+    var errs = mergeAddressParams(parsedParams);
+    var families = Object.keys(FAMILY_PARAMS);
+    var networks = [];
+    var pools = [];
 
-    // Not allowed to provision an IP on a network pool
-    if (parsedParams.ip && parsedParams.network_pool) {
-        callback(errors.invalidParam('ip', constants.POOL_IP_MSG));
+    if (errs.length !== 0) {
+        callback(errs);
         return;
     }
 
-    if (parsedParams.network) {
-        cErr = checkNetwork(parsedParams, 'network_uuid', parsedParams.network);
-        if (cErr !== null) {
-            callback(cErr);
+    // Not allowed to provision an IP on a network pool
+    for (var i = 0; i < families.length; i++) {
+        var fparams = FAMILY_PARAMS[families[i]];
+        var fields = familyFields(parsedParams, families[i]);
+
+        if (parsedParams[fparams.ip] && parsedParams[fparams.pool]) {
+            callback(errors.invalidParam(fields.ip, constants.POOL_IP_MSG));
             return;
         }
-    }
 
-    if (parsedParams.network_pool) {
-        if (badOwnerUUID(parsedParams, parsedParams.network_pool)) {
-            callback(errors.invalidParam('owner_uuid',
-                constants.OWNER_MATCH_MSG));
-            return;
+        if (parsedParams[fparams.network]) {
+            cErr = checkNetwork(parsedParams, fields.network,
+                parsedParams[fparams.network]);
+            if (cErr !== null) {
+                callback(cErr);
+                return;
+            }
+
+            networks.push(parsedParams[fparams.network]);
         }
 
+        if (parsedParams[fparams.pool]) {
+            if (badOwnerUUID(parsedParams, parsedParams[fparams.pool])) {
+                callback(errors.invalidParam('owner_uuid',
+                    constants.OWNER_MATCH_MSG));
+                return;
+            }
+
+            pools.push({
+                field: fields.network,
+                pool: parsedParams[fparams.pool]
+            });
+        }
+    }
+
+    if (pools.length !== 0) {
         try {
-            parsedParams.intersections = getPoolIntersections('network_uuid',
-                parsedParams, [ parsedParams.network_pool ]);
+            parsedParams.intersections = getPoolIntersections(pools[0].field,
+                parsedParams, pools.map(function (p) { return p.pool; }));
         } catch (e) {
             callback(e);
             return;
         }
     }
 
-    if (!parsedParams.ip) {
+    vasync.forEachPipeline({
+        inputs: families.filter(function (family) {
+            return parsedParams[FAMILY_PARAMS[family].ip];
+        }),
+        func: function (family, cb) {
+            validateFamilyIP(opts, parsedParams, family, cb);
+        }
+    }, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (!parsedParams.intersections) {
+            callback();
+            return;
+        }
+
+        /*
+         * When a network or IP was also requested for the other address
+         * family, only the parts of the pools that are compatible with its
+         * network can be used.
+         */
+        families.forEach(function (family) {
+            var selected = parsedParams[FAMILY_PARAMS[family].selected];
+            if (selected && networks.indexOf(selected.params.network) === -1) {
+                networks.push(selected.params.network);
+            }
+        });
+
+        parsedParams.intersections =
+            parsedParams.intersections.filter(function (intersection) {
+            return networks.every(function (network) {
+                return network.matches(intersection);
+            });
+        });
+
+        if (parsedParams.intersections.length === 0) {
+            callback(errors.invalidParam(pools[0].field,
+                constants.msg.NO_POOL_INTERSECTION));
+            return;
+        }
+
         callback();
-        return;
-    }
+    });
+}
+
+
+/**
+ * Validate the requested address for a family, and store the IP object for it
+ * in parsedParams.
+ */
+function validateFamilyIP(opts, parsedParams, family, callback) {
+    var fparams = FAMILY_PARAMS[family];
+    var fields = familyFields(parsedParams, family);
+    var ip = parsedParams[fparams.ip];
+    var network = parsedParams[fparams.network];
 
     function saveIP(err, _ip) {
-        parsedParams._ip = _ip;
+        parsedParams[fparams.selected] = _ip;
         callback(err);
     }
 
     // network_uuid and ip were specified, so just validate
-    if (parsedParams.ip && parsedParams.network) {
-        validateSubnetContainsIP(opts, 'ip',
-            parsedParams.network, parsedParams.ip, saveIP);
+    if (network) {
+        validateSubnetContainsIP(opts, fields.ip, network, ip, saveIP);
         return;
     }
 
@@ -394,7 +632,7 @@ function validateNetworkParams(opts, _, parsedParams, callback) {
         return;
     }
 
-    lookupUnknownIP(opts, parsedParams, 'ip', parsedParams.ip, saveIP);
+    lookupUnknownIP(opts, parsedParams, fields.ip, ip, saveIP);
 }
 
 
@@ -449,6 +687,118 @@ function lookupUnknownIP(opts, parsedParams, name, unknownIP, callback) {
     });
 }
 
+/**
+ * Returns the normalized form of an allowed IP address or subnet, or null
+ * if it's invalid.
+ */
+function parseAllowedIP(val) {
+    if (val.indexOf('/') === -1) {
+        var ip = util_ip.toIPAddr(val);
+        return ip ? ip.toString() : null;
+    }
+
+    try {
+        return ipaddr.createCIDR(val).toString();
+    } catch (_) {
+        return null;
+    }
+}
+
+
+/**
+ * Returns the address family of an allowed IP address or subnet.
+ */
+function allowedIPFamily(addr) {
+    return util_ip.toIPAddr(addr.split('/')[0]).kind();
+}
+
+
+/**
+ * Returns true if an allowed IP is a subnet that covers too many addresses.
+ */
+function allowedIPTooBroad(addr) {
+    var parts = addr.split('/');
+
+    if (parts.length === 1) {
+        return false;
+    }
+
+    return Number(parts[1]) < (allowedIPFamily(addr) === 'ipv4' ?
+        constants.ALLOWED_IPS_MIN_IPV4 : constants.ALLOWED_IPS_MIN_IPV6);
+}
+
+
+/**
+ * Validates the list of extra IP addresses and subnets that a nic is allowed
+ * to send and receive traffic from, returning their normalized forms.
+ */
+function validateAllowedIPs(_, name, list, callback) {
+    var allowed = [];
+    var invalid = [];
+    var tooBroad = [];
+
+    if (!Array.isArray(list) && typeof (list) !== 'string') {
+        callback(errors.invalidParam(name, constants.msg.ALLOWED_IPS));
+        return;
+    }
+
+    // Allow comma-separated addresses from the commandline tools
+    util_common.arrayify(list).forEach(function (val) {
+        var addr = null;
+
+        if (typeof (val) === 'string') {
+            addr = parseAllowedIP(val.trim());
+        }
+
+        if (addr === null) {
+            invalid.push(val);
+        } else if (allowedIPTooBroad(addr)) {
+            tooBroad.push(val);
+        } else if (allowed.indexOf(addr) === -1) {
+            allowed.push(addr);
+        }
+    });
+
+    if (invalid.length !== 0) {
+        callback(errors.invalidParam(name, constants.msg.ALLOWED_IPS,
+            { invalid: invalid }));
+        return;
+    }
+
+    if (tooBroad.length !== 0) {
+        callback(errors.invalidParam(name, constants.msg.ALLOWED_IPS_PREFIX,
+            { invalid: tooBroad }));
+        return;
+    }
+
+    callback(null, allowed);
+}
+
+
+/*
+ * A nic's allowed IPs can only be of an address family that it has a
+ * network (or network pool) for.
+ */
+function validateAllowedIPsFamily(_opts, _params, parsedParams, callback) {
+    if (!parsedParams.allowed_ips) {
+        callback(null);
+        return;
+    }
+
+    var invalid = parsedParams.allowed_ips.filter(function (addr) {
+        var fparams = FAMILY_PARAMS[allowedIPFamily(addr)];
+        return !parsedParams[fparams.network] && !parsedParams[fparams.pool];
+    });
+
+    if (invalid.length !== 0) {
+        callback(errors.invalidParam('allowed_ips',
+            constants.msg.ALLOWED_IPS_NO_NET, { invalid: invalid }));
+        return;
+    }
+
+    callback(null);
+}
+
 /*
  * Determine if NIC is provisioned on top of fabric. If so, make sure that NIC
  * has cn_uuid set. If not, it's all good.
@@ -569,11 +919,18 @@ module.exports = {
     VALID_NIC_STATES: VALID_NIC_STATES,
     BUCKET: BUCKET,
     commitBatch: commitBatch,
+    FAMILY_PARAMS: FAMILY_PARAMS,
+    familyFields: familyFields,
     listVnetCns: listVnetCns,
+    mergeAddressParams: mergeAddressParams,
+    validateAllowedIPs: validateAllowedIPs,
+    validateAllowedIPsFamily: validateAllowedIPsFamily,
     validateIPv4Network: validateIPv4Network,
     validateNicTag: validateNicTag,
     validateNetwork: validateNetwork,
+    validateNetworks: validateNetworks,
     validateNetworkParams: validateNetworkParams,
     validateFabricNic: validateFabricNic,
+    validateSubnetContainsIP: validateSubnetContainsIP,
     validateUnderlayServer: validateUnderlayServer
 };
@@ -15,6 +15,7 @@
 'use strict';
 
 var common = require('./common');
+var mod_ip = require('../ip');
 var mod_net = require('../network');
 var mod_nicTag = require('../nic-tag');
 var provision = require('./provision');
@@ -39,18 +40,25 @@ var CREATE_SCHEMA = {
         allow_mac_spoofing: validate.bool,
         allow_restricted_traffic: validate.bool,
         allow_unfiltered_promisc: validate.bool,
+        allowed_ips: common.validateAllowedIPs,
         check_owner: validate.bool,
         cn_uuid: validate.UUID,
+        hold_until: validate.timestamp,
         ip: validate.IPv4,
+        ips: validate.ipArray,
         mac: validate.MAC,
+        max_bandwidth_mbps: validate.positiveInteger,
+        max_pps: validate.positiveInteger,
         model: validate.string,
         network_uuid: common.validateIPv4Network,
+        network_uuids: common.validateNetworks,
         nic_tag: common.validateNicTag,
         nic_tags_available: mod_nicTag.validateExists.bind(null, false),
         nic_tags_provided: mod_nicTag.validateExists.bind(null, false),
         primary: validate.bool,
         reserved: validate.bool,
         state: validate.enum(common.VALID_NIC_STATES),
+        ttl: validate.positiveInteger,
         underlay: validate.bool,
         vlan_id: validate.VLAN
     },
@@ -58,7 +66,9 @@ var CREATE_SCHEMA = {
     after: [
         common.validateNetworkParams,
         common.validateFabricNic,
-        common.validateUnderlayServer
+        common.validateAllowedIPsFamily,
+        common.validateUnderlayServer,
+        mod_ip.validateHold
     ]
 };
 
@@ -118,11 +128,18 @@ function publishCreateNIC(opts, callback) {
  * - `belongs_to_type` {String}: type of object this nic belongs to (required)
  * - `mac` {String}: MAC address to use. If not specified, one will be
  *   generated
- * - `ip` {IP}: IP address
- * - `network_uuid` {UUID}: network to create the IP on
+ * - `ip` {IP}: IPv4 address
+ * - `network_uuid` {UUID}: IPv4 network to create the IP on
+ * - `ips` {Array}: IP addresses, at most one of each family
+ * - `network_uuids` {Array}: networks or pools to create the IPs on, at
+ *   most one of each family
  * - `primary` {Bool}: whether the network is primary or not
  * - `nic_tags_provided` {Array}: names of nic tags this physical nic provides
  * - `state` {String}: current state of NIC (e.g. running)
+ * - `hold_until` {Date}: time when the nic's IPs stop being held. Once this
+ *   has passed, the IPs are freed and removed from the nic, unless the nic
+ *   has been updated since
+ * - `ttl` {Number}: number of seconds to hold the nic's IPs for
  *
  * If ip is specified in params, but not network_uuid, the following params
  * can be used to search for a network to create the IP on:
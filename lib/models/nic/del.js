@@ -16,6 +16,7 @@
 
 var assert = require('assert-plus');
 var common = require('./common');
+var mod_ips = require('./ips');
 var restify = require('restify');
 var validate = require('../../util/validate');
 var vasync = require('vasync');
@@ -61,17 +62,27 @@ function addNicToBatch(opts, cb) {
     cb();
 }
 
+function getSecondaryIPs(opts, callback) {
+    mod_ips.getSecondaryIPs(opts, opts.existingNic, function (err, ips) {
+        opts.secondaryIPs = ips;
+        callback(err);
+    });
+}
+
 function delIPs(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.existingNic, 'opts.existingNic');
+    assert.arrayOfObject(opts.secondaryIPs, 'opts.secondaryIPs');
+
+    var ips = opts.existingNic.ips.concat(opts.secondaryIPs);
 
-    if (opts.existingNic.ip === null) {
+    if (ips.length === 0) {
         opts.log.debug('nic: delete: nic "%s" has no IPs', opts.params.mac);
         callback();
         return;
     }
 
-    [ opts.existingNic.ip ].forEach(function (ip) {
+    ips.forEach(function (ip) {
         delIP(opts, ip);
     });
 
@@ -84,7 +95,8 @@ function delIP(opts, ip) {
     assert.object(ip, 'ip');
 
     if (ip.params.belongs_to_uuid === opts.existingNic.params.belongs_to_uuid) {
-        opts.batch.push(ip.unassignBatch());
+        var unassign = ip.unassignBatch();
+        opts.batch.push(unassign, ip.historyBatch(ip.params, unassign.value));
     } else {
         opts.log.warn({
             nic_owner: opts.existingNic.params.belongs_to_uuid,
@@ -144,6 +156,7 @@ function del(opts, callback) {
             validateDeleteParams,
             listVnetCns,
             addNicToBatch,
+            getSecondaryIPs,
             delIPs,
             commitBatch,
             publishDeleteNIC
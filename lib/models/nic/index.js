@@ -48,12 +48,17 @@ function initNicsBucket(app, callback) {
 
 
 module.exports = {
+    addIP: require('./ips').addIP,
     bucket: function () { return common.BUCKET; },
     create: require('./create').create,
     del: require('./del').del,
+    delIP: require('./ips').delIP,
     get: require('./get').get,
     init: initNicsBucket,
     list: require('./list').list,
+    macUsage: require('./macs').usage,
+    nextIPs: require('./provision').nextIPs,
     Nic: require('./obj').Nic,
+    regenerateMAC: require('./regenerate').regenerateMAC,
     update: require('./update').update
 };
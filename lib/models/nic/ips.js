@@ -0,0 +1,468 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * nic model: secondary IPs
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var common = require('./common');
+var constants = require('../../util/constants');
+var errors = require('../../util/errors');
+var mod_ip = require('../ip');
+var mod_portolan_moray = require('portolan-moray');
+var restify = require('restify');
+var util = require('util');
+var util_common = require('../../util/common');
+var util_ip = require('../../util/ip');
+var validate = require('../../util/validate');
+var vasync = require('vasync');
+var VError = require('verror');
+
+
+
+// --- Globals
+
+
+
+var ADD_SCHEMA = {
+    required: {
+        mac: validate.MAC
+    },
+
+    optional: {
+        ip: validate.IP,
+        reserved: validate.bool
+    }
+};
+
+var DELETE_SCHEMA = {
+    required: {
+        ip: validate.IP,
+        mac: validate.MAC
+    }
+};
+
+
+
+// --- Internal
+
+
+
+/**
+ * Wraps a parameter error in an InvalidParamsError.
+ */
+function paramErr(err) {
+    return new errors.InvalidParamsError(constants.msg.INVALID_PARAMS,
+        [ err ]);
+}
+
+
+/**
+ * Validate the parameters for adding a secondary IP, and determine the
+ * network that it will be on.
+ */
+function validateAddParams(opts, callback) {
+    var nic = opts.existingNic;
+
+    validate.params(ADD_SCHEMA, null, opts.params, function (err, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        opts.validated = res;
+
+        if (res.ip) {
+            opts.network = nic.networkForIP(res.ip);
+        } else {
+            // With no address specified, prefer the nic's IPv4 network.
+            opts.network = nic.network || nic.network6;
+        }
+
+        if (!opts.network) {
+            callback(paramErr(errors.invalidParam('ip',
+                constants.msg.SECONDARY_IP_NO_NET)));
+            return;
+        }
+
+        if (!res.ip) {
+            callback();
+            return;
+        }
+
+        common.validateSubnetContainsIP({
+            app: opts.app,
+            log: opts.log,
+            create: true
+        }, 'ip', opts.network, res.ip, function (ipErr, ip) {
+            if (ipErr) {
+                callback(paramErr(ipErr));
+                return;
+            }
+
+            opts.existingIP = ip;
+            callback();
+        });
+    });
+}
+
+
+/**
+ * Validate the parameters for removing a secondary IP, and fetch its
+ * IP object.
+ */
+function validateDeleteParams(opts, callback) {
+    var nic = opts.existingNic;
+
+    validate.params(DELETE_SCHEMA, null, opts.params, function (err, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        opts.validated = res;
+
+        if (nic.secondaryIPs.indexOf(res.ip.toString()) === -1) {
+            callback(new restify.ResourceNotFoundError(
+                constants.msg.SECONDARY_IP_NOT_FOUND));
+            return;
+        }
+
+        opts.network = nic.networkForIP(res.ip);
+
+        mod_ip.get({
+            app: opts.app,
+            log: opts.log,
+            params: {
+                ip: res.ip,
+                network: opts.network,
+                network_uuid: opts.network.uuid
+            },
+            returnObject: true
+        }, function (getErr, ip) {
+            opts.existingIP = ip;
+            callback(getErr);
+        });
+    });
+}
+
+
+/**
+ * If this is a fabric nic, fetch the list of CNs also on its fabric network,
+ * for the purpose of SVP log generation.
+ */
+function listVnetCns(opts, callback) {
+    if (!opts.existingNic.isFabric()) {
+        callback();
+        return;
+    }
+
+    common.listVnetCns({
+        vnet_id: opts.existingNic.network.vnet_id,
+        moray: opts.app.moray,
+        log: opts.log
+    }, function (err, vnetCns) {
+        opts.vnetCns = vnetCns;
+        callback(err);
+    });
+}
+
+
+/**
+ * Select the IP to add: either the one requested, or the next available one
+ * on the nic's network.
+ */
+function selectIP(opts, callback) {
+    if (opts.existingIP) {
+        if (opts.ipConflict) {
+            var usedErr = new errors.InvalidParamsError(
+                constants.msg.INVALID_PARAMS, [ errors.duplicateParam('ip',
+                    util.format(constants.fmt.IP_EXISTS,
+                        opts.existingIP.address.toString(),
+                        opts.network.uuid)) ]);
+            callback(usedErr);
+            return;
+        }
+
+        callback(null, mod_ip.createUpdated(opts.existingIP, opts.baseParams));
+        return;
+    }
+
+    mod_ip.nextIPonNetwork(opts, opts.network, callback);
+}
+
+
+/**
+ * Returns true if err was caused by someone else taking the IP we selected.
+ */
+function ipConflict(err, ip) {
+    var cause = VError.findCauseByName(err, 'EtagConflictError');
+    if (cause === null) {
+        return false;
+    }
+
+    var bucket = mod_ip.bucketName(ip.params.network_uuid);
+    return (cause.context.bucket === bucket && cause.context.key === ip.key());
+}
+
+
+/**
+ * Write the new IP and the updated nic to moray in a single batch, selecting
+ * a new IP if the one we chose gets taken in the meantime.
+ */
+function provisionIP(opts, callback) {
+    var nic = opts.existingNic;
+    var addrs = nic.secondaryIPs.slice();
+    var override = {};
+
+    if (opts.validated.hasOwnProperty('reserved')) {
+        override.reserved = opts.validated.reserved;
+    }
+
+    opts.baseParams = mod_ip.params(nic.params, override);
+    opts.nic = nic;
+
+    util_common.repeat(function (cb) {
+        selectIP(opts, function (selErr, ip) {
+            if (selErr) {
+                cb(selErr, null, false);
+                return;
+            }
+
+            nic.params.secondary_ips = addrs.concat([ ip.address.toString() ]);
+            nic.params.modified_timestamp = Date.now();
+
+            opts.batch = [ ip.batch(), ip.historyBatch() ].concat(nic.batch({
+                log: opts.log,
+                vnetCns: opts.vnetCns
+            }));
+
+            common.commitBatch(opts, function (err) {
+                if (err && ipConflict(err, ip)) {
+                    opts.log.warn({ err: err, ip: ip.address.toString() },
+                        'secondary IP taken during provision: retrying');
+                    opts.ipConflict = true;
+                    cb(null, null, true);
+                    return;
+                }
+
+                cb(err, nic, false);
+            });
+        });
+    }, function (err) {
+        if (err) {
+            nic.params.secondary_ips = addrs;
+        }
+
+        callback(err);
+    });
+}
+
+
+/**
+ * Free the secondary IP and write the updated nic to moray in a single batch.
+ */
+function removeIP(opts, callback) {
+    var nic = opts.existingNic;
+    var addr = opts.validated.ip;
+    var ip = opts.existingIP;
+
+    opts.nic = nic;
+    opts.batch = [];
+
+    if (ip.params.belongs_to_uuid === nic.params.belongs_to_uuid) {
+        var unassign = ip.unassignBatch();
+        opts.batch.push(unassign, ip.historyBatch(ip.params, unassign.value));
+    } else {
+        opts.log.warn({
+            nic_owner: nic.params.belongs_to_uuid,
+            ip_owner: ip.params.belongs_to_uuid,
+            mac: nic.mac.toString(),
+            ip: addr.toString()
+        }, 'nic: remove IP: IP and NIC belongs_to_uuid do not match');
+    }
+
+    if (nic.isFabric() && nic.network.subnet.contains(addr)) {
+        opts.batch.push(mod_portolan_moray.overlayMappingBatch({
+            cn_uuid: nic.params.cn_uuid,
+            deleted: true,
+            ip: addr.toString({ format: 'v6' }),
+            mac: nic.mac.toLong(),
+            vnet_id: nic.network.vnet_id
+        }));
+    }
+
+    nic.params.secondary_ips = nic.secondaryIPs.filter(function (a) {
+        return a !== addr.toString();
+    });
+    nic.params.modified_timestamp = Date.now();
+
+    opts.batch = opts.batch.concat(nic.batch({
+        log: opts.log,
+        vnetCns: opts.vnetCns
+    }));
+
+    common.commitBatch(opts, callback);
+}
+
+
+/**
+ * Publish to the 'nic' changefeed that the nic's secondary IPs have changed.
+ */
+function publishNicIPs(opts, callback) {
+    opts.app.publisher.publish({
+        changeKind: {
+            resource: 'nic',
+            subResources: [ 'secondary_ips' ]
+        },
+        changedResourceId: opts.nic.mac.toString(),
+        belongs_to_uuid: opts.nic.params.belongs_to_uuid,
+        cn_uuid: opts.nic.params.cn_uuid,
+        etag: opts.nic.etag
+    }, callback);
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Adds a secondary IP to a nic, on its network of the same address family
+ *
+ * @param opts {Object}:
+ * - `existingNic` {Nic}: the nic to add the IP to
+ * - `params` {Object}:
+ *   - `mac` {String}: MAC address of the nic (required)
+ *   - `ip` {String}: address to add. If not specified, the next available
+ *     address on the nic's IPv4 network (or IPv6 network, if it has no
+ *     IPv4 address) is used
+ *   - `reserved` {Boolean}: whether the IP should be reserved
+ * @param callback {Function} `function (err, nic)`
+ */
+function addIP(opts, callback) {
+    assert.object(opts.existingNic, 'opts.existingNic');
+
+    opts.log.debug({ params: opts.params }, 'nic: addIP: entry');
+
+    vasync.pipeline({
+        arg: opts,
+        funcs: [
+            validateAddParams,
+            listVnetCns,
+            provisionIP,
+            publishNicIPs
+        ]
+    }, function (err) {
+        if (err) {
+            opts.log.error(err, 'nic: addIP: error');
+            callback(err);
+            return;
+        }
+
+        callback(null, opts.nic);
+    });
+}
+
+
+/**
+ * Removes a secondary IP from a nic, and frees it
+ *
+ * @param opts {Object}:
+ * - `existingNic` {Nic}: the nic to remove the IP from
+ * - `params` {Object}:
+ *   - `mac` {String}: MAC address of the nic (required)
+ *   - `ip` {String}: address to remove (required)
+ * @param callback {Function} `function (err, nic)`
+ */
+function delIP(opts, callback) {
+    assert.object(opts.existingNic, 'opts.existingNic');
+
+    opts.log.debug({ params: opts.params }, 'nic: delIP: entry');
+
+    vasync.pipeline({
+        arg: opts,
+        funcs: [
+            validateDeleteParams,
+            listVnetCns,
+            removeIP,
+            publishNicIPs
+        ]
+    }, function (err) {
+        if (err) {
+            opts.log.error(err, 'nic: delIP: error');
+            callback(err);
+            return;
+        }
+
+        callback(null, opts.nic);
+    });
+}
+
+
+/**
+ * Fetches the IP objects for all of a nic's secondary IPs. Addresses that
+ * no longer have a record are skipped.
+ */
+function getSecondaryIPs(opts, nic, callback) {
+    var ips = [];
+
+    vasync.forEachPipeline({
+        inputs: nic.secondaryIPs,
+        func: function _getSecondaryIP(addr, cb) {
+            var ip = util_ip.toIPAddr(addr);
+            var network = nic.networkForIP(ip);
+
+            if (!network) {
+                cb();
+                return;
+            }
+
+            mod_ip.get({
+                app: opts.app,
+                log: opts.log,
+                params: {
+                    ip: ip,
+                    network: network,
+                    network_uuid: network.uuid
+                }
+            }, function (err, res) {
+                if (err) {
+                    if (err.statusCode === 404) {
+                        opts.log.warn({ ip: addr, mac: nic.mac.toString() },
+                            'nic secondary IP record not found');
+                        cb();
+                        return;
+                    }
+
+                    cb(err);
+                    return;
+                }
+
+                ips.push(res);
+                cb();
+            });
+        }
+    }, function (err) {
+        callback(err, ips);
+    });
+}
+
+
+
+module.exports = {
+    addIP: addIP,
+    delIP: delIP,
+    getSecondaryIPs: getSecondaryIPs
+};
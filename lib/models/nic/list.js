@@ -35,12 +35,14 @@ var LIST_SCHEMA = {
         allow_mac_spoofing: validate.bool,
         allow_restricted_traffic: validate.bool,
         allow_unfiltered_promisc: validate.bool,
+        allowed_ips: validate.stringOrArray,
         limit: validate.limit,
         offset: validate.offset,
         owner_uuid: validate.UUIDarray,
         cn_uuid: validate.UUIDarray,
         belongs_to_uuid: validate.UUIDarray,
         belongs_to_type: validate.stringOrArray,
+        ip: validate.IP,
         nic_tag: validate.stringOrArray,
         nic_tags_provided: validate.stringOrArray,
         network_uuid: validate.UUIDarray,
@@ -49,6 +51,50 @@ var LIST_SCHEMA = {
     }
 };
 
+// --- Internal
+
+
+
+/**
+ * Nics store their IPv4 and IPv6 addresses (and networks) in separate
+ * indexes, so searching by address or network needs to check both.
+ */
+function addressFilter(filter) {
+    var parts = [];
+
+    if (filter.hasOwnProperty('ip')) {
+        parts.push(util.format('(|(ipaddr=%s)(ipaddr6=%s))',
+            filter.ip.toString(), filter.ip.toString()));
+        delete filter.ip;
+    }
+
+    if (filter.hasOwnProperty('network_uuid')) {
+        parts.push('(|' + util_common.arrayify(filter.network_uuid).map(
+            function (uuid) {
+            return util.format('(network_uuid=%s)(network6_uuid=%s)',
+                uuid, uuid);
+        }).join('') + ')');
+        delete filter.network_uuid;
+    }
+
+    if (parts.length === 0) {
+        return filter;
+    }
+
+    var rest = mod_moray.filter(filter, BUCKET);
+    if (rest !== '') {
+        parts.push(rest);
+    }
+
+    if (parts.length === 1) {
+        return parts[0];
+    }
+
+    return '(&' + parts.join('') + ')';
+}
+
+
+
 // --- Exports
 
 
@@ -91,7 +137,7 @@ function list(opts, callback) {
 
         mod_moray.listObjs({
             defaultFilter: '(mac=*)',
-            filter: filter,
+            filter: addressFilter(filter),
             limit: lim,
             log: log,
             offset: off,
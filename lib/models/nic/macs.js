@@ -0,0 +1,193 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * nic model: MAC address ranges
+ */
+
+'use strict';
+
+var common = require('./common');
+var constants = require('../../util/constants');
+var util = require('util');
+var util_oui = require('../../util/oui');
+var vasync = require('vasync');
+
+
+
+// --- Globals
+
+
+
+var COUNT_SQL = 'SELECT count(*) AS count FROM %s ' +
+    'WHERE mac >= $1 AND mac <= $2';
+
+
+
+// --- Internal
+
+
+
+/**
+ * Finds the lowest MAC number in the range that isn't used by a nic, or
+ * null if they're all in use. Nics are fetched in order of MAC address, a
+ * page at a time, until there's a gap between them.
+ */
+function findFreeInRange(opts, range, callback) {
+    var next = range.start;
+
+    function scanPage() {
+        var count = 0;
+        var found = null;
+        var filter = util.format('(&(mac>=%d)(mac<=%d))', next, range.end);
+
+        var req = opts.app.moray.findObjects(common.BUCKET.name, filter, {
+            sort: { attribute: 'mac', order: 'ASC' },
+            limit: constants.MAC_SCAN_LIMIT
+        });
+
+        req.once('error', function (err) {
+            opts.log.error(err, 'findFreeInRange: error');
+            callback(err);
+        });
+
+        req.on('record', function (rec) {
+            count++;
+
+            if (found !== null) {
+                return;
+            }
+
+            if (rec.value.mac > next) {
+                found = next;
+            } else {
+                next = rec.value.mac + 1;
+            }
+        });
+
+        req.once('end', function () {
+            if (found !== null) {
+                callback(null, found);
+                return;
+            }
+
+            if (next > range.end) {
+                callback(null, null);
+                return;
+            }
+
+            if (count < constants.MAC_SCAN_LIMIT) {
+                callback(null, next);
+                return;
+            }
+
+            scanPage();
+        });
+    }
+
+    scanPage();
+}
+
+
+/**
+ * Counts the nics with MAC addresses in the range
+ */
+function countInRange(opts, range, callback) {
+    var count = 0;
+    var req = opts.app.moray.sql(util.format(COUNT_SQL, common.BUCKET.name),
+        [ range.start, range.end ]);
+
+    req.once('error', callback);
+
+    req.on('record', function (rec) {
+        count = Number(rec.count);
+    });
+
+    req.once('end', function () {
+        callback(null, count);
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Scans the ranges in order for a MAC number that isn't used by a nic.
+ * Calls callback with null if all of them are in use.
+ */
+function findFreeMAC(opts, ranges, callback) {
+    var found = null;
+
+    opts.log.info({
+        ranges: ranges.map(util_oui.serializeRange)
+    }, 'findFreeMAC: scanning for a free MAC address');
+
+    vasync.forEachPipeline({
+        inputs: ranges,
+        func: function _scanRange(range, cb) {
+            if (found !== null) {
+                cb();
+                return;
+            }
+
+            findFreeInRange(opts, range, function (err, mac) {
+                found = mac;
+                cb(err);
+            });
+        }
+    }, function (err) {
+        callback(err, found);
+    });
+}
+
+
+/**
+ * Returns how many MAC addresses are allocated to nics in each of the
+ * configured MAC ranges
+ */
+function macUsage(opts, callback) {
+    var ranges = util_oui.configRanges(opts.app.config);
+
+    vasync.forEachPipeline({
+        inputs: ranges,
+        func: function _rangeUsage(range, cb) {
+            countInRange(opts, range, function (err, allocated) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                var usage = util_oui.serializeRange(range);
+                usage.total = util_oui.rangeSize(range);
+                usage.allocated = allocated;
+                usage.free = usage.total - allocated;
+
+                cb(null, usage);
+            });
+        }
+    }, function (err, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, res.successes);
+    });
+}
+
+
+
+module.exports = {
+    findFreeMAC: findFreeMAC,
+    usage: macUsage
+};
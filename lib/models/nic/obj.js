@@ -53,6 +53,8 @@ var NET_PARAMS = [
     'gateway',
     'gateway_provisioned',
     'internet_nat',
+    'max_bandwidth_mbps',
+    'max_pps',
     'mtu',
     'netmask',
     'nic_tag',
@@ -62,6 +64,8 @@ var NET_PARAMS = [
 
 var OPTIONAL_PARAMS = [
     'cn_uuid',
+    'max_bandwidth_mbps',
+    'max_pps',
     'model',
     'nic_tag'
 ];
@@ -73,22 +77,33 @@ var OPTIONAL_PARAMS = [
 
 
 /**
- * Adds an IP and network object to a nic object (if required)
+ * Returns the secondary IPs of a fabric nic that are on its fabric network,
+ * in the form used by portolan.
  */
-function addIPtoNic(app, log, res, callback) {
-    if (!res.params.ip || !res.params.network_uuid) {
-        return callback(null, res);
-    }
+function fabricSecondaryIPs(nic) {
+    return nic.secondaryIPs.map(function (addr) {
+        return util_ip.toIPAddr(addr);
+    }).filter(function (addr) {
+        return nic.network.subnet.contains(addr);
+    }).map(function (addr) {
+        return addr.toString({ format: 'v6' });
+    });
+}
+
 
+/**
+ * Fetches the network and IP objects for one of a nic's addresses
+ */
+function getIPandNetwork(app, log, ipaddr, network_uuid, callback) {
     var network, ip;
 
-    return vasync.pipeline({
+    vasync.pipeline({
         funcs: [
             function _addIP_getNetwork(_, cb) {
                 var netGetOpts = {
                     app: app,
                     log: log,
-                    params: { uuid: res.params.network_uuid }
+                    params: { uuid: network_uuid }
                 };
 
                 mod_net.get(netGetOpts, function (e, r) {
@@ -103,9 +118,9 @@ function addIPtoNic(app, log, res, callback) {
                     app: app,
                     log: log,
                     params: {
-                        ip: res.params.ip,
+                        ip: ipaddr,
                         network: network,
-                        network_uuid: res.params.network_uuid
+                        network_uuid: network_uuid
                     }
                 };
 
@@ -126,11 +141,11 @@ function addIPtoNic(app, log, res, callback) {
         }
 
         if (!network) {
-            missing.push('network ' + res.params.network_uuid);
+            missing.push('network ' + network_uuid);
         }
 
         if (!ip) {
-            missing.push('IP ' + res.params.ip);
+            missing.push('IP ' + ipaddr);
         }
 
         if (missing.length !== 0) {
@@ -149,8 +164,55 @@ function addIPtoNic(app, log, res, callback) {
             }, 'added IP and network');
         }
 
-        res.ip = ip;
-        res.network = network;
+        return callback(null, ip);
+    });
+}
+
+
+/**
+ * Adds IP and network objects to a nic object (if required)
+ */
+function addIPtoNic(app, log, res, callback) {
+    var toFetch = [];
+
+    if (res.params.ip && res.params.network_uuid) {
+        toFetch.push({
+            ipaddr: res.params.ip,
+            network_uuid: res.params.network_uuid
+        });
+    }
+
+    if (res.params.ipaddr6 && res.params.network6_uuid) {
+        toFetch.push({
+            ipaddr: res.params.ipaddr6,
+            network_uuid: res.params.network6_uuid
+        });
+    }
+
+    if (toFetch.length === 0) {
+        return callback(null, res);
+    }
+
+    var ips = [];
+
+    return vasync.forEachPipeline({
+        inputs: toFetch,
+        func: function _fetchIP(addr, cb) {
+            getIPandNetwork(app, log, addr.ipaddr, addr.network_uuid,
+                function (err, ip) {
+                if (ip) {
+                    ips.push(ip);
+                }
+
+                cb(err);
+            });
+        }
+    }, function (err) {
+        if (err) {
+            return callback(err);
+        }
+
+        res.setIPs(ips);
         return callback(null, res);
     });
 }
@@ -174,6 +236,11 @@ function Nic(params) {
     assert.optionalString(params.nic_tag, 'nic_tag');
     assert.optionalString(params.state, 'state');
     assert.optionalString(params.ipaddr, 'ipaddr');
+    assert.optionalString(params.ipaddr6, 'ipaddr6');
+    assert.optionalArrayOfString(params.secondary_ips, 'secondary_ips');
+    assert.optionalArrayOfString(params.allowed_ips, 'allowed_ips');
+    assert.optionalNumber(params.max_bandwidth_mbps, 'max_bandwidth_mbps');
+    assert.optionalNumber(params.max_pps, 'max_pps');
     assert.optionalNumber(params.modified_timestamp, 'modified_timestamp');
     assert.optionalNumber(params.created_timestamp, 'created_timestamp');
 
@@ -223,8 +290,12 @@ function Nic(params) {
         this.etag = null;
     }
 
+    // A nic has at most one address of each family: "ip" and "network"
+    // hold the IPv4 address, and "ip6" and "network6" the IPv6 one.
     this.ip = null;
     this.network = null;
+    this.ip6 = null;
+    this.network6 = null;
 
     if (params.hasOwnProperty('primary') &&
         typeof (params.primary) !== 'boolean') {
@@ -235,10 +306,85 @@ function Nic(params) {
 }
 
 
+/**
+ * All of the IP objects for this nic, IPv4 first.
+ */
+Object.defineProperty(Nic.prototype, 'ips', {
+    get: function () {
+        return [ this.ip, this.ip6 ].filter(function (ip) {
+            return ip !== null;
+        });
+    }
+});
+
+
+/**
+ * The addresses of this nic's secondary IPs.
+ */
+Object.defineProperty(Nic.prototype, 'secondaryIPs', {
+    get: function () {
+        return this.params.secondary_ips || [];
+    }
+});
+
+
+/**
+ * The extra addresses and subnets that this nic is allowed to send and
+ * receive traffic from.
+ */
+Object.defineProperty(Nic.prototype, 'allowedIPs', {
+    get: function () {
+        return this.params.allowed_ips || [];
+    }
+});
+
+
+/**
+ * Returns the network that the given address would be on as one of this
+ * nic's secondary IPs: its network of the same address family.
+ */
+Nic.prototype.networkForIP = function networkForIP(addr) {
+    if (addr.kind() === 'ipv4') {
+        return this.network;
+    }
+
+    return this.network6;
+};
+
+
+/**
+ * Sets the nic's IP and network objects from an array of IP objects, which
+ * contains at most one IP of each family.
+ */
+Nic.prototype.setIPs = function setIPs(ips) {
+    var self = this;
+
+    assert.arrayOfObject(ips, 'ips');
+
+    self.ip = null;
+    self.network = null;
+    self.ip6 = null;
+    self.network6 = null;
+
+    ips.forEach(function (ip) {
+        if (ip.type === 'ipv4') {
+            assert.equal(self.ip, null, 'only one IPv4 address');
+            self.ip = ip;
+            self.network = ip.params.network;
+        } else {
+            assert.equal(self.ip6, null, 'only one IPv6 address');
+            self.ip6 = ip;
+            self.network6 = ip.params.network;
+        }
+    });
+};
+
+
 /**
  * Returns an object suitable for passing to a moray batch
  */
 Nic.prototype.batch = function nicBatch(opts) {
+    var self = this;
     var batch = [
         {
             bucket: BUCKET.name,
@@ -312,6 +458,26 @@ Nic.prototype.batch = function nicBatch(opts) {
         }, 'creating vl3 logs');
 
         batch = batch.concat(_vl3batch);
+
+        // Secondary IPs on the fabric need mappings too, so that CNs can
+        // plumb them.
+        fabricSecondaryIPs(this).forEach(function (addr) {
+            batch.push(mod_portolan_moray.overlayMappingBatch({
+                cn_uuid: self.params.cn_uuid,
+                deleted: false,
+                ip: addr,
+                mac: self.mac.toLong(),
+                vnet_id: self.network.vnet_id
+            }));
+
+            batch = batch.concat(mod_portolan_moray.vl3CnEventBatch({
+                vnetCns: opts.vnetCns,
+                vnet_id: self.network.vnet_id,
+                ip: addr,
+                mac: self.mac.toLong(),
+                vlan_id: self.network.params.vlan_id
+            }));
+        });
     }
 
     if (this.ip !== null && this.ip.isFabricGateway()) {
@@ -328,8 +494,12 @@ Nic.prototype.batch = function nicBatch(opts) {
  *
  * If this was the primary NIC of a VM, then net-agent will take care of
  * setting the "primary" flag for the new primary NIC.
+ *
+ * If opts.replacement is set, the nic is being replaced in the same batch
+ * by one with the same IPs, so the fabric gateway is left provisioned.
  */
 Nic.prototype.delBatch = function nicDelBatch(opts) {
+    var self = this;
     var batch = [
         {
             bucket: BUCKET.name,
@@ -364,6 +534,16 @@ Nic.prototype.delBatch = function nicDelBatch(opts) {
             vnet_id: this.network.vnet_id
         }));
 
+        fabricSecondaryIPs(this).forEach(function (addr) {
+            batch.push(mod_portolan_moray.overlayMappingBatch({
+                cn_uuid: self.params.cn_uuid,
+                deleted: true,
+                ip: addr,
+                mac: self.mac.toLong(),
+                vnet_id: self.network.vnet_id
+            }));
+        });
+
         opts.log.debug({ cns: opts.vnetCns,
             network: this.network, ip: this.ip, etag: this.etag },
             'nic.delBatch specific opts');
@@ -386,7 +566,7 @@ Nic.prototype.delBatch = function nicDelBatch(opts) {
         batch = batch.concat(_vl2batch);
     }
 
-    if (this.ip !== null && this.ip.isFabricGateway()) {
+    if (this.ip !== null && this.ip.isFabricGateway() && !opts.replacement) {
         this.network.gateway_provisioned = false;
         batch.push(this.network.batch());
     }
@@ -451,13 +631,30 @@ Nic.prototype.serialize = function nicSerialize() {
     serialized.created_timestamp = createdDate.toISOString();
     serialized.modified_timestamp = modifiedDate.toISOString();
 
-    if (this.ip) {
-        var ipSer = this.ip.serialize();
+    // The top-level address and network properties come from the nic's
+    // IPv4 address if it has one, and its IPv6 address otherwise.
+    var ip = this.ip || this.ip6;
+    var network = this.network || this.network6;
+
+    if (ip) {
+        var ipSer = ip.serialize();
         serialized.ip = ipSer.ip;
     }
 
-    if (this.network) {
-        var netSer = this.network.serialize();
+    // Nics with an IPv6 address also list all of their addresses (in CIDR
+    // form, since there's no netmask for IPv6) and networks.
+    if (this.ip6) {
+        serialized.ips = this.ips.map(function (nicIP) {
+            return fmt('%s/%d', nicIP.address.toString(),
+                nicIP.params.network.params.subnet_bits);
+        });
+        serialized.network_uuids = this.ips.map(function (nicIP) {
+            return nicIP.params.network.uuid;
+        });
+    }
+
+    if (network) {
+        var netSer = network.serialize();
         for (var p in NET_PARAMS) {
             if (netSer.hasOwnProperty(NET_PARAMS[p])) {
                 serialized[NET_PARAMS[p]] = netSer[NET_PARAMS[p]];
@@ -476,7 +673,7 @@ Nic.prototype.serialize = function nicSerialize() {
         serialized.network_uuid = netSer.uuid;
     }
 
-    // Allow the nic to override its network's nic tag
+    // Allow the nic to override its network's nic tag and rate limits
     OPTIONAL_PARAMS.forEach(function (param) {
         if (self.params.hasOwnProperty(param)) {
             serialized[param] = self.params[param];
@@ -496,6 +693,14 @@ Nic.prototype.serialize = function nicSerialize() {
         serialized.nic_tags_provided = this.params.nic_tags_provided;
     }
 
+    if (this.secondaryIPs.length !== 0) {
+        serialized.secondary_ips = this.secondaryIPs.slice();
+    }
+
+    if (this.allowedIPs.length !== 0) {
+        serialized.allowed_ips = this.allowedIPs.slice();
+    }
+
     BOOL_PARAMS.forEach(function (param) {
         if (self.params[param]) {
             serialized[param] = true;
@@ -523,6 +728,19 @@ Nic.prototype.raw = function nicRaw() {
         v: BUCKET.version
     };
 
+    if (this.ip6 && this.network6) {
+        raw.ipaddr6 = this.ip6.address.toString();
+        raw.network6_uuid = this.network6.uuid;
+    } else {
+        if (this.params.network6_uuid) {
+            raw.network6_uuid = this.params.network6_uuid;
+        }
+
+        if (this.params.ipaddr6) {
+            raw.ipaddr6 = util_ip.toIPAddr(this.params.ipaddr6).toString();
+        }
+    }
+
     if (this.ip && this.network) {
         raw.ipaddr = this.ip.address.toString();
         raw.network_uuid = this.network.uuid;
@@ -530,7 +748,7 @@ Nic.prototype.raw = function nicRaw() {
         if (this.ip.type === 'ipv4') {
             raw.ip = this.ip.address.toLong();
         }
-    } else {
+    } else if (!this.ip6) {
         // Try to add what information we do have - for example, when doing
         // migrations, we don't have the fetched ip and network objects
         if (this.params.network_uuid) {
@@ -567,6 +785,14 @@ Nic.prototype.raw = function nicRaw() {
         raw.nic_tags_provided_arr = this.params.nic_tags_provided;
     }
 
+    if (this.secondaryIPs.length !== 0) {
+        raw.secondary_ips = this.secondaryIPs;
+    }
+
+    if (this.allowedIPs.length !== 0) {
+        raw.allowed_ips = this.allowedIPs;
+    }
+
     return raw;
 };
 
@@ -19,20 +19,52 @@ var common = require('./common');
 var constants = require('../../util/constants');
 var errors = require('../../util/errors');
 var mod_ip = require('../ip');
+var mod_macs = require('./macs');
 var mod_portolan_moray = require('portolan-moray');
 var Nic = require('./obj').Nic;
 var restify = require('restify');
 var util = require('util');
 var util_common = require('../../util/common');
 var util_oui = require('../../util/oui');
+var validate = require('../../util/validate');
 var vasync = require('vasync');
 var VError = require('verror');
 
 
 
+// --- Schema validation objects
+
+
+
+var NEXT_SCHEMA = {
+    optional: {
+        belongs_to_uuid: validate.UUID,
+        count: validateCount
+    }
+};
+
+
+
 // --- Internal functions
 
 
+/**
+ * Validates the number of IPs to preview with nextIPs()
+ */
+function validateCount(opts, name, val, callback) {
+    validate.positiveInteger(opts, name, val, function (err, count) {
+        if (err || count > constants.MAX_NEXT_IPS) {
+            callback(errors.invalidParam(name, util.format(
+                constants.fmt.INT_RANGE, 1, constants.MAX_NEXT_IPS)));
+            return;
+        }
+
+        callback(null, count);
+    });
+}
+
+
+
 /**
  * If we have an existing NIC and it has provisioned IP addresses,
  * check if it contains any addresses that we're no longer using,
@@ -53,7 +85,9 @@ function freeOldIPs(opts, callback) {
     var cn_uuid = opts.existingNic.params.cn_uuid;
 
     opts._removeIPs.forEach(function addUnassignToBatch(oldIP) {
-        opts.batch.push(oldIP.unassignBatch());
+        var unassign = oldIP.unassignBatch();
+        opts.batch.push(unassign,
+            oldIP.historyBatch(oldIP.params, unassign.value));
     });
 
     /*
@@ -158,13 +192,25 @@ Provisioner.prototype.fetchNextIP =
 };
 
 
+/**
+ * Returns the params of the selected IP before this provision, for recording
+ * in its history. Addresses fetched from a network are treated as having no
+ * previous record.
+ */
+Provisioner.prototype.previousParams = function previousParams() {
+    return {};
+};
+
+
 /**
  * Push the selected IP address and its batched form into nicAndIP's arrays.
  */
 Provisioner.prototype.batchIP = function batchCurIP(opts, callback) {
     assert.ok(this.ip, 'IP selected');
     opts.ips.push(this.ip);
-    opts.batch.push(this.ip.batch());
+    opts.batch.push(this.ip.batch(),
+        this.ip.historyBatch(this.previousParams()));
+    opts.batch = opts.batch.concat(this.ip.heldBatch());
     callback();
 };
 
@@ -197,16 +243,22 @@ Provisioner.prototype.causedEtagFailure = function causedEtagFailure(err) {
 /**
  * Provisioner for handling specifically requested IP addresses.
  */
-function IPProvision(ip, field) {
+function IPProvision(ip, field, oldIP) {
     this.ip = ip;
     this.network = ip.params.network;
     this.field = field;
+    this.oldIP = oldIP;
 
     Object.seal(this);
 }
 util.inherits(IPProvision, Provisioner);
 
 
+IPProvision.prototype.previousParams = function previousIPParams() {
+    return this.oldIP.params;
+};
+
+
 IPProvision.prototype.provision = function provisionIP(opts, callback) {
     if (this.causedEtagFailure(opts.err)) {
         var usedIP = this.ip.address.toString();
@@ -319,7 +371,8 @@ NetworkPoolProvision.prototype.currentNetFailed =
         return false;
     }
 
-    if (err.name !== 'SubnetFullError') {
+    if (err.name !== 'SubnetFullError' &&
+        err.name !== 'FreedIPsCoolingError') {
         return false;
     }
 
@@ -380,19 +433,38 @@ function macSupplied(opts, callback) {
     }
 
     opts.nic = new Nic(opts.validated);
-    if (opts.ips.length > 0) {
-        assert.equal(opts.ips.length, 1, 'opts.ips.length === 1');
-        opts.nic.ip = opts.ips[0];
-        opts.nic.network = opts.nic.ip.params.network;
-    }
+    opts.nic.setIPs(opts.ips);
 
     callback();
 }
 
 
+/**
+ * Adds an opts.nic with the MAC address in opts.validated
+ */
+function addNicWithMAC(opts) {
+    opts.nic = new Nic(opts.validated);
+    opts.nic.setIPs(opts.ips);
+}
+
+
+/**
+ * Returns the error for when there are no MAC addresses left to try
+ */
+function noFreeMACsErr() {
+    var err = new restify.InternalError('no more free MAC addresses');
+    err.stop = true;
+    return err;
+}
+
+
 /**
  * Adds an opts.nic with a random MAC address, and adds its batch item to
  * opts.batch.  Intended to be passed to nicAndIP() in opts.nicFn.
+ *
+ * The address is picked from the MAC ranges for the nic's owner or nic tag
+ * (see util/oui.js). If the random picks keep colliding with existing nics,
+ * the ranges are scanned in order for a free address instead.
  */
 function randomMAC(opts, callback) {
     var validated = opts.validated;
@@ -407,62 +479,84 @@ function randomMAC(opts, callback) {
     // bucket, we don't need to generate a new MAC - just re-add the existing
     // NIC to the batch.
     if (validated.mac && !nicEtagFail(opts.err)) {
-        opts.nic = new Nic(validated);
-        if (opts.ips.length > 0) {
-            assert.equal(opts.ips.length, 1, 'opts.ips.length === 1');
-            opts.nic.ip = opts.ips[0];
-            opts.nic.network = opts.nic.ip.params.network;
-        }
+        addNicWithMAC(opts);
 
         callback();
         return;
     }
 
-    if (opts.macTries > constants.MAC_RETRIES) {
+    if (opts.macTries > constants.MAC_RETRIES + constants.MAC_SCAN_RETRIES) {
         opts.log.error({
             start: opts.startMac,
             num: validated.mac,
             tries: opts.macTries
         }, 'Could not provision nic after %d tries', opts.macTries);
-        var err = new restify.InternalError('no more free MAC addresses');
-        err.stop = true;
-        callback(err);
+        callback(noFreeMACsErr());
         return;
     }
 
     opts.macTries++;
 
-    if (!opts.maxMac) {
-        opts.maxMac = util_oui.maxOUInum(opts.app.config.macOUI);
+    if (!opts.macRanges) {
+        opts.macRanges = util_oui.rangesFor(
+            util_oui.configRanges(opts.app.config), validated);
+    }
+
+    if (opts.macTries > constants.MAC_RETRIES) {
+        mod_macs.findFreeMAC(opts, opts.macRanges, function (err, mac) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (mac === null) {
+                opts.log.error({ tries: opts.macTries },
+                    'No free MAC addresses found in scan');
+                callback(noFreeMACsErr());
+                return;
+            }
+
+            validated.mac = mac;
+            addNicWithMAC(opts);
+            callback();
+        });
+        return;
     }
 
     if (!validated.mac) {
-        validated.mac = util_oui.randomNum(opts.app.config.macOUI);
+        pickRandomMAC(opts);
         opts.startMac = validated.mac;
     } else {
         validated.mac++;
     }
 
-    if (validated.mac > opts.maxMac) {
+    if (validated.mac > opts.macRange.end) {
         /*
-         * We've gone over the maximum MAC number - start from a
+         * We've gone past the end of the range - start from a
          * different random number.
          */
-        validated.mac = util_oui.randomNum(opts.app.config.macOUI);
+        pickRandomMAC(opts);
     }
 
-    opts.nic = new Nic(validated);
-    if (opts.ips.length > 0) {
-        assert.equal(opts.ips.length, 1, 'opts.ips.length === 1');
-        opts.nic.ip = opts.ips[0];
-        opts.nic.network = opts.nic.ip.params.network;
-    }
+    addNicWithMAC(opts);
 
     opts.log.debug({}, 'randomMAC: exit');
     callback();
 }
 
 
+/**
+ * Sets opts.validated.mac to a random MAC number from opts.macRanges, and
+ * opts.macRange to the range it's in.
+ */
+function pickRandomMAC(opts) {
+    var picked = util_oui.randomInRanges(opts.macRanges);
+
+    opts.validated.mac = picked.mac;
+    opts.macRange = picked.range;
+}
+
+
 
 // --- Exported functions
 
@@ -630,18 +724,29 @@ function nicAndIP(opts, callback) {
 
     opts.provisioners = [];
 
-    if (params._ip) {
-        // Want a specific IP
-        var updated = mod_ip.createUpdated(params._ip, opts.baseParams);
-        opts.provisioners.push(new IPProvision(updated, 'ip'));
-    } else if (params.network_pool) {
-        opts.provisioners.push(
-            new NetworkPoolProvision(params.network_pool, 'network_uuid'));
-    } else if (params.network) {
-        // Just provision the next IP on the network
-        opts.provisioners.push(
-            new NetworkProvision(params.network, 'network_uuid'));
-    }
+    // Add a Provisioner for each address family that the NIC will have an
+    // address from.
+    Object.keys(common.FAMILY_PARAMS).forEach(function (family) {
+        var fparams = common.FAMILY_PARAMS[family];
+        var fields = common.familyFields(params, family);
+
+        if (params[fparams.selected]) {
+            // Want a specific IP
+            var updated = mod_ip.createUpdated(params[fparams.selected],
+                opts.baseParams);
+            opts.provisioners.push(new IPProvision(updated, fields.ip,
+                params[fparams.selected]));
+        } else if (params[fparams.pool]) {
+            opts.provisioners.push(
+                new NetworkPoolProvision(params[fparams.pool],
+                    fields.network));
+        } else if (params[fparams.network]) {
+            // Just provision the next IP on the network
+            opts.provisioners.push(
+                new NetworkProvision(params[fparams.network],
+                    fields.network));
+        }
+    });
 
     opts.log.debug({
         nicProvFn: opts.nicFn.name,
@@ -725,7 +830,138 @@ function nicAndIP(opts, callback) {
     });
 }
 
+/**
+ * Finds the IPs that provisioning a NIC on a network or network pool would
+ * pick next, using the same Provisioners as nicAndIP(), but without writing
+ * anything to moray. Each candidate returned is an object with:
+ *
+ * - `ip` {String}: the address that would be provisioned
+ * - `network_uuid` {UUID}: the network it's on
+ * - `source` {String}: "gap" if the address has never been used, or
+ *   "freed" if it has a record that was freed
+ *
+ * Fewer than count candidates are returned if the network or pool runs out
+ * of IPs.
+ *
+ * @param opts {Object}:
+ * - `app` {App}
+ * - `log` {Bunyan Logger}
+ * - `network` {Network}: network to provision on (either this or `pool` is
+ *   required)
+ * - `pool` {NetworkPool}: network pool to provision on
+ * - `params` {Object}:
+ *   - `belongs_to_uuid` {UUID}: what the IPs would be provisioned for, for
+ *     networks with the "sticky" allocation strategy (optional)
+ *   - `count` {Number}: number of candidates to find (optional, default 1)
+ * @param callback {Function} `function (err, candidates)`
+ */
+function nextIPs(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalObject(opts.network, 'opts.network');
+    assert.optionalObject(opts.pool, 'opts.pool');
+    assert.object(opts.params, 'opts.params');
+    assert.func(callback, 'callback');
+
+    validate.params(NEXT_SCHEMA, null, opts.params,
+        function (validationErr, validated) {
+        if (validationErr) {
+            callback(validationErr);
+            return;
+        }
+
+        var candidates = [];
+        var count = validated.count || 1;
+        var provisioner;
+        var seen = {};
+        var provOpts = {
+            app: opts.app,
+            baseParams: {},
+            batch: [],
+            dryRun: true,
+            ips: [],
+            log: opts.log
+        };
+
+        if (validated.belongs_to_uuid) {
+            provOpts.baseParams.belongs_to_uuid = validated.belongs_to_uuid;
+        }
+
+        if (opts.pool) {
+            if (!opts.pool.networks || opts.pool.networks.length === 0) {
+                callback(new errors.PoolFullError('uuid', opts.pool.uuid));
+                return;
+            }
+
+            provisioner = new NetworkPoolProvision(opts.pool, 'uuid');
+            provisioner.setIntersection({});
+        } else {
+            provisioner = new NetworkProvision(opts.network);
+        }
+
+        function afterProvision(err) {
+            if (err) {
+                if (opts.pool && provisioner.currentNetFailed(err)) {
+                    // Move on to the next network in the pool
+                    provOpts.err = err;
+                    setImmediate(nextCandidate);
+                    return;
+                }
+
+                if (candidates.length !== 0 &&
+                    (err.name === 'SubnetFullError' ||
+                    err.name === 'FreedIPsCoolingError' ||
+                    err instanceof errors.PoolFullError)) {
+                    callback(null, candidates);
+                    return;
+                }
+
+                callback(err);
+                return;
+            }
+
+            var ip = provisioner.ip;
+            var key = provisioner.network.uuid + '/' + ip.key();
+
+            delete provOpts.err;
+
+            // The "random" strategy can pick an IP that's later found again
+            // in a gap
+            if (!seen[key]) {
+                seen[key] = true;
+                candidates.push({
+                    ip: ip.address.toString(),
+                    network_uuid: provisioner.network.uuid,
+                    source: ip.etag === null ? 'gap' : 'freed'
+                });
+            }
+
+            setImmediate(nextCandidate);
+        }
+
+        function nextCandidate() {
+            if (candidates.length === count) {
+                callback(null, candidates);
+                return;
+            }
+
+            // Nothing is committed, so always have the Provisioner fetch
+            // another IP rather than retry the one it has
+            provisioner.ip = null;
+            provOpts.batch = [];
+            provOpts.ips = [];
+            provisioner.provision(provOpts, afterProvision);
+        }
+
+        nextCandidate();
+    });
+}
+
+
 module.exports = {
     addParams: addParams,
-    nicAndIP: nicAndIP
+    nextIPs: nextIPs,
+    nicAndIP: nicAndIP,
+    randomMAC: randomMAC
 };
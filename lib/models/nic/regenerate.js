@@ -0,0 +1,221 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * nic model: regenerating MAC addresses
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var common = require('./common');
+var constants = require('../../util/constants');
+var errors = require('../../util/errors');
+var mod_provision = require('./provision');
+var restify = require('restify');
+var util_common = require('../../util/common');
+var validate = require('../../util/validate');
+var vasync = require('vasync');
+var VError = require('verror');
+
+
+
+// --- Globals
+
+
+
+var REGENERATE_SCHEMA = {
+    required: {
+        mac: validate.MAC
+    }
+};
+
+
+
+// --- Internal
+
+
+
+/**
+ * Validate the parameters, and check that the nic's MAC address is one
+ * that we generated: server nics have the MAC of their hardware.
+ */
+function validateParams(opts, callback) {
+    validate.params(REGENERATE_SCHEMA, null, opts.params, function (err, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        opts.validatedParams = res;
+
+        if (opts.existingNic.params.belongs_to_type === 'server') {
+            callback(new errors.InvalidParamsError(
+                constants.msg.INVALID_PARAMS, [ errors.invalidParam('mac',
+                    constants.msg.REGEN_MAC_SERVER) ]));
+            return;
+        }
+
+        callback();
+    });
+}
+
+
+/**
+ * If this is a fabric nic, fetch the list of CNs also on its fabric network,
+ * for the purpose of SVP log generation.
+ */
+function listVnetCns(opts, callback) {
+    if (!opts.existingNic.isFabric()) {
+        callback();
+        return;
+    }
+
+    common.listVnetCns({
+        vnet_id: opts.existingNic.network.vnet_id,
+        moray: opts.app.moray,
+        log: opts.log
+    }, function (err, vnetCns) {
+        opts.vnetCns = vnetCns;
+        callback(err);
+    });
+}
+
+
+/**
+ * Returns true if err was caused by the new MAC address already being
+ * in use by another nic.
+ */
+function macConflict(err, nic) {
+    var cause = VError.findCauseByName(err, 'EtagConflictError');
+    if (cause === null) {
+        return false;
+    }
+
+    return (cause.context.bucket === common.BUCKET.name &&
+        cause.context.key === nic.mac.toLong().toString());
+}
+
+
+/**
+ * Delete the old nic and write a copy of it with a new random MAC address
+ * in a single batch, picking another MAC if the one we chose is taken.
+ */
+function replaceNic(opts, callback) {
+    var oldNic = opts.existingNic;
+
+    opts.validated = oldNic.raw();
+    delete opts.validated.mac;
+    opts.validated.modified_timestamp = Date.now();
+    opts.ips = oldNic.ips;
+
+    util_common.repeat(function (cb) {
+        mod_provision.randomMAC(opts, function (macErr) {
+            if (macErr) {
+                cb(macErr, null, false);
+                return;
+            }
+
+            opts.batch = oldNic.delBatch({
+                existingNic: oldNic,
+                isConditionalRequest: opts.isConditionalRequest,
+                log: opts.log,
+                replacement: true,
+                vnetCns: opts.vnetCns
+            }).concat(opts.nic.batch({
+                log: opts.log,
+                vnetCns: opts.vnetCns
+            }));
+
+            common.commitBatch(opts, function (err) {
+                if (err && macConflict(err, opts.nic)) {
+                    opts.log.warn({ err: err, mac: opts.nic.mac.toString() },
+                        'regenerated MAC taken: retrying');
+                    opts.err = err;
+                    cb(null, null, true);
+                    return;
+                }
+
+                cb(err, null, false);
+            });
+        });
+    }, function (err) {
+        if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+            callback(new restify.ResourceNotFoundError(err, 'nic not found'));
+            return;
+        }
+
+        callback(err);
+    });
+}
+
+
+/**
+ * Publish to the 'nic' changefeed that the nic's MAC address has changed.
+ */
+function publishMAC(opts, callback) {
+    opts.app.publisher.publish({
+        changeKind: {
+            resource: 'nic',
+            subResources: [ 'mac' ]
+        },
+        changedResourceId: opts.nic.mac.toString(),
+        old_mac: opts.existingNic.mac.toString(),
+        belongs_to_uuid: opts.nic.params.belongs_to_uuid,
+        cn_uuid: opts.nic.params.cn_uuid,
+        etag: opts.nic.etag
+    }, callback);
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Gives a nic a new random MAC address, keeping its IPs and other
+ * properties
+ *
+ * @param opts {Object}:
+ * - `existingNic` {Nic}: the nic to regenerate the MAC of
+ * - `params` {Object}:
+ *   - `mac` {String}: current MAC address of the nic (required)
+ * @param callback {Function} `function (err, nic)`
+ */
+function regenerateMAC(opts, callback) {
+    assert.object(opts.existingNic, 'opts.existingNic');
+
+    opts.log.debug({ params: opts.params }, 'nic: regenerateMAC: entry');
+
+    vasync.pipeline({
+        arg: opts,
+        funcs: [
+            validateParams,
+            listVnetCns,
+            replaceNic,
+            publishMAC
+        ]
+    }, function (err) {
+        if (err) {
+            opts.log.error(err, 'nic: regenerateMAC: error');
+            callback(err);
+            return;
+        }
+
+        callback(null, opts.nic);
+    });
+}
+
+
+
+module.exports = {
+    regenerateMAC: regenerateMAC
+};
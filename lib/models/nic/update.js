@@ -24,6 +24,7 @@ var mod_nicTag = require('../nic-tag');
 var Nic = require('./obj').Nic;
 var provision = require('./provision');
 var util = require('util');
+var util_ip = require('../../util/ip');
 var vasync = require('vasync');
 var validate = require('../../util/validate');
 
@@ -40,6 +41,7 @@ var UPDATE_PARAMS = [
     'allow_mac_spoofing',
     'allow_restricted_traffic',
     'allow_unfiltered_promisc',
+    'allowed_ips',
     'belongs_to_type',
     'belongs_to_uuid',
     'check_owner',
@@ -64,6 +66,9 @@ var CHANGEFEED_PARAMS = [
     'allow_mac_spoofing',
     'allow_restricted_traffic',
     'allow_unfiltered_promisc',
+    'allowed_ips',
+    'max_bandwidth_mbps',
+    'max_pps',
     'primary',
     'state'
 ];
@@ -79,14 +84,19 @@ var UPDATE_SCHEMA = {
         allow_mac_spoofing: validate.bool,
         allow_restricted_traffic: validate.bool,
         allow_unfiltered_promisc: validate.bool,
+        allowed_ips: common.validateAllowedIPs,
         belongs_to_type: validate.enum(common.BELONGS_TO_TYPES),
         belongs_to_uuid: validate.UUID,
         check_owner: validate.bool,
         cn_uuid: validate.UUID,
         ip: validate.IPv4,
+        ips: validate.ipArray,
+        max_bandwidth_mbps: validate.rateLimit,
+        max_pps: validate.rateLimit,
         owner_uuid: validate.UUID,
         model: validate.string,
         network_uuid: common.validateIPv4Network,
+        network_uuids: common.validateNetworks,
         nic_tag: common.validateNicTag,
         nic_tags_available: mod_nicTag.validateExists.bind(null, false),
         nic_tags_provided: mod_nicTag.validateExists.bind(null, false),
@@ -102,17 +112,44 @@ var UPDATE_SCHEMA = {
             assert.object(opts.existingNic, 'existingNic');
             var oldNIC = opts.existingNic;
 
-            if (!parsed.hasOwnProperty('ip') && oldNIC.ip !== null) {
-                parsed._ip = oldNIC.ip;
+            var errs = common.mergeAddressParams(parsed);
+            if (errs.length !== 0) {
+                cb2(errs);
+                return;
             }
 
-            if (!parsed.hasOwnProperty('network') && oldNIC.network !== null) {
-                parsed.network = oldNIC.network;
-                parsed.network_uuid = oldNIC.network.uuid;
-            }
+            // Keep the addresses and networks for any families that
+            // aren't being updated.
+            [
+                [ common.FAMILY_PARAMS.ipv4, oldNIC.ip, oldNIC.network ],
+                [ common.FAMILY_PARAMS.ipv6, oldNIC.ip6, oldNIC.network6 ]
+            ].forEach(function (old) {
+                var fparams = old[0];
+
+                if (old[1] !== null && !parsed.hasOwnProperty(fparams.ip) &&
+                    movingNetwork(parsed, fparams, old[2])) {
+                    // Provision a new address on the network or pool, and
+                    // free the old one (see prepareUpdate())
+                    parsed._moved = true;
+                    return;
+                }
+
+                if (!parsed.hasOwnProperty(fparams.ip) && old[1] !== null) {
+                    parsed[fparams.selected] = old[1];
+                }
+
+                if (!parsed.hasOwnProperty(fparams.network) &&
+                    old[2] !== null) {
+                    delete parsed[fparams.pool];
+                    parsed[fparams.network] = old[2];
+                    parsed[fparams.network_uuid] = old[2].uuid;
+                }
+            });
 
             common.validateNetworkParams(opts, original, parsed, cb2);
         },
+        validateSecondaryIPs,
+        common.validateAllowedIPsFamily,
         common.validateUnderlayServer
     ]
 };
@@ -122,6 +159,88 @@ var UPDATE_SCHEMA = {
 
 
 
+/**
+ * Secondary IPs are owned by the nic's belongs_to_uuid and are on its
+ * networks, so don't allow changing either while the nic has any.
+ */
+function validateSecondaryIPs(opts, _, parsed, callback) {
+    var oldNIC = opts.existingNic;
+    var errs = [];
+
+    if (oldNIC.secondaryIPs.length === 0) {
+        callback();
+        return;
+    }
+
+    if (parsed.hasOwnProperty('belongs_to_uuid') &&
+        parsed.belongs_to_uuid !== oldNIC.params.belongs_to_uuid) {
+        errs.push(errors.invalidParam('belongs_to_uuid',
+            constants.msg.SECONDARY_IPS_PRESENT));
+    }
+
+    oldNIC.secondaryIPs.forEach(function (addr) {
+        var ip = util_ip.toIPAddr(addr);
+        var family = ip.kind();
+        var oldNet = oldNIC.networkForIP(ip);
+        var newNet = parsed[common.FAMILY_PARAMS[family].network];
+        var field = common.familyFields(parsed, family).network;
+
+        if (oldNet === null || (newNet && newNet.uuid === oldNet.uuid)) {
+            return;
+        }
+
+        if (!errs.some(function (err) { return err.field === field; })) {
+            errs.push(errors.invalidParam(field,
+                constants.msg.SECONDARY_IPS_PRESENT));
+        }
+    });
+
+    if (errs.length !== 0) {
+        callback(errs);
+        return;
+    }
+
+    callback();
+}
+
+
+
+
+/**
+ * Returns true if the update params are moving the nic's address for a
+ * family to a different network, or to a pool that doesn't contain its
+ * current network.
+ */
+function movingNetwork(parsed, fparams, oldNet) {
+    var pool = parsed[fparams.pool];
+    var network = parsed[fparams.network];
+
+    if (network) {
+        return network.uuid !== oldNet.uuid;
+    }
+
+    if (pool) {
+        return pool.params.networks.indexOf(oldNet.uuid) === -1;
+    }
+
+    return false;
+}
+
+
+/**
+ * Returns the addresses of a nic and the networks they're on, for
+ * publishing to the changefeed.
+ */
+function nicAddresses(nic) {
+    return nic.ips.map(function (ip) {
+        return {
+            ip: ip.address.toString(),
+            network_uuid: ip.params.network.uuid
+        };
+    });
+}
+
+
 /**
  * Uses the updated parameters to create a new nic object in opts.nic and
  * add it to opts.batch
@@ -135,11 +254,7 @@ function addUpdatedNic(opts, callback) {
         return;
     }
 
-    if (opts.ips.length > 0) {
-        assert.equal(opts.ips.length, 1, 'opts.ips.length === 1');
-        opts.nic.ip = opts.ips[0];
-        opts.nic.network = opts.nic.ip.params.network;
-    }
+    opts.nic.setIPs(opts.ips);
 
     callback();
 }
@@ -157,6 +272,22 @@ function getUpdatedNicParams(opts) {
         }
     });
 
+    // The serialized nic has its network's limits if it doesn't have its
+    // own: only keep the ones set on the nic, so that it still follows
+    // changes to the network's
+    constants.RATE_LIMIT_PARAMS.forEach(function (p) {
+        var val = opts.existingNic.params[p];
+        if (opts.validated.hasOwnProperty(p)) {
+            val = opts.validated[p];
+        }
+
+        if (val) {
+            updatedNicParams[p] = val;
+        } else {
+            delete updatedNicParams[p];
+        }
+    });
+
     updatedNicParams.etag = opts.existingNic.etag;
 
     // save timestamps as milliseconds since epoch
@@ -207,22 +338,31 @@ function prepareUpdate(opts, callback) {
     opts.log.trace('provisionIP: entry');
 
     opts.nicFn = addUpdatedNic;
+    /*
+     * The nic's params have no hold_until, so writing its IPs with them
+     * (see createUpdatedObject() in ip/index.js) releases any holds from
+     * provisioning: once the nic has been updated, it has been claimed.
+     */
     opts.baseParams = mod_ip.params(getUpdatedNicParams(opts));
 
     /*
      * If we didn't have an address before or after the update,
      * there's nothing to do here.
      */
-    if (!opts.validated.hasOwnProperty('_ip')) {
+    if (!opts.validated.hasOwnProperty('_ip') &&
+        !opts.validated.hasOwnProperty('_ip6') && !opts.validated._moved) {
         callback();
         return;
     }
 
     var oldNIC = opts.existingNic;
-    var oldIPs = oldNIC.ip !== null ? [ oldNIC.ip ] : [];
+    var oldIPs = oldNIC.ips;
     var nicOwner = oldNIC.params.belongs_to_uuid;
 
-    var ips = [ opts.validated._ip ];
+    var ips = [ opts.validated._ip, opts.validated._ip6 ].filter(
+        function (ip) {
+        return ip !== undefined;
+    });
 
     /*
      * When the cn_uuid of a fabric NIC changes, we need to generate
@@ -315,12 +455,16 @@ function update(opts, callback) {
             return opts.params.hasOwnProperty(param);
         });
 
+        if (opts.validated._moved) {
+            changed.push('network');
+        }
+
         if (changed.length === 0) {
             done();
             return;
         }
 
-        opts.app.publisher.publish({
+        var evt = {
             changeKind: {
                 resource: 'nic',
                 subResources: changed
@@ -329,7 +473,14 @@ function update(opts, callback) {
             belongs_to_uuid: opts.nic.params.belongs_to_uuid,
             cn_uuid: opts.nic.params.cn_uuid,
             etag: opts.nic.etag
-        }, done);
+        };
+
+        if (opts.validated._moved) {
+            evt.ips = nicAddresses(opts.nic);
+            evt.old_ips = nicAddresses(opts.existingNic);
+        }
+
+        opts.app.publisher.publish(evt, done);
     });
 }
 
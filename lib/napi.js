@@ -15,6 +15,7 @@
 'use strict';
 
 var assert = require('assert-plus');
+var autoalloc = require('./util/autoalloc');
 var constants = require('./util/constants');
 var createMetricsManager = require('triton-metrics').createMetricsManager;
 var endpoints = require('./endpoints');
@@ -69,6 +70,8 @@ function NAPI(opts) {
 
     this.log = opts.log;
     this.config = opts.config;
+    // Subnets that networks with subnet_alloc are allocated from, by nic tag
+    this.subnetAllocContainers = autoalloc.configContainers(opts.config);
 
     this.lastErr = null;
 
@@ -400,8 +403,12 @@ NAPI.prototype.state_init.publisher = function (S) {
                     'create',
                     'delete',
                     'gateway',
+                    'ip_hold',
+                    'max_bandwidth_mbps',
+                    'max_pps',
                     'resolvers',
-                    'routes'
+                    'routes',
+                    'subnet'
                 ]
             },
             {
@@ -423,7 +430,13 @@ NAPI.prototype.state_init.publisher = function (S) {
                     'allow_mac_spoofing',
                     'allow_restricted_traffic',
                     'allow_unfiltered_promisc',
+                    'allowed_ips',
+                    'mac',
+                    'max_bandwidth_mbps',
+                    'max_pps',
+                    'network',
                     'primary',
+                    'secondary_ips',
                     'state'
                 ]
             }
@@ -467,6 +480,9 @@ NAPI.prototype.state_running = function (S) {
         S.gotoState('stopping');
     });
 
+    self._scheduleHoldReap();
+    self._scheduleHistoryPrune();
+
     S.immediate(function () {
         self.emit('initialized');
     });
@@ -502,6 +518,58 @@ NAPI.prototype.state_stopped = function (S) {
     setImmediate(this.stopcb, this.lastErr);
 };
 
+/**
+ * Periodically release the holds on IPs whose hold_until time has passed.
+ * The next run is only scheduled once the current one has finished, and
+ * not at all once we've been stopped.
+ */
+NAPI.prototype._scheduleHoldReap = function () {
+    var self = this;
+    var interval = self.config.holdReapInterval;
+
+    if (interval === undefined) {
+        interval = constants.DEFAULT_HOLD_REAP_INTERVAL;
+    }
+
+    self.holdReapTimer = setTimeout(function _reapHolds() {
+        models.ip_holds.reapExpired({
+            app: self,
+            log: self.log
+        }, function (err) {
+            if (err) {
+                self.log.error(err, 'Error releasing expired IP holds');
+            }
+
+            if (self.holdReapTimer !== null) {
+                self._scheduleHoldReap();
+            }
+        });
+    }, interval * 1000);
+};
+
+/**
+ * Periodically delete IP history records older than the retention window,
+ * in the same way as _scheduleHoldReap().
+ */
+NAPI.prototype._scheduleHistoryPrune = function () {
+    var self = this;
+
+    self.historyPruneTimer = setTimeout(function _pruneHistory() {
+        models.ip_history.prune({
+            app: self,
+            log: self.log
+        }, function (err) {
+            if (err) {
+                self.log.error(err, 'Error pruning IP history');
+            }
+
+            if (self.historyPruneTimer !== null) {
+                self._scheduleHistoryPrune();
+            }
+        });
+    }, constants.IP_HISTORY_PRUNE_INTERVAL * 1000);
+};
+
 NAPI.prototype._cleanup = function (callback) {
     var self = this;
 
@@ -523,6 +591,16 @@ NAPI.prototype._cleanup = function (callback) {
             self.usageTimer = null;
         }
 
+        if (self.holdReapTimer) {
+            clearTimeout(self.holdReapTimer);
+            self.holdReapTimer = null;
+        }
+
+        if (self.historyPruneTimer) {
+            clearTimeout(self.historyPruneTimer);
+            self.historyPruneTimer = null;
+        }
+
         if (callback) {
             callback(err);
         }
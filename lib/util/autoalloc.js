@@ -12,6 +12,8 @@
 
 var assert = require('assert-plus');
 var ipaddr = require('ip6addr');
+var mergeRanges = require('./ip').mergeRanges;
+var VError = require('verror');
 
 function allocProvisionRange(subnet) {
     if (typeof (subnet) === 'string') {
@@ -131,9 +133,81 @@ function decrementSubnet(cidr, nlen) {
     return decSubImpl(adjustedCIDR, nlen);
 }
 
+/*
+ * Returns the last address in a subnet, including the IPv4 broadcast address.
+ */
+function lastAddr(sub) {
+    return (sub.address().kind() === 'ipv4' ? sub.broadcast() : sub.last());
+}
+
+/*
+ * Find up to 'limit' subnets with a prefix length of 'plen' inside 'within'
+ * that don't overlap any of the 'used' subnets, lowest first.
+ */
+function findFreeSubnets(within, plen, used, limit) {
+    assert.object(within, 'within');
+    assert.number(plen, 'plen');
+    assert.ok(plen >= within.prefixLength(), 'plen >= within prefix length');
+    assert.arrayOfObject(used, 'used');
+    assert.number(limit, 'limit');
+
+    var end = lastAddr(within);
+    var free = [];
+    var r = 0;
+    var ranges = mergeRanges(used.map(function (sub) {
+        return { start: sub.address(), end: lastAddr(sub) };
+    }));
+    var start = within.address();
+
+    while (start !== null && start.compare(end) <= 0 && free.length < limit) {
+        var sub = ipaddr.createCIDR(start, plen);
+        var subEnd = lastAddr(sub);
+
+        while (r < ranges.length && ranges[r].end.compare(start) < 0) {
+            r++;
+        }
+
+        if (r < ranges.length && ranges[r].start.compare(subEnd) <= 0) {
+            // Skip to the first subnet of this size after the used range
+            start = lastAddr(ipaddr.createCIDR(ranges[r].end, plen)).offset(1);
+            continue;
+        }
+
+        free.push(sub);
+        start = subEnd.offset(1);
+    }
+
+    return free;
+}
+
+/*
+ * Returns the subnets to allocate networks from in the config's
+ * subnetAllocContainers, parsed and keyed by nic tag. Throws if any of them
+ * are invalid.
+ */
+function configContainers(config) {
+    var cfg = config.subnetAllocContainers || {};
+    var containers = {};
+
+    Object.keys(cfg).forEach(function (tag) {
+        var name = 'subnetAllocContainers.' + tag;
+
+        assert.string(cfg[tag], name);
+        try {
+            containers[tag] = ipaddr.createCIDR(cfg[tag]);
+        } catch (err) {
+            throw new VError(err, '%s: invalid subnet "%s"', name, cfg[tag]);
+        }
+    });
+
+    return containers;
+}
+
 module.exports = {
     allocProvisionRange: allocProvisionRange,
+    configContainers: configContainers,
     decrementSubnet: decrementSubnet,
+    findFreeSubnets: findFreeSubnets,
     incrementSubnet: incrementSubnet,
     haveGapBetweenSubnets: haveGapBetweenSubnets,
     subnetsAdjacent: subnetsAdjacent
@@ -18,29 +18,55 @@ var MESSAGES = {
     AGGR_BELONGS: 'all nics must have belongs_to_uuid of type server',
     AGGR_MATCH: 'belongs_to_uuid must match for all nics in the aggregation',
     AGGR_NAME: 'aggregation with same belongs_to_uuid and name already exists',
+    ALLOWED_IPS: 'must be an array of IP addresses or subnets',
+    ALLOWED_IPS_NO_NET: 'nic has no network of the same address family',
+    ALLOWED_IPS_PREFIX: 'subnets must have a prefix length of at least 16 ' +
+        'for IPv4, or 48 for IPv6',
     ARRAY_OF_STR: 'must be an array of strings',
     ARRAY_EMPTY: 'must not be an empty array',
+    BLOCK_IN_USE: 'address block must have no child blocks or networks',
+    BLOCK_OUTSIDE: 'subnet must be inside the subnet of the address block',
+    BLOCK_OUTSIDE_PARENT:
+        'subnet must be inside the subnet of the parent address block',
+    BLOCK_OVERLAP: 'subnet overlaps other address blocks with the same parent',
+    BLOCK_PROP_IMMUTABLE:
+        'Address block updates for this field are not supported',
+    BLOCK_SUBNET_ALLOC: 'cannot be used with subnet_alloc',
+    BLOCK_UNKNOWN: 'unknown address block',
     CIDR: 'Subnet must be in CIDR form',
     CIDR_IP: 'Subnet IP invalid',
     CIDR_BITS: 'Subnet bits invalid',
     CIDR_INVALID: 'invalid CIDR format',
+    EXCLUSIONS_COVER_RANGE: 'cannot exclude all of the provision range',
     FABRIC_IPV4_ONLY: 'Fabric networks must be IPv4',
     FABRIC_PROP_IMMUTABLE:
         'Network updates for this field are not supported on fabrics',
     FABRIC_SINGLE_OWNER: 'Fabric networks must have exactly one owner',
+    FREE_RANGE_PARAM: 'cannot be set when freeing IPs',
+    HOLD_PAST: 'must be in the future',
+    HOLD_TTL_CONFLICT: 'cannot be set with hold_until',
     INVALID_PARAMS: 'Invalid parameters',
     INVALID_UUID: 'invalid UUID',
     IP_NO_VLAN_TAG: 'required if IP specified but not network_uuid',
+    IP_ONE_PER_FAMILY: 'only one address of each family may be specified',
+    IP_RANGE: 'must be a subnet in CIDR form, or an object with start and ' +
+        'end IPs, with start not after end',
     IP_OUTSIDE: 'ip cannot be outside subnet',
+    IP_RANGES: 'must be an array of objects with start and end IPs, with ' +
+        'start not after end',
     IPV4_REQUIRED: 'Specified address must be IPv4',
+    LABELS: 'must be an object mapping names made of letters, numbers, ' +
+        '".", "-" and "_" to strings, all of at most 64 characters',
     LIMIT: 'invalid limit, must be an integer greater than 0 or less than or ' +
         'equal to 1000',
     NET_NAME_IN_USE: 'name is in use by another network',
+    NET_ONE_PER_FAMILY: 'only one network of each family may be specified',
     NET_OWNER: 'owner cannot provision on network',
     NET_ON_VLAN: 'VLAN must have no networks',
     NET_PROP_IMMUTABLE: 'Network updates for this field are not supported',
     NIC_ON_NET: 'network must have no NICs provisioned',
     NIC_TAG_SLASH: 'only one slash is allowed after the tag name',
+    NON_NEG_INT: 'must be an integer greater than or equal to 0',
     NO_POOL_INTERSECTION: 'Specified pools do not contain networks ' +
         'that can be used together',
     OBJ: 'must be an object',
@@ -48,21 +74,52 @@ var MESSAGES = {
         'equal to 0',
     OVERLAY_REQUIRED: 'overlay networking is not enabled',
     PARAMETERS_ARE_OBJECTS: 'Parameters must be objects',
+    POS_INT: 'must be an integer greater than 0',
     POOL_OWNER: 'owner cannot provision on network pool',
+    PREFIX_WITHIN: 'must be at least the prefix length of within, and at ' +
+        'most 32 for IPv4 or 128 for IPv6',
 
+    PROV_RANGES_BCAST: 'provision ranges cannot include the broadcast address',
+    PROV_RANGES_BOUNDS: 'must start at provision_start_ip and end at ' +
+        'provision_end_ip',
+    PROV_RANGES_OUTSIDE: 'ranges cannot be outside subnet',
+    PROV_RANGES_SET: 'cannot be changed on a network with provision_ranges: ' +
+        'update provision_ranges instead',
+    PROV_RANGES_TYPE_MISMATCH: 'ranges and subnet must both be IPv4 or IPv6 ' +
+        'addresses',
     PROV_END_IP_OUTSIDE: 'provision_end_ip cannot be outside subnet',
     PROV_END_IP_BCAST: 'provision_end_ip cannot be the broadcast address',
     PROV_START_IP_BCAST: 'provision_start_ip cannot be the broadcast address',
     PROV_START_IP_OUTSIDE: 'provision_start_ip cannot be outside subnet',
+    RANGE_OUTSIDE: 'range cannot be outside subnet',
     PROV_TYPES_MISMATCH: 'provision_start_ip and provision_end_ip must be ' +
         'both IPv4 or both IPv6 addresses',
     PROV_START_TYPE_MISMATCH: 'provision_start_ip and subnet must both be ' +
         'IPv4 or IPv6 addresses',
     PROV_END_TYPE_MISMATCH: 'provision_end_ip and subnet must both be ' +
         'IPv4 or IPv6 addresses',
+    REGEN_MAC_SERVER: 'MAC addresses of server nics cannot be regenerated',
 
+    SEARCH_IP_FILTER: 'required unless searching by belongs_to_uuid, ' +
+        'owner_uuid or reserved=true',
+    SEARCH_NET_ADDRESS: 'exactly one of ip or subnet must be specified',
     SEARCH_NO_NETS: 'No networks found matching search criteria',
+    SECONDARY_IP_NO_NET: 'nic has no network of the same address family',
+    SECONDARY_IP_NOT_FOUND: 'IP is not a secondary IP of the nic',
+    SECONDARY_IPS_PRESENT: 'nic secondary IPs must be removed first',
     STR: 'must be a string',
+    SUBNET_ALLOC_CONTAINER: 'no subnet allocation container is configured ' +
+        'for nic_tag: specify address_block_uuid to allocate from a block',
+    SUBNET_ALLOC_FAILED: 'could not allocate a subnet: too many concurrent ' +
+        'allocations',
+    SUBNET_ALLOC_FAMILY: 'family must match the address family of the ' +
+        'subnet allocation container',
+    SUBNET_ALLOC_PREFIX: 'must fit inside the subnet allocation container',
+    SUBNET_FAMILY_IMMUTABLE: 'subnet address family cannot be changed',
+    SUBNET_FAMILY_MISMATCH: 'family must match the address family of subnet',
+    SUBNET_PREFIX: 'must be an integer between 8 and 128',
+    TIMESTAMP: 'must be an ISO 8601 date or a number of milliseconds ' +
+        'since the epoch',
     UNKNOWN_PARAMS: 'Unknown parameters',
     VLAN_USED: 'VLAN ID is already in use',
     VNET: 'VNET ID must be a number between 0 and 16777215'
@@ -70,6 +127,7 @@ var MESSAGES = {
 
 // Messages that need to be formatted with util.format
 var FORMAT_MESSAGES = {
+    INT_RANGE: 'must be an integer from %d to %d',
     IP_EXISTS: 'IP %s exists on network %s',
     IP_IN_USE: 'IP in use by %s "%s"',
     IP_INVALID: 'Invalid IP %s',
@@ -83,8 +141,15 @@ var FORMAT_MESSAGES = {
         'provisioning constraints',
     POOL_FULL_MSG: 'All networks in pool %s are full',
     POOL_NIC_TAGS_AMBIGUOUS: 'Network pool %s has mixed nic_tag values',
+    RANGE_IP_IN_USE: 'IP %s is in use by %s "%s"',
+    RANGE_TOO_LARGE: 'range cannot contain more than %d addresses',
+    STR_TOO_LONG: 'must be a string of at most %d characters',
+    SUBNET_IP_IN_USE: 'IP %s is in use and would not be usable in the ' +
+        'new subnet',
     NIC_TAGS_DIFFER: 'The nic_tag of all specified IPv4 and IPv6 networks ' +
         'must match (have "%s" and "%s")',
+    MTUS_DIFFER: 'The mtu of all specified IPv4 and IPv6 networks ' +
+        'must match (have %d and %d)',
     VLAN_IDS_DIFFER: 'The vlan_id of all specified IPv4 and IPv6 networks ' +
         'must match (have %d and %d)'
 };
@@ -136,19 +201,35 @@ module.exports = {
     fmt: FORMAT_MESSAGES,
     ADMIN_MTU_MSG: 'admin nic tag mtu must be ' + MTU_DEFAULT,
     ADMIN_UPDATE_MSG: 'admin nic tag cannot be updated',
+    ALLOCATION_STRATEGIES: [ 'lowest', 'highest', 'random', 'sticky' ],
+    // Shortest prefix lengths for subnets in a nic's allowed_ips
+    ALLOWED_IPS_MIN_IPV4: 16,
+    ALLOWED_IPS_MIN_IPV6: 48,
+    DEFAULT_ALLOCATION_STRATEGY: 'lowest',
+    DEFAULT_AVAILABLE_SUBNETS: 10,
+    DEFAULT_HOLD_REAP_INTERVAL: 60,
+    DEFAULT_IP_HISTORY_RETENTION: 90,
     DEFAULT_NIC_STATE: 'provisioning',
     DEFAULT_LIMIT: 1000,
     DEFAULT_OFFSET: 0,
     EXTERNAL_RENAME_MSG: 'external nic tag cannot be renamed',
     GATEWAY_SUBNET_MSG: 'gateway cannot be outside subnet',
     INVALID_IP_MSG: 'invalid IP address',
+    IP_HISTORY_PRUNE_INTERVAL: 3600,
     IP_PROVISION_GAP_LENGTH: 50,
+    IP_PROVISION_RANDOM_CANDIDATES: 10,
     IP_PROVISION_RETRIES: 100,
     msg: MESSAGES,
     MAC_RETRIES: 50,
+    MAC_SCAN_LIMIT: 1000,
+    MAC_SCAN_RETRIES: 5,
     MAX_AGGR_MACS: 16,
     MAX_INTERFACE_LEN: 31,
+    MAX_DESCRIPTION_LEN: 1024,
+    MAX_IP_RANGE: 1024,
     MAX_LIMIT: 1000,
+    // At most IP_PROVISION_GAP_LENGTH: see "Dry runs" in ip/provision.js
+    MAX_NEXT_IPS: 50,
     MAX_STR_LEN: 64,
     MAX_VNET_ID: MAX_VNET_ID,
     MIN_LIMIT: 1,
@@ -166,6 +247,8 @@ module.exports = {
     NIC_PROVISION_RETRIES: 150,
     OWNER_MATCH_MSG: 'network owner_uuids do not match',
     FREE_UNASSIGN_MSG: 'free and unassign cannot both be set to "true"',
+    FREED_IPS_COOLING_MSG:
+        'no free IPs: freed IPs are waiting for their reuse delay to pass',
     POOL_IP_MSG: 'IP cannot be specified with a network pool',
     POOL_MIN_NETS_MSG:
         'network pool must contain at least one network',
@@ -178,7 +261,11 @@ module.exports = {
     PRIV_RANGE_ONLY: 'subnet must be within private ranges',
     PROV_RANGE_ORDER_MSG:
         'provision_start_ip must be before provision_end_ip',
+    // Limits that nics inherit from their network unless they set their own
+    RATE_LIMIT_PARAMS: [ 'max_bandwidth_mbps', 'max_pps' ],
+    SEARCH_IP_CONCURRENCY: 10,
     SERVER_UNDERLAY_MSG: 'Only server NICs can be underlay NICs',
+    SUBNET_ALLOC_RETRIES: 10,
     SUBNET_FULL_MSG: 'no more free IPs',
     SUBNETS_EXHAUSTED_MSG: 'out of subnets',
     SUBNET_GATEWAY_MISMATCH: 'gateway should match subnet type (%s)',
@@ -135,6 +135,34 @@ function SubnetFullError(network_uuid) {
 
 util.inherits(SubnetFullError, restify.RestError);
 
+
+/**
+ * Error for when a subnet has no free IPs, but has freed IPs that will
+ * become available once their reuse delay has passed
+ */
+function FreedIPsCoolingError(network_uuid, retry_after) {
+    assert.uuid(network_uuid, 'network_uuid');
+    assert.number(retry_after, 'retry_after');
+
+    restify.RestError.call(this, {
+        restCode: 'FreedIPsCooling',
+        statusCode: 507,
+        message: constants.FREED_IPS_COOLING_MSG,
+        body: {
+            code: 'FreedIPsCooling',
+            message: constants.FREED_IPS_COOLING_MSG,
+            network_uuid: network_uuid,
+            retry_after: retry_after
+        }
+    });
+
+    this.name = 'FreedIPsCoolingError';
+    this.network_uuid = network_uuid;
+    this.stop = true;
+}
+
+util.inherits(FreedIPsCoolingError, restify.RestError);
+
 function SubnetsExhaustedError() {
 
     restify.RestError.call(this, {
@@ -339,6 +367,7 @@ function sortErrsByField(errs) {
 
 module.exports = {
     duplicateParam: duplicateParam,
+    FreedIPsCoolingError: FreedIPsCoolingError,
     InternalError: InternalError,
     invalidParam: invalidParam,
     InvalidParamsError: InvalidParamsError,
@@ -157,6 +157,24 @@ function isUniqueLocal(subnet) {
 }
 
 
+/*
+ * Returns the private (RFC1918 or IPv6 Unique Local) parts of a subnet, as
+ * subnets: either the subnet itself, or the private address spaces that it
+ * contains.
+ */
+function privateSubnets(subnet) {
+    var kind = subnet.address().kind();
+
+    return RFC1918Subnets.concat(UniqueLocalSubnet).filter(function (privsub) {
+        return privsub.address().kind() === kind &&
+            (isNestedSubnet(privsub, subnet) ||
+            isNestedSubnet(subnet, privsub));
+    }).map(function (privsub) {
+        return isNestedSubnet(privsub, subnet) ? subnet : privsub;
+    });
+}
+
+
 /*
  * Compares two IP addresses
  */
@@ -165,6 +183,95 @@ function compareTo(a, b) {
 }
 
 
+/*
+ * Returns the number of addresses from start to end, inclusive. IPv6 ranges
+ * can be larger than the largest integer a Number can represent exactly, so
+ * counts above 2^53 are approximate.
+ */
+function rangeSize(start, end) {
+    if (start.kind() === 'ipv4') {
+        return end.toLong() - start.toLong() + 1;
+    }
+
+    function groups(addr) {
+        return addr.toString({ format: 'v6', zeroElide: false })
+            .split(':').map(function (g) { return parseInt(g, 16); });
+    }
+
+    var startGroups = groups(start);
+    var endGroups = groups(end);
+    var size = 0;
+
+    for (var i = 0; i < endGroups.length; i++) {
+        size = (size * 65536) + (endGroups[i] - startGroups[i]);
+    }
+
+    return size + 1;
+}
+
+
+/*
+ * Sorts an array of { start, end } address ranges, and merges together any
+ * that overlap or are adjacent.
+ */
+function mergeRanges(ranges) {
+    var merged = [];
+    var sorted = ranges.slice().sort(function (a, b) {
+        return a.start.compare(b.start);
+    });
+
+    sorted.forEach(function (range) {
+        var last = merged[merged.length - 1];
+        var next = last ? last.end.offset(1) : null;
+
+        if (last && next !== null && range.start.compare(next) <= 0) {
+            if (range.end.compare(last.end) > 0) {
+                last.end = range.end;
+            }
+            return;
+        }
+
+        merged.push({ start: range.start, end: range.end });
+    });
+
+    return merged;
+}
+
+
+/*
+ * Returns the sorted, merged { start, end } ranges of addresses that are in
+ * one of the ranges, but not in any of the exclusions.
+ */
+function excludeRanges(ranges, exclusions) {
+    var excluded = mergeRanges(exclusions);
+    var result = [];
+
+    mergeRanges(ranges).forEach(function (range) {
+        var start = range.start;
+
+        for (var i = 0; i < excluded.length && start !== null; i++) {
+            var ex = excluded[i];
+
+            if (ex.end.compare(start) < 0 || ex.start.compare(range.end) > 0) {
+                continue;
+            }
+
+            if (ex.start.compare(start) > 0) {
+                result.push({ start: start, end: ex.start.offset(-1) });
+            }
+
+            start = ex.end.compare(range.end) < 0 ? ex.end.offset(1) : null;
+        }
+
+        if (start !== null) {
+            result.push({ start: start, end: range.end });
+        }
+    });
+
+    return result;
+}
+
+
 /*
  * Converts an integer to a dotted IP address
  */
@@ -251,14 +358,19 @@ module.exports = {
     aton: addressToNumber,
     bitsToNetmask: bitsToNetmask,
     compareTo: compareTo,
+    excludeRanges: excludeRanges,
     fixupIPAddr: fixupIPAddr,
     ipAddrMinus: ipAddrMinus,
     ipAddrPlus: ipAddrPlus,
+    isNestedSubnet: isNestedSubnet,
     isRFC1918: isRFC1918,
     isUniqueLocal: isUniqueLocal,
+    mergeRanges: mergeRanges,
     netmaskToBits: netmaskToBits,
     numberToAddress: numberToAddress,
     ntoa: numberToAddress,
+    privateSubnets: privateSubnets,
+    rangeSize: rangeSize,
     toIPAddr: toIPAddr,
     toSubnet: toSubnet
 };
@@ -14,6 +14,7 @@
 
 'use strict';
 
+var assert = require('assert-plus');
 var mod_mac = require('macaddr');
 
 
@@ -48,9 +49,160 @@ function randomMACnumber(oui) {
 }
 
 
+/**
+ * Converts a MAC range from the config into numbers. A range is either a
+ * whole OUI (eg: { oui: '90b8d0' }) or an explicit start and end address
+ * (eg: { start: '90:b8:d0:00:00:00', end: '90:b8:d0:00:ff:ff' }), and can
+ * be scoped to a nic tag or an owner.
+ */
+function parseRange(cfg) {
+    var range = {};
+
+    assert.object(cfg, 'MAC range');
+    assert.optionalString(cfg.nic_tag, 'MAC range nic_tag');
+    assert.optionalUuid(cfg.owner_uuid, 'MAC range owner_uuid');
+    assert.ok(!(cfg.nic_tag && cfg.owner_uuid),
+        'MAC range can only be scoped to one of nic_tag or owner_uuid');
+
+    if (cfg.hasOwnProperty('oui')) {
+        assert.string(cfg.oui, 'MAC range oui');
+        range.oui = cfg.oui;
+        range.start = macOUItoNumber(cfg.oui);
+        range.end = maxOUInumber(cfg.oui);
+    } else {
+        assert.string(cfg.start, 'MAC range start');
+        assert.string(cfg.end, 'MAC range end');
+        range.start = mod_mac.parse(cfg.start).toLong();
+        range.end = mod_mac.parse(cfg.end).toLong();
+        assert.ok(range.start <= range.end,
+            'MAC range start must not be after its end');
+    }
+
+    if (cfg.nic_tag) {
+        range.nic_tag = cfg.nic_tag;
+    }
+
+    if (cfg.owner_uuid) {
+        range.owner_uuid = cfg.owner_uuid;
+    }
+
+    return range;
+}
+
+
+/**
+ * Returns true if the range isn't scoped to a nic tag or owner
+ */
+function unscoped(range) {
+    return !range.nic_tag && !range.owner_uuid;
+}
+
+
+/**
+ * Returns all of the MAC ranges in the config: the entries of
+ * config.macRanges, plus config.macOUI if none of those are unscoped.
+ */
+function configRanges(config) {
+    var ranges = (config.macRanges || []).map(parseRange);
+
+    if (!ranges.some(unscoped)) {
+        ranges.push(parseRange({ oui: config.macOUI }));
+    }
+
+    return ranges;
+}
+
+
+/**
+ * Returns the ranges that a nic with the given parameters gets its MAC
+ * address from: the ones for its owner if there are any, then the ones for
+ * its nic tag, and finally the unscoped ones.
+ */
+function rangesFor(ranges, params) {
+    var owned = ranges.filter(function (range) {
+        return range.owner_uuid && range.owner_uuid === params.owner_uuid;
+    });
+
+    if (owned.length !== 0) {
+        return owned;
+    }
+
+    var tagged = ranges.filter(function (range) {
+        return range.nic_tag && range.nic_tag === params.nic_tag;
+    });
+
+    if (tagged.length !== 0) {
+        return tagged;
+    }
+
+    return ranges.filter(unscoped);
+}
+
+
+/**
+ * Returns the number of MAC addresses in a range
+ */
+function rangeSize(range) {
+    return range.end - range.start + 1;
+}
+
+
+/**
+ * Picks a random MAC number from one of the ranges, weighting each range
+ * by its size. Returns an object with the range and the MAC number.
+ */
+function randomInRanges(ranges) {
+    assert.arrayOfObject(ranges, 'ranges');
+    assert.ok(ranges.length !== 0, 'at least one range');
+
+    var total = ranges.reduce(function (acc, range) {
+        return acc + rangeSize(range);
+    }, 0);
+    var random = Math.floor(Math.random() * total);
+
+    for (var i = 0; i < ranges.length - 1; i++) {
+        if (random < rangeSize(ranges[i])) {
+            break;
+        }
+
+        random -= rangeSize(ranges[i]);
+    }
+
+    return {
+        mac: ranges[i].start + random,
+        range: ranges[i]
+    };
+}
+
+
+/**
+ * Returns the serialized (API-facing) form of a range
+ */
+function serializeRange(range) {
+    var ser = {
+        start: mod_mac.parse(range.start).toString(),
+        end: mod_mac.parse(range.end).toString()
+    };
+
+    [ 'oui', 'nic_tag', 'owner_uuid' ].forEach(function (p) {
+        if (range.hasOwnProperty(p)) {
+            ser[p] = range[p];
+        }
+    });
+
+    return ser;
+}
+
+
 
 module.exports = {
+    configRanges: configRanges,
     macOUItoNumber: macOUItoNumber,
     maxOUInum: maxOUInumber,
-    randomNum: randomMACnumber
+    parseRange: parseRange,
+    randomInRanges: randomInRanges,
+    randomNum: randomMACnumber,
+    rangeSize: rangeSize,
+    rangesFor: rangesFor,
+    serializeRange: serializeRange
 };
@@ -32,6 +32,7 @@ var warden = require('restify-warden');
 
 var INTERFACE_NAME_RE = /[a-zA-Z0-9_]{0,31}/;
 var INTERFACE_NUM_RE = /[0-9]+$/;
+var LABEL_NAME_RE = /^[a-zA-Z0-9._-]{1,64}$/;
 
 
 // --- Exports
@@ -56,7 +57,8 @@ function validateBoolean(_, name, val, callback) {
 }
 
 /**
- * Currently validates that prefix is 24.
+ * Validates a subnet prefix length. Whether it fits the address family is
+ * checked along with the family, since that isn't known yet.
  */
 function validateSubnetPrefix(_, name, val, callback) {
     if (typeof (val) !== 'number') {
@@ -65,8 +67,8 @@ function validateSubnetPrefix(_, name, val, callback) {
         return;
     }
 
-    if (val !== 24) {
-        callback(errors.invalidParam(name, 'Only /24 is supported'));
+    if (val % 1 !== 0 || val < constants.SUBNET_MIN_IPV4 || val > 128) {
+        callback(errors.invalidParam(name, constants.msg.SUBNET_PREFIX));
         return;
     }
 
@@ -191,6 +193,104 @@ function validateIP(_, name, addr, callback) {
 }
 
 
+/**
+ * Validates an array of IP address ranges, which are objects with inclusive
+ * start and end addresses. Returns the ranges sorted by start address.
+ */
+function validateIPRanges(_, name, arr, callback) {
+    var invalid = [];
+    var ranges = [];
+
+    if (!util.isArray(arr)) {
+        callback(errors.invalidParam(name, constants.msg.IP_RANGES));
+        return;
+    }
+
+    arr.forEach(function (r) {
+        if (typeof (r) !== 'object' || r === null) {
+            invalid.push(r);
+            return;
+        }
+
+        var start = util_ip.toIPAddr(r.start);
+        var end = util_ip.toIPAddr(r.end);
+
+        if (!start || !end || start.kind() !== end.kind() ||
+            start.compare(end) > 0) {
+            invalid.push(r);
+            return;
+        }
+
+        ranges.push({ start: start, end: end });
+    });
+
+    if (invalid.length !== 0) {
+        callback(errors.invalidParam(name, constants.msg.IP_RANGES,
+            { invalid: invalid }));
+        return;
+    }
+
+    ranges.sort(function (a, b) {
+        return a.start.compare(b.start);
+    });
+
+    callback(null, ranges);
+}
+
+
+/**
+ * Validates a single range of IP addresses, given either as a subnet in CIDR
+ * form or as an object with inclusive start and end addresses. For subnets,
+ * the range is all of the subnet's addresses: for IPv4, this includes the
+ * network and broadcast addresses.
+ */
+function validateIPRange(_, name, val, callback) {
+    var start, end;
+
+    if (typeof (val) === 'string') {
+        try {
+            var cidr = ipaddr.createCIDR(val);
+            start = cidr.address();
+            end = start.kind() === 'ipv4' ? cidr.broadcast() : cidr.last();
+        } catch (_err) {
+            start = null;
+        }
+    } else if (typeof (val) === 'object' && val !== null) {
+        start = util_ip.toIPAddr(val.start);
+        end = util_ip.toIPAddr(val.end);
+    }
+
+    if (!start || !end || start.kind() !== end.kind() ||
+        start.compare(end) > 0) {
+        callback(errors.invalidParam(name, constants.msg.IP_RANGE));
+        return;
+    }
+
+    callback(null, { start: start, end: end });
+}
+
+
+/**
+ * Validates a subnet in CIDR form, returning the range of all of its
+ * addresses: for IPv4, this includes the network and broadcast addresses.
+ */
+function validateSubnetRange(_, name, val, callback) {
+    var cidr;
+
+    try {
+        cidr = ipaddr.createCIDR(val);
+    } catch (_err) {
+        callback(errors.invalidParam(name, constants.msg.CIDR));
+        return;
+    }
+
+    callback(null, {
+        start: cidr.address(),
+        end: cidr.address().kind() === 'ipv4' ? cidr.broadcast() : cidr.last()
+    });
+}
+
+
 /**
  * Validates an IPv4 address
  */
@@ -331,6 +431,108 @@ function validateMTU(min, errmsg) {
     };
 }
 
+/**
+ * Validates a free-form description, which may be empty
+ */
+function validateDescription(_, name, val, callback) {
+    if (typeof (val) !== 'string' ||
+        val.length > constants.MAX_DESCRIPTION_LEN) {
+        callback(errors.invalidParam(name, fmt(constants.fmt.STR_TOO_LONG,
+            constants.MAX_DESCRIPTION_LEN)));
+        return;
+    }
+
+    callback(null, val);
+}
+
+/**
+ * Validates an object of labels, mapping names to string values
+ */
+function validateLabels(_, name, val, callback) {
+    if (typeof (val) !== 'object' || val === null || util.isArray(val)) {
+        callback(errors.invalidParam(name, constants.msg.LABELS));
+        return;
+    }
+
+    var labels = {};
+
+    for (var key in val) {
+        if (!LABEL_NAME_RE.test(key) || typeof (val[key]) !== 'string' ||
+            val[key].length > constants.MAX_STR_LEN) {
+            callback(errors.invalidParam(name, constants.msg.LABELS));
+            return;
+        }
+
+        labels[key] = val[key];
+    }
+
+    callback(null, labels);
+}
+
+/**
+ * Validates an integer that is greater than or equal to 0
+ */
+function validateNonNegativeInteger(_, name, val, callback) {
+    var num = Number(val);
+
+    if (typeof (val) === 'boolean' || val === '' || val === null ||
+        parseInt(val, 10) !== num || num < 0) {
+        callback(errors.invalidParam(name, constants.msg.NON_NEG_INT));
+        return;
+    }
+
+    callback(null, num);
+}
+
+/**
+ * Validates an integer that is greater than 0
+ */
+function validatePositiveInteger(_, name, val, callback) {
+    var num = Number(val);
+
+    if (typeof (val) === 'boolean' || val === '' || val === null ||
+        parseInt(val, 10) !== num || num < 1) {
+        callback(errors.invalidParam(name, constants.msg.POS_INT));
+        return;
+    }
+
+    callback(null, num);
+}
+
+/**
+ * Validates a bandwidth or packet rate limit: an integer greater than 0, or
+ * null or an empty string to remove the limit
+ */
+function validateRateLimit(_, name, val, callback) {
+    if (val === null || val === '') {
+        callback();
+        return;
+    }
+
+    validatePositiveInteger(null, name, val, callback);
+}
+
+/**
+ * Validates a point in time, given either as an ISO 8601 date or as a number
+ * of milliseconds since the epoch, and returns it as the latter
+ */
+function validateTimestamp(_, name, val, callback) {
+    var time = NaN;
+
+    if (typeof (val) === 'number') {
+        time = val;
+    } else if (typeof (val) === 'string' && val !== '') {
+        time = /^[0-9]+$/.test(val) ? Number(val) : Date.parse(val);
+    }
+
+    if (!isFinite(time) || isNaN(new Date(time).getTime())) {
+        callback(errors.invalidParam(name, constants.msg.TIMESTAMP));
+        return;
+    }
+
+    callback(null, time);
+}
+
 /**
  * Validates a VLAN ID
  */
@@ -361,13 +563,17 @@ function validateVxlanID(_, name, vlan_id, callback) {
 
 module.exports = {
     bool: validateBoolean,
+    description: validateDescription,
     subnetPrefix: validateSubnetPrefix,
     enum: validateEnum,
     fieldsArray: warden.arrayOfFields,
     IP: validateIP,
     IPv4: validateIPv4,
     ipArray: validateIParray,
+    ipRange: validateIPRange,
+    ipRanges: validateIPRanges,
     interfaceName: validateInterfaceName,
+    labels: validateLabels,
     limit: warden.limit,
     MAC: validateMAC,
     MACarray: validateMACarray,
@@ -376,13 +582,18 @@ module.exports = {
     networkMTU: validateMTU(constants.MTU_NETWORK_MIN,
         constants.MTU_NETWORK_INVALID_MSG),
     nicTagName: validateNicTagName,
+    nonNegativeInteger: validateNonNegativeInteger,
     offset: warden.offset,
     params: warden.params,
+    positiveInteger: validatePositiveInteger,
+    rateLimit: validateRateLimit,
     uuidPrefix: warden.uuidPrefix,
     string: warden.string,
     stringOrArray: warden.stringOrArray,
     stringArray: warden.arrayOfString,
     subnet: validateSubnet,
+    subnetRange: validateSubnetRange,
+    timestamp: validateTimestamp,
     UUID: warden.uuid,
     UUIDarray: warden.arrayOfUuid,
     VLAN: validateVLAN,
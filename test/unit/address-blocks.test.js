@@ -0,0 +1,445 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Unit tests for /address_blocks endpoints
+ */
+
+'use strict';
+
+var constants = require('../../lib/util/constants');
+var h = require('./helpers');
+var mod_err = require('../../lib/util/errors');
+var mod_net = require('../lib/net');
+var mod_nicTag = require('../lib/nic-tag');
+var mod_server = require('../lib/server');
+var mod_uuid = require('node-uuid');
+var test = require('tape');
+
+
+
+// --- Globals
+
+
+
+var NAPI;
+var OWNER = mod_uuid.v4();
+var REGION;
+var SITE;
+var NETS = [];
+
+
+
+// --- Internal helpers
+
+
+
+/**
+ * Create an address block, and check that the expected one was created
+ */
+function createBlock(t, params, callback) {
+    NAPI.post({ path: '/address_blocks' }, params, function (err, block) {
+        if (h.ifErr(t, err, 'create address block')) {
+            t.end();
+            return;
+        }
+
+        t.ok(block.uuid, 'uuid');
+        Object.keys(params).forEach(function (p) {
+            t.equal(block[p], params[p], p);
+        });
+
+        callback(block);
+    });
+}
+
+
+/**
+ * Check that a request failed with the expected error body
+ */
+function expErr(t, err, exp) {
+    t.ok(err, 'error returned');
+    if (err) {
+        t.deepEqual(err.body, exp, 'error body');
+    }
+
+    t.end();
+}
+
+
+
+// --- Setup
+
+
+
+test('Initial setup', function (t) {
+    h.reset();
+
+    t.test('create client and server', function (t2) {
+        h.createClientAndServer(function (err, res) {
+            t2.ifError(err, 'creating client and server should succeed');
+            t2.ok(res, 'client');
+            NAPI = res;
+            return t2.end();
+        });
+    });
+
+    t.test('create nic tag', function (t2) {
+        mod_nicTag.create(t2, { name: h.validNetworkParams().nic_tag });
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Create address blocks', function (t) {
+    t.test('top-level block', function (t2) {
+        createBlock(t2, {
+            description: 'region',
+            owner_uuid: OWNER,
+            subnet: '10.0.0.0/16'
+        }, function (block) {
+            t2.equal(block.family, 'ipv4', 'family');
+            REGION = block;
+            t2.end();
+        });
+    });
+
+    t.test('child block', function (t2) {
+        createBlock(t2, {
+            parent_uuid: REGION.uuid,
+            subnet: '10.0.0.0/20'
+        }, function (block) {
+            SITE = block;
+            t2.end();
+        });
+    });
+
+    t.test('get child block', function (t2) {
+        NAPI.get({ path: '/address_blocks/' + SITE.uuid },
+            function (err, block) {
+            if (h.ifErr(t2, err, 'get address block')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(block, SITE, 'block');
+            t2.end();
+        });
+    });
+
+    t.test('list children', function (t2) {
+        NAPI.get({ path: '/address_blocks?parent_uuid=' + REGION.uuid },
+            function (err, blocks) {
+            if (h.ifErr(t2, err, 'list address blocks')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(blocks, [ SITE ], 'child blocks');
+            t2.end();
+        });
+    });
+
+    t.test('child outside parent', function (t2) {
+        NAPI.post({ path: '/address_blocks' }, {
+            parent_uuid: REGION.uuid,
+            subnet: '10.1.0.0/20'
+        }, function (err) {
+            expErr(t2, err, h.invalidParamErr({
+                errors: [ mod_err.invalidParam('subnet',
+                    constants.msg.BLOCK_OUTSIDE_PARENT) ]
+            }));
+        });
+    });
+
+    t.test('child overlapping a sibling', function (t2) {
+        NAPI.post({ path: '/address_blocks' }, {
+            parent_uuid: REGION.uuid,
+            subnet: '10.0.8.0/21'
+        }, function (err) {
+            var invalid = mod_err.invalidParam('subnet',
+                constants.msg.BLOCK_OVERLAP);
+            invalid.invalid = [ SITE.uuid ];
+
+            expErr(t2, err, h.invalidParamErr({ errors: [ invalid ] }));
+        });
+    });
+
+    t.test('unknown parent', function (t2) {
+        NAPI.post({ path: '/address_blocks' }, {
+            parent_uuid: mod_uuid.v4(),
+            subnet: '10.0.16.0/20'
+        }, function (err) {
+            expErr(t2, err, h.invalidParamErr({
+                errors: [ mod_err.invalidParam('parent_uuid',
+                    constants.msg.BLOCK_UNKNOWN) ]
+            }));
+        });
+    });
+
+    t.test('top-level block overlapping another', function (t2) {
+        NAPI.post({ path: '/address_blocks' }, {
+            subnet: '10.0.0.0/8'
+        }, function (err) {
+            var invalid = mod_err.invalidParam('subnet',
+                constants.msg.BLOCK_OVERLAP);
+            invalid.invalid = [ REGION.uuid ];
+
+            expErr(t2, err, h.invalidParamErr({ errors: [ invalid ] }));
+        });
+    });
+});
+
+
+test('Update address blocks', function (t) {
+    t.test('update description', function (t2) {
+        NAPI.put({ path: '/address_blocks/' + SITE.uuid }, {
+            description: 'site 1'
+        }, function (err, block) {
+            if (h.ifErr(t2, err, 'update address block')) {
+                t2.end();
+                return;
+            }
+
+            SITE.description = 'site 1';
+            t2.deepEqual(block, SITE, 'updated block');
+            t2.end();
+        });
+    });
+
+    t.test('change subnet', function (t2) {
+        NAPI.put({ path: '/address_blocks/' + SITE.uuid }, {
+            subnet: '10.0.0.0/21'
+        }, function (err) {
+            expErr(t2, err, h.invalidParamErr({
+                errors: [ mod_err.invalidParam('subnet',
+                    constants.msg.BLOCK_PROP_IMMUTABLE) ]
+            }));
+        });
+    });
+});
+
+
+test('Networks in address blocks', function (t) {
+    t.test('create network in block', function (t2) {
+        var params = h.validNetworkParams({
+            address_block_uuid: SITE.uuid,
+            provision_start_ip: '10.0.1.1',
+            provision_end_ip: '10.0.1.254',
+            subnet: '10.0.1.0/24'
+        });
+
+        mod_net.create(t2, {
+            params: params,
+            partialExp: {
+                address_block_uuid: SITE.uuid,
+                subnet: '10.0.1.0/24'
+            }
+        }, function (_, net) {
+            if (net) {
+                NETS.push(net);
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('create network outside of block', function (t2) {
+        mod_net.create(t2, {
+            params: h.validNetworkParams({
+                address_block_uuid: SITE.uuid,
+                provision_start_ip: '10.0.16.1',
+                provision_end_ip: '10.0.16.254',
+                subnet: '10.0.16.0/24'
+            }),
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('subnet',
+                    constants.msg.BLOCK_OUTSIDE) ],
+                message: 'Invalid parameters'
+            })
+        });
+    });
+
+    t.test('create network in unknown block', function (t2) {
+        mod_net.create(t2, {
+            params: h.validNetworkParams({
+                address_block_uuid: mod_uuid.v4()
+            }),
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('address_block_uuid',
+                    constants.msg.BLOCK_UNKNOWN) ],
+                message: 'Invalid parameters'
+            })
+        });
+    });
+
+    t.test('create network in the parent block', function (t2) {
+        mod_net.create(t2, {
+            params: h.validNetworkParams({
+                provision_start_ip: '10.0.32.1',
+                provision_end_ip: '10.0.33.254',
+                subnet: '10.0.32.0/23'
+            }),
+            partialExp: {
+                subnet: '10.0.32.0/23'
+            }
+        }, function (_, net) {
+            if (net) {
+                NETS.push(net);
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('move network into block it does not fit', function (t2) {
+        mod_net.update(t2, {
+            params: {
+                address_block_uuid: SITE.uuid,
+                uuid: NETS[1].uuid
+            },
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('subnet',
+                    constants.msg.BLOCK_OUTSIDE) ],
+                message: 'Invalid parameters'
+            })
+        });
+    });
+
+    t.test('list networks in block', function (t2) {
+        mod_net.list(t2, {
+            params: { address_block_uuid: SITE.uuid },
+            deepEqual: true,
+            present: [ NETS[0] ]
+        });
+    });
+});
+
+
+test('Address block usage', function (t) {
+    t.test('region usage', function (t2) {
+        NAPI.get({ path: '/address_blocks/' + REGION.uuid + '/usage' },
+            function (err, usage) {
+            if (h.ifErr(t2, err, 'get usage')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(usage, {
+                uuid: REGION.uuid,
+                subnet: REGION.subnet,
+                total: 65536,
+                allocated: 768,
+                free: 64768,
+                networks: 2
+            }, 'usage');
+            t2.end();
+        });
+    });
+
+    t.test('site usage', function (t2) {
+        NAPI.get({ path: '/address_blocks/' + SITE.uuid + '/usage' },
+            function (err, usage) {
+            if (h.ifErr(t2, err, 'get usage')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(usage, {
+                uuid: SITE.uuid,
+                subnet: SITE.subnet,
+                total: 4096,
+                allocated: 256,
+                free: 3840,
+                networks: 1
+            }, 'usage');
+            t2.end();
+        });
+    });
+});
+
+
+test('Delete address blocks', function (t) {
+    t.test('delete block with children', function (t2) {
+        NAPI.del({ path: '/address_blocks/' + REGION.uuid }, function (err) {
+            expErr(t2, err, {
+                code: 'InUse',
+                message: constants.msg.BLOCK_IN_USE,
+                errors: [ mod_err.usedBy('address block', SITE.uuid) ]
+            });
+        });
+    });
+
+    t.test('delete block with networks', function (t2) {
+        NAPI.del({ path: '/address_blocks/' + SITE.uuid }, function (err) {
+            expErr(t2, err, {
+                code: 'InUse',
+                message: constants.msg.BLOCK_IN_USE,
+                errors: [ mod_err.usedBy('network', NETS[0].uuid) ]
+            });
+        });
+    });
+
+    t.test('remove network from block', function (t2) {
+        mod_net.update(t2, {
+            params: {
+                address_block_uuid: null,
+                uuid: NETS[0].uuid
+            },
+            partialExp: {
+                subnet: '10.0.1.0/24'
+            }
+        }, function (_, net) {
+            if (net) {
+                t2.ok(!net.hasOwnProperty('address_block_uuid'),
+                    'address_block_uuid removed');
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('delete child block', function (t2) {
+        NAPI.del({ path: '/address_blocks/' + SITE.uuid }, function (err) {
+            t2.ifError(err, 'delete address block');
+            t2.end();
+        });
+    });
+
+    t.test('delete parent block', function (t2) {
+        NAPI.del({ path: '/address_blocks/' + REGION.uuid }, function (err) {
+            t2.ifError(err, 'delete address block');
+            t2.end();
+        });
+    });
+
+    t.test('get deleted block', function (t2) {
+        NAPI.get({ path: '/address_blocks/' + REGION.uuid }, function (err) {
+            t2.ok(err, 'error returned');
+            if (err) {
+                t2.equal(err.statusCode, 404, 'status code');
+            }
+
+            t2.end();
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', mod_server.close);
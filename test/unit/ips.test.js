@@ -20,7 +20,11 @@ var common = require('../lib/common');
 var h = require('./helpers');
 var ip_common = require('../../lib/models/ip/common');
 var mod_err = require('../../lib/util/errors');
+var mod_held = require('../../lib/models/ip/held');
+var mod_holds = require('../../lib/models/ip/holds');
 var mod_ip = require('../lib/ip');
+var mod_nic = require('../lib/nic');
+var mod_pool = require('../lib/pool');
 var mod_server = require('../lib/server');
 var mod_uuid = require('node-uuid');
 var test = require('tape');
@@ -913,6 +917,1364 @@ function testIPv4List(t, opts, callback) {
         common.afterAPIcall.bind(null, t, opts, callback));
 }
 
+test('Update IP range', function (t) {
+    var gwNet;
+    var nic;
+    var other = mod_uuid.v4();
+    var owner = mod_uuid.v4();
+    var vm = mod_uuid.v4();
+
+    function ipsPath(net) {
+        return '/networks/' + net.uuid + '/ips';
+    }
+
+    function reservedIP(ip) {
+        return {
+            free: false,
+            ip: ip,
+            network_uuid: NETV4.uuid,
+            owner_uuid: owner,
+            reserved: true
+        };
+    }
+
+    t.test('invalid ranges', function (t2) {
+        var v6prefix = NETV6.subnet.split('/')[0];
+        var invalid = [
+            [ NETV4, 'foo', constants.msg.IP_RANGE ],
+            [ NETV4, { start: '10.0.2.5', end: '10.0.2.1' },
+                constants.msg.IP_RANGE ],
+            [ NETV4, { start: '10.0.2.5', end: v6prefix + '1' },
+                constants.msg.IP_RANGE ],
+            [ NETV4, '10.0.3.0/28', constants.msg.RANGE_OUTSIDE ],
+            [ NETV4, { start: '10.0.2.250', end: '10.0.3.5' },
+                constants.msg.RANGE_OUTSIDE ],
+            [ NETV6, { start: v6prefix + '1', end: v6prefix + '1000' },
+                util.format(constants.fmt.RANGE_TOO_LARGE,
+                    constants.MAX_IP_RANGE) ]
+        ];
+
+        vasync.forEachPipeline({
+            inputs: invalid,
+            func: function (data, cb) {
+                NAPI.put({ path: ipsPath(data[0]) }, {
+                    range: data[1],
+                    reserved: true
+                }, function (err) {
+                    t2.ok(err, 'error returned: ' + JSON.stringify(data[1]));
+                    if (err) {
+                        t2.deepEqual(err.body, h.invalidParamErr({
+                            errors: [ mod_err.invalidParam('range', data[2]) ]
+                        }), 'error body');
+                    }
+
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+
+    t.test('create one record in the range', function (t2) {
+        NAPI.updateIP(NETV4.uuid, '10.0.2.101', { reserved: false },
+            function (err) {
+            h.ifErr(t2, err, 'update IP');
+            t2.end();
+        });
+    });
+
+    t.test('reserve range', function (t2) {
+        NAPI.put({ path: ipsPath(NETV4) }, {
+            range: { start: '10.0.2.100', end: '10.0.2.103' },
+            owner_uuid: owner,
+            reserved: true
+        }, function (err, res) {
+            if (h.ifErr(t2, err, 'reserve range')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res, {
+                created: [
+                    reservedIP('10.0.2.100'),
+                    reservedIP('10.0.2.102'),
+                    reservedIP('10.0.2.103')
+                ],
+                updated: [
+                    reservedIP('10.0.2.101')
+                ]
+            }, 'created and updated IPs');
+            t2.end();
+        });
+    });
+
+    t.test('get reserved IP', function (t2) {
+        mod_ip.get(t2, {
+            net: NETV4.uuid,
+            ip: '10.0.2.103',
+            exp: reservedIP('10.0.2.103')
+        });
+    });
+
+    t.test('free with other params', function (t2) {
+        NAPI.put({ path: ipsPath(NETV4) }, {
+            range: '10.0.2.100/30',
+            free: true,
+            reserved: false
+        }, function (err) {
+            t2.ok(err, 'error returned');
+            if (err) {
+                t2.deepEqual(err.body, h.invalidParamErr({
+                    errors: [ mod_err.invalidParam('reserved',
+                        constants.msg.FREE_RANGE_PARAM) ]
+                }), 'error body');
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('free range', function (t2) {
+        // The range includes the subnet's network and broadcast addresses
+        NAPI.put({ path: ipsPath(NETV4) }, {
+            range: '10.0.2.100/30',
+            free: true
+        }, function (err, res) {
+            if (h.ifErr(t2, err, 'free range')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res, {
+                created: [],
+                updated: [
+                    mod_ip.freeIP(NETV4.uuid, '10.0.2.100'),
+                    mod_ip.freeIP(NETV4.uuid, '10.0.2.101'),
+                    mod_ip.freeIP(NETV4.uuid, '10.0.2.102'),
+                    mod_ip.freeIP(NETV4.uuid, '10.0.2.103')
+                ]
+            }, 'updated IPs');
+            t2.end();
+        });
+    });
+
+    t.test('reserve IP for other', function (t2) {
+        NAPI.updateIP(NETV4.uuid, '10.0.2.105', {
+            belongs_to_type: 'other',
+            belongs_to_uuid: other,
+            owner_uuid: other,
+            reserved: true
+        }, function (err) {
+            h.ifErr(t2, err, 'update IP');
+            t2.end();
+        });
+    });
+
+    t.test('update range with IP held by other', function (t2) {
+        NAPI.put({ path: ipsPath(NETV4) }, {
+            range: { start: '10.0.2.104', end: '10.0.2.105' },
+            owner_uuid: owner,
+            reserved: true
+        }, function (err, res) {
+            if (h.ifErr(t2, err, 'update range')) {
+                t2.end();
+                return;
+            }
+
+            var held = reservedIP('10.0.2.105');
+            held.belongs_to_type = 'other';
+            held.belongs_to_uuid = other;
+
+            t2.deepEqual(res, {
+                created: [ reservedIP('10.0.2.104') ],
+                updated: [ held ]
+            }, 'created and updated IPs');
+            t2.end();
+        });
+    });
+
+    t.test('free range with IP held by other', function (t2) {
+        NAPI.put({ path: ipsPath(NETV4) }, {
+            range: { start: '10.0.2.104', end: '10.0.2.105' },
+            free: true
+        }, function (err, res) {
+            if (h.ifErr(t2, err, 'free range')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res, {
+                created: [],
+                updated: [
+                    mod_ip.freeIP(NETV4.uuid, '10.0.2.104'),
+                    mod_ip.freeIP(NETV4.uuid, '10.0.2.105')
+                ]
+            }, 'updated IPs');
+            t2.end();
+        });
+    });
+
+    t.test('create nic in range', function (t2) {
+        var params = {
+            belongs_to_type: 'zone',
+            belongs_to_uuid: vm,
+            ip: '10.0.2.110',
+            network_uuid: NETV4.uuid,
+            owner_uuid: owner
+        };
+
+        mod_nic.create(t2, {
+            mac: 'generate',
+            params: params,
+            partialExp: params
+        }, function (_, res) {
+            nic = res;
+            t2.end();
+        });
+    });
+
+    t.test('reserve range with IP in use', function (t2) {
+        NAPI.put({ path: ipsPath(NETV4) }, {
+            range: { start: '10.0.2.108', end: '10.0.2.111' },
+            reserved: true
+        }, function (err) {
+            t2.ok(err, 'error returned');
+            if (err) {
+                t2.equal(err.statusCode, 422, 'status code');
+                t2.deepEqual(err.body, h.invalidParamErr({
+                    errors: [ mod_err.usedByParam('range', 'zone', vm,
+                        util.format(constants.fmt.RANGE_IP_IN_USE,
+                            '10.0.2.110', 'zone', vm)) ]
+                }), 'error body');
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('rest of range not reserved', function (t2) {
+        mod_ip.get(t2, {
+            net: NETV4.uuid,
+            ip: '10.0.2.108',
+            exp: mod_ip.freeIP(NETV4.uuid, '10.0.2.108')
+        });
+    });
+
+    t.test('add secondary IP in range', function (t2) {
+        if (!nic) {
+            t2.end();
+            return;
+        }
+
+        NAPI.post({ path: '/nics/' + nic.mac.replace(/:/g, '') + '/ips' },
+            { ip: '10.0.2.112' }, function (err, res) {
+            if (h.ifErr(t2, err, 'add IP')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res.secondary_ips, [ '10.0.2.112' ], 'secondary_ips');
+            t2.end();
+        });
+    });
+
+    t.test('free range with secondary IP in use', function (t2) {
+        NAPI.put({ path: ipsPath(NETV4) }, {
+            range: { start: '10.0.2.112', end: '10.0.2.113' },
+            free: true
+        }, function (err) {
+            t2.ok(err, 'error returned');
+            if (err) {
+                t2.equal(err.statusCode, 422, 'status code');
+                t2.deepEqual(err.body, h.invalidParamErr({
+                    errors: [ mod_err.usedByParam('range', 'zone', vm,
+                        util.format(constants.fmt.RANGE_IP_IN_USE,
+                            '10.0.2.112', 'zone', vm)) ]
+                }), 'error body');
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('secondary IP not freed', function (t2) {
+        mod_ip.get(t2, {
+            net: NETV4.uuid,
+            ip: '10.0.2.112',
+            partialExp: {
+                belongs_to_type: 'zone',
+                belongs_to_uuid: vm,
+                free: false
+            }
+        });
+    });
+
+    t.test('create network with gateway', function (t2) {
+        var params = h.validNetworkParams();
+        params.gateway = params.subnet.replace(/0\/24$/, '1');
+
+        NAPI.createNetwork(params, function (err, res) {
+            h.ifErr(t2, err, 'create network');
+            gwNet = res;
+            t2.end();
+        });
+    });
+
+    t.test('free subnet with gateway and broadcast', function (t2) {
+        if (!gwNet) {
+            t2.end();
+            return;
+        }
+
+        NAPI.put({ path: ipsPath(gwNet) }, {
+            range: gwNet.subnet,
+            free: true
+        }, function (err, res) {
+            if (h.ifErr(t2, err, 'free range')) {
+                t2.end();
+                return;
+            }
+
+            var freed = res.created.concat(res.updated).map(function (ip) {
+                return ip.ip;
+            });
+
+            t2.equal(freed.indexOf(gwNet.gateway), -1, 'gateway not freed');
+            t2.equal(freed.indexOf(gwNet.subnet.replace(/0\/24$/, '255')),
+                -1, 'broadcast address not freed');
+            t2.end();
+        });
+    });
+
+    t.test('gateway and broadcast still reserved', function (t2) {
+        if (!gwNet) {
+            t2.end();
+            return;
+        }
+
+        vasync.forEachPipeline({
+            inputs: [ gwNet.gateway, gwNet.subnet.replace(/0\/24$/, '255') ],
+            func: function (ip, cb) {
+                mod_ip.get(t2, {
+                    net: gwNet.uuid,
+                    ip: ip,
+                    partialExp: {
+                        belongs_to_type: 'other',
+                        free: false,
+                        reserved: true
+                    }
+                }, function () {
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+});
+
+
+test('IP holds', function (t) {
+    var claimed;
+    var nic;
+
+    t.test('invalid holds', function (t2) {
+        var invalid = [
+            [ { ttl: 0 }, 'ttl', constants.msg.POS_INT ],
+            [ { ttl: 'a' }, 'ttl', constants.msg.POS_INT ],
+            [ { hold_until: 'tomorrow' }, 'hold_until',
+                constants.msg.TIMESTAMP ],
+            [ { hold_until: Date.now() - 1000 }, 'hold_until',
+                constants.msg.HOLD_PAST ],
+            [ { hold_until: Date.now() + 60000, ttl: 60 }, 'ttl',
+                constants.msg.HOLD_TTL_CONFLICT ]
+        ];
+
+        vasync.forEachPipeline({
+            inputs: invalid,
+            func: function (data, cb) {
+                mod_ip.update(t2, {
+                    net: NETV4.uuid,
+                    ip: '10.0.2.60',
+                    params: data[0],
+                    expErr: h.invalidParamErr({
+                        errors: [ mod_err.invalidParam(data[1], data[2]) ]
+                    })
+                }, function () {
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+
+    t.test('hold IP', function (t2) {
+        mod_ip.update(t2, {
+            net: NETV4.uuid,
+            ip: '10.0.2.60',
+            params: {
+                ttl: 3600
+            },
+            partialExp: {
+                free: false,
+                reserved: true
+            }
+        }, function (_, res) {
+            if (res) {
+                t2.ok(Date.parse(res.hold_until) > Date.now() + 3500 * 1000,
+                    'hold_until: ' + res.hold_until);
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('update without a hold releases it', function (t2) {
+        mod_ip.update(t2, {
+            net: NETV4.uuid,
+            ip: '10.0.2.60',
+            params: {
+                reserved: true
+            },
+            exp: {
+                free: false,
+                ip: '10.0.2.60',
+                network_uuid: NETV4.uuid,
+                reserved: true
+            }
+        });
+    });
+
+    t.test('hold IP briefly', function (t2) {
+        var holdUntil = Date.now() + 1000;
+
+        mod_ip.update(t2, {
+            net: NETV4.uuid,
+            ip: '10.0.2.61',
+            params: {
+                hold_until: holdUntil
+            },
+            exp: {
+                free: false,
+                hold_until: new Date(holdUntil).toISOString(),
+                ip: '10.0.2.61',
+                network_uuid: NETV4.uuid,
+                reserved: true
+            }
+        });
+    });
+
+    t.test('provision nic with a brief hold', function (t2) {
+        mod_nic.provision(t2, {
+            net: NETV4.uuid,
+            params: {
+                belongs_to_type: 'zone',
+                belongs_to_uuid: mod_uuid.v4(),
+                hold_until: new Date(Date.now() + 1000).toISOString(),
+                owner_uuid: mod_uuid.v4()
+            },
+            partialExp: {
+                network_uuid: NETV4.uuid
+            }
+        }, function (_, res) {
+            nic = res;
+            t2.end();
+        });
+    });
+
+    t.test('nic IP is held', function (t2) {
+        if (!nic) {
+            t2.end();
+            return;
+        }
+
+        mod_ip.get(t2, {
+            net: NETV4.uuid,
+            ip: nic.ip,
+            partialExp: {
+                belongs_to_uuid: nic.belongs_to_uuid,
+                reserved: false
+            }
+        }, function (_, res) {
+            t2.ok(res && res.hold_until, 'hold_until set');
+            t2.end();
+        });
+    });
+
+    t.test('provision nic to claim with a brief hold', function (t2) {
+        mod_nic.provision(t2, {
+            net: NETV4.uuid,
+            params: {
+                belongs_to_type: 'zone',
+                belongs_to_uuid: mod_uuid.v4(),
+                hold_until: new Date(Date.now() + 1000).toISOString(),
+                owner_uuid: mod_uuid.v4(),
+                state: 'provisioning'
+            },
+            partialExp: {
+                network_uuid: NETV4.uuid
+            }
+        }, function (_, res) {
+            claimed = res;
+            t2.end();
+        });
+    });
+
+    t.test('updating nic releases its hold', function (t2) {
+        if (!claimed) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.update(t2, {
+            mac: claimed.mac,
+            params: {
+                state: 'running'
+            },
+            partialExp: {
+                ip: claimed.ip,
+                state: 'running'
+            }
+        }, function () {
+            mod_ip.get(t2, {
+                net: NETV4.uuid,
+                ip: claimed.ip,
+                partialExp: {
+                    belongs_to_uuid: claimed.belongs_to_uuid
+                }
+            }, function (_, res) {
+                t2.ok(res && !res.hold_until, 'hold_until not set');
+                t2.end();
+            });
+        });
+    });
+
+    t.test('network in held networks', function (t2) {
+        mod_held.list({
+            app: mod_server.get(),
+            limit: 1000
+        }, function (err, records) {
+            t2.ifError(err, 'listing held networks');
+            t2.ok((records || []).some(function (rec) {
+                return rec.network_uuid === NETV4.uuid;
+            }), 'network in held networks');
+            t2.end();
+        });
+    });
+
+    t.test('release expired holds', function (t2) {
+        var server = mod_server.get();
+
+        setTimeout(function () {
+            mod_holds.reapExpired({
+                app: server,
+                log: server.log
+            }, function (err) {
+                t2.ifError(err, 'releasing holds');
+                t2.end();
+            });
+        }, 1500);
+    });
+
+    t.test('briefly held IP is free', function (t2) {
+        mod_ip.get(t2, {
+            net: NETV4.uuid,
+            ip: '10.0.2.61',
+            exp: {
+                free: true,
+                ip: '10.0.2.61',
+                network_uuid: NETV4.uuid,
+                reserved: false
+            }
+        });
+    });
+
+    t.test('held nic is not deleted', function (t2) {
+        if (!nic) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.get(t2, {
+            mac: nic.mac,
+            partialExp: {
+                belongs_to_uuid: nic.belongs_to_uuid,
+                mac: nic.mac
+            }
+        }, function (_, res) {
+            if (res) {
+                t2.equal(res.ip, undefined, 'nic has no IP');
+                t2.equal(res.network_uuid, undefined, 'nic has no network');
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('held nic IP is free', function (t2) {
+        if (!nic) {
+            t2.end();
+            return;
+        }
+
+        mod_ip.get(t2, {
+            net: NETV4.uuid,
+            ip: nic.ip,
+            partialExp: {
+                free: true,
+                reserved: false
+            }
+        });
+    });
+
+    t.test('claimed nic keeps its IP', function (t2) {
+        if (!claimed) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.get(t2, {
+            mac: claimed.mac,
+            partialExp: {
+                ip: claimed.ip,
+                network_uuid: NETV4.uuid
+            }
+        }, function () {
+            mod_ip.get(t2, {
+                net: NETV4.uuid,
+                ip: claimed.ip,
+                partialExp: {
+                    belongs_to_uuid: claimed.belongs_to_uuid,
+                    free: false
+                }
+            });
+        });
+    });
+
+    t.test('provision held nic IP again', function (t2) {
+        if (!nic) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.provision(t2, {
+            net: NETV4.uuid,
+            params: {
+                belongs_to_type: 'zone',
+                belongs_to_uuid: mod_uuid.v4(),
+                ip: nic.ip,
+                owner_uuid: mod_uuid.v4()
+            },
+            partialExp: {
+                ip: nic.ip,
+                network_uuid: NETV4.uuid
+            }
+        });
+    });
+
+    t.test('network removed from held networks', function (t2) {
+        mod_held.list({
+            app: mod_server.get(),
+            limit: 1000
+        }, function (err, records) {
+            t2.ifError(err, 'listing held networks');
+            t2.deepEqual((records || []).filter(function (rec) {
+                return rec.network_uuid === NETV4.uuid;
+            }), [], 'network not in held networks');
+            t2.end();
+        });
+    });
+
+    t.test('IP with released hold is still reserved', function (t2) {
+        mod_ip.get(t2, {
+            net: NETV4.uuid,
+            ip: '10.0.2.60',
+            exp: {
+                free: false,
+                ip: '10.0.2.60',
+                network_uuid: NETV4.uuid,
+                reserved: true
+            }
+        });
+    });
+});
+
+
+test('IP history', function (t) {
+    var assignedAt;
+    var ip = '10.0.2.70';
+    var owner = mod_uuid.v4();
+    var vm = mod_uuid.v4();
+
+    // Space out the updates so that their history records are ordered
+    function updateLater(t2, params, desc, callback) {
+        setTimeout(function () {
+            NAPI.updateIP(NETV4.uuid, ip, params, function (err, res) {
+                h.ifErr(t2, err, desc);
+                callback(res);
+            });
+        }, 10);
+    }
+
+    function searchPath(at) {
+        return '/search/ips/history?ip=' + ip + '&network_uuid=' +
+            NETV4.uuid + '&at=' + at;
+    }
+
+    t.test('reserve IP', function (t2) {
+        updateLater(t2, { owner_uuid: owner, reserved: true }, 'reserve',
+            function () {
+            t2.end();
+        });
+    });
+
+    t.test('assign IP', function (t2) {
+        updateLater(t2, { belongs_to_type: 'zone', belongs_to_uuid: vm },
+            'assign', function () {
+            assignedAt = Date.now();
+            t2.end();
+        });
+    });
+
+    t.test('unassign IP', function (t2) {
+        updateLater(t2, { unassign: true }, 'unassign', function () {
+            t2.end();
+        });
+    });
+
+    t.test('free IP', function (t2) {
+        updateLater(t2, { free: true }, 'free', function () {
+            t2.end();
+        });
+    });
+
+    t.test('get history', function (t2) {
+        NAPI.get({
+            path: '/networks/' + NETV4.uuid + '/ips/' + ip + '/history'
+        }, function (err, res) {
+            if (h.ifErr(t2, err, 'get history')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res.map(function (r) { return r.action; }),
+                [ 'free', 'unassign', 'assign', 'reserve' ], 'actions');
+            t2.equal(res[2].belongs_to_uuid, vm, 'assigned to vm');
+            t2.equal(res[2].owner_uuid, owner, 'owner');
+            t2.equal(res[3].reserved, true, 'reserved');
+            t2.equal(res[0].belongs_to_uuid, undefined,
+                'no belongs_to_uuid once freed');
+
+            t2.end();
+        });
+    });
+
+    t.test('search history while assigned', function (t2) {
+        NAPI.get({ path: searchPath(assignedAt) }, function (err, res) {
+            if (h.ifErr(t2, err, 'search history')) {
+                t2.end();
+                return;
+            }
+
+            t2.equal(res.length, 1, 'one record');
+            t2.equal(res[0].action, 'assign', 'action');
+            t2.equal(res[0].belongs_to_uuid, vm, 'held by vm');
+            t2.equal(res[0].network_uuid, NETV4.uuid, 'network_uuid');
+
+            t2.end();
+        });
+    });
+
+    t.test('search history now', function (t2) {
+        NAPI.get({ path: searchPath(new Date().toISOString()) },
+            function (err, res) {
+            if (h.ifErr(t2, err, 'search history')) {
+                t2.end();
+                return;
+            }
+
+            t2.equal(res.length, 1, 'one record');
+            t2.equal(res[0].action, 'free', 'action');
+            t2.equal(res[0].belongs_to_uuid, undefined, 'not held');
+
+            t2.end();
+        });
+    });
+
+    t.test('search history before any changes', function (t2) {
+        NAPI.get({ path: searchPath(0) }, function (err, res) {
+            if (h.ifErr(t2, err, 'search history')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res, [], 'no records');
+            t2.end();
+        });
+    });
+
+    t.test('search history: invalid IP', function (t2) {
+        NAPI.get({ path: '/search/ips/history?ip=foo' }, function (err) {
+            t2.ok(err, 'error returned');
+            if (err) {
+                t2.deepEqual(err.body, h.invalidParamErr({
+                    errors: [ mod_err.invalidParam('ip',
+                        constants.INVALID_IP_MSG) ]
+                }), 'error body');
+            }
+
+            t2.end();
+        });
+    });
+});
+
+
+test('IP descriptions and labels', function (t) {
+    var vip = {
+        description: 'Load balancer VIP',
+        free: false,
+        ip: '10.0.2.80',
+        labels: {
+            role: 'vip',
+            site: 'east'
+        },
+        network_uuid: NETV4.uuid,
+        reserved: true
+    };
+    var router = {
+        free: false,
+        ip: '10.0.2.81',
+        labels: {
+            role: 'router'
+        },
+        network_uuid: NETV4.uuid,
+        reserved: true
+    };
+
+    t.test('invalid descriptions and labels', function (t2) {
+        var invalid = [
+            [ { description: new Array(1026).join('a') }, 'description',
+                util.format(constants.fmt.STR_TOO_LONG,
+                    constants.MAX_DESCRIPTION_LEN) ],
+            [ { labels: 'role=vip' }, 'labels', constants.msg.LABELS ],
+            [ { labels: [ 'vip' ] }, 'labels', constants.msg.LABELS ],
+            [ { labels: { 'a role': 'vip' } }, 'labels',
+                constants.msg.LABELS ],
+            [ { labels: { role: 5 } }, 'labels', constants.msg.LABELS ]
+        ];
+
+        vasync.forEachPipeline({
+            inputs: invalid,
+            func: function (data, cb) {
+                mod_ip.update(t2, {
+                    net: NETV4.uuid,
+                    ip: vip.ip,
+                    params: data[0],
+                    expErr: h.invalidParamErr({
+                        errors: [ mod_err.invalidParam(data[1], data[2]) ]
+                    })
+                }, function () {
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+
+    t.test('label VIP', function (t2) {
+        mod_ip.updateAndGet(t2, {
+            net: NETV4.uuid,
+            ip: vip.ip,
+            params: {
+                description: vip.description,
+                labels: vip.labels,
+                reserved: true
+            },
+            exp: vip
+        });
+    });
+
+    t.test('label router', function (t2) {
+        mod_ip.updateAndGet(t2, {
+            net: NETV4.uuid,
+            ip: router.ip,
+            params: {
+                labels: router.labels,
+                reserved: true
+            },
+            exp: router
+        });
+    });
+
+    t.test('list by label', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                'labels.role': 'vip'
+            },
+            deepEqual: true,
+            present: [ vip ]
+        });
+    });
+
+    t.test('list by multiple labels', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                'labels.role': 'router',
+                'labels.site': 'east'
+            },
+            deepEqual: true,
+            present: []
+        });
+    });
+
+    t.test('remove labels', function (t2) {
+        delete vip.labels;
+
+        mod_ip.updateAndGet(t2, {
+            net: NETV4.uuid,
+            ip: vip.ip,
+            params: {
+                labels: {}
+            },
+            exp: vip
+        });
+    });
+
+    t.test('removed labels are no longer listed', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                'labels.role': 'vip'
+            },
+            deepEqual: true,
+            present: []
+        });
+    });
+
+    t.test('freeing clears description and labels', function (t2) {
+        vasync.forEachPipeline({
+            inputs: [ vip.ip, router.ip ],
+            func: function (ip, cb) {
+                mod_ip.updateAndGet(t2, {
+                    net: NETV4.uuid,
+                    ip: ip,
+                    params: {
+                        free: true
+                    },
+                    exp: {
+                        free: true,
+                        ip: ip,
+                        network_uuid: NETV4.uuid,
+                        reserved: false
+                    }
+                }, function () {
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+});
+
+
+test('ListIPs filters and unallocated addresses', function (t) {
+    var before = Date.now();
+    var owner = mod_uuid.v4();
+    var reserved = {
+        free: false,
+        ip: '10.0.2.201',
+        network_uuid: NETV4.uuid,
+        reserved: true
+    };
+    var owned = {
+        free: false,
+        ip: '10.0.2.203',
+        network_uuid: NETV4.uuid,
+        owner_uuid: owner,
+        reserved: false
+    };
+
+    function unallocated(ip) {
+        return {
+            free: true,
+            ip: ip,
+            network_uuid: NETV4.uuid,
+            reserved: false
+        };
+    }
+
+    t.test('reserve IP', function (t2) {
+        mod_ip.updateAndGet(t2, {
+            net: NETV4.uuid,
+            ip: reserved.ip,
+            params: {
+                reserved: true
+            },
+            exp: reserved
+        });
+    });
+
+    t.test('set owner on IP', function (t2) {
+        mod_ip.updateAndGet(t2, {
+            net: NETV4.uuid,
+            ip: owned.ip,
+            params: {
+                owner_uuid: owner
+            },
+            exp: owned
+        });
+    });
+
+    t.test('list reserved IPs in subnet', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                reserved: true,
+                subnet: '10.0.2.200/29'
+            },
+            deepEqual: true,
+            present: [ reserved ]
+        });
+    });
+
+    t.test('list non-free IPs in subnet', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                free: false,
+                subnet: '10.0.2.200/29'
+            },
+            deepEqual: true,
+            present: [ reserved, owned ]
+        });
+    });
+
+    t.test('list IPs modified since a time', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                modified_since: before,
+                subnet: '10.0.2.200/29'
+            },
+            deepEqual: true,
+            present: [ reserved, owned ]
+        });
+    });
+
+    t.test('list IPs modified since the future', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                modified_since: Date.now() + 60000,
+                subnet: '10.0.2.200/29'
+            },
+            deepEqual: true,
+            present: []
+        });
+    });
+
+    t.test('list IPs in a subnet of the other family', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                subnet: 'fd00::/64'
+            },
+            deepEqual: true,
+            present: []
+        });
+    });
+
+    t.test('list with unallocated addresses', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                include_unallocated: true,
+                subnet: '10.0.2.200/29'
+            },
+            deepEqual: true,
+            present: [
+                unallocated('10.0.2.200'),
+                reserved,
+                unallocated('10.0.2.202'),
+                owned,
+                unallocated('10.0.2.204'),
+                unallocated('10.0.2.205'),
+                unallocated('10.0.2.206'),
+                unallocated('10.0.2.207')
+            ]
+        });
+    });
+
+    t.test('page through unallocated addresses', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                include_unallocated: true,
+                limit: 3,
+                offset: 2,
+                range: '10.0.2.200/29',
+                subnet: '10.0.2.200/29'
+            },
+            deepEqual: true,
+            present: [
+                unallocated('10.0.2.202'),
+                owned,
+                unallocated('10.0.2.204')
+            ]
+        });
+    });
+
+    t.test('unallocated addresses do not match filters', function (t2) {
+        mod_ip.list(t2, {
+            net: NETV4.uuid,
+            params: {
+                include_unallocated: true,
+                reserved: true,
+                subnet: '10.0.2.200/29'
+            },
+            deepEqual: true,
+            present: [ reserved ]
+        });
+    });
+
+    t.test('invalid filters', function (t2) {
+        var invalid = [
+            [ { subnet: 'foo' }, 'subnet', constants.msg.CIDR ],
+            [ { range: 'foo' }, 'range', constants.msg.IP_RANGE ],
+            [ { modified_since: 'foo' }, 'modified_since',
+                constants.msg.TIMESTAMP ]
+        ];
+
+        vasync.forEachPipeline({
+            inputs: invalid,
+            func: function (data, cb) {
+                mod_ip.list(t2, {
+                    net: NETV4.uuid,
+                    params: data[0],
+                    expErr: h.invalidParamErr({
+                        errors: [ mod_err.invalidParam(data[1], data[2]) ]
+                    })
+                }, function () {
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+
+    t.test('free IPs', function (t2) {
+        vasync.forEachPipeline({
+            inputs: [ reserved.ip, owned.ip ],
+            func: function (ip, cb) {
+                mod_ip.update(t2, {
+                    net: NETV4.uuid,
+                    ip: ip,
+                    params: {
+                        free: true
+                    },
+                    partialExp: {
+                        free: true
+                    }
+                }, function () {
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+});
+
+
+test('Next IPs', function (t) {
+    var emptyNet;
+    var smallNet;
+
+    function nextPath(net, count) {
+        return '/networks/' + net.uuid + '/ips/next' +
+            (count ? '?count=' + count : '');
+    }
+
+    function candidate(net, ip, source) {
+        return {
+            ip: ip,
+            network_uuid: net.uuid,
+            source: source
+        };
+    }
+
+    function checkNext(t2, path, exp) {
+        NAPI.get({ path: path }, function (err, res) {
+            if (h.ifErr(t2, err, 'get next IPs')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res, exp, 'next IPs');
+            t2.end();
+        });
+    }
+
+    function reserve(t2, net, ips) {
+        vasync.forEachPipeline({
+            inputs: ips,
+            func: function (ip, cb) {
+                NAPI.updateIP(net.uuid, ip, { reserved: true },
+                    function (err) {
+                    h.ifErr(t2, err, 'reserve ' + ip);
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    }
+
+    t.test('create networks', function (t2) {
+        var smallParams = h.validNetworkParams();
+
+        smallParams.provision_start_ip = smallParams.subnet.replace(
+            '0/24', '1');
+        smallParams.provision_end_ip = smallParams.subnet.replace(
+            '0/24', '3');
+
+        vasync.forEachPipeline({
+            inputs: [ h.validNetworkParams(), smallParams ],
+            func: function (params, cb) {
+                NAPI.createNetwork(params, cb);
+            }
+        }, function (err, res) {
+            if (h.ifErr(t2, err, 'create networks')) {
+                t2.end();
+                return;
+            }
+
+            emptyNet = res.successes[0];
+            smallNet = res.successes[1];
+            t2.end();
+        });
+    });
+
+    t.test('next IP on an empty network', function (t2) {
+        checkNext(t2, nextPath(emptyNet), [
+            candidate(emptyNet, emptyNet.provision_start_ip, 'gap')
+        ]);
+    });
+
+    t.test('next IPs skip reserved IPs', function (t2) {
+        var prefix = emptyNet.subnet.replace('0/24', '');
+
+        NAPI.updateIP(emptyNet.uuid, prefix + '2', { reserved: true },
+            function (err) {
+            h.ifErr(t2, err, 'reserve IP');
+
+            checkNext(t2, nextPath(emptyNet, 3), [
+                candidate(emptyNet, prefix + '1', 'gap'),
+                candidate(emptyNet, prefix + '3', 'gap'),
+                candidate(emptyNet, prefix + '4', 'gap')
+            ]);
+        });
+    });
+
+    t.test('next IPs are not provisioned', function (t2) {
+        mod_ip.get(t2, {
+            net: emptyNet.uuid,
+            ip: emptyNet.provision_start_ip,
+            exp: {
+                free: true,
+                ip: emptyNet.provision_start_ip,
+                network_uuid: emptyNet.uuid,
+                reserved: false
+            }
+        });
+    });
+
+    t.test('fill small network', function (t2) {
+        reserve(t2, smallNet, [ 1, 2, 3 ].map(function (i) {
+            return smallNet.subnet.replace('0/24', i);
+        }));
+    });
+
+    t.test('free IP on small network', function (t2) {
+        mod_ip.update(t2, {
+            net: smallNet.uuid,
+            ip: smallNet.subnet.replace('0/24', '2'),
+            params: {
+                free: true
+            },
+            partialExp: {
+                free: true
+            }
+        });
+    });
+
+    t.test('next IPs include freed IPs', function (t2) {
+        checkNext(t2, nextPath(smallNet, 5), [
+            candidate(smallNet, smallNet.subnet.replace('0/24', '2'), 'freed')
+        ]);
+    });
+
+    t.test('invalid counts', function (t2) {
+        vasync.forEachPipeline({
+            inputs: [ 0, constants.MAX_NEXT_IPS + 1, 'a' ],
+            func: function (count, cb) {
+                NAPI.get({ path: nextPath(emptyNet, count) },
+                    function (err) {
+                    t2.ok(err, 'error returned for count ' + count);
+                    if (err) {
+                        t2.deepEqual(err.body, h.invalidParamErr({
+                            errors: [ mod_err.invalidParam('count',
+                                util.format(constants.fmt.INT_RANGE, 1,
+                                    constants.MAX_NEXT_IPS)) ]
+                        }), 'error body');
+                    }
+
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+
+    t.test('reserve freed IP on small network', function (t2) {
+        reserve(t2, smallNet, [ smallNet.subnet.replace('0/24', '2') ]);
+    });
+
+    t.test('full networks in a pool are skipped', function (t2) {
+        var prefix = emptyNet.subnet.replace('0/24', '');
+
+        mod_pool.create(t2, {
+            name: '<generate>',
+            params: {
+                networks: [ smallNet.uuid, emptyNet.uuid ]
+            },
+            partialExp: {
+                networks: [ smallNet.uuid, emptyNet.uuid ].sort()
+            }
+        }, function (err, pool) {
+            if (h.ifErr(t2, err, 'create pool')) {
+                t2.end();
+                return;
+            }
+
+            checkNext(t2, '/network_pools/' + pool.uuid + '/ips/next?count=2',
+                [
+                    candidate(emptyNet, prefix + '1', 'gap'),
+                    candidate(emptyNet, prefix + '3', 'gap')
+                ]);
+        });
+    });
+});
+
+
 test('Listing IPv4 failures', function (t) {
     t.plan(common.badLimitOffTests.length);
 
@@ -86,8 +86,8 @@ var BUCKETS = {
 };
 
 var VERSIONS = {
-    networks: 4,
-    nics: 3,
+    networks: 5,
+    nics: 7,
     nictags: 1
 };
 
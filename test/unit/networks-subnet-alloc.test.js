@@ -14,13 +14,17 @@
 
 'use strict';
 
+var constants = require('../../lib/util/constants');
 var h = require('./helpers');
 var mod_err = require('../../lib/util/errors');
 var mod_fabric_net = require('../lib/fabric-net');
+var mod_net = require('../lib/net');
+var mod_nicTag = require('../lib/nic-tag');
 var mod_server = require('../lib/server');
 var mod_uuid = require('node-uuid');
 var mod_vlan = require('../lib/vlan');
 var test = require('tape');
+var vasync = require('vasync');
 
 
 // --- Globals
@@ -37,6 +41,33 @@ var VLAN_extra = {
     vlan_id: 21
 };
 var NAPI;
+var ALLOC_TAG = 'alloc_tag';
+var NO_CONTAINER_TAG = 'no_container_tag';
+var CONTAINER = '10.64.0.0/22';
+
+
+// --- Helpers
+
+/**
+ * Returns the parameters for creating a non-fabric network with
+ * subnet_alloc, potentially overriding with any values in override
+ */
+function allocParams(override) {
+    var params = {
+        family: 'ipv4',
+        name: mod_net.name(),
+        nic_tag: ALLOC_TAG,
+        subnet_alloc: true,
+        subnet_prefix: 24,
+        vlan_id: 0
+    };
+
+    for (var o in override) {
+        params[o] = override[o];
+    }
+
+    return params;
+}
 
 
 // --- Setup
@@ -47,7 +78,10 @@ test('Initial setup', function (t) {
     t.test('Start server', function (t2) {
         h.createClientAndServer({
             config: {
-                autoAllocSubnets: true
+                autoAllocSubnets: true,
+                subnetAllocContainers: {
+                    alloc_tag: CONTAINER
+                }
             }
         }, function (err, res) {
             t2.ifError(err, 'server creation');
@@ -67,6 +101,20 @@ test('Initial setup', function (t) {
         });
     });
 
+    t.test('Create nic tags', function (t2) {
+        vasync.forEachPipeline({
+            inputs: [ ALLOC_TAG, NO_CONTAINER_TAG ],
+            func: function (name, cb) {
+                mod_nicTag.create(t2, {
+                    name: name,
+                    partialExp: { name: name }
+                }, cb);
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+
     t.test('Create VLAN', function (t2) {
         mod_vlan.createAndGet(t2, {
             params: VLAN,
@@ -359,6 +407,141 @@ test('Create networks', function (t) {
 
 });
 
+test('Create non-fabric networks', function (t) {
+    t.test('first network in container', function (t2) {
+        mod_net.create(t2, {
+            params: allocParams(),
+            partialExp: {
+                provision_end_ip: '10.64.0.254',
+                provision_start_ip: '10.64.0.1',
+                subnet: '10.64.0.0/24'
+            }
+        });
+    });
+
+    t.test('second network in container', function (t2) {
+        mod_net.create(t2, {
+            params: allocParams(),
+            partialExp: {
+                subnet: '10.64.1.0/24'
+            }
+        });
+    });
+
+    t.test('network on another VLAN', function (t2) {
+        mod_net.create(t2, {
+            params: allocParams({ vlan_id: 7 }),
+            partialExp: {
+                subnet: '10.64.0.0/24',
+                vlan_id: 7
+            }
+        });
+    });
+
+    t.test('networks created at the same time', function (t2) {
+        vasync.forEachParallel({
+            inputs: [ 1, 2 ],
+            func: function (_, cb) {
+                NAPI.createNetwork(allocParams({ subnet_prefix: 25 }), cb);
+            }
+        }, function (err, res) {
+            t2.ifError(err, 'creating networks should succeed');
+            if (!err) {
+                t2.deepEqual(res.successes.map(function (net) {
+                    return net.subnet;
+                }).sort(), [ '10.64.2.0/25', '10.64.2.128/25' ],
+                    'different subnets allocated');
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('prefix too short for container', function (t2) {
+        mod_net.create(t2, {
+            params: allocParams({ subnet_prefix: 21 }),
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('subnet_prefix',
+                    constants.msg.SUBNET_ALLOC_PREFIX) ],
+                message: 'Invalid parameters'
+            })
+        });
+    });
+
+    t.test('family does not match container', function (t2) {
+        mod_net.create(t2, {
+            params: allocParams({ family: 'ipv6', subnet_prefix: 64 }),
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('family',
+                    constants.msg.SUBNET_ALLOC_FAMILY) ],
+                message: 'Invalid parameters'
+            })
+        });
+    });
+
+    t.test('nic tag without a container', function (t2) {
+        mod_net.create(t2, {
+            params: allocParams({ nic_tag: NO_CONTAINER_TAG }),
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('subnet_alloc',
+                    constants.msg.SUBNET_ALLOC_CONTAINER) ],
+                message: 'Invalid parameters'
+            })
+        });
+    });
+
+    t.test('container exhausted', function (t2) {
+        mod_net.create(t2, {
+            params: allocParams({ subnet_prefix: 23 }),
+            expCode: 507,
+            expErr: new mod_err.SubnetsExhaustedError().body
+        });
+    });
+});
+
+
+test('Create non-fabric networks in an address block', function (t) {
+    var block;
+
+    t.test('create address block', function (t2) {
+        NAPI.post({ path: '/address_blocks' }, {
+            subnet: '10.80.0.0/23'
+        }, function (err, res) {
+            t2.ifError(err, 'creating address block should succeed');
+            block = res;
+            t2.end();
+        });
+    });
+
+    t.test('network in block', function (t2) {
+        mod_net.create(t2, {
+            params: allocParams({
+                address_block_uuid: block.uuid,
+                nic_tag: NO_CONTAINER_TAG
+            }),
+            partialExp: {
+                address_block_uuid: block.uuid,
+                subnet: '10.80.0.0/24'
+            }
+        });
+    });
+
+    t.test('prefix too short for block', function (t2) {
+        mod_net.create(t2, {
+            params: allocParams({
+                address_block_uuid: block.uuid,
+                subnet_prefix: 22
+            }),
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('subnet_prefix',
+                    constants.msg.SUBNET_ALLOC_PREFIX) ],
+                message: 'Invalid parameters'
+            })
+        });
+    });
+});
+
+
 // --- Teardown
 
 test('delete networks', function (t) {
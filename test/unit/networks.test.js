@@ -19,6 +19,7 @@ var common = require('../lib/common');
 var constants = require('../../lib/util/constants');
 var fmt = require('util').format;
 var h = require('./helpers');
+var ipaddr = require('ip6addr');
 var mod_err = require('../../lib/util/errors');
 var mod_ip = require('../../lib/models/ip');
 var mod_jsprim = require('jsprim');
@@ -486,6 +487,651 @@ test('Create network - mixed networks', function (t) {
     });
 });
 
+test('Create IPv6 network - default provision range', function (t) {
+    var num = h.NET_NUM.toString(16);
+    var network;
+    var params = h.validIPv6NetworkParams({
+        family: 'ipv6',
+        gateway: fmt('fd00:%s::ffff', num)
+    });
+    var subnet = ipaddr.createCIDR(params.subnet);
+
+    delete params.provision_start_ip;
+    delete params.provision_end_ip;
+
+    t.test('create network', function (t2) {
+        mod_net.createAndGet(t2, {
+            params: params,
+            partialExp: {
+                family: 'ipv6',
+                gateway: params.gateway,
+                provision_start_ip: subnet.first().toString(),
+                provision_end_ip: subnet.last().toString(),
+                subnet: params.subnet
+            }
+        });
+    });
+
+    t.test('provision nics on network', function (t2) {
+        network = mod_net.lastCreated();
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        vasync.forEachPipeline({
+            inputs: [ fmt('fd00:%s::1', num), fmt('fd00:%s::2', num) ],
+            func: function (ip, cb) {
+                mod_nic.create(t2, {
+                    mac: 'generate',
+                    params: {
+                        belongs_to_type: 'zone',
+                        belongs_to_uuid: mod_uuid.v4(),
+                        network_uuid: network.uuid,
+                        owner_uuid: mod_uuid.v4()
+                    },
+                    partialExp: {
+                        ip: ip,
+                        network_uuid: network.uuid
+                    }
+                }, function () {
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+});
+
+
+test('Create network - provision and exclusion ranges', function (t) {
+    var network;
+    var params = h.validNetworkParams({
+        provision_ranges: [
+            { start: '10.5.3.20', end: '10.5.3.22' },
+            { start: '10.5.3.10', end: '10.5.3.14' }
+        ],
+        exclusion_ranges: [
+            { start: '10.5.3.12', end: '10.5.3.13' }
+        ],
+        subnet: '10.5.3.0/24'
+    });
+
+    delete params.provision_start_ip;
+    delete params.provision_end_ip;
+    delete params.resolvers;
+
+    function listAddrs(t2, exp) {
+        NAPI.listIPs(network.uuid, function (err, ips) {
+            if (h.ifErr(t2, err, 'listing IPs')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(ips.map(function (ip) {
+                return [ ip.ip, ip.free ];
+            }), exp, 'IP list');
+            t2.end();
+        });
+    }
+
+    t.test('create network', function (t2) {
+        mod_net.createAndGet(t2, {
+            params: params,
+            partialExp: {
+                provision_start_ip: '10.5.3.10',
+                provision_end_ip: '10.5.3.22',
+                provision_ranges: [
+                    { start: '10.5.3.10', end: '10.5.3.14' },
+                    { start: '10.5.3.20', end: '10.5.3.22' }
+                ],
+                exclusion_ranges: params.exclusion_ranges
+            }
+        });
+    });
+
+    t.test('placeholder IPs', function (t2) {
+        network = mod_net.lastCreated();
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        listAddrs(t2, [
+            [ '10.5.3.9', true ],
+            [ '10.5.3.12', true ],
+            [ '10.5.3.13', true ],
+            [ '10.5.3.15', true ],
+            [ '10.5.3.19', true ],
+            [ '10.5.3.23', true ],
+            [ '10.5.3.255', false ]
+        ]);
+    });
+
+    t.test('provision nics on network', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        vasync.forEachPipeline({
+            inputs: [ '10.5.3.10', '10.5.3.11', '10.5.3.14', '10.5.3.20',
+                '10.5.3.21', '10.5.3.22' ],
+            func: function (ip, cb) {
+                mod_nic.create(t2, {
+                    mac: 'generate',
+                    params: {
+                        belongs_to_type: 'zone',
+                        belongs_to_uuid: mod_uuid.v4(),
+                        network_uuid: network.uuid,
+                        owner_uuid: mod_uuid.v4()
+                    },
+                    partialExp: {
+                        ip: ip,
+                        network_uuid: network.uuid
+                    }
+                }, function () {
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+
+    t.test('network full', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.provision(t2, {
+            net: network.uuid,
+            params: {
+                belongs_to_type: 'zone',
+                belongs_to_uuid: mod_uuid.v4(),
+                owner_uuid: mod_uuid.v4()
+            },
+            expCode: 507,
+            expErr: {
+                code: 'SubnetFull',
+                message: constants.SUBNET_FULL_MSG,
+                network_uuid: network.uuid
+            }
+        });
+    });
+
+    t.test('update ranges', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        mod_net.update(t2, {
+            params: {
+                exclusion_ranges: [],
+                provision_ranges: [
+                    { start: '10.5.3.10', end: '10.5.3.30' }
+                ],
+                uuid: network.uuid
+            },
+            partialExp: {
+                provision_start_ip: '10.5.3.10',
+                provision_end_ip: '10.5.3.30',
+                provision_ranges: [
+                    { start: '10.5.3.10', end: '10.5.3.30' }
+                ]
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+
+    t.test('placeholder IPs after update', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        // Placeholders inside the new range are removed, and a new one
+        // is added just after it
+        listAddrs(t2, [
+            [ '10.5.3.9', true ],
+            [ '10.5.3.10', false ],
+            [ '10.5.3.11', false ],
+            [ '10.5.3.14', false ],
+            [ '10.5.3.20', false ],
+            [ '10.5.3.21', false ],
+            [ '10.5.3.22', false ],
+            [ '10.5.3.31', true ],
+            [ '10.5.3.255', false ]
+        ]);
+    });
+
+    t.test('update provision_end_ip with ranges', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        mod_net.update(t2, {
+            params: {
+                provision_end_ip: '10.5.3.40',
+                uuid: network.uuid
+            },
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('provision_end_ip',
+                    constants.msg.PROV_RANGES_SET) ],
+                message: 'Invalid parameters'
+            })
+        }, function () {
+            t2.end();
+        });
+    });
+});
+
+
+test('Create network - invalid provision and exclusion ranges', function (t) {
+    var invalid = [
+        [ { provision_ranges: 'foo' },
+          mod_err.invalidParam('provision_ranges', constants.msg.IP_RANGES) ],
+        [ { provision_ranges: [ { start: '10.5.4.20', end: '10.5.4.10' } ] },
+          mod_err.invalidParam('provision_ranges', constants.msg.IP_RANGES,
+            { invalid: [ { start: '10.5.4.20', end: '10.5.4.10' } ] }) ],
+        [ { provision_ranges: [ { start: '10.5.4.10', end: '10.5.5.10' } ] },
+          mod_err.invalidParam('provision_end_ip',
+            constants.msg.PROV_END_IP_OUTSIDE),
+          mod_err.invalidParam('provision_ranges',
+            constants.msg.PROV_RANGES_OUTSIDE) ],
+        [ { provision_ranges: [ { start: '10.5.4.10', end: '10.5.4.255' } ] },
+          mod_err.invalidParam('provision_end_ip',
+            constants.msg.PROV_END_IP_BCAST),
+          mod_err.invalidParam('provision_ranges',
+            constants.msg.PROV_RANGES_BCAST) ],
+        [ {
+            provision_ranges: [ { start: '10.5.4.10', end: '10.5.4.20' } ],
+            provision_start_ip: '10.5.4.11'
+          },
+          mod_err.invalidParam('provision_ranges',
+            constants.msg.PROV_RANGES_BOUNDS) ],
+        [ {
+            provision_ranges: [ { start: '10.5.4.10', end: '10.5.4.20' } ],
+            exclusion_ranges: [ { start: '10.5.4.5', end: '10.5.4.25' } ]
+          },
+          mod_err.invalidParam('exclusion_ranges',
+            constants.msg.EXCLUSIONS_COVER_RANGE) ]
+    ];
+
+    vasync.forEachPipeline({
+        inputs: invalid,
+        func: function (data, cb) {
+            var params = h.validNetworkParams(mod_jsprim.mergeObjects(data[0], {
+                subnet: '10.5.4.0/24'
+            }));
+
+            if (data[0].provision_ranges) {
+                if (!data[0].provision_start_ip) {
+                    delete params.provision_start_ip;
+                }
+                delete params.provision_end_ip;
+            }
+
+            mod_net.create(t, {
+                params: params,
+                expErr: h.invalidParamErr({
+                    errors: data.slice(1),
+                    message: 'Invalid parameters'
+                })
+            }, function () {
+                cb();
+            });
+        }
+    }, function () {
+        t.end();
+    });
+});
+
+
+test('Network allocation strategies', function (t) {
+    var network;
+    var nics = {};
+    var owners = {
+        a: mod_uuid.v4(),
+        b: mod_uuid.v4(),
+        c: mod_uuid.v4()
+    };
+
+    function createNic(t2, name, ip) {
+        mod_nic.create(t2, {
+            mac: 'generate',
+            params: {
+                belongs_to_type: 'zone',
+                belongs_to_uuid: owners[name],
+                network_uuid: network.uuid,
+                owner_uuid: mod_uuid.v4()
+            },
+            partialExp: {
+                ip: ip,
+                network_uuid: network.uuid
+            }
+        }, function (_, res) {
+            if (res) {
+                nics[name] = res;
+            }
+
+            t2.end();
+        });
+    }
+
+    function updateStrategy(t2, strategy) {
+        mod_net.update(t2, {
+            params: {
+                allocation_strategy: strategy,
+                uuid: network.uuid
+            },
+            partialExp: {
+                allocation_strategy: strategy
+            }
+        }, function () {
+            t2.end();
+        });
+    }
+
+    t.test('invalid strategy', function (t2) {
+        mod_net.create(t2, {
+            params: h.validNetworkParams({
+                allocation_strategy: 'foo'
+            }),
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('allocation_strategy',
+                    'must be one of: "lowest", "highest", "random", ' +
+                    '"sticky"') ],
+                message: 'Invalid parameters'
+            })
+        });
+    });
+
+    t.test('create network', function (t2) {
+        mod_net.createAndGet(t2, {
+            params: h.validNetworkParams({
+                allocation_strategy: 'highest',
+                provision_start_ip: '10.5.5.1',
+                provision_end_ip: '10.5.5.14',
+                subnet: '10.5.5.0/28'
+            }),
+            partialExp: {
+                allocation_strategy: 'highest'
+            }
+        });
+    });
+
+    t.test('highest: first nic', function (t2) {
+        network = mod_net.lastCreated();
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        createNic(t2, 'a', '10.5.5.14');
+    });
+
+    t.test('highest: second nic', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        createNic(t2, 'b', '10.5.5.13');
+    });
+
+    t.test('delete first nic', function (t2) {
+        if (!nics.a) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.del(t2, { mac: nics.a.mac });
+    });
+
+    t.test('update to sticky', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        updateStrategy(t2, 'sticky');
+    });
+
+    t.test('sticky: no previous IP', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        // There's no freed IP for this owner, so we get the lowest
+        createNic(t2, 'c', '10.5.5.1');
+    });
+
+    t.test('sticky: previous IP', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        createNic(t2, 'a', '10.5.5.14');
+    });
+
+    t.test('update to random', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        updateStrategy(t2, 'random');
+    });
+
+    t.test('random: IP in provision range', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.create(t2, {
+            mac: 'generate',
+            params: {
+                belongs_to_type: 'zone',
+                belongs_to_uuid: mod_uuid.v4(),
+                network_uuid: network.uuid,
+                owner_uuid: mod_uuid.v4()
+            },
+            partialExp: {
+                network_uuid: network.uuid
+            }
+        }, function (_, res) {
+            if (res) {
+                var last = Number(res.ip.split('.')[3]);
+                t2.ok(last >= 2 && last <= 12,
+                    res.ip + ' is an unused IP in the provision range');
+            }
+
+            t2.end();
+        });
+    });
+});
+
+
+test('Network IP reuse delay', function (t) {
+    var network;
+    var nics = [];
+
+    function nicParams() {
+        return {
+            belongs_to_type: 'zone',
+            belongs_to_uuid: mod_uuid.v4(),
+            owner_uuid: mod_uuid.v4()
+        };
+    }
+
+    t.test('invalid delay', function (t2) {
+        mod_net.create(t2, {
+            params: h.validNetworkParams({
+                ip_reuse_delay: -1
+            }),
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('ip_reuse_delay',
+                    constants.msg.NON_NEG_INT) ],
+                message: 'Invalid parameters'
+            })
+        });
+    });
+
+    t.test('create network', function (t2) {
+        mod_net.createAndGet(t2, {
+            params: h.validNetworkParams({
+                ip_reuse_delay: 3600,
+                provision_start_ip: '10.5.6.1',
+                provision_end_ip: '10.5.6.2',
+                subnet: '10.5.6.0/29'
+            }),
+            partialExp: {
+                ip_reuse_delay: 3600
+            }
+        });
+    });
+
+    t.test('fill network', function (t2) {
+        network = mod_net.lastCreated();
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        vasync.forEachPipeline({
+            inputs: [ '10.5.6.1', '10.5.6.2' ],
+            func: function (ip, cb) {
+                mod_nic.provision(t2, {
+                    net: network.uuid,
+                    params: nicParams(),
+                    partialExp: {
+                        ip: ip,
+                        network_uuid: network.uuid
+                    }
+                }, function (_, res) {
+                    if (res) {
+                        nics.push(res);
+                    }
+
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+
+    t.test('free an IP', function (t2) {
+        if (nics.length === 0) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.del(t2, { mac: nics[0].mac });
+    });
+
+    t.test('provision: freed IP within delay', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        NAPI.provisionNic(network.uuid, nicParams(), function (err) {
+            t2.ok(err, 'error returned');
+            if (!err) {
+                t2.end();
+                return;
+            }
+
+            t2.equal(err.statusCode, 507, 'status code');
+            t2.equal(err.body.code, 'FreedIPsCooling', 'error code');
+            t2.equal(err.body.message, constants.FREED_IPS_COOLING_MSG,
+                'error message');
+            t2.equal(err.body.network_uuid, network.uuid, 'network_uuid');
+            t2.ok(err.body.retry_after > 0 && err.body.retry_after <= 3600,
+                'retry_after: ' + err.body.retry_after);
+            t2.end();
+        });
+    });
+
+    t.test('remove delay', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        mod_net.update(t2, {
+            params: {
+                ip_reuse_delay: 0,
+                uuid: network.uuid
+            },
+            partialExp: {
+                ip_reuse_delay: 0
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+
+    t.test('provision: freed IP reused', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.provision(t2, {
+            net: network.uuid,
+            params: nicParams(),
+            partialExp: {
+                ip: '10.5.6.1',
+                network_uuid: network.uuid
+            }
+        });
+    });
+
+    t.test('provision: network full', function (t2) {
+        if (!network) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.provision(t2, {
+            net: network.uuid,
+            params: nicParams(),
+            expCode: 507,
+            expErr: {
+                code: 'SubnetFull',
+                message: constants.SUBNET_FULL_MSG,
+                network_uuid: network.uuid
+            }
+        });
+    });
+});
+
+
+test('Create IPv6 network - family does not match subnet', function (t) {
+    mod_net.create(t, {
+        params: h.validIPv6NetworkParams({ family: 'ipv4' }),
+        expCode: 422,
+        expErr: h.invalidParamErr({
+            errors: [
+                mod_err.invalidParam('family',
+                    constants.msg.SUBNET_FAMILY_MISMATCH)
+            ]
+        })
+    });
+});
+
+
 test('Update IPv6 network - mixed address families', function (t) {
     // NET_NUM will be the next network number used by h.validNetworkParams():
     var num = h.NET_NUM.toString(16);
@@ -1361,6 +2007,136 @@ test('Update provision range', function (t) {
 });
 
 
+test('Update network - resize subnet', function (t) {
+    var net;
+    var zone = mod_uuid.v4();
+    var vals = h.validNetworkParams({
+        provision_start_ip: '10.5.1.10',
+        provision_end_ip: '10.5.1.100',
+        subnet: '10.5.1.0/25'
+    });
+    delete vals.resolvers;
+
+    function listAddrs(t2, exp, callback) {
+        NAPI.listIPs(net.uuid, function (err, ips) {
+            if (h.ifErr(t2, err, 'listing IPs')) {
+                callback();
+                return;
+            }
+
+            t2.deepEqual(ips.map(function (ip) {
+                return [ ip.ip, ip.free ];
+            }), exp, 'IP list');
+            callback();
+        });
+    }
+
+    t.test('create', function (t2) {
+        NAPI.createNetwork(vals, function (err, res) {
+            if (h.ifErr(t2, err, 'creating network')) {
+                t2.end();
+                return;
+            }
+
+            net = res;
+            listAddrs(t2, [
+                [ '10.5.1.9', true ],
+                [ '10.5.1.101', true ],
+                [ '10.5.1.127', false ]
+            ], function () {
+                t2.end();
+            });
+        });
+    });
+
+    t.test('grow', function (t2) {
+        mod_net.update(t2, {
+            params: {
+                provision_end_ip: '10.5.1.250',
+                subnet: '10.5.1.0/24',
+                uuid: net.uuid
+            },
+            partialExp: {
+                netmask: '255.255.255.0',
+                provision_end_ip: '10.5.1.250',
+                subnet: '10.5.1.0/24'
+            }
+        }, function () {
+            // The old broadcast address is now usable
+            listAddrs(t2, [
+                [ '10.5.1.9', true ],
+                [ '10.5.1.251', true ],
+                [ '10.5.1.255', false ]
+            ], function () {
+                t2.end();
+            });
+        });
+    });
+
+    t.test('provision IP outside of /25', function (t2) {
+        NAPI.updateIP(net.uuid, '10.5.1.200', {
+            belongs_to_type: 'zone',
+            belongs_to_uuid: zone,
+            owner_uuid: mod_uuid.v4()
+        }, function (err) {
+            h.ifErr(t2, err, 'updating IP');
+            t2.end();
+        });
+    });
+
+    t.test('shrink with IP in use', function (t2) {
+        mod_net.update(t2, {
+            params: {
+                provision_end_ip: '10.5.1.100',
+                subnet: '10.5.1.0/25',
+                uuid: net.uuid
+            },
+            expErr: h.invalidParamErr({
+                errors: [
+                    mod_err.usedByParam('subnet', 'zone', zone,
+                        fmt(constants.fmt.SUBNET_IP_IN_USE, '10.5.1.200'))
+                ],
+                message: 'Invalid parameters'
+            })
+        }, function () {
+            t2.end();
+        });
+    });
+
+    t.test('free IP', function (t2) {
+        NAPI.updateIP(net.uuid, '10.5.1.200', { free: 'true' },
+            function (err) {
+            h.ifErr(t2, err, 'freeing IP');
+            t2.end();
+        });
+    });
+
+    t.test('shrink', function (t2) {
+        mod_net.update(t2, {
+            params: {
+                provision_end_ip: '10.5.1.100',
+                subnet: '10.5.1.0/25',
+                uuid: net.uuid
+            },
+            partialExp: {
+                netmask: '255.255.255.128',
+                provision_end_ip: '10.5.1.100',
+                subnet: '10.5.1.0/25'
+            }
+        }, function () {
+            listAddrs(t2, [
+                [ '10.5.1.9', true ],
+                [ '10.5.1.101', true ],
+                [ '10.5.1.127', false ],
+                [ '10.5.1.200', true ]
+            ], function () {
+                t2.end();
+            });
+        });
+    });
+});
+
+
 test('Update network - invalid parameters', function (t) {
     var invalid = [
         [ { provision_start_ip: '10.1.2.254' },
@@ -1440,8 +2216,11 @@ test('Update network - invalid parameters', function (t) {
         [ { nic_tag: 'foobar' },
           { nic_tag: constants.msg.NET_PROP_IMMUTABLE }
         ],
-        [ { subnet: '192.168.0.0/16' },
-          { subnet: constants.msg.NET_PROP_IMMUTABLE }
+        [ { subnet: 'fd00:1::/64' },
+          { subnet: constants.msg.SUBNET_FAMILY_IMMUTABLE }
+        ],
+        [ { subnet: '10.1.3.0/25' },
+          { provision_end_ip: MSG.end_outside }
         ],
         [ { vlan_id: 30 },
           { vlan_id: constants.msg.NET_PROP_IMMUTABLE }
@@ -1751,6 +2530,140 @@ test('Update network - unset owner_uuids', function (t) {
 
 // --- List Networks
 
+test('Network usage', function (t) {
+    var expUsage;
+    var net;
+    var owner = mod_uuid.v4();
+    var zone = mod_uuid.v4();
+    var vals = h.validNetworkParams({
+        provision_start_ip: '10.5.2.10',
+        provision_end_ip: '10.5.2.19',
+        subnet: '10.5.2.0/24'
+    });
+    delete vals.resolvers;
+
+    function updateIP(t2, ip, params) {
+        NAPI.updateIP(net.uuid, ip, params, function (err) {
+            h.ifErr(t2, err, 'updating IP ' + ip);
+            t2.end();
+        });
+    }
+
+    t.test('create', function (t2) {
+        NAPI.createNetwork(vals, function (err, res) {
+            if (h.ifErr(t2, err, 'creating network')) {
+                t2.end();
+                return;
+            }
+
+            net = res;
+            expUsage = {
+                network_uuid: net.uuid,
+                total: 10,
+                provisioned: 0,
+                reserved: 0,
+                freed: 0,
+                unused: 10,
+                belongs_to_type: {},
+                owner_uuid: {}
+            };
+
+            t2.end();
+        });
+    });
+
+    t.test('usage after create', function (t2) {
+        NAPI.get({ path: '/networks/' + net.uuid + '/usage' },
+            function (err, res) {
+            if (h.ifErr(t2, err, 'getting usage')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res, expUsage, 'usage');
+            t2.end();
+        });
+    });
+
+    t.test('provision IP', function (t2) {
+        updateIP(t2, '10.5.2.11', {
+            belongs_to_type: 'zone',
+            belongs_to_uuid: zone,
+            owner_uuid: owner
+        });
+    });
+
+    t.test('reserve IP', function (t2) {
+        updateIP(t2, '10.5.2.12', { reserved: true });
+    });
+
+    t.test('provision another IP', function (t2) {
+        updateIP(t2, '10.5.2.13', {
+            belongs_to_type: 'zone',
+            belongs_to_uuid: mod_uuid.v4(),
+            owner_uuid: owner
+        });
+    });
+
+    t.test('free IP', function (t2) {
+        updateIP(t2, '10.5.2.13', { free: 'true' });
+    });
+
+    t.test('usage after updates', function (t2) {
+        expUsage.provisioned = 1;
+        expUsage.reserved = 1;
+        expUsage.freed = 1;
+        expUsage.unused = 7;
+        expUsage.belongs_to_type.zone = 1;
+        expUsage.owner_uuid[owner] = 1;
+
+        NAPI.get({ path: '/networks/' + net.uuid + '/usage' },
+            function (err, res) {
+            if (h.ifErr(t2, err, 'getting usage')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res, expUsage, 'usage');
+            t2.end();
+        });
+    });
+
+    t.test('list with usage', function (t2) {
+        NAPI.listNetworks({ name: net.name, usage: true },
+            function (err, res) {
+            if (h.ifErr(t2, err, 'listing networks')) {
+                t2.end();
+                return;
+            }
+
+            t2.equal(res.length, 1, 'one network listed');
+            if (res.length === 1) {
+                t2.deepEqual(res[0].usage, expUsage, 'usage');
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('list without usage', function (t2) {
+        NAPI.listNetworks({ name: net.name }, function (err, res) {
+            if (h.ifErr(t2, err, 'listing networks')) {
+                t2.end();
+                return;
+            }
+
+            t2.equal(res.length, 1, 'one network listed');
+            if (res.length === 1) {
+                t2.equal(res[0].usage, undefined, 'no usage');
+            }
+
+            t2.end();
+        });
+    });
+});
+
+
 test('Listing Network failures', function (t) {
     t.plan(common.badLimitOffTests.length);
 
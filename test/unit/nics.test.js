@@ -1622,6 +1622,339 @@ test('Provision NIC - IP specified w/o network_uuid', function (t) {
 
 
 
+test('Provision NIC - dual-stack', function (t) {
+    var mac = h.randomMAC();
+    var nic;
+    var v6net;
+    var params = {
+        belongs_to_type: 'zone',
+        belongs_to_uuid: mod_uuid.v4(),
+        owner_uuid: mod_uuid.v4()
+    };
+
+    t.test('create IPv6 network', function (t2) {
+        var netParams = h.validIPv6NetworkParams();
+        mod_net.create(t2, {
+            params: netParams,
+            partialExp: netParams
+        }, function (_, res) {
+            v6net = res;
+            t2.end();
+        });
+    });
+
+    t.test('provision', function (t2) {
+        NAPI.provisionNic(NET6.uuid, extend(params, {
+            network_uuids: [ v6net.uuid ]
+        }), function (err, res) {
+            if (h.ifErr(t2, err, 'provision nic')) {
+                t2.end();
+                return;
+            }
+
+            nic = res;
+            t2.equal(res.ip, h.nextProvisionableIP(NET6), 'IPv4 address');
+            t2.equal(res.network_uuid, NET6.uuid, 'IPv4 network_uuid');
+            t2.equal(res.ips.length, 2, 'two addresses');
+            t2.equal(res.ips[0], res.ip + '/24', 'IPv4 address in ips');
+            t2.ok(util_ip.toIPAddr(res.ips[1].split('/')[0]).kind() === 'ipv6',
+                'IPv6 address in ips');
+            t2.equal(res.ips[1].split('/')[1], '64', 'IPv6 prefix length');
+            t2.deepEqual(res.network_uuids, [ NET6.uuid, v6net.uuid ],
+                'network_uuids');
+
+            t2.end();
+        });
+    });
+
+    t.test('get', function (t2) {
+        mod_nic.get(t2, {
+            mac: nic.mac,
+            exp: nic
+        });
+    });
+
+    t.test('list by IPv6 address', function (t2) {
+        mod_nic.list(t2, {
+            params: {
+                ip: nic.ips[1].split('/')[0]
+            },
+            deepEqual: true,
+            present: [ nic ]
+        });
+    });
+
+    t.test('list by IPv6 network', function (t2) {
+        mod_nic.list(t2, {
+            params: {
+                network_uuid: v6net.uuid
+            },
+            deepEqual: true,
+            present: [ nic ]
+        });
+    });
+
+    t.test('search for IPv6 address', function (t2) {
+        var ip6 = nic.ips[1].split('/')[0];
+
+        NAPI.searchIPs(ip6, function (err, res) {
+            if (h.ifErr(t2, err, 'search')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res, [
+                {
+                    belongs_to_type: params.belongs_to_type,
+                    belongs_to_uuid: params.belongs_to_uuid,
+                    free: false,
+                    ip: ip6,
+                    network_uuid: v6net.uuid,
+                    owner_uuid: params.owner_uuid,
+                    reserved: false
+                }
+            ], 'response');
+
+            t2.end();
+        });
+    });
+
+    t.test('two networks of the same family', function (t2) {
+        mod_nic.create(t2, {
+            mac: mac,
+            params: extend(params, {
+                belongs_to_uuid: mod_uuid.v4(),
+                network_uuid: NET6.uuid,
+                network_uuids: [ NET2.uuid ]
+            }),
+            expCode: 422,
+            expErr: h.invalidParamErr({
+                errors: [
+                    mod_err.invalidParam('network_uuids',
+                        constants.msg.NET_ONE_PER_FAMILY)
+                ]
+            })
+        });
+    });
+
+    t.test('two addresses of the same family', function (t2) {
+        mod_nic.create(t2, {
+            mac: mac,
+            params: extend(params, {
+                belongs_to_uuid: mod_uuid.v4(),
+                ips: [ 'fd00::1', 'fd00::2' ],
+                network_uuids: [ v6net.uuid ]
+            }),
+            expCode: 422,
+            expErr: h.invalidParamErr({
+                errors: [
+                    mod_err.invalidParam('ips',
+                        constants.msg.IP_ONE_PER_FAMILY)
+                ]
+            })
+        });
+    });
+});
+
+
+test('NIC secondary IPs', function (t) {
+    var nic;
+    var ipAuto;
+    var ipSpecified = fmt('10.0.%d.200', NET6.num);
+    var params = {
+        belongs_to_type: 'zone',
+        belongs_to_uuid: mod_uuid.v4(),
+        owner_uuid: mod_uuid.v4()
+    };
+
+    function ipsPath(ip) {
+        return fmt('/nics/%s/ips%s', nic.mac.replace(/:/g, ''),
+            ip ? '/' + ip : '');
+    }
+
+    t.test('provision', function (t2) {
+        NAPI.provisionNic(NET6.uuid, params, function (err, res) {
+            if (h.ifErr(t2, err, 'provision nic')) {
+                t2.end();
+                return;
+            }
+
+            nic = res;
+            t2.equal(res.ip, h.nextProvisionableIP(NET6), 'primary IP');
+            t2.equal(res.secondary_ips, undefined, 'no secondary IPs');
+            t2.end();
+        });
+    });
+
+    t.test('add next available IP', function (t2) {
+        NAPI.post({ path: ipsPath() }, {}, function (err, res) {
+            if (h.ifErr(t2, err, 'add IP')) {
+                t2.end();
+                return;
+            }
+
+            ipAuto = h.nextProvisionableIP(NET6);
+            t2.equal(res.ip, nic.ip, 'primary IP unchanged');
+            t2.deepEqual(res.secondary_ips, [ ipAuto ], 'secondary_ips');
+            t2.end();
+        });
+    });
+
+    t.test('add specific IP', function (t2) {
+        NAPI.post({ path: ipsPath() }, { ip: ipSpecified },
+            function (err, res) {
+            if (h.ifErr(t2, err, 'add IP')) {
+                t2.end();
+                return;
+            }
+
+            nic = res;
+            t2.deepEqual(res.secondary_ips, [ ipAuto, ipSpecified ],
+                'secondary_ips');
+            t2.end();
+        });
+    });
+
+    t.test('get', function (t2) {
+        mod_nic.get(t2, {
+            mac: nic.mac,
+            exp: nic
+        });
+    });
+
+    t.test('get secondary IP', function (t2) {
+        mod_ip.get(t2, {
+            net: NET6.uuid,
+            ip: ipSpecified,
+            exp: {
+                belongs_to_type: params.belongs_to_type,
+                belongs_to_uuid: params.belongs_to_uuid,
+                owner_uuid: params.owner_uuid,
+                ip: ipSpecified,
+                network_uuid: NET6.uuid,
+                free: false,
+                reserved: false
+            }
+        });
+    });
+
+    t.test('add IP in use', function (t2) {
+        NAPI.post({ path: ipsPath() }, { ip: ipSpecified }, function (err) {
+            t2.ok(err, 'error returned');
+            if (!err) {
+                t2.end();
+                return;
+            }
+
+            t2.equal(err.statusCode, 422, 'status code');
+            t2.deepEqual(err.body, h.invalidParamErr({
+                errors: [
+                    mod_err.usedByParam('ip', 'zone', params.belongs_to_uuid,
+                        util.format(constants.fmt.IP_IN_USE,
+                            'zone', params.belongs_to_uuid))
+                ]
+            }), 'error body');
+            t2.end();
+        });
+    });
+
+    t.test('add IPv6 IP without an IPv6 network', function (t2) {
+        NAPI.post({ path: ipsPath() }, { ip: 'fd00::42' }, function (err) {
+            t2.ok(err, 'error returned');
+            if (!err) {
+                t2.end();
+                return;
+            }
+
+            t2.equal(err.statusCode, 422, 'status code');
+            t2.deepEqual(err.body, h.invalidParamErr({
+                errors: [
+                    mod_err.invalidParam('ip',
+                        constants.msg.SECONDARY_IP_NO_NET)
+                ]
+            }), 'error body');
+            t2.end();
+        });
+    });
+
+    t.test('cannot move NIC with secondary IPs', function (t2) {
+        mod_nic.update(t2, {
+            mac: nic.mac,
+            params: {
+                network_uuid: NET.uuid
+            },
+            expCode: 422,
+            expErr: h.invalidParamErr({
+                errors: [
+                    mod_err.invalidParam('network_uuid',
+                        constants.msg.SECONDARY_IPS_PRESENT)
+                ]
+            })
+        });
+    });
+
+    t.test('remove IP', function (t2) {
+        NAPI.del({ path: ipsPath(ipSpecified) }, function (err) {
+            if (h.ifErr(t2, err, 'remove IP')) {
+                t2.end();
+                return;
+            }
+
+            nic.secondary_ips = [ ipAuto ];
+            t2.end();
+        });
+    });
+
+    t.test('get after remove', function (t2) {
+        mod_nic.get(t2, {
+            mac: nic.mac,
+            partialExp: {
+                secondary_ips: [ ipAuto ]
+            }
+        });
+    });
+
+    t.test('removed IP is free', function (t2) {
+        NAPI.getIP(NET6.uuid, ipSpecified, function (err, res) {
+            if (h.ifErr(t2, err, 'get IP')) {
+                t2.end();
+                return;
+            }
+
+            t2.equal(res.free, true, 'IP has been freed');
+            t2.end();
+        });
+    });
+
+    t.test('remove IP not on NIC', function (t2) {
+        NAPI.del({ path: ipsPath(ipSpecified) }, function (err) {
+            t2.ok(err, 'error returned');
+            if (err) {
+                t2.equal(err.statusCode, 404, 'status code');
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('delete NIC frees secondary IPs', function (t2) {
+        mod_nic.del(t2, {
+            mac: nic.mac
+        }, function () {
+            NAPI.getIP(NET6.uuid, ipAuto, function (err, res) {
+                if (h.ifErr(t2, err, 'get IP')) {
+                    t2.end();
+                    return;
+                }
+
+                t2.equal(res.free, true, 'IP has been freed');
+                t2.end();
+            });
+        });
+    });
+});
+
+
 
 
 // --- Get tests
@@ -2250,42 +2583,151 @@ test('Update nic - change IP', function (t) {
 });
 
 
-test('Update nic - add resolver IP', function (t) {
-    t.plan(3);
+test('Update nic - move to another network', function (t) {
     var d = {};
 
-    t.test('create net', function (t2) {
-        var params = h.validNetworkParams();
-        params.resolvers = [
-            util_ip.ntoa(util_ip.aton(params.provision_start_ip) + 3) ];
-
-        mod_net.create(t2, {
-            params: params,
-            partialExp: params,
-            state: d
-        });
-    });
-
-    d.ts = {};
-
     t.test('create', function (t2) {
-        d.partialExp = {
+        d.params = {
             belongs_to_type: 'zone',
             belongs_to_uuid: mod_uuid.v4(),
+            network_uuid: NET.uuid,
             owner_uuid: mod_uuid.v4()
         };
 
-        d.mac = h.randomMAC();
         mod_nic.create(t2, {
-            mac: d.mac,
-            params: d.partialExp,
-            partialExp: d.partialExp,
-            ts: d.ts
-        });
-    });
-
-    t.test('update: add IP', function (t2) {
-        d.net = d.networks[0];
+            mac: h.randomMAC(),
+            params: d.params,
+            partialExp: {
+                network_uuid: NET.uuid,
+                vlan_id: NET.vlan_id
+            }
+        }, function (_, res) {
+            d.nic = res;
+            t2.end();
+        });
+    });
+
+    t.test('update: move to net6', function (t2) {
+        if (!d.nic) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.update(t2, {
+            mac: d.nic.mac,
+            params: {
+                network_uuid: NET6.uuid
+            },
+            partialExp: {
+                network_uuid: NET6.uuid,
+                nic_tag: NET6.nic_tag,
+                vlan_id: NET6.vlan_id
+            }
+        }, function (_, res) {
+            if (res) {
+                t2.notEqual(res.ip, d.nic.ip, 'new IP allocated');
+                d.newIP = res.ip;
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('old IP freed', function (t2) {
+        if (!d.nic) {
+            t2.end();
+            return;
+        }
+
+        mod_ip.get(t2, {
+            net: NET.uuid,
+            ip: d.nic.ip,
+            exp: {
+                free: true,
+                ip: d.nic.ip,
+                network_uuid: NET.uuid,
+                reserved: false
+            }
+        });
+    });
+
+    t.test('new IP assigned', function (t2) {
+        if (!d.newIP) {
+            t2.end();
+            return;
+        }
+
+        mod_ip.get(t2, {
+            net: NET6.uuid,
+            ip: d.newIP,
+            exp: {
+                belongs_to_type: d.params.belongs_to_type,
+                belongs_to_uuid: d.params.belongs_to_uuid,
+                free: false,
+                ip: d.newIP,
+                network_uuid: NET6.uuid,
+                owner_uuid: d.params.owner_uuid,
+                reserved: false
+            }
+        });
+    });
+
+    t.test('update: same network keeps IP', function (t2) {
+        if (!d.newIP) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.update(t2, {
+            mac: d.nic.mac,
+            params: {
+                network_uuid: NET6.uuid
+            },
+            partialExp: {
+                ip: d.newIP,
+                network_uuid: NET6.uuid
+            }
+        });
+    });
+});
+
+
+test('Update nic - add resolver IP', function (t) {
+    t.plan(3);
+    var d = {};
+
+    t.test('create net', function (t2) {
+        var params = h.validNetworkParams();
+        params.resolvers = [
+            util_ip.ntoa(util_ip.aton(params.provision_start_ip) + 3) ];
+
+        mod_net.create(t2, {
+            params: params,
+            partialExp: params,
+            state: d
+        });
+    });
+
+    d.ts = {};
+
+    t.test('create', function (t2) {
+        d.partialExp = {
+            belongs_to_type: 'zone',
+            belongs_to_uuid: mod_uuid.v4(),
+            owner_uuid: mod_uuid.v4()
+        };
+
+        d.mac = h.randomMAC();
+        mod_nic.create(t2, {
+            mac: d.mac,
+            params: d.partialExp,
+            partialExp: d.partialExp,
+            ts: d.ts
+        });
+    });
+
+    t.test('update: add IP', function (t2) {
+        d.net = d.networks[0];
         var updateParams = {
             ip: d.net.resolvers[0],
             network_uuid: d.net.uuid
@@ -3168,6 +3610,258 @@ test('antispoof options', function (t) {
 });
 
 
+test('allowed_ips', function (t) {
+    var d = {};
+
+    t.test('provision', function (t2) {
+        d.params = {
+            allowed_ips: [ '10.99.0.5', '192.168.128.0/17' ],
+            belongs_to_type: 'zone',
+            belongs_to_uuid: mod_uuid.v4(),
+            owner_uuid: mod_uuid.v4()
+        };
+
+        mod_nic.provision(t2, {
+            net: NET2.uuid,
+            params: d.params,
+            partialExp: {
+                allowed_ips: d.params.allowed_ips
+            }
+        }, function (err, res) {
+            if (err) {
+                t2.end();
+                return;
+            }
+
+            d.mac = res.mac;
+
+            mod_moray.getNic(MORAY, res.mac, function (err2, morayObj) {
+                t2.ifError(err2, 'Get should succeed');
+                if (morayObj) {
+                    t2.deepEqual(morayObj.allowed_ips, d.params.allowed_ips,
+                        'allowed_ips stored in moray');
+                }
+
+                t2.end();
+            });
+        });
+    });
+
+    t.test('update', function (t2) {
+        mod_nic.update(t2, {
+            mac: d.mac,
+            params: {
+                allowed_ips: '10.99.0.6, 10.99.0.6,10.100.0.0/16'
+            },
+            partialExp: {
+                allowed_ips: [ '10.99.0.6', '10.100.0.0/16' ]
+            }
+        });
+    });
+
+    t.test('invalid addresses', function (t2) {
+        mod_nic.update(t2, {
+            mac: d.mac,
+            params: {
+                allowed_ips: [ '10.99.0.7', 'foo', 5 ]
+            },
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('allowed_ips',
+                    constants.msg.ALLOWED_IPS, { invalid: [ 'foo', 5 ] }) ]
+            })
+        });
+    });
+
+    t.test('subnets too broad', function (t2) {
+        mod_nic.update(t2, {
+            mac: d.mac,
+            params: {
+                allowed_ips: [ '0.0.0.0/0', '10.0.0.0/15', '10.1.0.0/16',
+                    '::/0', 'fd00::/47' ]
+            },
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('allowed_ips',
+                    constants.msg.ALLOWED_IPS_PREFIX, { invalid: [
+                        '0.0.0.0/0', '10.0.0.0/15', '::/0', 'fd00::/47'
+                    ] }) ]
+            })
+        });
+    });
+
+    t.test('no network of the same family', function (t2) {
+        mod_nic.update(t2, {
+            mac: d.mac,
+            params: {
+                allowed_ips: [ '10.99.0.7', 'fd00::/64' ]
+            },
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('allowed_ips',
+                    constants.msg.ALLOWED_IPS_NO_NET,
+                    { invalid: [ 'fd00::/64' ] }) ]
+            })
+        });
+    });
+
+    t.test('remove', function (t2) {
+        mod_nic.update(t2, {
+            mac: d.mac,
+            params: {
+                allowed_ips: []
+            },
+            partialExp: {
+                mac: d.mac
+            }
+        }, function (_, res) {
+            if (res) {
+                t2.ok(!res.hasOwnProperty('allowed_ips'),
+                    'allowed_ips removed');
+            }
+
+            t2.end();
+        });
+    });
+});
+
+
+test('rate limits', function (t) {
+    var d = {};
+
+    t.test('create network with limits', function (t2) {
+        var params = h.validNetworkParams({
+            max_bandwidth_mbps: 1000,
+            max_pps: 50000
+        });
+
+        mod_net.create(t2, {
+            params: params,
+            partialExp: params
+        }, function (_, net) {
+            d.net = net;
+            t2.end();
+        });
+    });
+
+    t.test('provision with own max_pps', function (t2) {
+        mod_nic.provision(t2, {
+            net: d.net.uuid,
+            params: {
+                belongs_to_type: 'zone',
+                belongs_to_uuid: mod_uuid.v4(),
+                max_pps: 10000,
+                owner_uuid: mod_uuid.v4()
+            },
+            partialExp: {
+                max_bandwidth_mbps: 1000,
+                max_pps: 10000
+            }
+        }, function (err, res) {
+            if (err) {
+                t2.end();
+                return;
+            }
+
+            d.mac = res.mac;
+
+            mod_moray.getNic(MORAY, res.mac, function (err2, morayObj) {
+                t2.ifError(err2, 'Get should succeed');
+                if (morayObj) {
+                    t2.ok(!morayObj.hasOwnProperty('max_bandwidth_mbps'),
+                        'network limit not stored in moray');
+                    t2.equal(morayObj.max_pps, 10000,
+                        'max_pps stored in moray');
+                }
+
+                t2.end();
+            });
+        });
+    });
+
+    t.test('update network limit', function (t2) {
+        mod_net.update(t2, {
+            params: {
+                max_bandwidth_mbps: 500,
+                uuid: d.net.uuid
+            },
+            partialExp: {
+                max_bandwidth_mbps: 500,
+                max_pps: 50000
+            }
+        });
+    });
+
+    t.test('nic inherits updated limit', function (t2) {
+        mod_nic.get(t2, {
+            mac: d.mac,
+            partialExp: {
+                max_bandwidth_mbps: 500,
+                max_pps: 10000
+            }
+        });
+    });
+
+    t.test('invalid limit', function (t2) {
+        mod_nic.update(t2, {
+            mac: d.mac,
+            params: {
+                max_bandwidth_mbps: 0
+            },
+            expErr: h.invalidParamErr({
+                errors: [ mod_err.invalidParam('max_bandwidth_mbps',
+                    constants.msg.POS_INT) ]
+            })
+        });
+    });
+
+    t.test('remove nic limit', function (t2) {
+        mod_nic.update(t2, {
+            mac: d.mac,
+            params: {
+                max_pps: null
+            },
+            partialExp: {
+                max_bandwidth_mbps: 500,
+                max_pps: 50000
+            }
+        });
+    });
+
+    t.test('remove network limit', function (t2) {
+        mod_net.update(t2, {
+            params: {
+                max_bandwidth_mbps: null,
+                uuid: d.net.uuid
+            },
+            partialExp: {
+                max_pps: 50000
+            }
+        }, function (_, net) {
+            if (net) {
+                t2.ok(!net.hasOwnProperty('max_bandwidth_mbps'),
+                    'max_bandwidth_mbps removed');
+            }
+
+            t2.end();
+        });
+    });
+
+    t.test('nic has no bandwidth limit', function (t2) {
+        mod_nic.get(t2, {
+            mac: d.mac,
+            partialExp: {
+                max_pps: 50000
+            }
+        }, function (_, res) {
+            if (res) {
+                t2.ok(!res.hasOwnProperty('max_bandwidth_mbps'),
+                    'max_bandwidth_mbps removed');
+            }
+
+            t2.end();
+        });
+    });
+});
+
+
 test('update nic that does not exist', function (t) {
     t.plan(2);
     var d = {};
@@ -3281,6 +3975,143 @@ test('primary uniqueness', function (t) {
 });
 
 
+test('Regenerate nic MAC', function (t) {
+    var d = {};
+
+    function regenPath(mac) {
+        return '/nics/' + mac.replace(/:/g, '') + '/regenerate-mac';
+    }
+
+    t.test('create nic', function (t2) {
+        d.params = {
+            allow_ip_spoofing: true,
+            belongs_to_type: 'zone',
+            belongs_to_uuid: mod_uuid.v4(),
+            network_uuid: NET.uuid,
+            owner_uuid: mod_uuid.v4(),
+            primary: true
+        };
+
+        mod_nic.create(t2, {
+            mac: h.randomMAC(),
+            params: d.params,
+            partialExp: {
+                allow_ip_spoofing: true,
+                network_uuid: NET.uuid,
+                primary: true
+            }
+        }, function (_, res) {
+            d.nic = res;
+            t2.end();
+        });
+    });
+
+    t.test('regenerate MAC', function (t2) {
+        if (!d.nic) {
+            t2.end();
+            return;
+        }
+
+        NAPI.post({ path: regenPath(d.nic.mac) }, {}, function (err, res) {
+            if (h.ifErr(t2, err, 'regenerate MAC')) {
+                t2.end();
+                return;
+            }
+
+            t2.notEqual(res.mac, d.nic.mac, 'MAC changed');
+
+            d.exp = extend(d.nic, {
+                mac: res.mac,
+                modified_timestamp: res.modified_timestamp
+            });
+            t2.deepEqual(res, d.exp, 'other properties unchanged');
+
+            t2.end();
+        });
+    });
+
+    t.test('get old MAC', function (t2) {
+        if (!d.exp) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.get(t2, {
+            mac: d.nic.mac,
+            expCode: 404,
+            expErr: {
+                code: 'ResourceNotFound',
+                message: 'nic not found'
+            }
+        });
+    });
+
+    t.test('get new MAC', function (t2) {
+        if (!d.exp) {
+            t2.end();
+            return;
+        }
+
+        mod_nic.get(t2, {
+            mac: d.exp.mac,
+            exp: d.exp
+        });
+    });
+
+    t.test('IP still assigned', function (t2) {
+        if (!d.exp) {
+            t2.end();
+            return;
+        }
+
+        mod_ip.get(t2, {
+            net: NET.uuid,
+            ip: d.nic.ip,
+            exp: {
+                belongs_to_type: d.params.belongs_to_type,
+                belongs_to_uuid: d.params.belongs_to_uuid,
+                free: false,
+                ip: d.nic.ip,
+                network_uuid: NET.uuid,
+                owner_uuid: d.params.owner_uuid,
+                reserved: false
+            }
+        });
+    });
+
+    t.test('server nic', function (t2) {
+        mod_nic.create(t2, {
+            mac: h.randomMAC(),
+            params: {
+                belongs_to_type: 'server',
+                belongs_to_uuid: mod_uuid.v4(),
+                owner_uuid: mod_uuid.v4()
+            },
+            partialExp: {
+                belongs_to_type: 'server'
+            }
+        }, function (_, res) {
+            if (!res) {
+                t2.end();
+                return;
+            }
+
+            NAPI.post({ path: regenPath(res.mac) }, {}, function (err) {
+                t2.ok(err, 'error returned');
+                if (err) {
+                    t2.deepEqual(err.body, h.invalidParamErr({
+                        errors: [ mod_err.invalidParam('mac',
+                            constants.msg.REGEN_MAC_SERVER) ]
+                    }), 'Error body');
+                }
+
+                t2.end();
+            });
+        });
+    });
+});
+
+
 // --- Listing Tests
 
 test('Listing Nics failures', function (t) {
@@ -25,6 +25,7 @@ var mod_nicTag = require('../lib/nic-tag');
 var mod_server = require('../lib/server');
 var mod_uuid = require('node-uuid');
 var test = require('tape');
+var vasync = require('vasync');
 
 
 
@@ -273,6 +274,42 @@ test('IPv6 not in moray', function (t) {
 });
 
 
+test('IPv4 in moray - fabric filter', function (t) {
+    var exp = [
+        {
+            free: false,
+            ip: RESERVED_IPV4,
+            reserved: true,
+            network_uuid: NETS[0].uuid
+        }
+    ];
+
+    t.test('non-fabric networks', function (t2) {
+        mod_ip.search(t2, {
+            ip: RESERVED_IPV4,
+            params: {
+                fabric: false
+            },
+            present: exp
+        });
+    });
+
+    t.test('fabric networks', function (t2) {
+        mod_ip.search(t2, {
+            ip: RESERVED_IPV4,
+            params: {
+                fabric: true
+            },
+            expCode: 404,
+            expErr: {
+                code: 'ResourceNotFound',
+                message: constants.msg.SEARCH_NO_NETS
+            }
+        });
+    });
+});
+
+
 test('Invalid IP', function (t) {
     NAPI.searchIPs('asdf', function (err) {
         t.ok(err, 'error returned');
@@ -391,6 +428,136 @@ test('Search', function (t) {
 });
 
 
+test('Search without an IP', function (t) {
+    var owner = mod_uuid.v4();
+    var nicIP;
+    var reservedIP = {
+        free: false,
+        owner_uuid: owner,
+        reserved: true
+    };
+
+    function searchPath(query) {
+        return '/search/ips?' + Object.keys(query).map(function (k) {
+            return k + '=' + query[k];
+        }).join('&');
+    }
+
+    function search(t2, query, callback) {
+        NAPI.get({ path: searchPath(query) }, function (err, res) {
+            if (h.ifErr(t2, err, 'search ' + searchPath(query))) {
+                t2.end();
+                return;
+            }
+
+            callback(res);
+        });
+    }
+
+    t.test('provision nic', function (t2) {
+        var params = {
+            belongs_to_type: 'zone',
+            belongs_to_uuid: mod_uuid.v4(),
+            owner_uuid: owner
+        };
+
+        NAPI.provisionNic(NETS[2].uuid, params, function (err, nic) {
+            if (h.ifErr(t2, err, 'provision')) {
+                t2.end();
+                return;
+            }
+
+            nicIP = {
+                belongs_to_type: 'zone',
+                belongs_to_uuid: params.belongs_to_uuid,
+                free: false,
+                ip: nic.ip,
+                network_uuid: NETS[2].uuid,
+                owner_uuid: owner,
+                reserved: false
+            };
+
+            t2.end();
+        });
+    });
+
+    t.test('reserve IP', function (t2) {
+        reservedIP.network_uuid = NETS[0].uuid;
+        reservedIP.ip = NETS[0].subnet.replace('0/24', '20');
+
+        NAPI.updateIP(NETS[0].uuid, reservedIP.ip,
+            { owner_uuid: owner, reserved: true }, function (err) {
+            h.ifErr(t2, err, 'reserve IP');
+            t2.end();
+        });
+    });
+
+    t.test('find - owner_uuid', function (t2) {
+        search(t2, { owner_uuid: owner }, function (res) {
+            t2.deepEqual(res.sort(uuidSort),
+                [ nicIP, reservedIP ].sort(uuidSort), 'IPs found');
+            t2.end();
+        });
+    });
+
+    t.test('find - belongs_to_uuid', function (t2) {
+        search(t2, { belongs_to_uuid: nicIP.belongs_to_uuid }, function (res) {
+            t2.deepEqual(res, [ nicIP ], 'IPs found');
+            t2.end();
+        });
+    });
+
+    t.test('find - reserved & owner_uuid', function (t2) {
+        search(t2, { owner_uuid: owner, reserved: true }, function (res) {
+            t2.deepEqual(res, [ reservedIP ], 'IPs found');
+            t2.end();
+        });
+    });
+
+    t.test('find - paginated', function (t2) {
+        search(t2, { owner_uuid: owner, limit: 1 }, function (first) {
+            t2.equal(first.length, 1, 'first page');
+
+            search(t2, { owner_uuid: owner, limit: 1, offset: 1 },
+                function (second) {
+                t2.equal(second.length, 1, 'second page');
+                t2.deepEqual(first.concat(second).sort(uuidSort),
+                    [ nicIP, reservedIP ].sort(uuidSort), 'all IPs found');
+                t2.end();
+            });
+        });
+    });
+
+    t.test('find - no matches', function (t2) {
+        search(t2, { owner_uuid: mod_uuid.v4() }, function (res) {
+            t2.deepEqual(res, [], 'no IPs found');
+            t2.end();
+        });
+    });
+
+    t.test('no ip or filter', function (t2) {
+        vasync.forEachPipeline({
+            inputs: [ {}, { reserved: false }, { belongs_to_type: 'zone' } ],
+            func: function (query, cb) {
+                NAPI.get({ path: searchPath(query) }, function (err) {
+                    t2.ok(err, 'error returned');
+                    if (err) {
+                        t2.deepEqual(err.body, h.invalidParamErr({
+                            errors: [ mod_err.missingParam('ip',
+                                constants.msg.SEARCH_IP_FILTER) ]
+                        }), 'Error body');
+                    }
+
+                    cb();
+                });
+            }
+        }, function () {
+            t2.end();
+        });
+    });
+});
+
+
 // --- Teardown
 
 
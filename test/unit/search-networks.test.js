@@ -0,0 +1,232 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Unit tests for /search/networks endpoints
+ */
+
+'use strict';
+
+var constants = require('../../lib/util/constants');
+var fmt = require('util').format;
+var h = require('./helpers');
+var mod_err = require('../../lib/util/errors');
+var mod_net = require('../lib/net');
+var mod_nicTag = require('../lib/nic-tag');
+var mod_server = require('../lib/server');
+var mod_uuid = require('node-uuid');
+var test = require('tape');
+var vasync = require('vasync');
+
+
+
+// --- Globals
+
+
+
+var NAPI;
+var NETS = [];
+var OWNER = mod_uuid.v4();
+
+
+
+// --- Internal helpers
+
+
+
+/**
+ * Sorts an array of networks by uuid
+ */
+function uuidSort(a, b) {
+    return (a.uuid > b.uuid) ? 1 : -1;
+}
+
+
+/**
+ * Returns the SearchNetworks path for a query
+ */
+function searchPath(query) {
+    return '/search/networks?' + Object.keys(query).map(function (k) {
+        return k + '=' + encodeURIComponent(query[k]);
+    }).join('&');
+}
+
+
+/**
+ * Search for networks, and check that the expected ones were found
+ */
+function searchNets(t, query, exp) {
+    var path = searchPath(query);
+
+    NAPI.get({ path: path }, function (err, res) {
+        if (h.ifErr(t, err, 'search ' + path)) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(res.map(function (net) {
+            return net.uuid;
+        }), exp.sort(uuidSort).map(function (net) {
+            return net.uuid;
+        }), 'networks found');
+        t.end();
+    });
+}
+
+
+
+// --- Setup
+
+
+
+test('Initial setup', function (t) {
+    h.reset();
+
+    var net1num = h.NET_NUM;
+    var net1Params = h.validNetworkParams();
+    var net2Params = h.validNetworkParams({
+        owner_uuids: [ OWNER ],
+        vlan_id: 5
+    });
+    var net3Params = h.validIPv6NetworkParams();
+
+    t.test('create client and server', function (t2) {
+        h.createClientAndServer(function (err, res) {
+            t2.ifError(err, 'creating client and server should succeed');
+            t2.ok(res, 'client');
+            NAPI = res;
+            return t2.end();
+        });
+    });
+
+    t.test('create nic tag', function (t2) {
+        mod_nicTag.create(t2, { name: net1Params.nic_tag });
+    });
+
+    t.test('create networks', function (t2) {
+        vasync.forEachPipeline({
+            inputs: [ net1Params, net2Params, net3Params ],
+            func: function (params, cb) {
+                mod_net.create(t2, {
+                    params: params,
+                    partialExp: params
+                }, function (err, res) {
+                    if (res) {
+                        NETS.push(res);
+                    }
+
+                    cb(err);
+                });
+            }
+        }, function (err) {
+            t2.ifError(err, 'creating networks should succeed');
+            t2.equal(NETS.length, 3, 'networks created');
+            t2.equal(NETS[0].subnet, fmt('10.0.%d.0/24', net1num),
+                'first network subnet');
+            t2.end();
+        });
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Search by IP', function (t) {
+    t.test('IP in a network', function (t2) {
+        searchNets(t2, { ip: NETS[0].subnet.replace('0/24', '10') },
+            [ NETS[0] ]);
+    });
+
+    t.test('IPv6 address', function (t2) {
+        searchNets(t2, { ip: NETS[2].provision_start_ip }, [ NETS[2] ]);
+    });
+
+    t.test('IP not in any network', function (t2) {
+        searchNets(t2, { ip: '192.168.100.1' }, []);
+    });
+
+    t.test('IP in a network with a different vlan_id', function (t2) {
+        searchNets(t2, {
+            ip: NETS[0].subnet.replace('0/24', '10'),
+            vlan_id: 5
+        }, []);
+    });
+
+    t.test('IP in a network with a matching nic_tag', function (t2) {
+        searchNets(t2, {
+            ip: NETS[1].subnet.replace('0/24', '10'),
+            nic_tag: NETS[1].nic_tag
+        }, [ NETS[1] ]);
+    });
+});
+
+
+test('Search by subnet', function (t) {
+    t.test('subnet overlapping several networks', function (t2) {
+        searchNets(t2, { subnet: '10.0.0.0/16' }, [ NETS[0], NETS[1] ]);
+    });
+
+    t.test('subnet inside a network', function (t2) {
+        searchNets(t2, { subnet: NETS[0].subnet.replace('0/24', '128/25') },
+            [ NETS[0] ]);
+    });
+
+    t.test('subnet overlapping no networks', function (t2) {
+        searchNets(t2, { subnet: '192.168.0.0/16' }, []);
+    });
+
+    t.test('subnet overlapping networks with an owner', function (t2) {
+        searchNets(t2, { subnet: '10.0.0.0/16', owner_uuid: OWNER },
+            [ NETS[1] ]);
+    });
+
+    t.test('subnet overlapping fabric networks', function (t2) {
+        searchNets(t2, { subnet: '10.0.0.0/16', fabric: true }, []);
+    });
+});
+
+
+test('Invalid searches', function (t) {
+    var invalid = [
+        [ {}, mod_err.missingParam('ip', constants.msg.SEARCH_NET_ADDRESS) ],
+        [ { ip: '10.0.2.1', subnet: '10.0.2.0/24' },
+            mod_err.invalidParam('subnet', constants.msg.SEARCH_NET_ADDRESS) ],
+        [ { ip: 'foo' },
+            mod_err.invalidParam('ip', constants.INVALID_IP_MSG) ],
+        [ { subnet: 'foo' },
+            mod_err.invalidParam('subnet', constants.msg.CIDR) ]
+    ];
+
+    invalid.forEach(function (data) {
+        t.test(JSON.stringify(data[0]), function (t2) {
+            NAPI.get({ path: searchPath(data[0]) }, function (err) {
+                t2.ok(err, 'error returned');
+                if (err) {
+                    t2.deepEqual(err.body, h.invalidParamErr({
+                        errors: [ data[1] ]
+                    }), 'Error body');
+                }
+
+                t2.end();
+            });
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', mod_server.close);
@@ -0,0 +1,241 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Unit tests for /subnets endpoints
+ */
+
+'use strict';
+
+var constants = require('../../lib/util/constants');
+var h = require('./helpers');
+var mod_err = require('../../lib/util/errors');
+var mod_net = require('../lib/net');
+var mod_nicTag = require('../lib/nic-tag');
+var mod_server = require('../lib/server');
+var test = require('tape');
+var vasync = require('vasync');
+
+
+
+// --- Globals
+
+
+
+var NAPI;
+
+
+
+// --- Internal helpers
+
+
+
+/**
+ * Returns the ListAvailableSubnets path for a query
+ */
+function availablePath(query) {
+    return '/subnets/available?' + Object.keys(query).map(function (k) {
+        return k + '=' + encodeURIComponent(query[k]);
+    }).join('&');
+}
+
+
+/**
+ * Find available subnets, and check that the expected ones were found
+ */
+function findAvailable(t, query, exp) {
+    var path = availablePath(query);
+
+    NAPI.get({ path: path }, function (err, res) {
+        if (h.ifErr(t, err, 'find available ' + path)) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(res.map(function (sub) {
+            return sub.subnet;
+        }), exp, 'subnets found');
+        t.end();
+    });
+}
+
+
+
+// --- Setup
+
+
+
+test('Initial setup', function (t) {
+    h.reset();
+
+    var netParams = [
+        h.validNetworkParams({
+            provision_start_ip: '10.1.1.1',
+            provision_end_ip: '10.1.1.254',
+            subnet: '10.1.1.0/24'
+        }),
+        h.validNetworkParams({
+            provision_start_ip: '10.1.2.1',
+            provision_end_ip: '10.1.2.254',
+            subnet: '10.1.2.0/24',
+            vlan_id: 5
+        }),
+        h.validNetworkParams({
+            provision_start_ip: '198.51.100.1',
+            provision_end_ip: '198.51.100.62',
+            subnet: '198.51.100.0/26'
+        })
+    ];
+
+    t.test('create client and server', function (t2) {
+        h.createClientAndServer(function (err, res) {
+            t2.ifError(err, 'creating client and server should succeed');
+            t2.ok(res, 'client');
+            NAPI = res;
+            return t2.end();
+        });
+    });
+
+    t.test('create nic tag', function (t2) {
+        mod_nicTag.create(t2, { name: netParams[0].nic_tag });
+    });
+
+    t.test('create networks', function (t2) {
+        vasync.forEachPipeline({
+            inputs: netParams,
+            func: function (params, cb) {
+                mod_net.create(t2, {
+                    params: params,
+                    partialExp: params
+                }, cb);
+            }
+        }, function (err) {
+            t2.ifError(err, 'creating networks should succeed');
+            t2.end();
+        });
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Available subnets', function (t) {
+    t.test('private subnets', function (t2) {
+        findAvailable(t2, { within: '10.1.0.0/22', prefix: 24 },
+            [ '10.1.0.0/24', '10.1.3.0/24' ]);
+    });
+
+    t.test('private subnets on a nic tag and VLAN', function (t2) {
+        findAvailable(t2, {
+            within: '10.1.0.0/22',
+            nic_tag: 'nic_tag',
+            prefix: 24,
+            vlan_id: 0
+        }, [ '10.1.0.0/24', '10.1.2.0/24', '10.1.3.0/24' ]);
+    });
+
+    t.test('smaller subnets', function (t2) {
+        findAvailable(t2, { within: '10.1.0.0/23', prefix: 25 },
+            [ '10.1.0.0/25', '10.1.0.128/25' ]);
+    });
+
+    t.test('limit', function (t2) {
+        findAvailable(t2, { within: '10.1.0.0/22', prefix: 24, limit: 1 },
+            [ '10.1.0.0/24' ]);
+    });
+
+    t.test('public subnets on another VLAN', function (t2) {
+        findAvailable(t2, {
+            within: '198.51.100.0/24',
+            prefix: 26,
+            vlan_id: 5
+        }, [ '198.51.100.64/26', '198.51.100.128/26', '198.51.100.192/26' ]);
+    });
+
+    t.test('private and public subnets', function (t2) {
+        // 10.0.0.0/8 is private, so only networks on the same nic tag and
+        // VLAN rule it out
+        findAvailable(t2, {
+            within: '10.0.0.0/7',
+            nic_tag: 'nic_tag',
+            prefix: 8,
+            vlan_id: 7
+        }, [ '10.0.0.0/8', '11.0.0.0/8' ]);
+    });
+
+    t.test('public subnet containing private networks', function (t2) {
+        findAvailable(t2, {
+            within: '10.0.0.0/7',
+            nic_tag: 'nic_tag',
+            prefix: 7,
+            vlan_id: 7
+        }, []);
+    });
+
+    t.test('no subnets available', function (t2) {
+        findAvailable(t2, { within: '10.1.1.0/24', prefix: 26 }, []);
+    });
+
+    t.test('provision range', function (t2) {
+        NAPI.get({ path: availablePath({ within: '10.1.0.0/22', prefix: 24 }) },
+            function (err, res) {
+            if (h.ifErr(t2, err, 'find available')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(res[0], {
+                subnet: '10.1.0.0/24',
+                provision_start_ip: '10.1.0.1',
+                provision_end_ip: '10.1.0.254'
+            }, 'first subnet');
+            t2.end();
+        });
+    });
+});
+
+
+test('Invalid available subnet requests', function (t) {
+    var invalid = [
+        [ { within: '10.1.0.0/22' }, mod_err.missingParam('prefix') ],
+        [ { within: 'foo', prefix: 24 },
+            mod_err.invalidParam('within', constants.msg.CIDR) ],
+        [ { within: '10.1.0.0/22', prefix: 16 },
+            mod_err.invalidParam('prefix', constants.msg.PREFIX_WITHIN) ],
+        [ { within: '10.1.0.0/22', prefix: 33 },
+            mod_err.invalidParam('prefix', constants.msg.PREFIX_WITHIN) ]
+    ];
+
+    invalid.forEach(function (data) {
+        t.test(JSON.stringify(data[0]), function (t2) {
+            NAPI.get({ path: availablePath(data[0]) }, function (err) {
+                t2.ok(err, 'error returned');
+                if (err) {
+                    t2.deepEqual(err.body, h.invalidParamErr({
+                        errors: [ data[1] ]
+                    }), 'Error body');
+                }
+
+                t2.end();
+            });
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', mod_server.close);
@@ -125,3 +125,66 @@ test('Adjacency Tests', function (t) {
     t.end();
 
 });
+
+test('findFreeSubnets', function (t) {
+    function free(within, plen, used, limit) {
+        return mod_alloc.findFreeSubnets(c(within), plen, used.map(c),
+            limit || 10).map(function (sub) {
+            return sub.toString();
+        });
+    }
+
+    t.deepEqual(free('10.0.0.0/22', 24, []), [
+        '10.0.0.0/24', '10.0.1.0/24', '10.0.2.0/24', '10.0.3.0/24'
+    ], 'empty container');
+
+    t.deepEqual(free('10.0.0.0/22', 24, [], 2),
+        [ '10.0.0.0/24', '10.0.1.0/24' ], 'limit');
+
+    t.deepEqual(free('10.0.0.0/22', 24, [ '10.0.1.0/24', '10.0.2.128/25' ]),
+        [ '10.0.0.0/24', '10.0.3.0/24' ], 'used and partially used subnets');
+
+    t.deepEqual(free('10.0.0.0/22', 23, [ '10.0.1.0/24' ]),
+        [ '10.0.2.0/23' ], 'larger prefix');
+
+    t.deepEqual(free('10.0.4.0/22', 24, [ '10.0.0.0/21' ]), [],
+        'container inside a used subnet');
+
+    t.deepEqual(free('10.0.0.0/24', 24, [ '10.0.1.0/24' ]),
+        [ '10.0.0.0/24' ], 'used subnet outside the container');
+
+    t.deepEqual(free('fd00::/62', 64, [ 'fd00:0:0:1::/64' ]),
+        [ 'fd00::/64', 'fd00:0:0:2::/64', 'fd00:0:0:3::/64' ], 'IPv6');
+
+    t.end();
+});
+
+test('configContainers', function (t) {
+    var containers = mod_alloc.configContainers({
+        subnetAllocContainers: {
+            external: '198.51.100.0/24',
+            internal: 'fd00::/48'
+        }
+    });
+
+    t.deepEqual(Object.keys(containers).map(function (tag) {
+        return tag + '=' + containers[tag].toString();
+    }), [ 'external=198.51.100.0/24', 'internal=fd00::/48' ],
+        'parsed containers');
+
+    t.deepEqual(mod_alloc.configContainers({}), {}, 'no containers');
+
+    t.throws(function () {
+        mod_alloc.configContainers({
+            subnetAllocContainers: { internal: '10.0.0.0/33' }
+        });
+    }, /subnetAllocContainers.internal: invalid subnet/, 'invalid subnet');
+
+    t.throws(function () {
+        mod_alloc.configContainers({
+            subnetAllocContainers: { internal: 24 }
+        });
+    }, /subnetAllocContainers.internal/, 'not a string');
+
+    t.end();
+});
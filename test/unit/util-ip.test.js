@@ -377,3 +377,23 @@ test('isUniqueLocal', function (t) {
         t2.end();
     });
 });
+
+
+test('privateSubnets', function (t) {
+    var cases = [
+        [ '10.1.0.0/22', [ '10.1.0.0/22' ] ],
+        [ '10.0.0.0/7', [ '10.0.0.0/8' ] ],
+        [ '0.0.0.0/0', [ '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16' ] ],
+        [ '198.51.100.0/24', [] ],
+        [ 'fd00:1::/64', [ 'fd00:1::/64' ] ],
+        [ '::/0', [ 'fd00::/8' ] ]
+    ];
+
+    cases.forEach(function (c) {
+        t.deepEqual(IP.privateSubnets(s(c[0])).map(function (sub) {
+            return sub.toString();
+        }), c[1], c[0]);
+    });
+
+    t.end();
+});
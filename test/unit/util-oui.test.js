@@ -17,6 +17,11 @@
 var util_oui = require('../../lib/util/oui');
 var test = require('tape');
 
+var RANGE = {
+    start: '02:00:00:00:01:00',
+    end: '02:00:00:00:01:ff',
+    nic_tag: 'nic_tag'
+};
 var OUIS = [
     [ '000000', 0, 16777215 ],
     [ '005056', 345040224256, 345057001471 ],
@@ -64,3 +69,35 @@ test('randomNum - valid', function (t) {
 
     t.end();
 });
+
+
+test('configRanges', function (t) {
+    var ranges = util_oui.configRanges({
+        macOUI: '90b8d0',
+        macRanges: [ RANGE ]
+    });
+
+    t.deepEqual(ranges.map(util_oui.serializeRange), [
+        RANGE,
+        {
+            start: '90:b8:d0:00:00:00',
+            end: '90:b8:d0:ff:ff:ff',
+            oui: '90b8d0'
+        }
+    ], 'macOUI added when there are no unscoped ranges');
+
+    t.deepEqual(util_oui.rangesFor(ranges, { nic_tag: 'nic_tag' }),
+        [ ranges[0] ], 'nic tag range');
+    t.deepEqual(util_oui.rangesFor(ranges, { nic_tag: 'other' }),
+        [ ranges[1] ], 'unscoped range');
+
+    t.throws(function () {
+        util_oui.configRanges({
+            macOUI: '90b8d0',
+            macRanges: [ { start: '02:00:00:00:00:02',
+                end: '02:00:00:00:00:01' } ]
+        });
+    }, /start must not be after its end/, 'start after end');
+
+    t.end();
+});